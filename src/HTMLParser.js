@@ -1,7 +1,25 @@
-import parseTemplate from "./parseTemplate.js";
+import { ReadableStream } from "node:stream/web";
+import { getChunkBytes, toByteStream } from "./byteStream.js";
+import { getEncodingForLabel } from "./encodingSniffing.js";
+import {
+  createWorkerPool,
+  releaseSharedWorkerPool,
+  retainSharedWorkerPool,
+} from "./workerPool.js";
+import { resolveFilePaths } from "./glob.js";
+import { availableParallelism } from "node:os";
+import {
+  HTMLParseCache,
+  parseTemplateSyncWithCache,
+  parseTemplateWithCache,
+} from "./parseCache.js";
+import { resolveStreamedNode } from "./nodeStreams.js";
+import { reparseTree } from "./reparse.js";
+import { watchParsedFiles } from "./watch.js";
+import Piscina from "piscina";
 
 /**
- * @import { HTMLParserOptions, HTMLParserSource, StreamedTmphNode, TmphNode } from './types.js';
+ * @import { HTMLByteStreamInput, HTMLParseFileResult, HTMLParseFilesOptions, HTMLParseOptions, HTMLParseTree, HTMLSourceEdit, HTMLWatchFileResult, HTMLWatchFilesOptions, HTMLParserOptions, HTMLParserSource, StreamedTmphNode, TmphDiagnostic, TmphNode } from './types.js';
  */
 
 export class HTMLParseResult {
@@ -10,6 +28,32 @@ export class HTMLParseResult {
    */
   #readableStream;
 
+  /**
+   * All diagnostics which have been reported so far while parsing.
+   * Diagnostics are appended as they are encountered, so this will only be complete
+   * once the result has been fully consumed.
+   * @type {TmphDiagnostic[]}
+   */
+  diagnostics = [];
+
+  /**
+   * Stream of diagnostics as they are reported while parsing. Closes when parsing finishes, even if the nodes haven't been read.
+   * @type {ReadableStream<TmphDiagnostic>}
+   */
+  diagnosticStream;
+
+  /**
+   * Name of the character encoding the source is being decoded with, ie "utf-8" or "shift_jis".
+   * This is null until the encoding has been determined, which happens before the first node is parsed.
+   * @type {string | null}
+   */
+  encoding = null;
+
+  /**
+   * Aborted if iteration over the result is stopped early, which cancels the rest of the parse
+   */
+  #abortController = new AbortController();
+
   get used() {
     return !this.#readableStream;
   }
@@ -17,14 +61,50 @@ export class HTMLParseResult {
   /**
    * @param {HTMLParserSource} source
    * @param {HTMLParserOptions} options
+   * @param {HTMLParseOptions} [parseOptions]
    */
-  constructor(source, options) {
+  constructor(source, options, parseOptions = {}) {
     /**
      * @type {TransformStream<StreamedTmphNode, StreamedTmphNode>}
      */
     const rootNodeStream = new TransformStream();
     this.#readableStream = rootNodeStream.readable;
-    parseTemplate(source, options, rootNodeStream.writable);
+
+    /**
+     * @type {TransformStream<TmphDiagnostic, TmphDiagnostic>}
+     */
+    const diagnosticStream = new TransformStream(
+      {},
+      // Diagnostics shouldn't block parsing if nobody is reading the stream
+      { highWaterMark: Infinity }
+    );
+    this.diagnosticStream = diagnosticStream.readable;
+    const diagnosticStreamWriter = diagnosticStream.writable.getWriter();
+    // Closing the writer again once it has been closed is fine to ignore
+    const closeDiagnosticStream = () =>
+      diagnosticStreamWriter.close().catch(() => {});
+
+    parseTemplateWithCache(
+      source,
+      options,
+      rootNodeStream.writable,
+      (diagnostic) => {
+        this.diagnostics.push(diagnostic);
+        // The consumer may have cancelled the diagnostic stream, which is fine to ignore
+        diagnosticStreamWriter.write(diagnostic).catch(() => {});
+      },
+      (encoding) => {
+        this.encoding = encoding;
+      },
+      parseOptions.signal
+        ? AbortSignal.any([parseOptions.signal, this.#abortController.signal])
+        : this.#abortController.signal,
+      // Close the diagnostic stream as soon as parsing is done rather than once all of the nodes have been read,
+      // so it can be consumed on its own
+      closeDiagnosticStream
+    )
+      // Parsing may have stopped before it finished
+      .finally(closeDiagnosticStream);
   }
 
   async *[Symbol.asyncIterator]() {
@@ -34,7 +114,16 @@ export class HTMLParseResult {
     const readableStream = this.#readableStream;
     this.#readableStream = null;
 
-    yield* readableStream;
+    let isDone = false;
+    try {
+      yield* readableStream;
+      isDone = true;
+    } finally {
+      if (!isDone) {
+        // The consumer broke out of the loop early or parsing failed, so there's no need to keep parsing
+        this.#abortController.abort();
+      }
+    }
   }
 
   /**
@@ -42,40 +131,130 @@ export class HTMLParseResult {
    * @returns {Promise<TmphNode>}
    */
   async getResolvedStreamedElementNode(node) {
-    if (!("childStream" in node)) {
-      return node;
+    return resolveStreamedNode(node);
+  }
+
+  async toArray() {
+    /**
+     * @type {TmphNode[]}
+     */
+    const nodes = [];
+    for await (const node of this) {
+      nodes.push(await this.getResolvedStreamedElementNode(node));
     }
 
-    const { childStream, ...rest } = node;
+    return nodes;
+  }
+}
+
+/**
+ * A parse result which is fed chunks of HTML source as they become available.
+ * Tags, attributes, multi-byte characters and raw text closing tags may all be split across chunks.
+ */
+export class HTMLPushParser extends HTMLParseResult {
+  /**
+   * @type {ReadableStreamDefaultController<Uint8Array>}
+   */
+  #byteStreamController;
+
+  #isEnded = false;
+
+  #isCancelled = false;
 
+  /**
+   * The `encoding` option if it names an encoding other than UTF-8. String chunks are encoded as UTF-8,
+   * so they would be decoded incorrectly in that encoding.
+   * @type {string | null}
+   */
+  #nonUTF8Encoding = null;
+
+  /**
+   * @param {HTMLParserOptions} options
+   * @param {HTMLParseOptions} [parseOptions]
+   */
+  constructor(options, parseOptions = {}) {
     /**
-     * @type {TmphNode[]}
+     * @type {ReadableStreamDefaultController<Uint8Array> | null}
+     */
+    let byteStreamController = null;
+    /**
+     * @type {() => void}
+     */
+    let onCancel = () => {};
+
+    /**
+     * @type {ReadableStream<Uint8Array>}
      */
-    const children = [];
-    for await (const child of childStream) {
-      children.push(await this.getResolvedStreamedElementNode(child));
+    const byteStream = new ReadableStream({
+      start(controller) {
+        byteStreamController = controller;
+      },
+      cancel() {
+        onCancel();
+      },
+    });
+
+    super({ byteStream }, options, parseOptions);
+
+    this.#byteStreamController =
+      /** @type {ReadableStreamDefaultController<Uint8Array>} */ (
+        /** @type {unknown} */ (byteStreamController)
+      );
+    const transportEncoding = options.encoding
+      ? getEncodingForLabel(options.encoding)
+      : null;
+    if (transportEncoding !== null && transportEncoding !== "utf-8") {
+      this.#nonUTF8Encoding = options.encoding;
     }
+    // Parsing may stop early if it encounters an error, in which case any further writes are ignored
+    // and the error will be thrown to whoever is consuming the parse result
+    onCancel = () => {
+      this.#isCancelled = true;
+    };
+  }
 
-    if (children.length > 0) {
-      return {
-        ...rest,
-        children,
-      };
+  /**
+   * Feeds the next chunk of HTML source to the parser. String chunks are encoded as UTF-8,
+   * so they can't be written if the `encoding` option names a different encoding.
+   * @param {Uint8Array | string} chunk
+   */
+  write(chunk) {
+    if (this.#isEnded) {
+      throw new Error(
+        "Cannot write to HTMLPushParser after end() has been called"
+      );
+    }
+
+    if (typeof chunk === "string" && this.#nonUTF8Encoding !== null) {
+      throw new TypeError(
+        `Cannot write string chunks to HTMLPushParser when the encoding option is "${
+          this.#nonUTF8Encoding
+        }"; write the encoded bytes instead`
+      );
     }
 
-    return rest;
+    if (!this.#isCancelled) {
+      this.#byteStreamController.enqueue(getChunkBytes(chunk));
+    }
   }
 
-  async toArray() {
-    /**
-     * @type {TmphNode[]}
-     */
-    const nodes = [];
-    for await (const node of this) {
-      nodes.push(await this.getResolvedStreamedElementNode(node));
+  /**
+   * Signals that there is no more HTML source to parse.
+   * @param {Uint8Array | string} [chunk] - Optional final chunk to write before ending
+   */
+  end(chunk) {
+    if (this.#isEnded) {
+      return;
     }
 
-    return nodes;
+    if (chunk !== undefined) {
+      this.write(chunk);
+    }
+
+    this.#isEnded = true;
+    if (!this.#isCancelled) {
+      this.#byteStreamController.close();
+    }
   }
 }
 
@@ -85,20 +264,104 @@ export class HTMLParser {
    */
   options;
 
+  /**
+   * Pool created for this parser from the `worker` option's pool options, which is torn down when the parser is destroyed
+   * @type {Piscina | null}
+   */
+  #ownWorkerPool = null;
+
+  /**
+   * Whether the parser holds a reference to the shared pool, which is released when the parser is destroyed
+   */
+  #isRetainingSharedWorkerPool = false;
+
+  /**
+   * Parses a watched file each time it changes
+   * @param {string} filePath
+   * @param {AbortSignal} signal
+   */
+  #parseWatchedFile = (filePath, signal) =>
+    this.parseFile(filePath, { signal }).toArray();
+
   /**
    * @param {Partial<HTMLParserOptions>} options
    */
   constructor(options = {}) {
+    const { worker = "pool", cache = false } = options;
+    // Like TextDecoder, labels which don't name a supported encoding are rejected rather than being ignored
+    if (options.encoding && getEncodingForLabel(options.encoding) === null) {
+      throw new RangeError(
+        `Received unsupported encoding "${options.encoding}"; the encoding option must be a WHATWG encoding label`
+      );
+    }
+
+    if (typeof worker === "object" && !(worker instanceof Piscina)) {
+      this.#ownWorkerPool = createWorkerPool(worker);
+    } else if (worker === "pool") {
+      retainSharedWorkerPool();
+      this.#isRetainingSharedWorkerPool = true;
+    }
+
     this.options = {
       tagNameCasing: options.tagNameCasing ?? "lower",
       ignoreSelfClosingSyntax: options.ignoreSelfClosingSyntax ?? false,
+      decodeEntities: options.decodeEntities ?? false,
+      sourceRanges: options.sourceRanges ?? false,
+      recover: options.recover ?? false,
+      preserveFormatting: options.preserveFormatting ?? false,
+      impliedEndTags: options.impliedEndTags ?? false,
+      parseDirectives: options.parseDirectives ?? false,
+      validateExpressions: options.validateExpressions ?? false,
+      expressionAST: options.expressionAST ?? false,
+      mode: options.mode ?? "template",
+      encoding: options.encoding ?? null,
+      worker: this.#ownWorkerPool ?? worker,
+      cache:
+        cache === true
+          ? new HTMLParseCache()
+          : cache && !(cache instanceof HTMLParseCache)
+          ? new HTMLParseCache(cache)
+          : cache,
     };
   }
 
+  /**
+   * Tears down the worker threads the parser runs the lexer in, so they won't keep the process alive.
+   * Parses which are still in progress will fail.
+   *
+   * With the default `worker: "pool"` option, the pool shared by all parsers is only destroyed once every parser using it
+   * has been destroyed. It will be started up again if anything else is parsed with it.
+   * A Piscina instance passed as the `worker` option is left for its owner to destroy.
+   *
+   * @returns {Promise<void>}
+   *
+   * @example
+   * const parser = new HTMLParser({ worker: { maxThreads: 2 } });
+   * const nodes = await parser.parseFile("path/to/file.html").toArray();
+   * await parser.destroy();
+   */
+  async destroy() {
+    if (this.#ownWorkerPool) {
+      await this.#ownWorkerPool.destroy();
+    } else if (this.#isRetainingSharedWorkerPool) {
+      this.#isRetainingSharedWorkerPool = false;
+      await releaseSharedWorkerPool();
+    }
+  }
+
+  /**
+   * Alias of `destroy()`.
+   * @returns {Promise<void>}
+   */
+  dispose() {
+    return this.destroy();
+  }
+
   /**
    * Takes the path to an HTML file and parses it into a JSON representation.
    *
    * @param {string} filePath
+   * @param {HTMLParseOptions} [parseOptions]
    *
    * @example
    * const parser = new HTMLParser();
@@ -108,12 +371,13 @@ export class HTMLParser {
    *   // Or we can process the nodes as they stream in
    * }
    */
-  parseFile(filePath) {
+  parseFile(filePath, parseOptions = {}) {
     return new HTMLParseResult(
       {
         filePath,
       },
-      this.options
+      this.options,
+      parseOptions
     );
   }
 
@@ -121,6 +385,7 @@ export class HTMLParser {
    * Takes an HTML string and parses it into a JSON representation.
    *
    * @param {string} rawHTMLString
+   * @param {HTMLParseOptions} [parseOptions]
    *
    * @example
    * const parser = new HTMLParser();
@@ -129,12 +394,264 @@ export class HTMLParser {
    *   // Or we can process the nodes as they stream in
    * }
    */
-  parseString(rawHTMLString) {
+  parseString(rawHTMLString, parseOptions = {}) {
     return new HTMLParseResult(
       {
         rawHTMLString,
       },
-      this.options
+      this.options,
+      parseOptions
+    );
+  }
+
+  /**
+   * Parses a batch of HTML files, yielding each file's nodes as soon as it has been parsed.
+   * Takes a file path, a directory to parse all of the `.html` files inside of, a glob pattern like `src/**\/*.tmph.html`,
+   * or an array of any of those. Glob patterns support `**`, `*`, `?`, `{a,b}` and `[abc]` syntax.
+   *
+   * Up to `concurrency` files are parsed at once, spread across the parser's worker pool.
+   * A file which fails to parse doesn't stop the rest of the batch; its result will have an `error` property instead of `nodes`.
+   *
+   * @param {string | string[]} pathsOrGlob
+   * @param {HTMLParseFilesOptions} [parseFilesOptions]
+   * @returns {AsyncGenerator<HTMLParseFileResult, void, undefined>}
+   *
+   * @example
+   * const parser = new HTMLParser();
+   * for await (const { filePath, nodes, error } of parser.parseFiles("src/**\/*.tmph.html", { concurrency: 4 })) {
+   *   if (error) {
+   *     console.error(`Failed to parse ${filePath}`, error);
+   *   }
+   * }
+   */
+  async *parseFiles(
+    pathsOrGlob,
+    { concurrency = availableParallelism(), signal } = {}
+  ) {
+    if (!(concurrency >= 1)) {
+      throw new RangeError(
+        `Received invalid concurrency ${concurrency}; at least 1 file must be parsed at a time`
+      );
+    }
+
+    signal?.throwIfAborted();
+    const filePaths = await resolveFilePaths(pathsOrGlob);
+
+    // Cancels any parses which are still in progress if iteration is stopped early
+    const abortController = new AbortController();
+    const parseSignal = signal
+      ? AbortSignal.any([signal, abortController.signal])
+      : abortController.signal;
+
+    /**
+     * Results for the files which are currently being parsed, keyed by file path
+     * @type {Map<string, Promise<HTMLParseFileResult>>}
+     */
+    const pendingResults = new Map();
+    let nextFileIndex = 0;
+
+    try {
+      while (nextFileIndex < filePaths.length || pendingResults.size > 0) {
+        while (
+          pendingResults.size < concurrency &&
+          nextFileIndex < filePaths.length
+        ) {
+          const filePath = filePaths[nextFileIndex++];
+          if (filePath === undefined) {
+            break;
+          }
+
+          pendingResults.set(
+            filePath,
+            this.parseFile(filePath, { signal: parseSignal })
+              .toArray()
+              .then(
+                (nodes) => ({ filePath, nodes }),
+                (error) => ({ filePath, error })
+              )
+          );
+        }
+
+        const result = await Promise.race(pendingResults.values());
+        pendingResults.delete(result.filePath);
+        signal?.throwIfAborted();
+        yield result;
+      }
+    } finally {
+      abortController.abort();
+    }
+  }
+
+  /**
+   * Parses an HTML file, then parses it again whenever it changes on disk, yielding a result each time its nodes change.
+   * See `watchFiles`.
+   *
+   * @param {string} filePath
+   * @param {HTMLWatchFilesOptions} [watchOptions]
+   * @returns {AsyncGenerator<HTMLWatchFileResult, void, undefined>}
+   *
+   * @example
+   * const parser = new HTMLParser();
+   * for await (const { nodes, error } of parser.watchFile("src/page.tmph.html")) {
+   *   if (nodes) {
+   *     reload(nodes);
+   *   }
+   * }
+   */
+  watchFile(filePath, watchOptions = {}) {
+    return watchParsedFiles([filePath], this.#parseWatchedFile, watchOptions);
+  }
+
+  /**
+   * Parses a batch of HTML files, then parses each of them again whenever it changes on disk, yielding a result each time a file's nodes change.
+   * Takes the same paths, directories and glob patterns as `parseFiles`; they're resolved to the files to watch when watching starts.
+   *
+   * Each file is parsed right away, and then again once it has stopped changing for `debounceMs`.
+   * A file which fails to parse, ie because it was saved partway through an edit or was deleted, yields a result with an `error`
+   * and will keep being watched. Each result includes the nodes the file was last parsed into successfully so they can be compared.
+   * Watching stops when iteration is stopped or the `signal` is aborted.
+   *
+   * @param {string | string[]} pathsOrGlob
+   * @param {HTMLWatchFilesOptions} [watchOptions]
+   * @returns {AsyncGenerator<HTMLWatchFileResult, void, undefined>}
+   *
+   * @example
+   * const parser = new HTMLParser();
+   * for await (const { filePath, nodes, error } of parser.watchFiles("src/**\/*.tmph.html")) {
+   *   if (error) {
+   *     console.error(`Failed to parse ${filePath}`, error);
+   *   } else {
+   *     hotReload(filePath, nodes);
+   *   }
+   * }
+   */
+  async *watchFiles(pathsOrGlob, watchOptions = {}) {
+    watchOptions.signal?.throwIfAborted();
+    yield* watchParsedFiles(
+      await resolveFilePaths(pathsOrGlob),
+      this.#parseWatchedFile,
+      watchOptions
+    );
+  }
+
+  /**
+   * Synchronously parses an HTML file into a JSON representation, lexing it in the calling thread
+   * instead of in a worker. Useful for build tools which can't consume nodes asynchronously.
+   *
+   * @param {string} filePath
+   * @returns {TmphNode[]}
+   *
+   * @example
+   * const parser = new HTMLParser();
+   * const nodes = parser.parseFileSync("path/to/file.html");
+   */
+  parseFileSync(filePath) {
+    return parseTemplateSyncWithCache({ filePath }, this.options);
+  }
+
+  /**
+   * Synchronously parses an HTML string into a JSON representation, lexing it in the calling thread
+   * instead of in a worker. Useful for build tools which can't consume nodes asynchronously.
+   *
+   * @param {string} rawHTMLString
+   * @returns {TmphNode[]}
+   *
+   * @example
+   * const parser = new HTMLParser();
+   * const nodes = parser.parseStringSync("<div>Hello, world!</div>");
+   */
+  parseStringSync(rawHTMLString) {
+    return parseTemplateSyncWithCache({ rawHTMLString }, this.options);
+  }
+
+  /**
+   * Applies an edit to a previously parsed string and returns the updated tree, for editor integrations which need
+   * to keep a tree up to date as a file is edited. Only the innermost element containing the edit is reparsed, starting from its
+   * opening tag, unless the edit changes where that element ends. The result is the same as parsing the edited source from scratch,
+   * but nodes which weren't changed are reused from the previous tree so they can be compared by identity.
+   * The previous tree is not modified.
+   *
+   * Requires the `sourceRanges` option. Parsing errors are thrown, like `parseStringSync`.
+   *
+   * @param {HTMLParseTree} previousTree - The previous source along with the nodes parsed from it
+   * @param {HTMLSourceEdit} edit
+   * @returns {HTMLParseTree}
+   *
+   * @example
+   * const parser = new HTMLParser({ sourceRanges: true });
+   * let tree = { source, nodes: parser.parseStringSync(source) };
+   * // The user typed "!" at offset 42
+   * tree = parser.reparse(tree, { offset: 42, deletedLength: 0, insertedText: "!" });
+   */
+  reparse(previousTree, edit) {
+    return reparseTree(previousTree, edit, this.options);
+  }
+
+  /**
+   * Takes a stream of HTML source bytes and parses it into a JSON representation.
+   * Chunks are fed to the lexer as they arrive, so parsed nodes can be consumed before the stream has ended.
+   * The encoding is determined the same way as for files, from a byte order mark, the `encoding` option or a `<meta charset>` tag.
+   *
+   * @param {HTMLByteStreamInput} readable - A web ReadableStream, Node.js Readable or other async iterable of Uint8Array or string chunks
+   * @param {HTMLParseOptions} [parseOptions]
+   *
+   * @example
+   * const parser = new HTMLParser();
+   * const response = await fetch("https://example.com");
+   * for await (const node of parser.parseStream(response.body)) {
+   *   // Process the nodes as they stream in
+   * }
+   *
+   * const stdinNodes = await parser.parseStream(process.stdin).toArray();
+   */
+  parseStream(readable, parseOptions = {}) {
+    return new HTMLParseResult(
+      {
+        byteStream: toByteStream(readable),
+      },
+      this.options,
+      parseOptions
+    );
+  }
+
+  /**
+   * Creates a parser which HTML source can be pushed into in chunks as it becomes available.
+   * Parsed nodes can be consumed while chunks are still being written.
+   *
+   * @param {HTMLParseOptions} [parseOptions]
+   *
+   * @example
+   * const pushParser = new HTMLParser().createPushParser();
+   * socket.on("data", (chunk) => pushParser.write(chunk));
+   * socket.on("end", () => pushParser.end());
+   *
+   * for await (const node of pushParser) {
+   *   // Process the nodes as they stream in
+   * }
+   */
+  createPushParser(parseOptions = {}) {
+    return new HTMLPushParser(this.options, parseOptions);
+  }
+
+  /**
+   * Takes a buffer of HTML source bytes and parses it into a JSON representation.
+   * The encoding is determined the same way as for files, from a byte order mark, the `encoding` option or a `<meta charset>` tag.
+   *
+   * @param {Uint8Array} bytes
+   * @param {HTMLParseOptions} [parseOptions]
+   *
+   * @example
+   * const parser = new HTMLParser();
+   * const nodes = await parser.parseBytes(await readFile("path/to/file.html")).toArray();
+   */
+  parseBytes(bytes, parseOptions = {}) {
+    return new HTMLParseResult(
+      {
+        // The buffer is transferred to the lexer worker, so copy it to avoid detaching the caller's buffer
+        bytes: new Uint8Array(bytes),
+      },
+      this.options,
+      parseOptions
     );
   }
 }
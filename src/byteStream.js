@@ -0,0 +1,47 @@
+import { ReadableStream } from "node:stream/web";
+
+/**
+ * @import { HTMLByteStreamInput } from './types.js';
+ */
+
+const utf8Encoder = new TextEncoder();
+
+/**
+ * Normalizes a chunk from a byte stream input into a Uint8Array which can be sent to the lexer worker.
+ * @param {unknown} chunk
+ * @returns {Uint8Array}
+ */
+export const getChunkBytes = (chunk) => {
+  if (typeof chunk === "string") {
+    return utf8Encoder.encode(chunk);
+  }
+
+  if (chunk instanceof Uint8Array) {
+    // Chunks are cloned when they're sent to the worker, which copies their entire underlying buffer.
+    // Node.js Buffers are often small slices of a larger shared pool, so we'll copy those out first.
+    return chunk.byteOffset === 0 &&
+      chunk.byteLength === chunk.buffer.byteLength
+      ? chunk
+      : new Uint8Array(chunk);
+  }
+
+  throw new TypeError(
+    `Received an invalid byte stream chunk of type ${typeof chunk}; chunks must be Uint8Arrays or strings`
+  );
+};
+
+/**
+ * Takes a web ReadableStream, Node.js Readable or other async iterable of HTML source chunks
+ * and wraps it in a ReadableStream of Uint8Arrays which can be transferred to the lexer worker.
+ * @param {HTMLByteStreamInput} input
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function toByteStream(input) {
+  return ReadableStream.from(
+    (async function* () {
+      for await (const chunk of /** @type {AsyncIterable<unknown>} */ (input)) {
+        yield getChunkBytes(chunk);
+      }
+    })()
+  );
+}
@@ -0,0 +1,225 @@
+import { isLetter } from "./lexerUtils.js";
+import { namedCharacterReferences } from "./namedCharacterReferences.js";
+
+const HASH = 35;
+const SEMICOLON = 59;
+const EQUALS = 61;
+const LOWER_X = 120;
+const UPPER_X = 88;
+const ZERO = 48;
+const NINE = 57;
+const LOWER_A = 97;
+const LOWER_F = 102;
+const UPPER_A = 65;
+const UPPER_F = 70;
+
+const REPLACEMENT_CHAR_CODE = 0xfffd;
+const MAX_CODE_POINT = 0x10ffff;
+
+/**
+ * @param {number} charCode
+ * @returns {boolean}
+ */
+const isDigit = (charCode) => charCode >= ZERO && charCode <= NINE;
+
+/**
+ * @param {number} charCode
+ * @returns {boolean}
+ */
+const isHexDigit = (charCode) =>
+  isDigit(charCode) ||
+  (charCode >= LOWER_A && charCode <= LOWER_F) ||
+  (charCode >= UPPER_A && charCode <= UPPER_F);
+
+/**
+ * @param {number} charCode
+ * @returns {boolean}
+ */
+const isAlphanumeric = (charCode) => isLetter(charCode) || isDigit(charCode);
+
+/**
+ * Numeric character references in the 0x80-0x9F range are interpreted as
+ * windows-1252 characters rather than C1 control characters.
+ * @see https://html.spec.whatwg.org/multipage/parsing.html#numeric-character-reference-end-state
+ */
+const windows1252CodePoints = Object.freeze({
+  0x80: 0x20ac,
+  0x82: 0x201a,
+  0x83: 0x0192,
+  0x84: 0x201e,
+  0x85: 0x2026,
+  0x86: 0x2020,
+  0x87: 0x2021,
+  0x88: 0x02c6,
+  0x89: 0x2030,
+  0x8a: 0x0160,
+  0x8b: 0x2039,
+  0x8c: 0x0152,
+  0x8e: 0x017d,
+  0x91: 0x2018,
+  0x92: 0x2019,
+  0x93: 0x201c,
+  0x94: 0x201d,
+  0x95: 0x2022,
+  0x96: 0x2013,
+  0x97: 0x2014,
+  0x98: 0x02dc,
+  0x99: 0x2122,
+  0x9a: 0x0161,
+  0x9b: 0x203a,
+  0x9c: 0x0153,
+  0x9e: 0x017e,
+  0x9f: 0x0178,
+});
+
+const MAX_NAMED_REFERENCE_LENGTH = Object.keys(namedCharacterReferences).reduce(
+  (maxLength, name) => Math.max(maxLength, name.length),
+  0
+);
+
+/**
+ * Maps the code point referenced by a numeric character reference to the code point
+ * it should actually be decoded as.
+ * @param {number} codePoint
+ * @returns {number}
+ */
+const getNumericReferenceCodePoint = (codePoint) => {
+  if (
+    codePoint === 0 ||
+    codePoint > MAX_CODE_POINT ||
+    // Surrogates can't be represented on their own
+    (codePoint >= 0xd800 && codePoint <= 0xdfff)
+  ) {
+    return REPLACEMENT_CHAR_CODE;
+  }
+
+  return (
+    windows1252CodePoints[
+      /** @type {keyof typeof windows1252CodePoints} */ (codePoint)
+    ] ?? codePoint
+  );
+};
+
+/**
+ * Decodes all named and numeric HTML character references in a string,
+ * ie "&amp;lt;" -> "&lt;", "&#x1F600;" -> "😀".
+ *
+ * @param {string} text
+ * @param {boolean} [isAttributeValue=false] - Attribute values have special handling for legacy named references
+ *    without a trailing semicolon; ie, `href="?a=1&copy=2"` should not decode "&copy".
+ * @returns {string}
+ */
+export function decodeCharacterReferences(text, isAttributeValue = false) {
+  let ampersandIndex = text.indexOf("&");
+  if (ampersandIndex === -1) {
+    return text;
+  }
+
+  let decodedText = "";
+  let lastCopiedIndex = 0;
+
+  while (ampersandIndex !== -1) {
+    const referenceStartIndex = ampersandIndex + 1;
+    /**
+     * @type {string | null}
+     */
+    let decodedReference = null;
+    let referenceEndIndex = referenceStartIndex;
+
+    if (text.charCodeAt(referenceStartIndex) === HASH) {
+      let digitIndex = referenceStartIndex + 1;
+      const nextCharCode = text.charCodeAt(digitIndex);
+      const isHex = nextCharCode === LOWER_X || nextCharCode === UPPER_X;
+      if (isHex) {
+        ++digitIndex;
+      }
+
+      const isLegalDigit = isHex ? isHexDigit : isDigit;
+      const radix = isHex ? 16 : 10;
+
+      let codePoint = 0;
+      let digitEndIndex = digitIndex;
+      while (
+        digitEndIndex < text.length &&
+        isLegalDigit(text.charCodeAt(digitEndIndex))
+      ) {
+        // Clamp the code point so absurdly long references don't overflow;
+        // anything past the max code point gets replaced anyways
+        codePoint = Math.min(
+          codePoint * radix + parseInt(text[digitEndIndex] ?? "", radix),
+          MAX_CODE_POINT + 1
+        );
+        ++digitEndIndex;
+      }
+
+      // A reference with no digits isn't a reference, so it is left as-is
+      if (digitEndIndex > digitIndex) {
+        decodedReference = String.fromCodePoint(
+          getNumericReferenceCodePoint(codePoint)
+        );
+        referenceEndIndex =
+          text.charCodeAt(digitEndIndex) === SEMICOLON
+            ? digitEndIndex + 1
+            : digitEndIndex;
+      }
+    } else {
+      let nameEndIndex = referenceStartIndex;
+      while (
+        nameEndIndex < text.length &&
+        nameEndIndex - referenceStartIndex < MAX_NAMED_REFERENCE_LENGTH &&
+        isAlphanumeric(text.charCodeAt(nameEndIndex))
+      ) {
+        ++nameEndIndex;
+      }
+
+      if (nameEndIndex > referenceStartIndex) {
+        const name = text.slice(referenceStartIndex, nameEndIndex);
+
+        if (text.charCodeAt(nameEndIndex) === SEMICOLON) {
+          decodedReference = namedCharacterReferences[`${name};`] ?? null;
+          referenceEndIndex = nameEndIndex + 1;
+        }
+
+        // If there isn't an exact match with a semicolon, look for the longest legacy reference
+        // that the name starts with, ie "&notit;" should be decoded as "¬it;"
+        for (
+          let legacyNameLength = name.length;
+          decodedReference === null && legacyNameLength > 0;
+          --legacyNameLength
+        ) {
+          const legacyName = name.slice(0, legacyNameLength);
+          if (!Object.hasOwn(namedCharacterReferences, legacyName)) {
+            continue;
+          }
+
+          referenceEndIndex = referenceStartIndex + legacyNameLength;
+          const charCodeAfterReference = text.charCodeAt(referenceEndIndex);
+          if (
+            isAttributeValue &&
+            (charCodeAfterReference === EQUALS ||
+              isAlphanumeric(charCodeAfterReference))
+          ) {
+            // Legacy references which are followed by "=" or an alphanumeric character in attribute values
+            // are left as-is for compatibility with URL query strings
+            break;
+          }
+
+          decodedReference = namedCharacterReferences[legacyName] ?? null;
+        }
+      }
+    }
+
+    if (decodedReference !== null) {
+      decodedText += text.slice(lastCopiedIndex, ampersandIndex);
+      decodedText += decodedReference;
+      lastCopiedIndex = referenceEndIndex;
+    }
+
+    ampersandIndex = text.indexOf(
+      "&",
+      decodedReference === null ? referenceStartIndex : referenceEndIndex
+    );
+  }
+
+  return decodedText + text.slice(lastCopiedIndex);
+}
@@ -0,0 +1,461 @@
+/**
+ * @import { TmphComponentDefinition, TmphComponentError, TmphComponentRegistry, TmphElementNode, TmphNode, TmphNodePath, TmphSlot, TmphSlotAssignment } from './types.js';
+ */
+
+/**
+ * Enum for codes identifying the kind of problem found while extracting components.
+ * @readonly
+ * @enum {typeof ComponentErrorCode[keyof typeof ComponentErrorCode]}
+ */
+export const ComponentErrorCode = Object.freeze({
+  // A component was defined with the same id as a component which was defined earlier, so it was ignored
+  DUPLICATE_COMPONENT: "duplicate-component",
+  // A <template #component> element didn't have an id to use it by, so it was ignored
+  MISSING_COMPONENT_ID: "missing-component-id",
+  // An element wasn't a standard HTML element or a defined component
+  UNDEFINED_COMPONENT: "undefined-component",
+});
+
+/**
+ * Tag names of standard HTML elements, including obsolete ones which browsers still support,
+ * so they won't be mistaken for usages of undefined components.
+ */
+const htmlElementTagNames = new Set([
+  "a",
+  "abbr",
+  "acronym",
+  "address",
+  "area",
+  "article",
+  "aside",
+  "audio",
+  "b",
+  "base",
+  "bdi",
+  "bdo",
+  "big",
+  "blink",
+  "blockquote",
+  "body",
+  "br",
+  "button",
+  "canvas",
+  "caption",
+  "center",
+  "cite",
+  "code",
+  "col",
+  "colgroup",
+  "data",
+  "datalist",
+  "dd",
+  "del",
+  "details",
+  "dfn",
+  "dialog",
+  "dir",
+  "div",
+  "dl",
+  "dt",
+  "em",
+  "embed",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "font",
+  "footer",
+  "form",
+  "frame",
+  "frameset",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "head",
+  "header",
+  "hgroup",
+  "hr",
+  "html",
+  "i",
+  "iframe",
+  "img",
+  "input",
+  "ins",
+  "kbd",
+  "label",
+  "legend",
+  "li",
+  "link",
+  "main",
+  "map",
+  "mark",
+  "marquee",
+  "math",
+  "menu",
+  "meta",
+  "meter",
+  "nav",
+  "nobr",
+  "noembed",
+  "noframes",
+  "noscript",
+  "object",
+  "ol",
+  "optgroup",
+  "option",
+  "output",
+  "p",
+  "param",
+  "picture",
+  "plaintext",
+  "pre",
+  "progress",
+  "q",
+  "rb",
+  "rp",
+  "rt",
+  "rtc",
+  "ruby",
+  "s",
+  "samp",
+  "script",
+  "search",
+  "section",
+  "select",
+  "slot",
+  "small",
+  "source",
+  "span",
+  "strike",
+  "strong",
+  "style",
+  "sub",
+  "summary",
+  "sup",
+  "svg",
+  "table",
+  "tbody",
+  "td",
+  "template",
+  "textarea",
+  "tfoot",
+  "th",
+  "thead",
+  "time",
+  "title",
+  "tr",
+  "track",
+  "tt",
+  "u",
+  "ul",
+  "var",
+  "video",
+  "wbr",
+  "xmp",
+  // Tempeh's element for applying directives without rendering an element of its own
+  "_",
+]);
+
+/**
+ * Elements whose contents are SVG or MathML, which have their own sets of elements
+ */
+const foreignContentTagNames = new Set(["svg", "math"]);
+
+/**
+ * @param {TmphElementNode} element
+ * @param {string} attributeName
+ */
+const getAttribute = (element, attributeName) =>
+  element.attributes?.find(({ name }) => name === attributeName);
+
+/**
+ * @param {TmphElementNode} element
+ */
+const isComponentDefinition = (element) =>
+  element.tagName.toLowerCase() === "template" &&
+  getAttribute(element, "#component") !== undefined;
+
+/**
+ * Whether an element which doesn't match any defined components looks like it was meant to be a component.
+ * Custom elements are defined in JavaScript, so they're expected to be undefined here.
+ * @param {string} tagName
+ */
+const isComponentTagName = (tagName) =>
+  !htmlElementTagNames.has(tagName.toLowerCase()) && !tagName.includes("-");
+
+/**
+ * Extracts inline component definitions declared with `<template id="ComponentName" #component>` from a tree of parsed nodes,
+ * and finds where each component is used. Component definitions nested inside of other definitions are extracted as well.
+ *
+ * Components are matched with the elements which use them by comparing their ids with the elements' tag names case-insensitively,
+ * since tag names are lower-cased by default. This means a component with the same id as an HTML element, ie `Button`,
+ * will also be matched with that element. The nodes passed in are not modified.
+ *
+ * @param {TmphNode[]} nodes
+ * @returns {TmphComponentRegistry}
+ *
+ * @example
+ * const { components, nodes, errors } = extractComponents(
+ *   await new HTMLParser().parseFile("path/to/file.html").toArray()
+ * );
+ * for (const usage of components.get("ListItem")?.usages ?? []) {
+ *   console.log(`<ListItem> used at line ${usage.element.l}`);
+ * }
+ */
+export function extractComponents(nodes) {
+  /**
+   * @type {Map<string, TmphComponentDefinition>}
+   */
+  const components = new Map();
+  /**
+   * Components by their lower-cased ids, for matching them with tag names
+   * @type {Map<string, TmphComponentDefinition>}
+   */
+  const componentsByTagName = new Map();
+  /**
+   * @type {TmphComponentError[]}
+   */
+  const errors = [];
+
+  /**
+   * Registers a component definition, unless it is missing an id or its id is already taken.
+   * @param {TmphElementNode} element
+   * @param {string | null} parentComponentId
+   * @returns {TmphComponentDefinition | null}
+   */
+  const registerComponent = (element, parentComponentId) => {
+    const id = getAttribute(element, "id")?.value;
+    if (!id) {
+      errors.push({
+        code: ComponentErrorCode.MISSING_COMPONENT_ID,
+        message: "<template #component> is missing an id",
+        element,
+      });
+      return null;
+    }
+
+    const existingComponent = componentsByTagName.get(id.toLowerCase());
+    if (existingComponent) {
+      errors.push({
+        code: ComponentErrorCode.DUPLICATE_COMPONENT,
+        message: `Component ${id} was already defined on line ${existingComponent.element.l}`,
+        element,
+      });
+      return null;
+    }
+
+    /**
+     * @type {TmphComponentDefinition}
+     */
+    const component = { id, element, parentComponentId, usages: [] };
+    components.set(id, component);
+    componentsByTagName.set(id.toLowerCase(), component);
+    return component;
+  };
+
+  /**
+   * Removes component definitions from a list of nodes and registers them.
+   * @param {TmphNode[]} nodeList
+   * @param {string | null} parentComponentId
+   * @returns {TmphNode[]}
+   */
+  const extractDefinitions = (nodeList, parentComponentId) =>
+    nodeList.flatMap(
+      /**
+       * @returns {TmphNode[]}
+       */
+      (node) => {
+        if (!("tagName" in node)) {
+          return [node];
+        }
+
+        const isDefinition = isComponentDefinition(node);
+        // Components are registered before the components nested inside of them so the registry is in source order
+        const component = isDefinition
+          ? registerComponent(node, parentComponentId)
+          : null;
+
+        if (node.children) {
+          const children = extractDefinitions(
+            node.children,
+            component?.id ?? parentComponentId
+          );
+          if (children.length > 0) {
+            node.children = children;
+          } else {
+            delete node.children;
+          }
+        }
+
+        return isDefinition ? [] : [node];
+      }
+    );
+
+  /**
+   * Finds elements which use components in a list of nodes and its descendants.
+   * @param {TmphNode[]} nodeList
+   * @param {TmphNodePath} parentPath
+   * @param {string | null} parentComponentId
+   * @param {boolean} isForeignContent - Whether the nodes are inside of SVG or MathML content, where tag names aren't HTML elements
+   */
+  const findUsages = (
+    nodeList,
+    parentPath,
+    parentComponentId,
+    isForeignContent
+  ) =>
+    nodeList.forEach((node, index) => {
+      if (!("tagName" in node)) {
+        return;
+      }
+
+      const path = [...parentPath, index];
+      const component = componentsByTagName.get(node.tagName.toLowerCase());
+      if (component) {
+        component.usages.push({ element: node, path, parentComponentId });
+      } else if (!isForeignContent && isComponentTagName(node.tagName)) {
+        errors.push({
+          code: ComponentErrorCode.UNDEFINED_COMPONENT,
+          message: `<${node.tagName}> is not a defined component`,
+          element: node,
+        });
+      }
+
+      if (node.children) {
+        findUsages(
+          node.children,
+          path,
+          parentComponentId,
+          isForeignContent ||
+            foreignContentTagNames.has(node.tagName.toLowerCase())
+        );
+      }
+    });
+
+  const mainNodes = extractDefinitions(structuredClone(nodes), null);
+
+  findUsages(mainNodes, [], null, false);
+  for (const component of components.values()) {
+    findUsages(component.element.children ?? [], [], component.id, false);
+  }
+
+  return { components, nodes: mainNodes, errors };
+}
+
+/**
+ * Gets the name of the slot which an element is, or which a node is routed to. Empty names are the same as no name, ie the default slot.
+ * @param {TmphNode} node
+ * @param {string} attributeName
+ */
+const getSlotName = (node, attributeName) =>
+  ("tagName" in node && getAttribute(node, attributeName)?.value) || null;
+
+/**
+ * Whether a node doesn't render anything, so routing only nodes like it to a slot shouldn't replace the slot's fallback content.
+ * @param {TmphNode} node
+ */
+const isInsignificantNode = (node) =>
+  "comment" in node ||
+  ("textContent" in node && node.textContent.trim() === "");
+
+/**
+ * Lists the `<slot>` elements in a component's template, in source order. Slots inside of other slots' fallback content are included,
+ * but slots inside of nested component definitions are not, since they belong to those components.
+ *
+ * @param {TmphNode[]} nodes - The component's nodes, ie the children of a component definition's template element
+ * @returns {TmphSlot[]}
+ *
+ * @example
+ * const slots = getSlots(components.get("ListItem")?.element.children ?? []);
+ * // [{ name: null, element: { tagName: "slot", ... }, fallback: [], path: [1, 3] }]
+ */
+export function getSlots(nodes) {
+  /**
+   * @type {TmphSlot[]}
+   */
+  const slots = [];
+
+  /**
+   * @param {TmphNode[]} nodeList
+   * @param {TmphNodePath} parentPath
+   */
+  const findSlots = (nodeList, parentPath) =>
+    nodeList.forEach((node, index) => {
+      if (!("tagName" in node) || isComponentDefinition(node)) {
+        return;
+      }
+
+      const path = [...parentPath, index];
+      if (node.tagName.toLowerCase() === "slot") {
+        slots.push({
+          name: getSlotName(node, "name"),
+          element: node,
+          fallback: node.children ?? [],
+          path,
+        });
+      }
+
+      if (node.children) {
+        findSlots(node.children, path);
+      }
+    });
+
+  findSlots(nodes, []);
+
+  return slots;
+}
+
+/**
+ * Resolves which of the child nodes of an element which uses a component are routed to each of the component's slots.
+ * Elements with a `slot` attribute are routed to the slot with that name, and all other nodes are routed to the default slot.
+ * If there are multiple slots with the same name, nodes are routed to the first one.
+ *
+ * @param {TmphElementNode} usageElement - The element which uses the component, ie a `<ListItem>` element
+ * @param {TmphSlot[]} slots - The component's slots, as listed by `getSlots`
+ * @returns {TmphSlotAssignment}
+ *
+ * @example
+ * const { slots, unassigned } = assignSlots(usage.element, getSlots(component.element.children ?? []));
+ * for (const { slot, nodes, isFallback } of slots) {
+ *   console.log(`${slot.name ?? "default"} slot: ${nodes.length} ${isFallback ? "fallback " : ""}nodes`);
+ * }
+ */
+export function assignSlots(usageElement, slots) {
+  /**
+   * Nodes routed to each slot name, with null for the default slot
+   * @type {Map<string | null, TmphNode[]>}
+   */
+  const nodesBySlotName = new Map(slots.map(({ name }) => [name, []]));
+  /**
+   * @type {TmphNode[]}
+   */
+  const unassigned = [];
+
+  for (const child of usageElement.children ?? []) {
+    (nodesBySlotName.get(getSlotName(child, "slot")) ?? unassigned).push(child);
+  }
+
+  /**
+   * @type {Set<string | null>}
+   */
+  const filledSlotNames = new Set();
+
+  return {
+    slots: slots.map((slot) => {
+      const assignedNodes = filledSlotNames.has(slot.name)
+        ? []
+        : nodesBySlotName.get(slot.name) ?? [];
+      filledSlotNames.add(slot.name);
+
+      const isFallback = assignedNodes.every(isInsignificantNode);
+      return {
+        slot,
+        nodes: isFallback ? slot.fallback : assignedNodes,
+        isFallback,
+      };
+    }),
+    unassigned,
+  };
+}
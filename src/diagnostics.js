@@ -0,0 +1,41 @@
+/**
+ * Enum for codes identifying the kind of problem a diagnostic is reporting.
+ * @readonly
+ * @enum {typeof DiagnosticCode[keyof typeof DiagnosticCode]}
+ */
+export const DiagnosticCode = Object.freeze({
+  // The lexer encountered an error it could not continue from, ie a file read error
+  LEXER_ERROR: "lexer-error",
+  // The source contained bytes which are not valid for its character encoding
+  INVALID_CHARACTER_ENCODING: "invalid-character-encoding",
+  // The parser encountered a token which was not valid in its position
+  UNEXPECTED_TOKEN: "unexpected-token",
+  // An opening tag contained a character which could not be parsed as part of an attribute
+  UNEXPECTED_CHARACTER_IN_TAG: "unexpected-character-in-tag",
+  // A closing tag did not match any open element, so it was ignored
+  UNEXPECTED_CLOSING_TAG: "unexpected-closing-tag",
+  // An element was closed implicitly by an ancestor's closing tag or the end of the file
+  UNCLOSED_ELEMENT: "unclosed-element",
+  // The end of the file was reached before an opening tag's closing ">"
+  UNTERMINATED_OPENING_TAG: "unterminated-opening-tag",
+  // The end of the file was reached before a closing tag's closing ">"
+  UNTERMINATED_CLOSING_TAG: "unterminated-closing-tag",
+  // The end of the file was reached before a quoted attribute value's closing quote
+  UNTERMINATED_ATTRIBUTE_VALUE: "unterminated-attribute-value",
+  // The end of the file was reached before a comment's closing "-->"
+  UNTERMINATED_COMMENT: "unterminated-comment",
+  // The end of the file was reached before a <!DOCTYPE> declaration's closing ">"
+  UNTERMINATED_DOCTYPE: "unterminated-doctype",
+  // An opening tag was not allowed in its position, so it was ignored
+  UNEXPECTED_OPENING_TAG: "unexpected-opening-tag",
+  // A <!DOCTYPE> declaration appeared after the start of the document, so it was ignored
+  UNEXPECTED_DOCTYPE: "unexpected-doctype",
+  // An opening tag contained the same attribute more than once, so only the first one was kept
+  DUPLICATE_ATTRIBUTE: "duplicate-attribute",
+  // Formatting elements like <b> and <i> were closed in the wrong order, so they were split up to nest properly
+  MISNESTED_ELEMENT: "misnested-element",
+  // Content which isn't allowed inside of a <table> was moved to before the table
+  FOSTER_PARENTED_CONTENT: "foster-parented-content",
+  // The value of a bound attribute or directive was not a valid JavaScript expression
+  INVALID_EXPRESSION: "invalid-expression",
+});
@@ -0,0 +1,780 @@
+/**
+ * @import { TmphDiffOptions, TmphElementAttribute, TmphElementNode, TmphNode, TmphNodePath, TmphPatchOperation, TmphSetTextOperation, TmphTextNode } from './types.js';
+ */
+
+/**
+ * The largest number of cells in the table used to find the longest common subsequence of two lists of nodes.
+ * Longer lists are matched up in order instead, which is faster but may produce more operations.
+ */
+const MAX_COMMON_SUBSEQUENCE_TABLE_SIZE = 4_000_000;
+
+/**
+ * @typedef DiffContext
+ * @property {string} keyAttribute
+ * @property {(node: TmphNode) => number} getContentId
+ * @property {TmphPatchOperation[]} operations
+ */
+
+/**
+ * Creates a function which assigns each node an id for its content, so nodes can be compared by their ids.
+ * Nodes have the same id if they have the same content, regardless of their source positions and formatting.
+ */
+const createContentIdGetter = () => {
+  /**
+   * @type {Map<string, number>}
+   */
+  const idsByContent = new Map();
+  /**
+   * @type {WeakMap<TmphNode, number>}
+   */
+  const idsByNode = new WeakMap();
+
+  /**
+   * @param {TmphNode} node
+   * @returns {number}
+   */
+  const getContentId = (node) => {
+    let id = idsByNode.get(node);
+    if (id !== undefined) {
+      return id;
+    }
+
+    const content = JSON.stringify(
+      "tagName" in node
+        ? [
+            "element",
+            node.tagName,
+            node.attributes?.map(({ name, value }) => [name, value]) ?? [],
+            node.children?.map(getContentId) ?? [],
+          ]
+        : "textContent" in node
+        ? ["text", node.textContent]
+        : "comment" in node
+        ? ["comment", node.comment]
+        : ["doctype", node.doctypeDeclaration]
+    );
+    id = idsByContent.get(content);
+    if (id === undefined) {
+      id = idsByContent.size;
+      idsByContent.set(content, id);
+    }
+    idsByNode.set(node, id);
+    return id;
+  };
+
+  return getContentId;
+};
+
+/**
+ * Gets the keys of elements which have a key that no other nodes in the list share.
+ * @param {TmphNode[]} nodes
+ * @param {string} keyAttribute
+ * @returns {Map<string, number>} Indexes of keyed elements, by their keys
+ */
+const getUniqueKeys = (nodes, keyAttribute) => {
+  /**
+   * @type {Map<string, number>}
+   */
+  const indexesByKey = new Map();
+  /**
+   * @type {Set<string>}
+   */
+  const duplicateKeys = new Set();
+
+  nodes.forEach((node, index) => {
+    if (!("tagName" in node)) {
+      return;
+    }
+    const keyAttributeValue = node.attributes?.find(
+      ({ name }) => name === keyAttribute
+    )?.value;
+    if (keyAttributeValue === undefined) {
+      return;
+    }
+
+    const key = JSON.stringify([node.tagName, keyAttributeValue]);
+    if (indexesByKey.has(key)) {
+      duplicateKeys.add(key);
+    }
+    indexesByKey.set(key, index);
+  });
+
+  // Elements with duplicate keys can't be told apart by their keys, so they're matched up like unkeyed nodes
+  for (const key of duplicateKeys) {
+    indexesByKey.delete(key);
+  }
+
+  return indexesByKey;
+};
+
+/**
+ * Finds the longest common subsequence of two lists of ids.
+ * @param {number[]} oldIds
+ * @param {number[]} newIds
+ * @returns {Array<[number, number]>} Pairs of the indexes of each id in the subsequence in the old and new lists
+ */
+const findLongestCommonSubsequence = (oldIds, newIds) => {
+  /**
+   * @type {Array<[number, number]>}
+   */
+  const prefixPairs = [];
+  let start = 0;
+  while (
+    start < oldIds.length &&
+    start < newIds.length &&
+    oldIds[start] === newIds[start]
+  ) {
+    prefixPairs.push([start, start]);
+    ++start;
+  }
+
+  /**
+   * @type {Array<[number, number]>}
+   */
+  const suffixPairs = [];
+  let oldEnd = oldIds.length;
+  let newEnd = newIds.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldIds[oldEnd - 1] === newIds[newEnd - 1]
+  ) {
+    --oldEnd;
+    --newEnd;
+    suffixPairs.unshift([oldEnd, newEnd]);
+  }
+
+  const oldLength = oldEnd - start;
+  const newLength = newEnd - start;
+  /**
+   * @type {Array<[number, number]>}
+   */
+  const middlePairs = [];
+
+  if ((oldLength + 1) * (newLength + 1) > MAX_COMMON_SUBSEQUENCE_TABLE_SIZE) {
+    let oldIndex = start;
+    for (let newIndex = start; newIndex < newEnd; ++newIndex) {
+      const matchingOldIndex = oldIds.indexOf(
+        /** @type {number} */ (newIds[newIndex]),
+        oldIndex
+      );
+      if (matchingOldIndex !== -1 && matchingOldIndex < oldEnd) {
+        middlePairs.push([matchingOldIndex, newIndex]);
+        oldIndex = matchingOldIndex + 1;
+      }
+    }
+  } else if (oldLength > 0 && newLength > 0) {
+    // lengths[i * (newLength + 1) + j] is the length of the longest common subsequence of the remaining old ids from i and new ids from j
+    const lengths = new Uint32Array((oldLength + 1) * (newLength + 1));
+    for (let i = oldLength - 1; i >= 0; --i) {
+      for (let j = newLength - 1; j >= 0; --j) {
+        lengths[i * (newLength + 1) + j] =
+          oldIds[start + i] === newIds[start + j]
+            ? /** @type {number} */ (
+                lengths[(i + 1) * (newLength + 1) + j + 1]
+              ) + 1
+            : Math.max(
+                /** @type {number} */ (lengths[(i + 1) * (newLength + 1) + j]),
+                /** @type {number} */ (lengths[i * (newLength + 1) + j + 1])
+              );
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < oldLength && j < newLength) {
+      if (oldIds[start + i] === newIds[start + j]) {
+        middlePairs.push([start + i, start + j]);
+        ++i;
+        ++j;
+      } else if (
+        /** @type {number} */ (lengths[(i + 1) * (newLength + 1) + j]) >=
+        /** @type {number} */ (lengths[i * (newLength + 1) + j + 1])
+      ) {
+        ++i;
+      } else {
+        ++j;
+      }
+    }
+  }
+
+  return [...prefixPairs, ...middlePairs, ...suffixPairs];
+};
+
+/**
+ * Finds the longest increasing subsequence of a list of numbers.
+ * @param {number[]} values
+ * @returns {Set<number>} Indexes of the values in the subsequence
+ */
+const findLongestIncreasingSubsequence = (values) => {
+  /**
+   * Index of the smallest value which ends an increasing subsequence of each length
+   * @type {number[]}
+   */
+  const subsequenceEnds = [];
+  /**
+   * Index of the value before each value in the longest increasing subsequence which ends with it
+   * @type {number[]}
+   */
+  const previousIndexes = [];
+
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = subsequenceEnds.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (
+        /** @type {number} */ (
+          values[/** @type {number} */ (subsequenceEnds[middle])]
+        ) < value
+      ) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    previousIndexes[index] = low > 0 ? subsequenceEnds[low - 1] ?? -1 : -1;
+    subsequenceEnds[low] = index;
+  });
+
+  /**
+   * @type {Set<number>}
+   */
+  const indexes = new Set();
+  let index = subsequenceEnds[subsequenceEnds.length - 1] ?? -1;
+  while (index !== -1) {
+    indexes.add(index);
+    index = previousIndexes[index] ?? -1;
+  }
+  return indexes;
+};
+
+/**
+ * Whether two nodes which don't have the same content can be updated in place rather than replaced.
+ * @param {TmphNode} oldNode
+ * @param {TmphNode} newNode
+ */
+const canUpdateInPlace = (oldNode, newNode) =>
+  ("tagName" in oldNode &&
+    "tagName" in newNode &&
+    oldNode.tagName === newNode.tagName) ||
+  ("textContent" in oldNode && "textContent" in newNode);
+
+/**
+ * Matches up nodes in the old list with the nodes they have become in the new list.
+ * @param {TmphNode[]} oldNodes
+ * @param {TmphNode[]} newNodes
+ * @param {DiffContext} context
+ * @returns {number[]} The index of the matching old node for each new node, or -1 if it is a new node
+ */
+const matchNodes = (oldNodes, newNodes, { keyAttribute, getContentId }) => {
+  const matchingOldIndexes = newNodes.map(() => -1);
+
+  const oldIndexesByKey = getUniqueKeys(oldNodes, keyAttribute);
+  const newIndexesByKey = getUniqueKeys(newNodes, keyAttribute);
+  // Elements whose keys only appear in one of the lists are matched up like unkeyed nodes, ie if their key has changed
+  /**
+   * @type {Set<number>}
+   */
+  const keyedOldIndexes = new Set();
+  /**
+   * @type {Set<number>}
+   */
+  const keyedNewIndexes = new Set();
+  for (const [key, newIndex] of newIndexesByKey) {
+    const oldIndex = oldIndexesByKey.get(key);
+    if (oldIndex !== undefined) {
+      matchingOldIndexes[newIndex] = oldIndex;
+      keyedOldIndexes.add(oldIndex);
+      keyedNewIndexes.add(newIndex);
+    }
+  }
+
+  const unkeyedOldIndexes = oldNodes
+    .map((_, index) => index)
+    .filter((index) => !keyedOldIndexes.has(index));
+  const unkeyedNewIndexes = newNodes
+    .map((_, index) => index)
+    .filter((index) => !keyedNewIndexes.has(index));
+
+  // Match unkeyed nodes with the same content first, then match up the remaining nodes between them
+  // which can be updated in place
+  const commonPairs = findLongestCommonSubsequence(
+    unkeyedOldIndexes.map((index) =>
+      getContentId(/** @type {TmphNode} */ (oldNodes[index]))
+    ),
+    unkeyedNewIndexes.map((index) =>
+      getContentId(/** @type {TmphNode} */ (newNodes[index]))
+    )
+  );
+  commonPairs.push([unkeyedOldIndexes.length, unkeyedNewIndexes.length]);
+
+  let gapOldStart = 0;
+  let gapNewStart = 0;
+  for (const [commonOldIndex, commonNewIndex] of commonPairs) {
+    let oldIndex = gapOldStart;
+    for (let newIndex = gapNewStart; newIndex < commonNewIndex; ++newIndex) {
+      const newNodeIndex = /** @type {number} */ (unkeyedNewIndexes[newIndex]);
+      const newNode = /** @type {TmphNode} */ (newNodes[newNodeIndex]);
+      for (let i = oldIndex; i < commonOldIndex; ++i) {
+        const oldNodeIndex = /** @type {number} */ (unkeyedOldIndexes[i]);
+        if (
+          canUpdateInPlace(
+            /** @type {TmphNode} */ (oldNodes[oldNodeIndex]),
+            newNode
+          )
+        ) {
+          matchingOldIndexes[newNodeIndex] = oldNodeIndex;
+          oldIndex = i + 1;
+          break;
+        }
+      }
+    }
+
+    if (commonNewIndex < unkeyedNewIndexes.length) {
+      matchingOldIndexes[
+        /** @type {number} */ (unkeyedNewIndexes[commonNewIndex])
+      ] = /** @type {number} */ (unkeyedOldIndexes[commonOldIndex]);
+    }
+    gapOldStart = commonOldIndex + 1;
+    gapNewStart = commonNewIndex + 1;
+  }
+
+  return matchingOldIndexes;
+};
+
+/**
+ * Gets an element's attributes, leaving out any which have the same name as an earlier attribute.
+ * @param {TmphElementNode} element
+ * @returns {TmphElementAttribute[]}
+ */
+const getUniqueAttributes = (element) => {
+  /**
+   * @type {Set<string>}
+   */
+  const names = new Set();
+  return (element.attributes ?? []).filter(({ name }) => {
+    if (names.has(name)) {
+      return false;
+    }
+    names.add(name);
+    return true;
+  });
+};
+
+/**
+ * @param {TmphElementNode} oldElement
+ * @param {TmphElementNode} newElement
+ * @param {TmphNodePath} path
+ * @param {DiffContext} context
+ */
+const diffAttributes = (oldElement, newElement, path, { operations }) => {
+  const newAttributes = getUniqueAttributes(newElement);
+  const newAttributeNames = new Set(newAttributes.map(({ name }) => name));
+
+  /**
+   * The attributes as they will be once each operation so far has been applied
+   * @type {TmphElementAttribute[]}
+   */
+  const currentAttributes = [];
+  for (const attribute of getUniqueAttributes(oldElement)) {
+    if (newAttributeNames.has(attribute.name)) {
+      currentAttributes.push(attribute);
+    } else {
+      operations.push({ type: "removeAttribute", path, name: attribute.name });
+    }
+  }
+
+  // Going through the new attributes in order, set each one which isn't already in place at its index
+  newAttributes.forEach((attribute, index) => {
+    const currentAttribute = currentAttributes[index];
+    if (
+      currentAttribute?.name === attribute.name &&
+      currentAttribute.value === attribute.value
+    ) {
+      return;
+    }
+
+    operations.push({ type: "setAttribute", path, attribute, index });
+    const currentIndex = currentAttributes.findIndex(
+      ({ name }) => name === attribute.name
+    );
+    if (currentIndex !== -1) {
+      currentAttributes.splice(currentIndex, 1);
+    }
+    currentAttributes.splice(index, 0, attribute);
+  });
+};
+
+/**
+ * Adds operations which turn a matched old node into the new node, once it is at the new node's path.
+ * @param {TmphNode} oldNode
+ * @param {TmphNode} newNode
+ * @param {TmphNodePath} path
+ * @param {DiffContext} context
+ */
+const diffNodes = (oldNode, newNode, path, context) => {
+  if (context.getContentId(oldNode) === context.getContentId(newNode)) {
+    return;
+  }
+
+  if ("tagName" in oldNode && "tagName" in newNode) {
+    diffAttributes(oldNode, newNode, path, context);
+    diffNodeLists(
+      oldNode.children ?? [],
+      newNode.children ?? [],
+      path,
+      context
+    );
+  } else if ("textContent" in newNode) {
+    /**
+     * @type {TmphSetTextOperation}
+     */
+    const operation = {
+      type: "setText",
+      path,
+      textContent: newNode.textContent,
+    };
+    if (newNode.decoded) {
+      operation.decoded = true;
+    }
+    context.operations.push(operation);
+  }
+};
+
+/**
+ * Adds operations which turn a list of sibling nodes into a new list of nodes.
+ * @param {TmphNode[]} oldNodes
+ * @param {TmphNode[]} newNodes
+ * @param {TmphNodePath} parentPath
+ * @param {DiffContext} context
+ */
+const diffNodeLists = (oldNodes, newNodes, parentPath, context) => {
+  const { operations } = context;
+  const matchingOldIndexes = matchNodes(oldNodes, newNodes, context);
+
+  // Remove old nodes which weren't matched, starting from the end so the indexes of earlier nodes don't change
+  const matchedOldIndexes = new Set(matchingOldIndexes);
+  for (let oldIndex = oldNodes.length - 1; oldIndex >= 0; --oldIndex) {
+    if (!matchedOldIndexes.has(oldIndex)) {
+      operations.push({ type: "remove", path: [...parentPath, oldIndex] });
+    }
+  }
+
+  // Move matched nodes into the same order as the new nodes. Nodes in the longest run which is already in order
+  // stay where they are, and the others are moved in front of the node which should follow them, starting from the end
+  const currentOrder = oldNodes
+    .map((_, index) => index)
+    .filter((index) => matchedOldIndexes.has(index));
+  const newOrder = matchingOldIndexes.filter((index) => index !== -1);
+  const newOrderPositions = new Map(
+    newOrder.map((oldIndex, position) => [oldIndex, position])
+  );
+  const stayingPositions = findLongestIncreasingSubsequence(
+    currentOrder.map(
+      (oldIndex) => /** @type {number} */ (newOrderPositions.get(oldIndex))
+    )
+  );
+  const stayingOldIndexes = new Set(
+    currentOrder.filter((_, position) => stayingPositions.has(position))
+  );
+
+  for (let position = newOrder.length - 1; position >= 0; --position) {
+    const oldIndex = /** @type {number} */ (newOrder[position]);
+    if (stayingOldIndexes.has(oldIndex)) {
+      continue;
+    }
+
+    const from = currentOrder.indexOf(oldIndex);
+    currentOrder.splice(from, 1);
+    const nextOldIndex = newOrder[position + 1];
+    const to =
+      nextOldIndex === undefined
+        ? currentOrder.length
+        : currentOrder.indexOf(nextOldIndex);
+    currentOrder.splice(to, 0, oldIndex);
+    if (from !== to) {
+      operations.push({
+        type: "move",
+        from: [...parentPath, from],
+        to: [...parentPath, to],
+      });
+    }
+  }
+
+  // With the matched nodes in order, inserting the new nodes from the start puts every node at its new index
+  newNodes.forEach((node, newIndex) => {
+    if (matchingOldIndexes[newIndex] === -1) {
+      operations.push({
+        type: "insert",
+        path: [...parentPath, newIndex],
+        node,
+      });
+    }
+  });
+
+  newNodes.forEach((newNode, newIndex) => {
+    const oldNode =
+      oldNodes[/** @type {number} */ (matchingOldIndexes[newIndex])];
+    if (oldNode) {
+      diffNodes(oldNode, newNode, [...parentPath, newIndex], context);
+    }
+  });
+};
+
+/**
+ * Finds the changes between two trees of parsed nodes, ie two versions of the same template.
+ * The returned operations turn the old tree into the new tree when passed to `applyPatch`.
+ *
+ * Nodes are compared by their content, so source positions and formatting are ignored, and nodes which have only moved
+ * in the source are left as-is. Elements with a key attribute are matched with the element with the same tag name and key
+ * among their siblings in the new tree, so they are moved rather than replaced if they are reordered.
+ * Other elements are matched with elements with the same tag name in the same place among their siblings.
+ *
+ * @param {TmphNode[]} oldNodes
+ * @param {TmphNode[]} newNodes
+ * @param {TmphDiffOptions} [options]
+ * @returns {TmphPatchOperation[]}
+ *
+ * @example
+ * const patch = diff(previousNodes, nodes);
+ * // [{ type: "setText", path: [1, 0], textContent: "Hello, world!" }]
+ */
+export function diff(oldNodes, newNodes, { keyAttribute = "id" } = {}) {
+  /**
+   * @type {DiffContext}
+   */
+  const context = {
+    keyAttribute,
+    getContentId: createContentIdGetter(),
+    operations: [],
+  };
+  diffNodeLists(oldNodes, newNodes, [], context);
+  return context.operations;
+}
+
+/**
+ * @param {TmphNode[]} rootNodes
+ * @param {TmphNodePath} path
+ * @returns {TmphNode}
+ */
+const getNodeAtPath = (rootNodes, path) => {
+  let nodes = rootNodes;
+  /**
+   * @type {TmphNode | undefined}
+   */
+  let node;
+  for (const index of path) {
+    node = nodes[index];
+    if (!node) {
+      throw new RangeError(`There is no node at the patch path [${path}]`);
+    }
+    nodes = "tagName" in node ? node.children ?? [] : [];
+  }
+  if (!node) {
+    throw new RangeError("A patch path must have at least one index");
+  }
+  return node;
+};
+
+/**
+ * @param {TmphNode[]} rootNodes
+ * @param {TmphNodePath} path
+ * @returns {TmphElementNode}
+ */
+const getElementAtPath = (rootNodes, path) => {
+  const node = getNodeAtPath(rootNodes, path);
+  if (!("tagName" in node)) {
+    throw new TypeError(
+      `The node at the patch path [${path}] is not an element`
+    );
+  }
+  return node;
+};
+
+/**
+ * @param {TmphNode[]} rootNodes
+ * @param {TmphNodePath} path
+ * @returns {TmphTextNode}
+ */
+const getTextNodeAtPath = (rootNodes, path) => {
+  const node = getNodeAtPath(rootNodes, path);
+  if (!("textContent" in node)) {
+    throw new TypeError(
+      `The node at the patch path [${path}] is not a text node`
+    );
+  }
+  return node;
+};
+
+/**
+ * Modifies the list of sibling nodes which contains the node at a path.
+ * @param {TmphNode[]} rootNodes
+ * @param {TmphNodePath} path
+ * @param {(siblingNodes: TmphNode[], index: number) => void} modify
+ */
+const modifySiblingNodes = (rootNodes, path, modify) => {
+  const index = path[path.length - 1];
+  if (index === undefined) {
+    throw new RangeError("A patch path must have at least one index");
+  }
+
+  if (path.length === 1) {
+    modify(rootNodes, index);
+    return;
+  }
+
+  const parentElement = getElementAtPath(rootNodes, path.slice(0, -1));
+  const childNodes = parentElement.children ?? [];
+  modify(childNodes, index);
+  // Elements without any children don't have a children array, matching the parser's output
+  if (childNodes.length > 0) {
+    parentElement.children = childNodes;
+  } else {
+    delete parentElement.children;
+  }
+};
+
+/**
+ * @param {number} index
+ * @param {number} length
+ * @param {TmphNodePath} path
+ */
+const assertIndexInRange = (index, length, path) => {
+  if (!Number.isInteger(index) || index < 0 || index > length) {
+    throw new RangeError(`There is no node at the patch path [${path}]`);
+  }
+};
+
+/**
+ * Applies the operations produced by `diff` to a tree of parsed nodes. The nodes passed in are not modified;
+ * a patched copy of the tree is returned.
+ *
+ * Patching the old tree passed to `diff` reproduces the content of the new tree. Nodes which were kept keep their
+ * source positions and formatting from the old tree, while inserted nodes and attributes have the positions from the new tree.
+ * Attributes are put in the same order as in the new tree, but only the first of any attributes with the same name is kept.
+ *
+ * @param {TmphNode[]} nodes
+ * @param {TmphPatchOperation[]} patch
+ * @returns {TmphNode[]}
+ *
+ * @example
+ * const patchedNodes = applyPatch(previousNodes, diff(previousNodes, nodes));
+ */
+export function applyPatch(nodes, patch) {
+  const patchedNodes = structuredClone(nodes);
+
+  for (const operation of patch) {
+    switch (operation.type) {
+      case "insert":
+        modifySiblingNodes(
+          patchedNodes,
+          operation.path,
+          (siblingNodes, index) => {
+            assertIndexInRange(index, siblingNodes.length, operation.path);
+            siblingNodes.splice(index, 0, structuredClone(operation.node));
+          }
+        );
+        break;
+      case "remove":
+        modifySiblingNodes(
+          patchedNodes,
+          operation.path,
+          (siblingNodes, index) => {
+            assertIndexInRange(index, siblingNodes.length - 1, operation.path);
+            siblingNodes.splice(index, 1);
+          }
+        );
+        break;
+      case "move": {
+        if (
+          operation.from.length !== operation.to.length ||
+          operation.from.some(
+            (index, i) =>
+              i < operation.from.length - 1 && index !== operation.to[i]
+          )
+        ) {
+          throw new RangeError(
+            `Nodes can only be moved within the same parent, but the patch moves [${operation.from}] to [${operation.to}]`
+          );
+        }
+        const toIndex = /** @type {number} */ (
+          operation.to[operation.to.length - 1]
+        );
+        modifySiblingNodes(
+          patchedNodes,
+          operation.from,
+          (siblingNodes, index) => {
+            assertIndexInRange(index, siblingNodes.length - 1, operation.from);
+            assertIndexInRange(toIndex, siblingNodes.length - 1, operation.to);
+            siblingNodes.splice(toIndex, 0, ...siblingNodes.splice(index, 1));
+          }
+        );
+        break;
+      }
+      case "setAttribute": {
+        const element = getElementAtPath(patchedNodes, operation.path);
+        const attribute = structuredClone(operation.attribute);
+        const attributes = element.attributes ?? [];
+        const currentIndex = attributes.findIndex(
+          ({ name }) => name === attribute.name
+        );
+        if (operation.index === undefined) {
+          if (currentIndex === -1) {
+            attributes.push(attribute);
+          } else {
+            attributes[currentIndex] = attribute;
+          }
+        } else {
+          if (currentIndex !== -1) {
+            attributes.splice(currentIndex, 1);
+          }
+          if (
+            !Number.isInteger(operation.index) ||
+            operation.index < 0 ||
+            operation.index > attributes.length
+          ) {
+            throw new RangeError(
+              `There is no attribute index ${operation.index} on the element at the patch path [${operation.path}]`
+            );
+          }
+          attributes.splice(operation.index, 0, attribute);
+        }
+        element.attributes = attributes;
+        break;
+      }
+      case "removeAttribute": {
+        const element = getElementAtPath(patchedNodes, operation.path);
+        const attributes = (element.attributes ?? []).filter(
+          ({ name }) => name !== operation.name
+        );
+        if (attributes.length > 0) {
+          element.attributes = attributes;
+        } else {
+          delete element.attributes;
+        }
+        break;
+      }
+      case "setText": {
+        const textNode = getTextNodeAtPath(patchedNodes, operation.path);
+        textNode.textContent = operation.textContent;
+        if (operation.decoded) {
+          textNode.decoded = true;
+        } else {
+          delete textNode.decoded;
+        }
+        // The text as it was written in the source no longer matches
+        delete textNode.formatting;
+        break;
+      }
+      default:
+        throw new TypeError(
+          `Unknown patch operation type "${
+            /** @type {{ type: unknown }} */ (operation).type
+          }"`
+        );
+    }
+  }
+
+  return patchedNodes;
+}
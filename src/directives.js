@@ -0,0 +1,180 @@
+import { getLineAndColumn } from "./lexerUtils.js";
+
+/**
+ * @import { LexerToken } from './lexer.js';
+ * @import { TmphAttributeDirective, TmphAttributeKind, TmphDirectivePart, TmphSourcePosition } from './types.js';
+ */
+
+const textEncoder = new TextEncoder();
+
+/**
+ * @type {Record<string, TmphAttributeKind>}
+ */
+const ATTRIBUTE_KINDS_BY_PREFIX = {
+  ":": "bound",
+  "#": "directive",
+};
+
+/**
+ * Classifies an attribute by its name's prefix.
+ * @param {string} attributeName
+ * @returns {TmphAttributeKind}
+ */
+export const getAttributeKind = (attributeName) =>
+  ATTRIBUTE_KINDS_BY_PREFIX[attributeName[0] ?? ""] ?? "static";
+
+/**
+ * Creates a function which finds the position of a character in a token's text, counting lines and columns
+ * the same way as the lexer.
+ * @param {string} text
+ * @param {TmphSourcePosition} start - Position of the text's first character
+ * @param {number} byteLength - The number of bytes the text took up in the source
+ * @returns {(index: number) => TmphSourcePosition}
+ */
+export const createTextPositionGetter = (text, start, byteLength) => {
+  // Strings and UTF-8 sources count UTF-8 bytes, while for any other encoding, every code unit is assumed to take up the
+  // same number of bytes, which is exact for ASCII text and UTF-16
+  const isUtf8 = textEncoder.encode(text).length === byteLength;
+  const bytesPerCodeUnit = text.length > 0 ? byteLength / text.length : 1;
+
+  return (index) => {
+    const textBefore = text.slice(0, index);
+
+    return {
+      ...getLineAndColumn(text, start, 0, index),
+      offset: start.offset + textBefore.length,
+      byteOffset:
+        start.byteOffset +
+        (isUtf8
+          ? textEncoder.encode(textBefore).length
+          : Math.round(textBefore.length * bytesPerCodeUnit)),
+    };
+  };
+};
+
+/**
+ * @param {string} value
+ * @param {TmphSourcePosition} start
+ * @param {TmphSourcePosition} end
+ * @param {boolean} includeRange
+ * @returns {TmphDirectivePart}
+ */
+const createPart = (value, start, end, includeRange) => {
+  /**
+   * @type {TmphDirectivePart}
+   */
+  const part = { value, l: start.l, c: start.c };
+  if (includeRange) {
+    part.range = { start, end };
+  }
+  return part;
+};
+
+/**
+ * Breaks an attribute's name down into its kind, name, arguments and modifiers, ie `#for-of:item,i.lazy`.
+ * The attribute's expression will be filled in by `parseDirectiveExpression` if it has a value.
+ * @param {LexerToken<"ATTRIBUTE_NAME">} attributeNameToken
+ * @param {boolean} includeRanges - Whether to include source ranges for each part
+ * @returns {TmphAttributeDirective}
+ */
+export const parseAttributeDirective = (attributeNameToken, includeRanges) => {
+  const { value: attributeName, start, end } = attributeNameToken;
+  const getPosition = createTextPositionGetter(
+    attributeName,
+    start,
+    end.byteOffset - start.byteOffset
+  );
+  /**
+   * @param {number} startIndex
+   * @param {number} endIndex
+   */
+  const createNamePart = (startIndex, endIndex) =>
+    createPart(
+      attributeName.slice(startIndex, endIndex),
+      getPosition(startIndex),
+      getPosition(endIndex),
+      includeRanges
+    );
+
+  const kind = getAttributeKind(attributeName);
+  if (kind === "static") {
+    return {
+      kind,
+      name: createNamePart(0, attributeName.length),
+      arguments: [],
+      modifiers: [],
+      expression: null,
+    };
+  }
+
+  /**
+   * Finds where a section of the name ends; the name itself, an argument or a modifier
+   * @param {number} startIndex
+   * @param {string} terminators
+   */
+  const findSectionEnd = (startIndex, terminators) => {
+    let index = startIndex;
+    while (
+      index < attributeName.length &&
+      !terminators.includes(/** @type {string} */ (attributeName[index]))
+    ) {
+      ++index;
+    }
+    return index;
+  };
+
+  const nameEnd = findSectionEnd(1, ":.");
+  /**
+   * @type {TmphAttributeDirective}
+   */
+  const directive = {
+    kind,
+    name: createNamePart(1, nameEnd),
+    arguments: [],
+    modifiers: [],
+    expression: null,
+  };
+
+  let index = nameEnd;
+  if (attributeName[index] === ":") {
+    const argumentsEnd = findSectionEnd(index + 1, ".");
+    while (index < argumentsEnd) {
+      const argumentStart = index + 1;
+      index = findSectionEnd(argumentStart, ",.");
+      directive.arguments.push(createNamePart(argumentStart, index));
+    }
+  }
+
+  while (index < attributeName.length) {
+    const modifierStart = index + 1;
+    index = findSectionEnd(modifierStart, ".");
+    directive.modifiers.push(createNamePart(modifierStart, index));
+  }
+
+  return directive;
+};
+
+/**
+ * Fills in the expression of a bound attribute or directive from its value.
+ * @param {TmphAttributeDirective} directive
+ * @param {LexerToken<"ATTRIBUTE_VALUE">} attributeValueToken
+ * @param {boolean} includeRanges - Whether to include a source range for the expression
+ */
+export const parseDirectiveExpression = (
+  directive,
+  attributeValueToken,
+  includeRanges
+) => {
+  if (directive.kind === "static") {
+    return;
+  }
+
+  // Quoted values' expressions start and end inside of their quotes
+  const { start, end } = attributeValueToken.innerRange ?? attributeValueToken;
+  directive.expression = createPart(
+    attributeValueToken.value,
+    start,
+    end,
+    includeRanges
+  );
+};
@@ -0,0 +1,379 @@
+/**
+ * Prescanning only looks at the start of the source for a <meta> tag declaring its character encoding.
+ * @see https://html.spec.whatwg.org/multipage/parsing.html#prescan-a-byte-stream-to-determine-its-encoding
+ */
+export const ENCODING_PRESCAN_BYTE_COUNT = 1024;
+
+/**
+ * How long to wait for the first ENCODING_PRESCAN_BYTE_COUNT bytes of a stream to arrive before prescanning
+ * whatever has arrived so far, as suggested by the HTML spec.
+ */
+export const ENCODING_PRESCAN_TIMEOUT_MS = 500;
+
+const LESS_THAN = 0x3c;
+const GREATER_THAN = 0x3e;
+const EXCLAMATION_PT = 0x21;
+const FWD_SLASH = 0x2f;
+const QUESTION_MARK = 0x3f;
+const EQUALS = 0x3d;
+const HYPHEN = 0x2d;
+const DOUBLE_QUOTE = 0x22;
+const SINGLE_QUOTE = 0x27;
+const SEMICOLON = 0x3b;
+
+/**
+ * @param {number | undefined} byte
+ */
+const isWhitespaceByte = (byte) =>
+  byte === 0x09 ||
+  byte === 0x0a ||
+  byte === 0x0c ||
+  byte === 0x0d ||
+  byte === 0x20;
+
+/**
+ * @param {number | undefined} byte
+ */
+const isAsciiLetterByte = (byte) =>
+  byte !== undefined &&
+  ((byte >= 0x41 && byte <= 0x5a) || (byte >= 0x61 && byte <= 0x7a));
+
+/**
+ * @param {number} byte
+ */
+const toLowerCaseByte = (byte) =>
+  byte >= 0x41 && byte <= 0x5a ? byte + 0x20 : byte;
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} position
+ * @param {string} asciiString - Lowercase string to match case-insensitively
+ */
+const doBytesMatchAt = (bytes, position, asciiString) => {
+  if (position + asciiString.length > bytes.byteLength) {
+    return false;
+  }
+
+  for (let i = 0; i < asciiString.length; ++i) {
+    if (
+      toLowerCaseByte(/** @type {number} */ (bytes[position + i])) !==
+      asciiString.charCodeAt(i)
+    ) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Resolves an encoding label like "latin1" or "Shift_JIS" to the name of the encoding it refers to,
+ * per the WHATWG Encoding spec.
+ * @see https://encoding.spec.whatwg.org/#concept-encoding-get
+ * @param {string} label
+ * @returns {string | null} The encoding's name, or null if the label isn't recognized or the encoding isn't supported for decoding
+ */
+export function getEncodingForLabel(label) {
+  try {
+    return new TextDecoder(label.trim()).encoding;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves an encoding label declared by a `<meta>` tag. Documents which declare x-user-defined are decoded as windows-1252,
+ * which TextDecoder doesn't do on its own since it doesn't support x-user-defined at all.
+ * @see https://html.spec.whatwg.org/multipage/parsing.html#prescan-a-byte-stream-to-determine-its-encoding
+ * @param {string} label
+ * @returns {string | null}
+ */
+const getEncodingForMetaCharsetLabel = (label) =>
+  label.trim().toLowerCase() === "x-user-defined"
+    ? "windows-1252"
+    : getEncodingForLabel(label);
+
+/**
+ * Extracts the encoding label from a `<meta http-equiv="Content-Type">` tag's `content` attribute value,
+ * ie "text/html; charset=shift_jis".
+ * @see https://html.spec.whatwg.org/multipage/urls-and-fetching.html#algorithm-for-extracting-a-character-encoding-from-a-meta-element
+ * @param {string} content
+ * @returns {string | null}
+ */
+const extractCharsetFromContentValue = (content) => {
+  const lowerCaseContent = content.toLowerCase();
+  let position = 0;
+
+  while (true) {
+    const charsetIndex = lowerCaseContent.indexOf("charset", position);
+    if (charsetIndex === -1) {
+      return null;
+    }
+    position = charsetIndex + "charset".length;
+
+    while (isWhitespaceByte(content.charCodeAt(position))) {
+      ++position;
+    }
+
+    if (content.charCodeAt(position) !== EQUALS) {
+      // This wasn't actually a charset declaration, so keep looking after it
+      continue;
+    }
+    ++position;
+
+    while (isWhitespaceByte(content.charCodeAt(position))) {
+      ++position;
+    }
+
+    const quoteCharCode = content.charCodeAt(position);
+    if (quoteCharCode === DOUBLE_QUOTE || quoteCharCode === SINGLE_QUOTE) {
+      const closingQuoteIndex = content.indexOf(
+        content[position] ?? "",
+        position + 1
+      );
+      return closingQuoteIndex === -1
+        ? null
+        : content.slice(position + 1, closingQuoteIndex);
+    }
+
+    if (position >= content.length) {
+      return null;
+    }
+
+    let endPosition = position;
+    while (
+      endPosition < content.length &&
+      !isWhitespaceByte(content.charCodeAt(endPosition)) &&
+      content.charCodeAt(endPosition) !== SEMICOLON
+    ) {
+      ++endPosition;
+    }
+
+    return content.slice(position, endPosition);
+  }
+};
+
+/**
+ * Scans the start of a source for a `<meta charset>` or `<meta http-equiv="Content-Type">` tag
+ * which declares the source's character encoding.
+ * @see https://html.spec.whatwg.org/multipage/parsing.html#prescan-a-byte-stream-to-determine-its-encoding
+ * @param {Uint8Array} bytes - The first bytes of the source; only the first ENCODING_PRESCAN_BYTE_COUNT bytes will be scanned
+ * @returns {string | null} The name of the declared encoding, or null if no supported encoding was declared
+ */
+export function prescanForMetaCharset(bytes) {
+  const prescanBytes = bytes.subarray(0, ENCODING_PRESCAN_BYTE_COUNT);
+  let position = 0;
+
+  /**
+   * Reads the next attribute in a tag, leaving the position after it.
+   * @see https://html.spec.whatwg.org/multipage/parsing.html#concept-get-attributes-when-sniffing
+   * @returns {{ name: string; value: string } | null} The attribute, or null if there are no more attributes in the tag
+   *    or the end of the prescanned bytes was reached
+   */
+  const getAttribute = () => {
+    while (
+      isWhitespaceByte(prescanBytes[position]) ||
+      prescanBytes[position] === FWD_SLASH
+    ) {
+      ++position;
+    }
+
+    if (
+      position >= prescanBytes.byteLength ||
+      prescanBytes[position] === GREATER_THAN
+    ) {
+      return null;
+    }
+
+    let name = "";
+    let value = "";
+
+    while (true) {
+      const byte = prescanBytes[position];
+      if (byte === undefined) {
+        return null;
+      }
+
+      if (byte === EQUALS && name) {
+        ++position;
+        break;
+      }
+
+      if (isWhitespaceByte(byte)) {
+        while (isWhitespaceByte(prescanBytes[position])) {
+          ++position;
+        }
+
+        if (prescanBytes[position] !== EQUALS) {
+          return { name, value };
+        }
+        ++position;
+        break;
+      }
+
+      if (byte === FWD_SLASH || byte === GREATER_THAN) {
+        return { name, value };
+      }
+
+      name += String.fromCharCode(toLowerCaseByte(byte));
+      ++position;
+    }
+
+    while (isWhitespaceByte(prescanBytes[position])) {
+      ++position;
+    }
+
+    const firstValueByte = prescanBytes[position];
+    if (firstValueByte === DOUBLE_QUOTE || firstValueByte === SINGLE_QUOTE) {
+      ++position;
+      while (true) {
+        const byte = prescanBytes[position];
+        if (byte === undefined) {
+          return null;
+        }
+        ++position;
+
+        if (byte === firstValueByte) {
+          return { name, value };
+        }
+        value += String.fromCharCode(toLowerCaseByte(byte));
+      }
+    }
+
+    if (firstValueByte === GREATER_THAN) {
+      return { name, value };
+    }
+
+    while (true) {
+      const byte = prescanBytes[position];
+      if (byte === undefined) {
+        return null;
+      }
+
+      if (isWhitespaceByte(byte) || byte === GREATER_THAN) {
+        return { name, value };
+      }
+
+      value += String.fromCharCode(toLowerCaseByte(byte));
+      ++position;
+    }
+  };
+
+  /**
+   * Reads the attributes of a <meta> tag to find the encoding it declares, if any.
+   * @returns {string | null}
+   */
+  const getMetaTagEncoding = () => {
+    /**
+     * @type {Set<string>}
+     */
+    const attributeNames = new Set();
+    let gotPragma = false;
+    /**
+     * @type {boolean | null}
+     */
+    let needPragma = null;
+    /**
+     * @type {string | null}
+     */
+    let charset = null;
+
+    /**
+     * @type {{ name: string; value: string } | null}
+     */
+    let attribute;
+    while ((attribute = getAttribute())) {
+      if (attributeNames.has(attribute.name)) {
+        continue;
+      }
+      attributeNames.add(attribute.name);
+
+      if (attribute.name === "http-equiv") {
+        gotPragma ||= attribute.value === "content-type";
+      } else if (attribute.name === "content") {
+        if (charset === null) {
+          const contentCharset = extractCharsetFromContentValue(
+            attribute.value
+          );
+          if (contentCharset !== null) {
+            charset = getEncodingForMetaCharsetLabel(contentCharset);
+            needPragma = true;
+          }
+        }
+      } else if (attribute.name === "charset") {
+        charset = getEncodingForMetaCharsetLabel(attribute.value);
+        needPragma = false;
+      }
+    }
+
+    if (needPragma === null || (needPragma && !gotPragma) || !charset) {
+      return null;
+    }
+
+    if (charset === "utf-16le" || charset === "utf-16be") {
+      // A document can't declare itself to be utf-16 since the <meta> tag couldn't have been read in the first place
+      return "utf-8";
+    }
+
+    return charset;
+  };
+
+  while (position < prescanBytes.byteLength) {
+    if (doBytesMatchAt(prescanBytes, position, "<!--")) {
+      // The comment's closing "-->" may share its hyphens with the opening "<!--"
+      let closingIndex = position + 3;
+      do {
+        closingIndex = prescanBytes.indexOf(GREATER_THAN, closingIndex + 1);
+        if (closingIndex === -1) {
+          return null;
+        }
+      } while (
+        prescanBytes[closingIndex - 1] !== HYPHEN ||
+        prescanBytes[closingIndex - 2] !== HYPHEN
+      );
+      position = closingIndex;
+    } else if (
+      doBytesMatchAt(prescanBytes, position, "<meta") &&
+      (isWhitespaceByte(prescanBytes[position + 5]) ||
+        prescanBytes[position + 5] === FWD_SLASH)
+    ) {
+      position += 5;
+      const encoding = getMetaTagEncoding();
+      if (encoding) {
+        return encoding;
+      }
+    } else if (
+      prescanBytes[position] === LESS_THAN &&
+      (isAsciiLetterByte(prescanBytes[position + 1]) ||
+        (prescanBytes[position + 1] === FWD_SLASH &&
+          isAsciiLetterByte(prescanBytes[position + 2])))
+    ) {
+      // Skip over other tags along with their attributes, since their attribute values could contain a "<meta" string
+      while (
+        position < prescanBytes.byteLength &&
+        !isWhitespaceByte(prescanBytes[position]) &&
+        prescanBytes[position] !== GREATER_THAN
+      ) {
+        ++position;
+      }
+      while (getAttribute()) {
+        // Keep going until there are no more attributes
+      }
+    } else if (
+      prescanBytes[position] === LESS_THAN &&
+      (prescanBytes[position + 1] === EXCLAMATION_PT ||
+        prescanBytes[position + 1] === FWD_SLASH ||
+        prescanBytes[position + 1] === QUESTION_MARK)
+    ) {
+      const closingIndex = prescanBytes.indexOf(GREATER_THAN, position + 1);
+      if (closingIndex === -1) {
+        return null;
+      }
+      position = closingIndex;
+    }
+
+    ++position;
+  }
+
+  return null;
+}
@@ -0,0 +1,99 @@
+import { parseExpressionAt, tokenizer } from "acorn";
+import { DiagnosticCode } from "./diagnostics.js";
+import { createTextPositionGetter, getAttributeKind } from "./directives.js";
+
+/**
+ * @import { Options as AcornOptions } from "acorn";
+ * @import { LexerToken } from './lexer.js';
+ * @import { ReportDiagnosticFn } from './parseTemplate.js';
+ * @import { HTMLParserOptions, TmphElementAttribute } from './types.js';
+ */
+
+/**
+ * @type {AcornOptions}
+ */
+const ACORN_OPTIONS = {
+  ecmaVersion: "latest",
+  // Expressions like `#let:forecast="await getForecast()"` are evaluated in an async context
+  allowAwaitOutsideFunction: true,
+};
+
+/**
+ * Whether an attribute's value is a JavaScript expression; bound attributes and directives are,
+ * except for `#="..."` comments.
+ * @param {string} attributeName
+ */
+const isExpressionAttribute = (attributeName) =>
+  getAttributeKind(attributeName) !== "static" && attributeName !== "#";
+
+/**
+ * Parses the value of a bound attribute or directive as a JavaScript expression, reporting a diagnostic if it isn't valid
+ * and attaching its AST to the attribute if the `expressionAST` option is enabled.
+ * @param {TmphElementAttribute} attribute
+ * @param {LexerToken<"ATTRIBUTE_VALUE">} attributeValueToken
+ * @param {HTMLParserOptions} parserOptions
+ * @param {ReportDiagnosticFn} reportDiagnostic
+ */
+export const parseAttributeExpression = (
+  attribute,
+  attributeValueToken,
+  parserOptions,
+  reportDiagnostic
+) => {
+  if (!isExpressionAttribute(attribute.name)) {
+    return;
+  }
+
+  const { value } = attributeValueToken;
+  try {
+    const expression = parseExpressionAt(value, 0, ACORN_OPTIONS);
+
+    // parseExpressionAt stops at the end of the expression, so make sure there's nothing after it
+    const nextToken = tokenizer(
+      value.slice(expression.end),
+      ACORN_OPTIONS
+    ).getToken();
+    if (nextToken.end > nextToken.start) {
+      throw Object.assign(new SyntaxError("Unexpected token"), {
+        pos: expression.end + nextToken.start,
+      });
+    }
+
+    if (parserOptions.expressionAST) {
+      attribute.expressionAST = expression;
+    }
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) {
+      throw error;
+    }
+
+    // Quoted values' expressions start inside of their quotes
+    const { start, end } =
+      attributeValueToken.innerRange ?? attributeValueToken;
+    const errorIndex = Math.min(
+      /** @type {SyntaxError & { pos?: number }} */ (error).pos ?? 0,
+      value.length
+    );
+    // Decoding character references and removing escaping backslashes only ever shortens the value,
+    // so if its length doesn't match the source's, indexes in the value can't be mapped to source positions
+    // and the error will cover the whole value instead
+    const errorStart =
+      end.offset - start.offset === value.length
+        ? createTextPositionGetter(
+            value,
+            start,
+            end.byteOffset - start.byteOffset
+          )(errorIndex)
+        : start;
+
+    reportDiagnostic({
+      severity: "error",
+      code: DiagnosticCode.INVALID_EXPRESSION,
+      // Acorn adds the line and column to its messages, but the diagnostic's range has them already
+      message: `Invalid expression in ${
+        attribute.name
+      } attribute: ${error.message.replace(/ \(\d+:\d+\)$/, "")}`,
+      range: { start: errorStart, end },
+    });
+  }
+};
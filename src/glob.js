@@ -0,0 +1,182 @@
+import { readdir, stat } from "node:fs/promises";
+import { join, relative, sep } from "node:path";
+
+/**
+ * Characters which give a path segment special meaning in a glob pattern.
+ */
+const GLOB_SPECIAL_CHAR_REGEX = /[*?[\]{}]/;
+
+const REGEX_SPECIAL_CHAR_REGEX = /[.+^$()|\\\]}]/;
+
+/**
+ * Pattern which directories passed to `parseFiles` are expanded with.
+ */
+const DIRECTORY_FILE_PATTERN = "**/*.html";
+
+/**
+ * @param {string} path
+ */
+const isGlobPattern = (path) => GLOB_SPECIAL_CHAR_REGEX.test(path);
+
+/**
+ * Converts a glob pattern into a regular expression which matches `/`-separated paths.
+ * Supports `**` to match any number of directories, `*` and `?` wildcards within a path segment,
+ * `{a,b}` alternatives and `[abc]` / `[!abc]` character classes.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let regexSource = "";
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; ++i) {
+    const char = pattern[i];
+
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        ++i;
+        if (pattern[i + 1] === "/") {
+          // "**/" matches zero or more directories
+          ++i;
+          regexSource += "(?:[^/]*/)*";
+        } else {
+          regexSource += ".*";
+        }
+      } else {
+        regexSource += "[^/]*";
+      }
+    } else if (char === "?") {
+      regexSource += "[^/]";
+    } else if (char === "[") {
+      const closingBracketIndex = pattern.indexOf("]", i + 2);
+      if (closingBracketIndex === -1) {
+        regexSource += "\\[";
+      } else {
+        let characterClass = pattern.slice(i + 1, closingBracketIndex);
+        if (characterClass[0] === "!") {
+          characterClass = `^${characterClass.slice(1)}`;
+        }
+        regexSource += `[${characterClass.replaceAll("\\", "\\\\")}]`;
+        i = closingBracketIndex;
+      }
+    } else if (char === "{") {
+      ++braceDepth;
+      regexSource += "(?:";
+    } else if (char === "}" && braceDepth > 0) {
+      --braceDepth;
+      regexSource += ")";
+    } else if (char === "," && braceDepth > 0) {
+      regexSource += "|";
+    } else if (REGEX_SPECIAL_CHAR_REGEX.test(char)) {
+      regexSource += `\\${char}`;
+    } else {
+      regexSource += char;
+    }
+  }
+
+  return new RegExp(`^${regexSource}$`);
+}
+
+/**
+ * Finds all files in a directory and its subdirectories whose paths relative to the directory match a glob pattern.
+ *
+ * @param {string} baseDirPath
+ * @param {string} relativePattern
+ * @returns {Promise<string[]>}
+ */
+async function findMatchingFiles(baseDirPath, relativePattern) {
+  const relativePathRegex = globToRegExp(relativePattern);
+
+  /**
+   * @type {import("node:fs").Dirent[]}
+   */
+  let dirEntries;
+  try {
+    dirEntries = await readdir(baseDirPath, {
+      recursive: true,
+      withFileTypes: true,
+    });
+  } catch (error) {
+    if (
+      error instanceof Error &&
+      "code" in error &&
+      (error.code === "ENOENT" || error.code === "ENOTDIR")
+    ) {
+      return [];
+    }
+    throw error;
+  }
+
+  const filePaths = [];
+  for (const dirEntry of dirEntries) {
+    if (!dirEntry.isFile()) {
+      continue;
+    }
+
+    // Dirent.parentPath was only added in Node.js 20.12, before which it was named Dirent.path
+    const relativePath = relative(
+      baseDirPath,
+      join(dirEntry.parentPath ?? dirEntry.path, dirEntry.name)
+    ).replaceAll(sep, "/");
+    if (relativePathRegex.test(relativePath)) {
+      filePaths.push(join(baseDirPath, relativePath));
+    }
+  }
+
+  return filePaths.sort();
+}
+
+/**
+ * Resolves the paths to parse for `parseFiles`. Glob patterns are expanded to the files matching them,
+ * directories are expanded to all of the HTML files inside of them, and any other paths are passed through as-is
+ * so that errors for files which can't be read are reported for each file.
+ * Paths which are matched more than once are only included the first time.
+ *
+ * @param {string | string[]} pathsOrGlob
+ * @returns {Promise<string[]>}
+ */
+export async function resolveFilePaths(pathsOrGlob) {
+  /**
+   * @type {Set<string>}
+   */
+  const filePaths = new Set();
+
+  for (const path of Array.isArray(pathsOrGlob) ? pathsOrGlob : [pathsOrGlob]) {
+    if (isGlobPattern(path)) {
+      // Only walk the directory at the start of the pattern which doesn't contain any glob syntax
+      const segments = path.split("/");
+      const firstGlobSegmentIndex = segments.findIndex(isGlobPattern);
+      const baseDirPath =
+        firstGlobSegmentIndex === 0
+          ? "."
+          : segments.slice(0, firstGlobSegmentIndex).join("/") || "/";
+
+      for (const filePath of await findMatchingFiles(
+        baseDirPath,
+        segments.slice(firstGlobSegmentIndex).join("/")
+      )) {
+        filePaths.add(filePath);
+      }
+      continue;
+    }
+
+    const isDirectory = await stat(path).then(
+      (stats) => stats.isDirectory(),
+      () => false
+    );
+
+    if (isDirectory) {
+      for (const filePath of await findMatchingFiles(
+        path,
+        DIRECTORY_FILE_PATTERN
+      )) {
+        filePaths.add(filePath);
+      }
+    } else {
+      filePaths.add(path);
+    }
+  }
+
+  return Array.from(filePaths);
+}
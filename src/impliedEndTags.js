@@ -0,0 +1,368 @@
+/**
+ * Elements which are given special parsing rules by the HTML spec. An opening <li>, <dd> or <dt>
+ * tag won't look past any of these elements, other than <address>, <div> and <p>, for an element to close.
+ * @see https://html.spec.whatwg.org/multipage/parsing.html#special
+ */
+const specialElementTagNames = new Set([
+  "address",
+  "applet",
+  "area",
+  "article",
+  "aside",
+  "base",
+  "basefont",
+  "bgsound",
+  "blockquote",
+  "body",
+  "br",
+  "button",
+  "caption",
+  "center",
+  "col",
+  "colgroup",
+  "dd",
+  "details",
+  "dir",
+  "div",
+  "dl",
+  "dt",
+  "embed",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "footer",
+  "form",
+  "frame",
+  "frameset",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "head",
+  "header",
+  "hgroup",
+  "hr",
+  "html",
+  "iframe",
+  "img",
+  "input",
+  "keygen",
+  "li",
+  "link",
+  "listing",
+  "main",
+  "marquee",
+  "menu",
+  "meta",
+  "nav",
+  "noembed",
+  "noframes",
+  "noscript",
+  "object",
+  "ol",
+  "p",
+  "param",
+  "plaintext",
+  "pre",
+  "script",
+  "search",
+  "section",
+  "select",
+  "source",
+  "style",
+  "summary",
+  "table",
+  "tbody",
+  "td",
+  "template",
+  "textarea",
+  "tfoot",
+  "th",
+  "thead",
+  "title",
+  "tr",
+  "track",
+  "ul",
+  "wbr",
+  "xmp",
+]);
+
+const listItemScopeBoundaryTagNames = new Set(
+  [...specialElementTagNames].filter(
+    (tagName) => tagName !== "address" && tagName !== "div" && tagName !== "p"
+  )
+);
+
+/**
+ * An open <p> element is only closed implicitly if it isn't inside of one of these elements.
+ * @see https://html.spec.whatwg.org/multipage/parsing.html#has-an-element-in-button-scope
+ */
+const buttonScopeBoundaryTagNames = new Set([
+  "applet",
+  "button",
+  "caption",
+  "html",
+  "marquee",
+  "object",
+  "table",
+  "td",
+  "template",
+  "th",
+]);
+
+/**
+ * Opening tags for these elements will close an open <p> element.
+ */
+const paragraphClosingTagNames = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "center",
+  "dd",
+  "details",
+  "dialog",
+  "dir",
+  "div",
+  "dl",
+  "dt",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "footer",
+  "form",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "header",
+  "hgroup",
+  "hr",
+  "li",
+  "listing",
+  "main",
+  "menu",
+  "nav",
+  "ol",
+  "p",
+  "plaintext",
+  "pre",
+  "search",
+  "section",
+  "summary",
+  "table",
+  "ul",
+  "xmp",
+]);
+
+/**
+ * @typedef ImpliedEndTagRule
+ * @property {ReadonlySet<string>} closedTagNames - Tag names of open elements which the opening tag will close
+ * @property {ReadonlySet<string> | null} boundaryTagNames - Tag names of open elements which stop the search for an element to close,
+ *    or null if only the current element can be closed
+ */
+
+/**
+ * @type {ImpliedEndTagRule}
+ */
+const paragraphRule = {
+  closedTagNames: new Set(["p"]),
+  boundaryTagNames: buttonScopeBoundaryTagNames,
+};
+
+/**
+ * Rules for which open elements are implicitly closed by each opening tag.
+ * @see https://html.spec.whatwg.org/multipage/syntax.html#optional-tags
+ * @type {Readonly<Record<string, ReadonlyArray<ImpliedEndTagRule>>>}
+ */
+const impliedEndTagRules = Object.freeze({
+  li: [
+    {
+      closedTagNames: new Set(["li"]),
+      boundaryTagNames: listItemScopeBoundaryTagNames,
+    },
+    paragraphRule,
+  ],
+  dd: [
+    {
+      closedTagNames: new Set(["dd", "dt"]),
+      boundaryTagNames: listItemScopeBoundaryTagNames,
+    },
+    paragraphRule,
+  ],
+  dt: [
+    {
+      closedTagNames: new Set(["dd", "dt"]),
+      boundaryTagNames: listItemScopeBoundaryTagNames,
+    },
+    paragraphRule,
+  ],
+  option: [{ closedTagNames: new Set(["option"]), boundaryTagNames: null }],
+  optgroup: [
+    {
+      closedTagNames: new Set(["option", "optgroup"]),
+      boundaryTagNames: new Set(["select", "datalist", "template", "html"]),
+    },
+  ],
+  td: [
+    {
+      closedTagNames: new Set(["td", "th"]),
+      boundaryTagNames: new Set(["tr", "table", "template", "html"]),
+    },
+  ],
+  th: [
+    {
+      closedTagNames: new Set(["td", "th"]),
+      boundaryTagNames: new Set(["tr", "table", "template", "html"]),
+    },
+  ],
+  tr: [
+    {
+      closedTagNames: new Set(["tr"]),
+      boundaryTagNames: new Set([
+        "tbody",
+        "thead",
+        "tfoot",
+        "table",
+        "template",
+        "html",
+      ]),
+    },
+  ],
+  tbody: [
+    {
+      closedTagNames: new Set(["tbody", "thead", "tfoot"]),
+      boundaryTagNames: new Set(["table", "template", "html"]),
+    },
+  ],
+  thead: [
+    {
+      closedTagNames: new Set(["tbody", "thead", "tfoot"]),
+      boundaryTagNames: new Set(["table", "template", "html"]),
+    },
+  ],
+  tfoot: [
+    {
+      closedTagNames: new Set(["tbody", "thead", "tfoot"]),
+      boundaryTagNames: new Set(["table", "template", "html"]),
+    },
+  ],
+  rb: [
+    {
+      closedTagNames: new Set(["rb", "rp", "rt", "rtc"]),
+      boundaryTagNames: new Set(["ruby"]),
+    },
+  ],
+  rtc: [
+    {
+      closedTagNames: new Set(["rb", "rp", "rt", "rtc"]),
+      boundaryTagNames: new Set(["ruby"]),
+    },
+  ],
+  rp: [
+    {
+      closedTagNames: new Set(["rb", "rp", "rt"]),
+      boundaryTagNames: new Set(["ruby", "rtc"]),
+    },
+  ],
+  rt: [
+    {
+      closedTagNames: new Set(["rb", "rp", "rt"]),
+      boundaryTagNames: new Set(["ruby", "rtc"]),
+    },
+  ],
+});
+
+/**
+ * Elements whose closing tags may be omitted, so it isn't a problem when they're closed implicitly.
+ */
+const optionalEndTagTagNames = new Set([
+  "dd",
+  "dt",
+  "li",
+  "optgroup",
+  "option",
+  "p",
+  "rb",
+  "rp",
+  "rt",
+  "rtc",
+  "tbody",
+  "td",
+  "tfoot",
+  "th",
+  "thead",
+  "tr",
+]);
+
+/**
+ * @param {ImpliedEndTagRule} rule
+ * @param {string[]} openTagNames - Lowercased tag names of all open elements, from the root to the current element
+ * @returns {number} Index of the open element which the rule closes, or -1 if it doesn't close any
+ */
+const getImpliedEndTagRuleIndex = (
+  { closedTagNames, boundaryTagNames },
+  openTagNames
+) => {
+  for (let i = openTagNames.length - 1; i >= 0; --i) {
+    const openTagName = /** @type {string} */ (openTagNames[i]);
+    if (closedTagNames.has(openTagName)) {
+      return i;
+    }
+
+    if (!boundaryTagNames || boundaryTagNames.has(openTagName)) {
+      break;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Finds which open element, if any, an opening tag implicitly closes, per the HTML spec's optional end tag rules.
+ * For instance, an opening <li> tag will close an open <li> element in the same list.
+ *
+ * @param {string} tagName
+ * @param {string[]} openTagNames - Tag names of all open elements, from the root to the current element
+ * @returns {number} Index in `openTagNames` of the outermost element which the opening tag closes, along with everything inside of it;
+ *    -1 if the opening tag doesn't close any elements
+ */
+export function getImpliedEndTagIndex(tagName, openTagNames) {
+  const lowerCaseTagName = tagName.toLowerCase();
+  // Make sure tag names like "constructor" don't match properties on the object's prototype
+  const rules = Object.hasOwn(impliedEndTagRules, lowerCaseTagName)
+    ? impliedEndTagRules[
+        /** @type {keyof typeof impliedEndTagRules} */ (lowerCaseTagName)
+      ]
+    : paragraphClosingTagNames.has(lowerCaseTagName)
+    ? [paragraphRule]
+    : [];
+
+  const lowerCaseOpenTagNames = openTagNames.map((openTagName) =>
+    openTagName.toLowerCase()
+  );
+
+  let impliedEndTagIndex = -1;
+  for (const rule of rules) {
+    const ruleIndex = getImpliedEndTagRuleIndex(rule, lowerCaseOpenTagNames);
+    if (
+      ruleIndex !== -1 &&
+      (impliedEndTagIndex === -1 || ruleIndex < impliedEndTagIndex)
+    ) {
+      impliedEndTagIndex = ruleIndex;
+    }
+  }
+
+  return impliedEndTagIndex;
+}
+
+/**
+ * @param {string} tagName
+ * @returns {boolean} Whether the element's closing tag may be omitted per the HTML spec
+ */
+export const hasOptionalEndTag = (tagName) =>
+  optionalEndTagTagNames.has(tagName.toLowerCase());
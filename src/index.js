@@ -1,2 +1,9 @@
 export * from "./HTMLParser.js";
+export { HTMLParseCache } from "./parseCache.js";
 export * from "./types.js";
+export * from "./diagnostics.js";
+export * from "./serialize.js";
+export * from "./selectors.js";
+export * from "./walk.js";
+export * from "./diff.js";
+export * from "./components.js";
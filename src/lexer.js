@@ -1,3 +1,4 @@
+import { closeSync, openSync, readSync } from "node:fs";
 import { open } from "node:fs/promises";
 
 import {
@@ -10,6 +11,7 @@ import {
   isLegalLeadingTagNameChar,
   isLegalTagNameChar,
   isLegalUnquotedAttributeValueChar,
+  isCRLFNewline,
   isLineBreak,
   isRawTextContentElementTagname,
   isScriptQuoteChar,
@@ -19,13 +21,21 @@ import {
   EXCLAMATION_PT,
   HYPHEN,
   EQUALS,
+  SINGLE_QUOTE,
   doCharCodesMatchDocType,
 } from "./lexerUtils.js";
+import { decodeCharacterReferences } from "./characterReferences.js";
+import { DiagnosticCode } from "./diagnostics.js";
+import {
+  ENCODING_PRESCAN_BYTE_COUNT,
+  ENCODING_PRESCAN_TIMEOUT_MS,
+  getEncodingForLabel,
+  prescanForMetaCharset,
+} from "./encodingSniffing.js";
 
 /**
- * @import { WritableStreamDefaultWriter } from 'node:stream/web';
  * @import { FileHandle } from 'node:fs/promises';
- * @import { HTMLParserOptions, HTMLParserSource } from './types.js';
+ * @import { HTMLParserOptions, HTMLParserSource, TmphSourcePosition, TmphSourceRange, TmphDiagnosticSeverity } from './types.js';
  */
 
 /**
@@ -46,6 +56,8 @@ export const LexerTokenType = Object.freeze({
   ATTRIBUTE_VALUE: 9,
   COMMENT: 10,
   DOCTYPE_DECLARATION: 11,
+  DIAGNOSTIC: 12,
+  ENCODING: 13,
 });
 
 /**
@@ -59,10 +71,22 @@ export const LexerTokenType = Object.freeze({
  *  | "ATTRIBUTE_VALUE"
  *  | "COMMENT"
  *  | "DOCTYPE_DECLARATION"
+ *  | "ENCODING"
  * ]} type
  * @property {string} value
  * @property {number} l - Line number
  * @property {number} c - Column number
+ * @property {TmphSourcePosition} start - Position where the token's source text starts
+ * @property {TmphSourcePosition} end - Position immediately after the token's source text ends
+ * @property {string} [raw] - Source text which was processed to get the token's value. Only included if the `preserveFormatting` option is enabled, for
+ *    ATTRIBUTE_VALUE (the value before escapes were removed), CLOSING_TAGNAME (the full closing tag), COMMENT (the untrimmed comment),
+ *    DOCTYPE_DECLARATION (the full declaration) and TEXT_CONTENT (the text before character references were decoded, if it changed).
+ * @property {"\"" | "'" | ""} [quote] - Quote character used for an ATTRIBUTE_VALUE; only included if the `preserveFormatting` option is enabled
+ * @property {true} [decoded] - Set on a TEXT_CONTENT or ATTRIBUTE_VALUE token if the `decodeEntities` option is enabled
+ *    and decoding character references changed its value
+ * @property {string} [whitespaceBefore] - Source text skipped in the opening tag before an ATTRIBUTE_NAME; only included if the `preserveFormatting` option is enabled
+ * @property {TmphSourceRange} [innerRange] - Source range of a quoted ATTRIBUTE_VALUE inside of its quotes; only included if the `parseDirectives`,
+ *    `validateExpressions` or `expressionAST` option is enabled
  */
 
 /**
@@ -71,26 +95,59 @@ export const LexerTokenType = Object.freeze({
  * @property {never} [value]
  * @property {number} l - Line number
  * @property {number} c - Column number
+ * @property {TmphSourcePosition} start - Position where the token's source text starts
+ * @property {TmphSourcePosition} end - Position immediately after the token's source text ends
+ * @property {string} [raw] - Source text skipped in the opening tag before the end of the tag, through the closing ">".
+ *    Only included if the `preserveFormatting` option is enabled.
+ */
+
+/**
+ * Reports a problem the lexer was able to recover from.
+ * @typedef LexerDiagnosticToken
+ * @property {typeof LexerTokenType["DIAGNOSTIC"]} type
+ * @property {string} value - The diagnostic message
+ * @property {DiagnosticCode} code
+ * @property {TmphDiagnosticSeverity} severity
+ * @property {number} l - Line number
+ * @property {number} c - Column number
+ * @property {TmphSourcePosition} start - Position where the problem's source text starts
+ * @property {TmphSourcePosition} end - Position immediately after the problem's source text ends
  */
 
 /**
  * @template {keyof typeof LexerTokenType} [T=keyof typeof LexerTokenType]
- * @typedef {(LexerTokenWithValue | LexerTokenWithNoValue) & {
+ * @typedef {T extends any ? (LexerTokenWithValue | LexerTokenWithNoValue | LexerDiagnosticToken) & {
  *  type: typeof LexerTokenType[T]
- * }} LexerToken
+ * } : never} LexerToken
  */
 
 /**
- * @typedef {() => Promise<{
+ * @typedef {{
  *  ch: number;
  *  l: number;
  *  c: number;
  *  terminatorToken: LexerToken<"EOF" | "ERROR"> | null;
- * }>} PullCharFn
-
+ * }} PulledChar
+ *
+ * @typedef {() => LexerGenerator<PulledChar>} PullCharFn
+ *
  * @typedef {() => undefined | LexerToken<"ERROR">} UnreadCharFn
  */
 
+/**
+ * Pulls the next character without suspending the lexer if it is an ASCII character which has already been read into the buffer,
+ * or returns null if it has to be pulled with `pullChar` instead. Delegating to the `pullChar` generator for every character
+ * is relatively slow, especially before the lexer's code has been optimized, so states use `pullBufferedChar() ?? (yield* pullChar())`.
+ * @typedef {() => PulledChar | null} PullBufferedCharFn
+ */
+
+/**
+ * Gets the source position of the next character to be read. An optional character offset
+ * can be provided to shift the position over characters which were already read or are about to be read;
+ * this should only be used for shifting over ASCII characters on the same line, ie the "<" at the start of a tag.
+ * @typedef {(charOffset?: number) => TmphSourcePosition} GetPositionFn
+ */
+
 // A buffer size of 256 bytes offers a good balance between performance and memory usage.
 // Increasing further can speed things up more by reducing how many I/O operations we need to perform
 // over the course of parsing the file, but the returns get more and more diminishing as you go.
@@ -99,28 +156,107 @@ export const LexerTokenType = Object.freeze({
 // environments, 32 or 64 bytes will work fine.
 const BUFFER_CHUNK_SIZE = 256;
 
+const REPLACEMENT_CHAR_CODE = 0xfffd;
+
 /**
- * @param {{
- *  writableStream: WritableStream<LexerToken>;
- *  options: HTMLParserOptions;
- *  source: HTMLParserSource;
- * }} params
+ * Gets the value for a text content token, decoding character references if the `decodeEntities` option is enabled.
+ * If decoding changed the text, the value is marked as decoded and the original text is included as well if the
+ * `preserveFormatting` option is enabled.
+ * @param {string} rawText
+ * @param {HTMLParserOptions} options
+ * @returns {{ value: string; decoded?: true; raw?: string }}
  */
-export async function lex({ writableStream, options, source }) {
-  // IIFE drives the lexer state machine and writes to the transform stream
-  // until the input is exhausted or an error occurs.
-  const streamWriter = writableStream.getWriter();
+const getDecodedTextValueProperties = (rawText, options) => {
+  if (!options.decodeEntities) {
+    return { value: rawText };
+  }
 
-  /**
-   * @type {FileHandle | null}
-   */
-  let fileHandle = null;
+  const value = decodeCharacterReferences(rawText);
+  if (value === rawText) {
+    return { value };
+  }
+  return options.preserveFormatting
+    ? { value, decoded: true, raw: rawText }
+    : { value, decoded: true };
+};
+
+/**
+ * @param {DiagnosticCode} code
+ * @param {string} message
+ * @param {TmphSourcePosition} start
+ * @param {TmphSourcePosition} end
+ * @param {TmphDiagnosticSeverity} [severity="error"]
+ * @returns {LexerToken<"DIAGNOSTIC">}
+ */
+const createDiagnosticToken = (
+  code,
+  message,
+  start,
+  end,
+  severity = "error"
+) => ({
+  type: LexerTokenType.DIAGNOSTIC,
+  value: message,
+  code,
+  severity,
+  l: start.l,
+  c: start.c,
+  start,
+  end,
+});
 
+/**
+ * A request from the lexer for more of the source to be read into its buffer.
+ * @typedef LexerReadRequest
+ * @property {"read"} type
+ * @property {Uint8Array} buffer - Buffer to read source bytes into, starting from the beginning
+ * @property {number} minByteCount - Minimum number of bytes to read unless the source ends
+ * @property {number} codeUnitByteLength - Byte length of the source's code units; reads shouldn't stop partway through one
+ * @property {number} fillTimeoutMs - If greater than 0, how long to keep waiting for more bytes to fill the buffer after `minByteCount` bytes have been read
+ */
+
+/**
+ * Made by the lexer between state functions to give whatever is consuming its tokens a chance to catch up.
+ * @typedef LexerDrainRequest
+ * @property {"drain"} type
+ */
+
+/**
+ * The lexer state machine is made of generators so that the same code can be run synchronously or asynchronously;
+ * they yield requests for more of the source, and are resumed with the number of bytes which were read
+ * or an error if reading failed.
+ * @template T
+ * @typedef {Generator<LexerReadRequest | LexerDrainRequest, T, number | Error | undefined>} LexerGenerator
+ */
+
+/**
+ * @template {keyof typeof LexerTokenType} [T=keyof typeof LexerTokenType]
+ * @typedef {{ write: (token: LexerToken<T>) => unknown }} LexerTokenWriter
+ */
+
+/**
+ * @type {LexerDrainRequest}
+ */
+const DRAIN_REQUEST = Object.freeze({ type: "drain" });
+
+/**
+ * Runs the lexer state machine over the source, writing tokens until the source is exhausted or an error occurs.
+ * @param {LexerTokenWriter} streamWriter
+ * @param {HTMLParserOptions} options
+ * @param {HTMLParserSource} source
+ * @returns {LexerGenerator<void>}
+ */
+function* lexSource(streamWriter, options, source) {
   let hasUnreadLastChar = false;
   /**
    * @type {number | null}
    */
   let lastReadCharCode = null;
+  /**
+   * The character before the last read character, so the newline of a "\r\n" line break can be recognized even if it is unread
+   * @type {number | null}
+   */
+  let charCodeBeforeLastReadChar = null;
 
   let line = 1;
   let lastReadCharLine = 1;
@@ -128,6 +264,57 @@ export async function lex({ writableStream, options, source }) {
   let column = 0;
   let lastReadCharColumn = 0;
 
+  // Offset of the next character to read from the start of the source, in UTF-16 code units
+  let offset = 0;
+  let lastReadCharOffset = 0;
+
+  // Offset of the next character to read from the start of the source, in bytes
+  let byteOffset = 0;
+  let lastReadCharByteOffset = 0;
+  let lastReadCharByteLength = 0;
+
+  /**
+   * @type {GetPositionFn}
+   */
+  const getPosition = (charOffset = 0) => ({
+    l: line,
+    c: column + 1 + charOffset,
+    offset: offset + charOffset,
+    // ASCII characters take up one code unit, so the number of bytes they take up
+    // is the same as the encoding's code unit size
+    byteOffset: byteOffset + charOffset * readOffsetIncrement,
+  });
+
+  /**
+   * @returns {LexerToken<"EOF">}
+   */
+  const createEOFToken = () => {
+    const position = getPosition();
+    return {
+      type: LexerTokenType.EOF,
+      l: line,
+      c: column,
+      start: position,
+      end: position,
+    };
+  };
+
+  /**
+   * @param {string} errorMessage
+   * @returns {LexerToken<"ERROR">}
+   */
+  const createErrorToken = (errorMessage) => {
+    const position = getPosition();
+    return {
+      type: LexerTokenType.ERROR,
+      value: errorMessage,
+      l: line,
+      c: column,
+      start: position,
+      end: position,
+    };
+  };
+
   /**
    * @type {DataView}
    */
@@ -143,8 +330,18 @@ export async function lex({ writableStream, options, source }) {
     const utf8Bytes = utf8Encoder.encode(source.rawHTMLString);
     charChunkBufferView = new DataView(utf8Bytes.buffer);
     readableByteCount = utf8Bytes.byteLength;
+  } else if ("bytes" in source) {
+    charChunkBufferView = new DataView(
+      source.bytes.buffer,
+      source.bytes.byteOffset,
+      source.bytes.byteLength
+    );
+    readableByteCount = source.bytes.byteLength;
   } else {
-    charChunkBufferView = new DataView(new ArrayBuffer(BUFFER_CHUNK_SIZE));
+    // The buffer needs to be able to hold enough of the start of the source to prescan it for a <meta charset>
+    charChunkBufferView = new DataView(
+      new ArrayBuffer(Math.max(BUFFER_CHUNK_SIZE, ENCODING_PRESCAN_BYTE_COUNT))
+    );
     readableByteCount = 0;
   }
 
@@ -163,9 +360,94 @@ export async function lex({ writableStream, options, source }) {
     charChunkBufferView.getUint8(readOffset);
 
   /**
-   * @returns {Promise<number | null | Error>} Returns the next character code point or null if EOF
+   * Name of the encoding the source is being decoded with
+   */
+  let encoding = "utf-8";
+
+  /**
+   * Decoder for legacy encodings like windows-1252 or Shift_JIS, which the lexer doesn't decode itself.
+   * @type {TextDecoder | null}
    */
-  const readNextChar = async () => {
+  let legacyDecoder = null;
+
+  /**
+   * Whether ASCII bytes always decode to ASCII characters in the legacy encoding,
+   * so they can skip the decoder. This is true for every legacy encoding but ISO-2022-JP.
+   */
+  let isLegacyEncodingAsciiCompatible = true;
+
+  /**
+   * Extra characters which the last byte sequence passed to the legacy decoder decoded to
+   * @type {number[]}
+   */
+  const pendingDecodedCodePoints = [];
+
+  /**
+   * Passes bytes to the legacy decoder until it decodes at least one character.
+   * @param {TextDecoder} decoder
+   * @param {number} leadingByte
+   * @returns {LexerGenerator<{ decoded: string; byteLength: number; isInvalid: boolean } | Error | null>} The decoded characters,
+   *    how many bytes they took up and whether the bytes were invalid, or null if the source ended
+   */
+  const decodeLegacyEncodedChar = function* (decoder, leadingByte) {
+    let byte = leadingByte;
+    let byteLength = 0;
+    let isFlushing = false;
+
+    try {
+      while (true) {
+        ++byteLength;
+        const decoded = decoder.decode(Uint8Array.of(byte), { stream: true });
+        if (decoded) {
+          return { decoded, byteLength, isInvalid: false };
+        }
+
+        const nextByte = yield* readNextChar();
+        if (nextByte === null) {
+          // Flush the decoder; this will throw if the source ended partway through a character
+          isFlushing = true;
+          const flushed = decoder.decode();
+          return flushed
+            ? { decoded: flushed, byteLength, isInvalid: false }
+            : null;
+        } else if (nextByte instanceof Error) {
+          return nextByte;
+        }
+        byte = nextByte;
+      }
+    } catch {
+      // The decoder can't be re-used after encountering invalid bytes, so start over with a new one
+      legacyDecoder = new TextDecoder(encoding, { fatal: true });
+
+      if (
+        !isFlushing &&
+        byteLength > 1 &&
+        byte < 0x80 &&
+        isLegacyEncodingAsciiCompatible
+      ) {
+        // An ASCII byte which interrupts a multi-byte sequence is still read as its own character.
+        // It was the last byte read, so it's guaranteed to still be in the buffer.
+        nextReadOffset -= readOffsetIncrement;
+        --byteLength;
+      }
+
+      return {
+        decoded: String.fromCodePoint(REPLACEMENT_CHAR_CODE),
+        byteLength,
+        isInvalid: true,
+      };
+    }
+  };
+
+  /**
+   * Sources which aren't already fully in memory need to be read into the buffer in chunks
+   */
+  const isSourceBuffered = "rawHTMLString" in source || "bytes" in source;
+
+  /**
+   * @returns {LexerGenerator<number | null | Error>} Returns the next character code point or null if EOF
+   */
+  const readNextChar = function* () {
     if (nextReadOffset < readableByteCount) {
       const readOffset = nextReadOffset;
       nextReadOffset += readOffsetIncrement;
@@ -173,118 +455,213 @@ export async function lex({ writableStream, options, source }) {
       return readBufferedCharBytes(readOffset) || null;
     }
 
-    if (!fileHandle) {
+    if (isSourceBuffered) {
       return null;
     }
 
-    try {
-      const readResult = await fileHandle.read(charChunkBufferView);
-      readableByteCount = readResult.bytesRead;
-    } catch (err) {
-      if (err instanceof Error) {
-        return err;
-      } else {
-        return new Error(String(err));
-      }
+    const readResult = yield {
+      type: "read",
+      buffer: new Uint8Array(charChunkBufferView.buffer),
+      minByteCount: readOffsetIncrement,
+      codeUnitByteLength: readOffsetIncrement,
+      fillTimeoutMs: 0,
+    };
+    if (readResult instanceof Error) {
+      return readResult;
     }
 
+    readableByteCount = readResult ?? 0;
     if (readableByteCount === 0) {
       return null;
     }
 
     nextReadOffset = 0;
-    return readNextChar();
+    return yield* readNextChar();
+  };
+
+  /**
+   * Updates the current position to be after a character which was just pulled.
+   * @param {number} pulledCodePoint
+   * @param {number} charByteLength - The number of bytes the character takes up in the source
+   * @param {boolean} isRereadChar - Whether the character was unread and is being pulled again
+   * @returns {PulledChar}
+   */
+  const advancePastChar = (pulledCodePoint, charByteLength, isRereadChar) => {
+    lastReadCharLine = line;
+    lastReadCharColumn = column;
+    lastReadCharOffset = offset;
+    lastReadCharByteOffset = byteOffset;
+    lastReadCharByteLength = charByteLength;
+
+    if (!isRereadChar) {
+      charCodeBeforeLastReadChar = lastReadCharCode;
+      lastReadCharCode = pulledCodePoint;
+    }
+
+    // Code points outside of the basic multilingual plane take up 2 UTF-16 code units
+    offset += pulledCodePoint > 0xffff ? 2 : 1;
+    byteOffset += charByteLength;
+
+    if (isLineBreak(pulledCodePoint)) {
+      // The newline of a "\r\n" is part of the carriage return's line break, which already started a new line
+      if (!isCRLFNewline(pulledCodePoint, charCodeBeforeLastReadChar)) {
+        ++line;
+        column = 0;
+      }
+      return {
+        ch: pulledCodePoint,
+        l: line,
+        c: column + 1,
+        terminatorToken: null,
+      };
+    }
+
+    return {
+      ch: pulledCodePoint,
+      l: line,
+      c: ++column,
+      terminatorToken: null,
+    };
   };
 
   /**
    * @type {PullCharFn}
    */
-  const pullChar = async () => {
+  const pullChar = function* () {
     /**
      * @type {number}
      */
     let pulledCodePoint;
+    /**
+     * The number of bytes the pulled character takes up in the source
+     * @type {number}
+     */
+    let charByteLength = readOffsetIncrement;
+
+    let isRereadChar = false;
 
     if (hasUnreadLastChar && lastReadCharCode !== null) {
       // If we unread the last character, we'll just re-use it instead of reading a new one.
       hasUnreadLastChar = false;
+      isRereadChar = true;
       pulledCodePoint = lastReadCharCode;
+      charByteLength = lastReadCharByteLength;
+    } else if (pendingDecodedCodePoints.length > 0) {
+      // The previous bytes decoded to multiple characters, so the rest of them don't take up any more bytes
+      pulledCodePoint = /** @type {number} */ (
+        pendingDecodedCodePoints.shift()
+      );
+      charByteLength = 0;
     } else {
-      const leadingCharByte = await readNextChar();
+      const leadingCharByte = yield* readNextChar();
       if (leadingCharByte === null) {
         return {
           ch: -1,
           l: line,
           c: column,
-          terminatorToken: {
-            type: LexerTokenType.EOF,
-            l: line,
-            c: column,
-          },
+          terminatorToken: createEOFToken(),
         };
       } else if (leadingCharByte instanceof Error) {
         return {
           ch: -1,
           l: line,
           c: column,
-          terminatorToken: {
-            type: LexerTokenType.ERROR,
-            value: leadingCharByte.message,
-            l: line,
-            c: column,
-          },
+          terminatorToken: createErrorToken(leadingCharByte.message),
         };
       }
 
-      if (charByteSize === 8) {
+      if (
+        legacyDecoder &&
+        (leadingCharByte >= 0x80 || !isLegacyEncodingAsciiCompatible)
+      ) {
+        const decodeResult = yield* decodeLegacyEncodedChar(
+          legacyDecoder,
+          leadingCharByte
+        );
+        if (decodeResult === null) {
+          return {
+            ch: -1,
+            l: line,
+            c: column,
+            terminatorToken: createEOFToken(),
+          };
+        } else if (decodeResult instanceof Error) {
+          return {
+            ch: -1,
+            l: line,
+            c: column,
+            terminatorToken: createErrorToken(decodeResult.message),
+          };
+        }
+
+        if (decodeResult.isInvalid) {
+          if (!options.recover) {
+            return {
+              ch: -1,
+              l: line,
+              c: column,
+              terminatorToken: createErrorToken(
+                `Invalid ${encoding} byte sequence`
+              ),
+            };
+          }
+
+          streamWriter.write(
+            createDiagnosticToken(
+              DiagnosticCode.INVALID_CHARACTER_ENCODING,
+              `Invalid ${encoding} byte sequence`,
+              getPosition(),
+              getPosition(1)
+            )
+          );
+        }
+
+        const [firstCodePoint, ...remainingCodePoints] = Array.from(
+          decodeResult.decoded,
+          (char) => /** @type {number} */ (char.codePointAt(0))
+        );
+        pulledCodePoint = /** @type {number} */ (firstCodePoint);
+        pendingDecodedCodePoints.push(...remainingCodePoints);
+        charByteLength = decodeResult.byteLength;
+      } else if (charByteSize === 8) {
         // For utf-8, we need to perform special handling for multi-byte sequences
         if (leadingCharByte < 0x80) {
           // Single-byte characters are < 0x80
           pulledCodePoint = leadingCharByte;
         } else if (leadingCharByte >= 0xc0 && leadingCharByte <= 0xdf) {
           // 2-byte sequence
-          const nextByte = await readNextChar();
+          const nextByte = yield* readNextChar();
           if (!nextByte) {
             return {
               ch: -1,
               l: line,
               c: column,
-              terminatorToken: {
-                type: LexerTokenType.EOF,
-                l: line,
-                c: column,
-              },
+              terminatorToken: createEOFToken(),
             };
           } else if (nextByte instanceof Error) {
             return {
               ch: -1,
               l: line,
               c: column,
-              terminatorToken: {
-                type: LexerTokenType.ERROR,
-                value: `An error occurred reading byte-order-marker bytes: ${nextByte.message}`,
-                l: line,
-                c: column,
-              },
+              terminatorToken: createErrorToken(
+                `An error occurred reading byte-order-marker bytes: ${nextByte.message}`
+              ),
             };
           }
 
           pulledCodePoint = ((leadingCharByte & 0x1f) << 6) | (nextByte & 0x3f);
+          charByteLength = 2;
         } else if (leadingCharByte >= 0xe0 && leadingCharByte <= 0xef) {
           // 3-byte sequence
-          const byte2 = await readNextChar();
-          const byte3 = await readNextChar();
+          const byte2 = yield* readNextChar();
+          const byte3 = yield* readNextChar();
 
           if (!byte2 || !byte3) {
             return {
               ch: -1,
               l: line,
               c: column,
-              terminatorToken: {
-                type: LexerTokenType.EOF,
-                l: line,
-                c: column,
-              },
+              terminatorToken: createEOFToken(),
             };
           } else if (byte2 instanceof Error || byte3 instanceof Error) {
             let errorMessage =
@@ -301,17 +678,13 @@ export async function lex({ writableStream, options, source }) {
               ch: -1,
               l: line,
               c: column,
-              terminatorToken: {
-                type: LexerTokenType.ERROR,
-                value:
-                  byte2 instanceof Error
-                    ? byte2.message
-                    : byte3 instanceof Error
-                    ? byte3.message
-                    : "Unknown error reading next byte",
-                l: line,
-                c: column,
-              },
+              terminatorToken: createErrorToken(
+                byte2 instanceof Error
+                  ? byte2.message
+                  : byte3 instanceof Error
+                  ? byte3.message
+                  : "Unknown error reading next byte"
+              ),
             };
           }
 
@@ -319,21 +692,18 @@ export async function lex({ writableStream, options, source }) {
             ((leadingCharByte & 0x0f) << 12) |
             ((byte2 & 0x3f) << 6) |
             (byte3 & 0x3f);
+          charByteLength = 3;
         } else if (leadingCharByte >= 0xf0 && leadingCharByte <= 0xf7) {
           // 4-byte sequence
-          const byte2 = await readNextChar();
-          const byte3 = await readNextChar();
-          const byte4 = await readNextChar();
+          const byte2 = yield* readNextChar();
+          const byte3 = yield* readNextChar();
+          const byte4 = yield* readNextChar();
           if (!byte2 || !byte3 || !byte4) {
             return {
               ch: -1,
               l: line,
               c: column,
-              terminatorToken: {
-                type: LexerTokenType.EOF,
-                l: line,
-                c: column,
-              },
+              terminatorToken: createEOFToken(),
             };
           } else if (
             byte2 instanceof Error ||
@@ -356,12 +726,7 @@ export async function lex({ writableStream, options, source }) {
               ch: -1,
               l: line,
               c: column,
-              terminatorToken: {
-                type: LexerTokenType.ERROR,
-                value: errorMessage,
-                l: line,
-                c: column,
-              },
+              terminatorToken: createErrorToken(errorMessage),
             };
           }
           pulledCodePoint =
@@ -369,17 +734,26 @@ export async function lex({ writableStream, options, source }) {
             ((byte2 & 0x3f) << 12) |
             ((byte3 & 0x3f) << 6) |
             (byte4 & 0x3f);
+          charByteLength = 4;
+        } else if (options.recover) {
+          // Report the invalid byte and replace it with a replacement character so we can keep going
+          streamWriter.write(
+            createDiagnosticToken(
+              DiagnosticCode.INVALID_CHARACTER_ENCODING,
+              `Invalid UTF-8 leading byte: ${leadingCharByte}`,
+              getPosition(),
+              getPosition(1)
+            )
+          );
+          pulledCodePoint = REPLACEMENT_CHAR_CODE;
         } else {
           return {
             ch: -1,
             l: line,
             c: column,
-            terminatorToken: {
-              type: LexerTokenType.ERROR,
-              value: `Invalid UTF-8 leading byte: ${leadingCharByte}`,
-              l: line,
-              c: column,
-            },
+            terminatorToken: createErrorToken(
+              `Invalid UTF-8 leading byte: ${leadingCharByte}`
+            ),
           };
         }
       } else {
@@ -389,28 +763,33 @@ export async function lex({ writableStream, options, source }) {
       }
     }
 
-    lastReadCharLine = line;
-    lastReadCharColumn = column;
+    return advancePastChar(pulledCodePoint, charByteLength, isRereadChar);
+  };
 
-    lastReadCharCode = pulledCodePoint;
+  /**
+   * @type {PullBufferedCharFn}
+   */
+  const pullBufferedChar = () => {
+    if (
+      hasUnreadLastChar ||
+      pendingDecodedCodePoints.length > 0 ||
+      nextReadOffset >= readableByteCount
+    ) {
+      return null;
+    }
 
-    if (isLineBreak(pulledCodePoint)) {
-      ++line;
-      column = 0;
-      return {
-        ch: pulledCodePoint,
-        l: line,
-        c: column + 1,
-        terminatorToken: null,
-      };
+    const charCode = readBufferedCharBytes(nextReadOffset);
+    // A null byte ends the source, which pullChar takes care of
+    if (
+      charCode === 0 ||
+      charCode >= 0x80 ||
+      (legacyDecoder && !isLegacyEncodingAsciiCompatible)
+    ) {
+      return null;
     }
 
-    return {
-      ch: pulledCodePoint,
-      l: line,
-      c: ++column,
-      terminatorToken: null,
-    };
+    nextReadOffset += readOffsetIncrement;
+    return advancePastChar(charCode, readOffsetIncrement, false);
   };
 
   /**
@@ -420,14 +799,13 @@ export async function lex({ writableStream, options, source }) {
     if (!hasUnreadLastChar) {
       line = lastReadCharLine;
       column = lastReadCharColumn;
+      offset = lastReadCharOffset;
+      byteOffset = lastReadCharByteOffset;
       hasUnreadLastChar = true;
     } else {
-      return {
-        type: LexerTokenType.ERROR,
-        value: "Cannot unread a character that has not been read",
-        l: line,
-        c: column,
-      };
+      return createErrorToken(
+        "Cannot unread a character that has not been read"
+      );
     }
   };
 
@@ -436,78 +814,303 @@ export async function lex({ writableStream, options, source }) {
    */
   let nextStateFunction = lexTextContent;
 
-  try {
-    if ("filePath" in source) {
-      fileHandle = await open(source.filePath, "r");
+  const transportEncoding = options.encoding
+    ? getEncodingForLabel(options.encoding)
+    : null;
+
+  if (!isSourceBuffered) {
+    const initialReadResult = yield {
+      type: "read",
+      buffer: new Uint8Array(charChunkBufferView.buffer),
+      // Make sure we have enough bytes to detect the byte order mark
+      minByteCount: 4,
+      codeUnitByteLength: readOffsetIncrement,
+      // Streams may arrive in small chunks, so give the start of the stream some time to come in
+      // so it can be prescanned for a <meta charset>
+      fillTimeoutMs: transportEncoding ? 0 : ENCODING_PRESCAN_TIMEOUT_MS,
+    };
+    if (initialReadResult instanceof Error) {
+      throw initialReadResult;
+    }
+    readableByteCount = initialReadResult ?? 0;
+  }
 
-      const initialReadResult = await fileHandle.read(charChunkBufferView);
-      readableByteCount = initialReadResult.bytesRead;
+  if (!("rawHTMLString" in source)) {
+    let hasByteOrderMark = false;
 
-      if (readableByteCount >= 4) {
-        const bomBytes = [
-          charChunkBufferView.getUint8(0),
-          charChunkBufferView.getUint8(1),
-          charChunkBufferView.getUint8(2),
-          charChunkBufferView.getUint8(3),
-        ];
+    if (readableByteCount >= 4) {
+      const bomBytes = [
+        charChunkBufferView.getUint8(0),
+        charChunkBufferView.getUint8(1),
+        charChunkBufferView.getUint8(2),
+        charChunkBufferView.getUint8(3),
+      ];
 
-        if (
-          bomBytes[0] === 0xef &&
-          bomBytes[1] === 0xbb &&
-          bomBytes[2] === 0xbf
-        ) {
-          // This is just a UTF-8 BOM; we can keep reading like normal, just skip those initial 3 bytes
-          nextReadOffset = 3;
-          // Leave charByteSize and readBufferedCharBytes as their 8-bit defaults
-        } else if (bomBytes[0] === 0xfe && bomBytes[1] === 0xff) {
-          // UTF-16 big endian
+      if (
+        bomBytes[0] === 0xef &&
+        bomBytes[1] === 0xbb &&
+        bomBytes[2] === 0xbf
+      ) {
+        // This is just a UTF-8 BOM; we can keep reading like normal, just skip those initial 3 bytes
+        hasByteOrderMark = true;
+        nextReadOffset = 3;
+        // Leave charByteSize and readBufferedCharBytes as their 8-bit defaults
+      } else if (bomBytes[0] === 0xfe && bomBytes[1] === 0xff) {
+        // UTF-16 big endian
+        hasByteOrderMark = true;
+        encoding = "utf-16be";
+        charByteSize = 16;
+        nextReadOffset = 2;
+        readBufferedCharBytes = (readOffset) =>
+          // Call getUint16 with the little endian flag set to false
+          charChunkBufferView.getUint16(readOffset, false);
+      } else if (bomBytes[0] === 0xff && bomBytes[1] === 0xfe) {
+        // Little endian!
+        if (bomBytes[2] === 0 && bomBytes[3] === 0) {
+          // UTF-32 little endian
+          hasByteOrderMark = true;
+          encoding = "utf-32le";
+          charByteSize = 32;
+          nextReadOffset = 4;
+          readBufferedCharBytes = (readOffset) =>
+            // Call getUint32 with the little endian flag set to true
+            charChunkBufferView.getUint32(readOffset, true);
+        } else {
+          // UTF-16 little endian
+          hasByteOrderMark = true;
+          encoding = "utf-16le";
           charByteSize = 16;
           nextReadOffset = 2;
           readBufferedCharBytes = (readOffset) =>
-            // Call getUint16 with the little endian flag set to false
-            charChunkBufferView.getUint16(readOffset, false);
-        } else if (bomBytes[0] === 0xff && bomBytes[1] === 0xfe) {
-          // Little endian!
-          if (bomBytes[2] === 0 && bomBytes[3] === 0) {
-            // UTF-32 little endian
-            charByteSize = 32;
-            nextReadOffset = 4;
-            readBufferedCharBytes = (readOffset) =>
-              // Call getUint32 with the little endian flag set to true
-              charChunkBufferView.getUint32(readOffset, true);
-          } else {
-            // UTF-16 little endian
-            charByteSize = 16;
-            nextReadOffset = 2;
-            readBufferedCharBytes = (readOffset) =>
-              // Call getUint16 with the little endian flag set to true
-              charChunkBufferView.getUint16(readOffset, true);
+            // Call getUint16 with the little endian flag set to true
+            charChunkBufferView.getUint16(readOffset, true);
+        }
+      } else if (
+        bomBytes[0] === 0 &&
+        bomBytes[1] === 0 &&
+        bomBytes[2] === 0xfe &&
+        bomBytes[3] === 0xff
+      ) {
+        // UTF-32 big endian
+        hasByteOrderMark = true;
+        encoding = "utf-32be";
+        charByteSize = 32;
+        nextReadOffset = 4;
+        readBufferedCharBytes = (readOffset) =>
+          // Call getUint32 with the little endian flag set to false
+          charChunkBufferView.getUint32(readOffset, false);
+      }
+    }
+
+    if (!hasByteOrderMark) {
+      // Without a byte order mark, the encoding can come from the transport layer or a <meta> tag
+      // https://html.spec.whatwg.org/multipage/parsing.html#encoding-sniffing-algorithm
+      encoding =
+        transportEncoding ??
+        prescanForMetaCharset(
+          new Uint8Array(
+            charChunkBufferView.buffer,
+            charChunkBufferView.byteOffset,
+            readableByteCount
+          )
+        ) ??
+        "utf-8";
+
+      if (encoding === "utf-16le" || encoding === "utf-16be") {
+        charByteSize = 16;
+        const isLittleEndian = encoding === "utf-16le";
+        readBufferedCharBytes = (readOffset) =>
+          charChunkBufferView.getUint16(readOffset, isLittleEndian);
+      } else if (encoding !== "utf-8") {
+        legacyDecoder = new TextDecoder(encoding, { fatal: true });
+        isLegacyEncodingAsciiCompatible = encoding !== "iso-2022-jp";
+      }
+    }
+
+    readOffsetIncrement = charByteSize >> 3;
+    // Byte offsets are relative to the start of the source, so they should include the byte order mark
+    byteOffset = nextReadOffset;
+  }
+
+  const encodingPosition = getPosition();
+  streamWriter.write({
+    type: LexerTokenType.ENCODING,
+    value: encoding,
+    l: encodingPosition.l,
+    c: encodingPosition.c,
+    start: encodingPosition,
+    end: encodingPosition,
+  });
+
+  while (nextStateFunction) {
+    yield DRAIN_REQUEST;
+    nextStateFunction = yield* nextStateFunction(
+      streamWriter,
+      pullChar,
+      pullBufferedChar,
+      unreadChar,
+      getPosition,
+      options
+    );
+  }
+}
+
+/**
+ * Creates a function which reads chunks from a byte stream into the lexer's buffer.
+ * @param {ReadableStreamDefaultReader<Uint8Array>} reader
+ * @returns {(request: LexerReadRequest) => Promise<number>}
+ */
+const createByteStreamChunkReader = (reader) => {
+  /**
+   * Pending chunk from the byte stream which hasn't been fully copied into the buffer yet
+   * @type {Uint8Array | null}
+   */
+  let pendingByteStreamChunk = null;
+
+  /**
+   * Read from the byte stream which was left pending when we stopped waiting on it
+   * @type {Promise<ReadableStreamReadResult<Uint8Array>> | null}
+   */
+  let pendingByteStreamRead = null;
+
+  /**
+   * Copies chunks from the byte stream into the buffer. Chunks can be split at any byte, so this will keep reading
+   * until it has at least `minByteCount` bytes without splitting a code unit, the buffer is full, or the stream ends.
+   * If a fill timeout is requested, this will keep waiting on the stream to fill the buffer until the timeout.
+   */
+  return async ({
+    buffer,
+    minByteCount,
+    codeUnitByteLength,
+    fillTimeoutMs,
+  }) => {
+    let bytesRead = 0;
+
+    /**
+     * @type {ReturnType<typeof setTimeout> | undefined}
+     */
+    let fillTimeoutId;
+    /**
+     * @type {Promise<null> | null}
+     */
+    const fillTimeoutPromise =
+      fillTimeoutMs > 0
+        ? new Promise((resolve) => {
+            fillTimeoutId = setTimeout(() => resolve(null), fillTimeoutMs);
+          })
+        : null;
+
+    try {
+      while (bytesRead < buffer.byteLength) {
+        if (!pendingByteStreamChunk) {
+          const hasEnoughBytes =
+            bytesRead >= minByteCount && bytesRead % codeUnitByteLength === 0;
+          if (hasEnoughBytes && !fillTimeoutPromise) {
+            // Don't wait on the stream for more bytes if we already have enough to keep lexing
+            break;
           }
-        } else if (
-          bomBytes[0] === 0 &&
-          bomBytes[1] === 0 &&
-          bomBytes[2] === 0xfe &&
-          bomBytes[3] === 0xff
-        ) {
-          // UTF-32 big endian
-          charByteSize = 32;
-          nextReadOffset = 4;
-          readBufferedCharBytes = (readOffset) =>
-            // Call getUint32 with the little endian flag set to false
-            charChunkBufferView.getUint32(readOffset, false);
+
+          pendingByteStreamRead ??= reader.read();
+          const readResult =
+            hasEnoughBytes && fillTimeoutPromise
+              ? await Promise.race([pendingByteStreamRead, fillTimeoutPromise])
+              : await pendingByteStreamRead;
+          if (!readResult) {
+            // We've waited long enough; leave the read pending so the next call can pick it up
+            break;
+          }
+          pendingByteStreamRead = null;
+
+          if (readResult.done) {
+            break;
+          }
+          pendingByteStreamChunk = readResult.value;
+          continue;
         }
+
+        const copiedByteCount = Math.min(
+          pendingByteStreamChunk.byteLength,
+          buffer.byteLength - bytesRead
+        );
+        buffer.set(
+          pendingByteStreamChunk.subarray(0, copiedByteCount),
+          bytesRead
+        );
+        bytesRead += copiedByteCount;
+        pendingByteStreamChunk =
+          copiedByteCount < pendingByteStreamChunk.byteLength
+            ? pendingByteStreamChunk.subarray(copiedByteCount)
+            : null;
+      }
+    } finally {
+      clearTimeout(fillTimeoutId);
+    }
+
+    return bytesRead;
+  };
+};
+
+/**
+ * Lexes the source in a worker thread, writing tokens to the stream transferred from the main thread.
+ * @param {{
+ *  writableStream: WritableStream<LexerToken>;
+ *  options: HTMLParserOptions;
+ *  source: HTMLParserSource;
+ * }} params
+ */
+export async function lex({ writableStream, options, source }) {
+  const streamWriter = writableStream.getWriter();
+
+  /**
+   * @type {FileHandle | null}
+   */
+  let fileHandle = null;
+
+  /**
+   * @type {ReadableStreamDefaultReader<Uint8Array> | null}
+   */
+  let byteStreamReader = null;
+
+  try {
+    /**
+     * @type {(request: LexerReadRequest) => Promise<number>}
+     */
+    let readSourceBytes = async () => 0;
+    if ("filePath" in source && !("bytes" in source)) {
+      const openedFileHandle = await open(source.filePath, "r");
+      fileHandle = openedFileHandle;
+      readSourceBytes = async ({ buffer }) =>
+        (await openedFileHandle.read(buffer)).bytesRead;
+    } else if ("byteStream" in source) {
+      byteStreamReader = source.byteStream.getReader();
+      readSourceBytes = createByteStreamChunkReader(byteStreamReader);
+    }
+
+    const lexer = lexSource(
+      {
+        // Writes will fail if the parser cancels the stream, ie if the parse was aborted;
+        // that will be picked up by waiting on the writer before lexing the next token
+        write: (token) => streamWriter.write(token).catch(() => {}),
+      },
+      options,
+      source
+    );
+    let lexerResult = lexer.next();
+    while (!lexerResult.done) {
+      const request = lexerResult.value;
+      if (request.type === "drain") {
+        // Wait for the parser to catch up before lexing more tokens; letting writes pile up
+        // unbounded on the stream transferred from the main thread can stall it on larger files.
+        // This will throw if the parser cancelled the stream, which stops lexing.
+        await streamWriter.ready;
+        lexerResult = lexer.next();
+      } else {
+        lexerResult = lexer.next(
+          await readSourceBytes(request).catch((err) =>
+            err instanceof Error ? err : new Error(String(err))
+          )
+        );
       }
-
-      readOffsetIncrement = charByteSize >> 3;
-    }
-
-    while (nextStateFunction) {
-      nextStateFunction = await nextStateFunction(
-        streamWriter,
-        pullChar,
-        unreadChar,
-        options
-      );
     }
     await streamWriter.close();
   } catch (err) {
@@ -517,26 +1120,99 @@ export async function lex({ writableStream, options, source }) {
   } finally {
     // Ensure we clean up the file handle even if the loop is broken out of
     await fileHandle?.close();
+    // Let the stream's source know we're done with it if lexing stopped before the end of the stream
+    await byteStreamReader?.cancel().catch(() => {});
     streamWriter.releaseLock();
   }
 }
 
+/**
+ * Lexes the source synchronously in the calling thread, yielding tokens as they are lexed.
+ * Byte streams can't be read synchronously, so they aren't supported.
+ * @param {{
+ *  options: HTMLParserOptions;
+ *  source: HTMLParserSource;
+ * }} params
+ * @returns {Generator<LexerToken, void, undefined>}
+ */
+export function* lexSync({ options, source }) {
+  if ("byteStream" in source) {
+    throw new Error("Byte streams cannot be lexed synchronously");
+  }
+
+  /**
+   * @type {LexerToken[]}
+   */
+  const pendingTokens = [];
+
+  /**
+   * @type {number | null}
+   */
+  let fileDescriptor = null;
+
+  try {
+    /**
+     * @type {(request: LexerReadRequest) => number}
+     */
+    let readSourceBytes = () => 0;
+    if ("filePath" in source && !("bytes" in source)) {
+      const openedFileDescriptor = openSync(source.filePath, "r");
+      fileDescriptor = openedFileDescriptor;
+      readSourceBytes = ({ buffer }) => readSync(openedFileDescriptor, buffer);
+    }
+
+    const lexer = lexSource(
+      { write: (token) => pendingTokens.push(token) },
+      options,
+      source
+    );
+    let lexerResult = lexer.next();
+    while (!lexerResult.done) {
+      const request = lexerResult.value;
+      if (request.type === "drain") {
+        yield* pendingTokens;
+        pendingTokens.length = 0;
+        lexerResult = lexer.next();
+      } else {
+        /**
+         * @type {number | Error}
+         */
+        let readResult;
+        try {
+          readResult = readSourceBytes(request);
+        } catch (err) {
+          readResult = err instanceof Error ? err : new Error(String(err));
+        }
+        lexerResult = lexer.next(readResult);
+      }
+    }
+    yield* pendingTokens;
+  } finally {
+    if (fileDescriptor !== null) {
+      closeSync(fileDescriptor);
+    }
+  }
+}
+
 /**
  * @template {keyof typeof LexerTokenType} T
  * @template {LexerStateFunction<any,any,any>|null} TNextStateFunction
  * @template {HTMLParserOptions} [TOptions=HTMLParserOptions]
  * @typedef {(
- *  streamWriter: WritableStreamDefaultWriter<LexerToken<T>>,
+ *  streamWriter: LexerTokenWriter<T>,
  *  pullChar: PullCharFn,
+ *  pullBufferedChar: PullBufferedCharFn,
  *  unreadChar: UnreadCharFn,
+ *  getPosition: GetPositionFn,
  *  options: TOptions,
- * ) => Promise<TNextStateFunction | null>} LexerStateFunction
+ * ) => LexerGenerator<TNextStateFunction | null>} LexerStateFunction
  */
 
 /**
  * @type {LexerStateFunction<
  *  | "TEXT_CONTENT"
  *  | "DOCTYPE_DECLARATION"
+ *  | "DIAGNOSTIC"
  *  | "EOF"
  *  | "ERROR",
  *  | typeof lexOpeningTagContents
@@ -545,7 +1221,16 @@ export async function lex({ writableStream, options, source }) {
  *  | typeof lexTextContent
  *  >}
  */
-async function lexTextContent(streamWriter, pullChar, unreadChar) {
+function* lexTextContent(
+  streamWriter,
+  pullChar,
+  pullBufferedChar,
+  unreadChar,
+  getPosition,
+  options
+) {
+  const startPosition = getPosition();
+
   /**
    * @type {number|undefined}
    */
@@ -569,13 +1254,19 @@ async function lexTextContent(streamWriter, pullChar, unreadChar) {
    */
   let prevColumn;
 
+  const getTextContentValueProperties = () =>
+    getDecodedTextValueProperties(
+      String.fromCodePoint(...textContentCodes),
+      options
+    );
+
   while (true) {
     let {
       ch: nextCharCode,
       l: nextLine,
       c: nextCol,
       terminatorToken,
-    } = await pullChar();
+    } = pullBufferedChar() ?? (yield* pullChar());
 
     if (!startLine || !startColumn) {
       startLine = nextLine;
@@ -587,9 +1278,11 @@ async function lexTextContent(streamWriter, pullChar, unreadChar) {
         // If we have any text content buffered, yield it as a final token before EOF
         streamWriter.write({
           type: LexerTokenType.TEXT_CONTENT,
-          value: String.fromCodePoint(...textContentCodes),
+          ...getTextContentValueProperties(),
           l: startLine,
           c: startColumn,
+          start: startPosition,
+          end: terminatorToken.start,
         });
       }
       streamWriter.write(terminatorToken);
@@ -614,9 +1307,12 @@ async function lexTextContent(streamWriter, pullChar, unreadChar) {
 
         streamWriter.write({
           type: LexerTokenType.TEXT_CONTENT,
-          value: String.fromCodePoint(...textContentCodes),
+          ...getTextContentValueProperties(),
           l: startLine,
           c: startColumn,
+          start: startPosition,
+          // Text content ends before the "<"
+          end: getPosition(-1),
         });
         return lexOpeningTagContents;
       } else if (
@@ -635,9 +1331,12 @@ async function lexTextContent(streamWriter, pullChar, unreadChar) {
 
         streamWriter.write({
           type: LexerTokenType.TEXT_CONTENT,
-          value: String.fromCodePoint(...textContentCodes),
+          ...getTextContentValueProperties(),
           l: startLine,
           c: startColumn,
+          start: startPosition,
+          // Text content ends before the "</"
+          end: getPosition(-2),
         });
         return lexClosingTagName;
       }
@@ -653,9 +1352,12 @@ async function lexTextContent(streamWriter, pullChar, unreadChar) {
         textContentCodes.length -= 3;
         streamWriter.write({
           type: LexerTokenType.TEXT_CONTENT,
-          value: String.fromCodePoint(...textContentCodes),
+          ...getTextContentValueProperties(),
           l: startLine,
           c: startColumn,
+          start: startPosition,
+          // Text content ends before the "<!--"
+          end: getPosition(-4),
         });
         return lexCommentTag;
       }
@@ -666,22 +1368,42 @@ async function lexTextContent(streamWriter, pullChar, unreadChar) {
         doCharCodesMatchDocType(textContentCodes.slice(-9))
       ) {
         // Shave off the "<!DOCTYPE" part of the string
+        const doctypeKeyword = String.fromCodePoint(
+          ...textContentCodes.slice(-9)
+        );
         textContentCodes.length -= 9;
 
+        // Unread the whitespace so we can determine where the "<!DOCTYPE" ended; the
+        // declaration lexer will just read it as part of the declaration.
+        const unreadErrToken = unreadChar();
+        if (unreadErrToken) {
+          streamWriter.write(unreadErrToken);
+          return null;
+        }
+
+        const doctypeStartPosition = getPosition(-9);
+
         streamWriter.write({
           type: LexerTokenType.TEXT_CONTENT,
-          value: String.fromCodePoint(...textContentCodes),
+          ...getTextContentValueProperties(),
           l: startLine,
           c: startColumn,
+          start: startPosition,
+          end: doctypeStartPosition,
         });
-        await lexDoctypeDeclaration(
+        yield* lexDoctypeDeclaration(
           pullChar,
+          pullBufferedChar,
           streamWriter,
           // Use the previous line and column in case our whitespace
           // is a line break which could result in an incorrectly
           // reported line and column number for where the <!DOCTYPE> tag started
           prevLine ?? 1,
-          (prevColumn ?? 9) - 8
+          (prevColumn ?? 9) - 8,
+          getPosition,
+          doctypeStartPosition,
+          doctypeKeyword,
+          options
         );
         return lexTextContent;
       }
@@ -693,13 +1415,45 @@ async function lexTextContent(streamWriter, pullChar, unreadChar) {
   }
 }
 
+/**
+ * @param {number} charCode - The unexpected character, which was just read
+ * @param {string} tagName
+ * @param {GetPositionFn} getPosition
+ * @returns {LexerToken<"DIAGNOSTIC">}
+ */
+const createUnexpectedCharacterInTagDiagnosticToken = (
+  charCode,
+  tagName,
+  getPosition
+) =>
+  createDiagnosticToken(
+    DiagnosticCode.UNEXPECTED_CHARACTER_IN_TAG,
+    `Unexpected character "${String.fromCodePoint(
+      charCode
+    )}" in <${tagName}> opening tag`,
+    getPosition(-1),
+    getPosition(),
+    "warning"
+  );
+
 /**
  * Read the tag name at the start of an opening tag's contents.
+ * The token's source range will include the "<" before the tag name.
  * @param {PullCharFn} pullChar
+ * @param {PullBufferedCharFn} pullBufferedChar
  * @param {UnreadCharFn} unreadChar
- * @return {Promise<LexerToken<"OPENING_TAGNAME"|"EOF"|"ERROR">>}
+ * @param {GetPositionFn} getPosition
+ * @returns {LexerGenerator<LexerToken<"OPENING_TAGNAME"|"EOF"|"ERROR">>}
  */
-async function readOpeningTagName(pullChar, unreadChar) {
+function* readOpeningTagName(
+  pullChar,
+  pullBufferedChar,
+  unreadChar,
+  getPosition
+) {
+  // The "<" has already been read, so the tag starts one character back
+  const startPosition = getPosition(-1);
+
   /**
    * @type {number[]}
    */
@@ -720,9 +1474,25 @@ async function readOpeningTagName(pullChar, unreadChar) {
       l: nextLine,
       c: nextCol,
       terminatorToken,
-    } = await pullChar();
+    } = pullBufferedChar() ?? (yield* pullChar());
 
     if (terminatorToken) {
+      if (
+        terminatorToken.type === LexerTokenType.EOF &&
+        startLine &&
+        startColumn
+      ) {
+        // Return the partial tag name so the unterminated tag can still be reported;
+        // the next read will hit the end of the file again.
+        return {
+          type: LexerTokenType.OPENING_TAGNAME,
+          value: String.fromCodePoint(...tagnameCodePointString),
+          l: startLine,
+          c: startColumn,
+          start: startPosition,
+          end: terminatorToken.start,
+        };
+      }
       return terminatorToken;
     }
 
@@ -744,6 +1514,8 @@ async function readOpeningTagName(pullChar, unreadChar) {
         value: String.fromCodePoint(...tagnameCodePointString),
         l: startLine,
         c: startColumn,
+        start: startPosition,
+        end: getPosition(),
       };
     }
   }
@@ -751,14 +1523,16 @@ async function readOpeningTagName(pullChar, unreadChar) {
 
 /**
  * @type {LexerStateFunction<
- *   "OPENING_TAGNAME"|"ATTRIBUTE_NAME"|"ATTRIBUTE_VALUE"|"TEXT_CONTENT"|"SELF_CLOSING_TAG_END"|"OPENING_TAG_END"|"CLOSING_TAGNAME"|"EOF"|"ERROR",
+ *   "OPENING_TAGNAME"|"ATTRIBUTE_NAME"|"ATTRIBUTE_VALUE"|"TEXT_CONTENT"|"SELF_CLOSING_TAG_END"|"OPENING_TAG_END"|"CLOSING_TAGNAME"|"DIAGNOSTIC"|"EOF"|"ERROR",
  *   typeof lexTextContent | typeof lexClosingTagEnd
  * >}
  */
-async function lexOpeningTagContents(
+function* lexOpeningTagContents(
   streamWriter,
   pullChar,
+  pullBufferedChar,
   unreadChar,
+  getPosition,
   options
 ) {
   /**
@@ -766,16 +1540,29 @@ async function lexOpeningTagContents(
    */
   let prevCharCode = null;
 
-  const openingTagNameToken = await readOpeningTagName(pullChar, unreadChar);
+  const openingTagNameToken = yield* readOpeningTagName(
+    pullChar,
+    pullBufferedChar,
+    unreadChar,
+    getPosition
+  );
   streamWriter.write(openingTagNameToken);
 
   if (openingTagNameToken.type !== LexerTokenType.OPENING_TAGNAME) {
     return null;
   }
 
-  const tagName = openingTagNameToken.value;
+  // Tag names are case-insensitive, so "<SCRIPT>" is just as much a raw text element as "<script>"
+  const tagName = openingTagNameToken.value.toLowerCase();
   const isVoidTag = isVoidElementTagname(tagName);
 
+  /**
+   * Characters which were skipped since the tag name or last attribute, ie whitespace.
+   * These are only tracked if the `preserveFormatting` option is enabled.
+   * @type {number[]}
+   */
+  const skippedCharCodes = [];
+
   // Start a loop to lex attributes until we hit the end of the tag
   while (true) {
     const {
@@ -783,7 +1570,7 @@ async function lexOpeningTagContents(
       l: nextLine,
       c: nextCol,
       terminatorToken,
-    } = await pullChar();
+    } = pullBufferedChar() ?? (yield* pullChar());
 
     if (terminatorToken) {
       streamWriter.write(terminatorToken);
@@ -793,6 +1580,20 @@ async function lexOpeningTagContents(
     if (!isWhitespace(nextCharCode)) {
       // We hit the end of the opening tag! Now we need to figure out what to do next.
       if (nextCharCode === CLOSING_ANGLE_BRACKET) {
+        const tagEndPosition = getPosition();
+        const tagEndStartPosition = getPosition(-1);
+        /**
+         * @type {{ raw?: string }}
+         */
+        const tagEndFormattingProperties = options.preserveFormatting
+          ? {
+              raw: String.fromCodePoint(
+                ...skippedCharCodes,
+                CLOSING_ANGLE_BRACKET
+              ),
+            }
+          : {};
+
         // If this is a void tag or the tag was terminated with "/>", consider it a
         // self-closing tag with no content.
         if (
@@ -803,6 +1604,9 @@ async function lexOpeningTagContents(
             type: LexerTokenType.SELF_CLOSING_TAG_END,
             l: nextLine,
             c: nextCol,
+            start: tagEndStartPosition,
+            end: tagEndPosition,
+            ...tagEndFormattingProperties,
           });
           // Transition to lexing text content after the tag
           return lexTextContent;
@@ -812,21 +1616,45 @@ async function lexOpeningTagContents(
           type: LexerTokenType.OPENING_TAG_END,
           l: nextLine,
           c: nextCol,
+          start: tagEndStartPosition,
+          end: tagEndPosition,
+          ...tagEndFormattingProperties,
         });
 
         // If this is a raw text content element,
         // we need to read the raw content inside the element.
         if (isRawTextContentElementTagname(tagName)) {
-          return lexRawElementContent(streamWriter, pullChar, unreadChar, {
-            ...options,
-            tagName,
-          });
+          return yield* lexRawElementContent(
+            streamWriter,
+            pullChar,
+            pullBufferedChar,
+            unreadChar,
+            getPosition,
+            {
+              ...options,
+              tagName,
+            }
+          );
         }
 
         // This is just the end of the opening tag, we don't have any tokens to emit.
         // So just start lexing the text content inside the element
         return lexTextContent;
-      } else if (isLegalAttributeNameChar(nextCharCode)) {
+      } else if (
+        isLegalAttributeNameChar(nextCharCode) ||
+        // In recover mode, a stray "=" is kept as the start of an attribute name like browsers do, instead of being dropped
+        (options.recover && nextCharCode === EQUALS)
+      ) {
+        if (nextCharCode === EQUALS) {
+          streamWriter.write(
+            createUnexpectedCharacterInTagDiagnosticToken(
+              nextCharCode,
+              tagName,
+              getPosition
+            )
+          );
+        }
+
         // We just hit the start of an attribute name. Unread the first char so the next lexer can use it.
         const unreadErrToken = unreadChar();
         if (unreadErrToken) {
@@ -836,38 +1664,79 @@ async function lexOpeningTagContents(
 
         // Lex the attribute name and value. lexOpeningTagAttribute doesn't handle state transitions,
         // so we'll just yield the tokens it emits until it's done.
-        await lexOpeningTagAttribute(
+        yield* lexOpeningTagAttribute(
           streamWriter,
           pullChar,
+          pullBufferedChar,
           unreadChar,
-          options
+          getPosition,
+          options.preserveFormatting
+            ? {
+                ...options,
+                whitespaceBefore: String.fromCodePoint(...skippedCharCodes),
+              }
+            : options
+        );
+        skippedCharCodes.length = 0;
+        prevCharCode = nextCharCode;
+        continue;
+      } else if (nextCharCode !== FWD_SLASH) {
+        // Stray characters like "=" or quotes which aren't part of an attribute are skipped
+        streamWriter.write(
+          createUnexpectedCharacterInTagDiagnosticToken(
+            nextCharCode,
+            tagName,
+            getPosition
+          )
         );
       }
     }
 
+    if (options.preserveFormatting) {
+      skippedCharCodes.push(nextCharCode);
+    }
     prevCharCode = nextCharCode;
   }
 }
 
 /**
- * @type {LexerStateFunction<"ATTRIBUTE_NAME" | "ATTRIBUTE_VALUE" | "EOF" | "ERROR", null>}
+ * @type {LexerStateFunction<
+ *  "ATTRIBUTE_NAME" | "ATTRIBUTE_VALUE" | "DIAGNOSTIC" | "EOF" | "ERROR",
+ *  null,
+ *  HTMLParserOptions & {
+ *    whitespaceBefore?: string;
+ *  }>}
  */
-async function lexOpeningTagAttribute(streamWriter, pullChar, unreadChar) {
-  const attributeNameToken = await readOpeningTagAttributeName(
+function* lexOpeningTagAttribute(
+  streamWriter,
+  pullChar,
+  pullBufferedChar,
+  unreadChar,
+  getPosition,
+  options
+) {
+  const attributeNameToken = yield* readOpeningTagAttributeName(
     pullChar,
-    unreadChar
+    pullBufferedChar,
+    unreadChar,
+    getPosition
   );
 
-  streamWriter.write(attributeNameToken);
   if (
     attributeNameToken.type === LexerTokenType.EOF ||
     attributeNameToken.type === LexerTokenType.ERROR
   ) {
+    streamWriter.write(attributeNameToken);
     return null;
   }
 
+  if (options.whitespaceBefore !== undefined) {
+    attributeNameToken.whitespaceBefore = options.whitespaceBefore;
+  }
+  streamWriter.write(attributeNameToken);
+
   const { ch: attributeNameTerminatorCharCode, terminatorToken } =
-    await pullChar();
+    pullBufferedChar() ?? (yield* pullChar());
 
   if (terminatorToken) {
     streamWriter.write(terminatorToken);
@@ -879,7 +1748,7 @@ async function lexOpeningTagAttribute(streamWriter, pullChar, unreadChar) {
     const {
       ch: quoteOrAttributeValueCharCode,
       terminatorToken: quoteOrAttrValueTerminatorToken,
-    } = await pullChar();
+    } = pullBufferedChar() ?? (yield* pullChar());
 
     if (quoteOrAttrValueTerminatorToken) {
       streamWriter.write(quoteOrAttrValueTerminatorToken);
@@ -894,19 +1763,51 @@ async function lexOpeningTagAttribute(streamWriter, pullChar, unreadChar) {
     }
 
     if (isAttributeValueQuoteChar(quoteOrAttributeValueCharCode)) {
-      const token = await readOpeningTagQuotedAttributeValue(
+      const token = yield* readOpeningTagQuotedAttributeValue(
         pullChar,
-        unreadChar
+        pullBufferedChar,
+        getPosition,
+        streamWriter,
+        options
       );
+      if (
+        options.decodeEntities &&
+        token.type === LexerTokenType.ATTRIBUTE_VALUE
+      ) {
+        const decodedValue = decodeCharacterReferences(token.value, true);
+        if (decodedValue !== token.value) {
+          token.value = decodedValue;
+          token.decoded = true;
+        }
+      }
       streamWriter.write(token);
       return null;
     } else if (
       isLegalUnquotedAttributeValueChar(quoteOrAttributeValueCharCode)
     ) {
-      const token = await readOpeningTagUnquotedAttributeValue(
+      const token = yield* readOpeningTagUnquotedAttributeValue(
         pullChar,
-        unreadChar
+        pullBufferedChar,
+        unreadChar,
+        getPosition
       );
+      if (
+        options.preserveFormatting &&
+        token.type === LexerTokenType.ATTRIBUTE_VALUE
+      ) {
+        token.quote = "";
+        token.raw = token.value;
+      }
+      if (
+        options.decodeEntities &&
+        token.type === LexerTokenType.ATTRIBUTE_VALUE
+      ) {
+        const decodedValue = decodeCharacterReferences(token.value, true);
+        if (decodedValue !== token.value) {
+          token.value = decodedValue;
+          token.decoded = true;
+        }
+      }
       streamWriter.write(token);
       return null;
     }
@@ -926,10 +1827,19 @@ async function lexOpeningTagAttribute(streamWriter, pullChar, unreadChar) {
 /**
  * Read the attribute name until we encounter an illegal attribute name char; usually "=" for an attribute with a value or whitespace for a boolean attribute.
  * @param {PullCharFn} pullChar
+ * @param {PullBufferedCharFn} pullBufferedChar
  * @param {UnreadCharFn} unreadChar
- * @returns {Promise<LexerToken<"ATTRIBUTE_NAME" | "EOF" | "ERROR">>}
+ * @param {GetPositionFn} getPosition
+ * @returns {LexerGenerator<LexerToken<"ATTRIBUTE_NAME" | "EOF" | "ERROR">>}
  */
-async function readOpeningTagAttributeName(pullChar, unreadChar) {
+function* readOpeningTagAttributeName(
+  pullChar,
+  pullBufferedChar,
+  unreadChar,
+  getPosition
+) {
+  const startPosition = getPosition();
+
   /**
    * @type {number[]}
    */
@@ -950,9 +1860,25 @@ async function readOpeningTagAttributeName(pullChar, unreadChar) {
       l: nextLine,
       c: nextCol,
       terminatorToken,
-    } = await pullChar();
+    } = pullBufferedChar() ?? (yield* pullChar());
 
     if (terminatorToken) {
+      if (
+        terminatorToken.type === LexerTokenType.EOF &&
+        startLine &&
+        startColumn
+      ) {
+        // Return the partial attribute name so it can be kept if the unterminated tag is recovered;
+        // the next read will hit the end of the file again.
+        return {
+          type: LexerTokenType.ATTRIBUTE_NAME,
+          value: String.fromCodePoint(...attributeNameCodePointString),
+          l: startLine,
+          c: startColumn,
+          start: startPosition,
+          end: terminatorToken.start,
+        };
+      }
       return terminatorToken;
     }
 
@@ -961,7 +1887,12 @@ async function readOpeningTagAttributeName(pullChar, unreadChar) {
       startColumn = nextCol;
     }
 
-    if (!isLegalAttributeNameChar(nextCharCode)) {
+    // A stray "=" may only start an attribute name in recover mode, which is the only case where
+    // this is called with one as the first character
+    if (
+      !isLegalAttributeNameChar(nextCharCode) &&
+      !(nextCharCode === EQUALS && attributeNameCodePointString.length === 0)
+    ) {
       const unreadErrToken = unreadChar();
       if (unreadErrToken) {
         return unreadErrToken;
@@ -972,6 +1903,8 @@ async function readOpeningTagAttributeName(pullChar, unreadChar) {
         value: String.fromCodePoint(...attributeNameCodePointString),
         l: startLine,
         c: startColumn,
+        start: startPosition,
+        end: getPosition(),
       };
     }
 
@@ -982,11 +1915,25 @@ async function readOpeningTagAttributeName(pullChar, unreadChar) {
 /**
  * Reads a quoted attribute value until the closing quote is encountered.
  * The opening quote will be the first character read.
+ * The token's source range will include the opening and closing quotes.
+ * If the end of the file is reached before the closing quote, a diagnostic is written
+ * and the partial value is returned so the element can still be recovered.
  * @param {PullCharFn} pullChar
- * @param {UnreadCharFn} unreadChar
- * @returns {Promise<LexerToken<"ATTRIBUTE_VALUE" | "EOF" | "ERROR">>}
+ * @param {PullBufferedCharFn} pullBufferedChar
+ * @param {GetPositionFn} getPosition
+ * @param {LexerTokenWriter<"DIAGNOSTIC">} streamWriter
+ * @param {HTMLParserOptions} options
+ * @returns {LexerGenerator<LexerToken<"ATTRIBUTE_VALUE" | "EOF" | "ERROR">>}
  */
-async function readOpeningTagQuotedAttributeValue(pullChar, unreadChar) {
+function* readOpeningTagQuotedAttributeValue(
+  pullChar,
+  pullBufferedChar,
+  getPosition,
+  streamWriter,
+  options
+) {
+  const startPosition = getPosition();
+
   /**
    * @type {number[]}
    */
@@ -998,6 +1945,42 @@ async function readOpeningTagQuotedAttributeValue(pullChar, unreadChar) {
 
   let isNextCharEscaped = false;
 
+  /**
+   * The value's characters including escaping backslashes.
+   * These are only tracked if the `preserveFormatting` option is enabled.
+   * @type {number[]}
+   */
+  const rawValueCodePointString = [];
+
+  /**
+   * @returns {{ raw?: string; quote?: "\"" | "'" }}
+   */
+  const getFormattingProperties = () =>
+    options.preserveFormatting && quoteCharCode !== null
+      ? {
+          raw: String.fromCodePoint(...rawValueCodePointString),
+          quote: quoteCharCode === SINGLE_QUOTE ? "'" : '"',
+        }
+      : {};
+
+  /**
+   * Position of the first character after the opening quote
+   * @type {TmphSourcePosition | null}
+   */
+  let innerStartPosition = null;
+
+  /**
+   * @param {TmphSourcePosition} innerEndPosition
+   * @returns {{ innerRange?: TmphSourceRange }}
+   */
+  const getInnerRangeProperties = (innerEndPosition) =>
+    (options.parseDirectives ||
+      options.validateExpressions ||
+      options.expressionAST) &&
+    innerStartPosition
+      ? { innerRange: { start: innerStartPosition, end: innerEndPosition } }
+      : {};
+
   /**
    * @type {number|null}
    */
@@ -1013,9 +1996,35 @@ async function readOpeningTagQuotedAttributeValue(pullChar, unreadChar) {
       l: nextLine,
       c: nextCol,
       terminatorToken,
-    } = await pullChar();
+    } = pullBufferedChar() ?? (yield* pullChar());
 
     if (terminatorToken) {
+      if (
+        terminatorToken.type === LexerTokenType.EOF &&
+        startLine &&
+        startColumn
+      ) {
+        streamWriter.write(
+          createDiagnosticToken(
+            DiagnosticCode.UNTERMINATED_ATTRIBUTE_VALUE,
+            "Attribute value was not terminated before the end of the file",
+            startPosition,
+            terminatorToken.start
+          )
+        );
+        // The next read will hit the end of the file again, so the opening tag
+        // will still be reported as unterminated
+        return {
+          type: LexerTokenType.ATTRIBUTE_VALUE,
+          value: String.fromCodePoint(...attributeValueCodePointString),
+          l: startLine,
+          c: startColumn,
+          start: startPosition,
+          end: terminatorToken.start,
+          ...getFormattingProperties(),
+          ...getInnerRangeProperties(terminatorToken.start),
+        };
+      }
       return terminatorToken;
     }
 
@@ -1023,6 +2032,7 @@ async function readOpeningTagQuotedAttributeValue(pullChar, unreadChar) {
       quoteCharCode = nextCharCode;
       startLine = nextLine;
       startColumn = nextCol;
+      innerStartPosition = getPosition();
       // Continue to the next loop iteration since we don't want to include the quote character in the attribute value.
       continue;
     }
@@ -1034,31 +2044,44 @@ async function readOpeningTagQuotedAttributeValue(pullChar, unreadChar) {
     } else if (nextCharCode === quoteCharCode && !isNextCharEscaped) {
       // If the next char is a matching closing quote and isn't escaped,
       // we've reached the end of the attribute value.
-      const unreadErrToken = unreadChar();
-      if (unreadErrToken) {
-        return unreadErrToken;
-      }
-
       return {
         type: LexerTokenType.ATTRIBUTE_VALUE,
         value: String.fromCodePoint(...attributeValueCodePointString),
         l: startLine,
         c: startColumn,
+        start: startPosition,
+        end: getPosition(),
+        ...getFormattingProperties(),
+        // The closing quote is a single code unit
+        ...getInnerRangeProperties(getPosition(-1)),
       };
     } else {
       attributeValueCodePointString.push(nextCharCode);
       isNextCharEscaped = false;
     }
+
+    if (options.preserveFormatting) {
+      rawValueCodePointString.push(nextCharCode);
+    }
   }
 }
 
 /**
  * Reads an unquoted attribute value until the next whitespace or tag end is encountered.
  * @param {PullCharFn} pullChar
+ * @param {PullBufferedCharFn} pullBufferedChar
  * @param {UnreadCharFn} unreadChar
- * @returns {Promise<LexerToken<"ATTRIBUTE_VALUE" | "EOF" | "ERROR">>}
+ * @param {GetPositionFn} getPosition
+ * @returns {LexerGenerator<LexerToken<"ATTRIBUTE_VALUE" | "EOF" | "ERROR">>}
  */
-async function readOpeningTagUnquotedAttributeValue(pullChar, unreadChar) {
+function* readOpeningTagUnquotedAttributeValue(
+  pullChar,
+  pullBufferedChar,
+  unreadChar,
+  getPosition
+) {
+  const startPosition = getPosition();
+
   /**
    * @type {number[]}
    */
@@ -1079,7 +2102,7 @@ async function readOpeningTagUnquotedAttributeValue(pullChar, unreadChar) {
       l: nextLine,
       c: nextCol,
       terminatorToken,
-    } = await pullChar();
+    } = pullBufferedChar() ?? (yield* pullChar());
 
     if (terminatorToken) {
       return terminatorToken;
@@ -1101,6 +2124,8 @@ async function readOpeningTagUnquotedAttributeValue(pullChar, unreadChar) {
         value: String.fromCodePoint(...attributeValueCodePointString),
         l: startLine,
         c: startColumn,
+        start: startPosition,
+        end: getPosition(),
       };
     }
 
@@ -1110,11 +2135,21 @@ async function readOpeningTagUnquotedAttributeValue(pullChar, unreadChar) {
 
 /**
  * @type {LexerStateFunction<
- *  "EOF"|"ERROR"|"CLOSING_TAGNAME",
- *  typeof lexClosingTagEnd
+ *  "EOF"|"ERROR"|"DIAGNOSTIC"|"CLOSING_TAGNAME",
+ *  typeof lexTextContent
  * >}
  */
-async function lexClosingTagName(streamWriter, pullChar, unreadChar) {
+function* lexClosingTagName(
+  streamWriter,
+  pullChar,
+  pullBufferedChar,
+  unreadChar,
+  getPosition,
+  options
+) {
+  // The "</" has already been read, so the tag starts two characters back
+  const startPosition = getPosition(-2);
+
   /**
    * @type {number[]}
    */
@@ -1135,9 +2170,9 @@ async function lexClosingTagName(streamWriter, pullChar, unreadChar) {
       l: nextLine,
       c: nextCol,
       terminatorToken,
-    } = await pullChar();
+    } = pullBufferedChar() ?? (yield* pullChar());
 
-    if (terminatorToken) {
+    if (terminatorToken?.type === LexerTokenType.ERROR) {
       streamWriter.write(terminatorToken);
       return null;
     }
@@ -1147,20 +2182,32 @@ async function lexClosingTagName(streamWriter, pullChar, unreadChar) {
       startColumn = nextCol;
     }
 
-    if (!isLegalTagNameChar(nextCharCode)) {
-      const unreadErrToken = unreadChar();
+    if (terminatorToken || !isLegalTagNameChar(nextCharCode)) {
+      // If we hit the end of the file, lexClosingTagEnd will hit it again and handle the unterminated tag
+      const unreadErrToken = terminatorToken ? undefined : unreadChar();
       if (unreadErrToken) {
         streamWriter.write(unreadErrToken);
         return null;
       }
 
-      streamWriter.write({
-        type: LexerTokenType.CLOSING_TAGNAME,
-        value: String.fromCodePoint(...tagnameCodePointStr),
-        l: startLine,
-        c: startColumn,
-      });
-      return lexClosingTagEnd;
+      return yield* lexClosingTagEnd(
+        streamWriter,
+        pullChar,
+        pullBufferedChar,
+        unreadChar,
+        getPosition,
+        {
+          ...options,
+          closingTagNameToken: {
+            type: LexerTokenType.CLOSING_TAGNAME,
+            value: String.fromCodePoint(...tagnameCodePointStr),
+            l: startLine,
+            c: startColumn,
+            start: startPosition,
+            end: getPosition(),
+          },
+        }
+      );
     }
 
     tagnameCodePointStr.push(nextCharCode);
@@ -1169,37 +2216,62 @@ async function lexClosingTagName(streamWriter, pullChar, unreadChar) {
 
 /**
  * At this point, we are in a closing tag but after the tag name. We just need to read until
- * the closing ">" is encountered.
- * @type {LexerStateFunction<"EOF"|"ERROR", typeof lexTextContent>}
+ * the closing ">" is encountered, and then emit the closing tag name token so its source range
+ * spans the entire closing tag.
+ * @type {LexerStateFunction<
+ *  "EOF"|"ERROR"|"DIAGNOSTIC"|"CLOSING_TAGNAME",
+ *  typeof lexTextContent,
+ *  HTMLParserOptions & {
+ *    closingTagNameToken: LexerToken<"CLOSING_TAGNAME">;
+ *  }>}
  */
-async function lexClosingTagEnd(streamWriter, pullChar) {
-  /**
-   * @type {number|undefined}
-   */
-  let startLine;
+function* lexClosingTagEnd(
+  streamWriter,
+  pullChar,
+  pullBufferedChar,
+  unreadChar,
+  getPosition,
+  options
+) {
+  const { closingTagNameToken } = options;
+
   /**
-   * @type {number|undefined}
+   * The closing tag's source text, only tracked if the `preserveFormatting` option is enabled
+   * @type {number[]}
    */
-  let startColumn;
+  const rawClosingTagCodePointString = [];
 
   while (true) {
-    const {
-      ch: nextCharCode,
-      l: nextLine,
-      c: nextCol,
-      terminatorToken,
-    } = await pullChar();
+    const { ch: nextCharCode, terminatorToken } =
+      pullBufferedChar() ?? (yield* pullChar());
     if (terminatorToken) {
+      // Still emit the closing tag name so it can close its element before the EOF
+      closingTagNameToken.end = terminatorToken.start;
+      streamWriter.write(
+        createDiagnosticToken(
+          DiagnosticCode.UNTERMINATED_CLOSING_TAG,
+          `Closing tag </${closingTagNameToken.value}> was not terminated before the end of the file`,
+          closingTagNameToken.start,
+          closingTagNameToken.end
+        )
+      );
+      streamWriter.write(closingTagNameToken);
       streamWriter.write(terminatorToken);
       return null;
     }
 
-    if (!startLine || !startColumn) {
-      startLine = nextLine;
-      startColumn = nextCol;
+    if (options.preserveFormatting) {
+      rawClosingTagCodePointString.push(nextCharCode);
     }
 
     if (nextCharCode === CLOSING_ANGLE_BRACKET) {
+      closingTagNameToken.end = getPosition();
+      if (options.preserveFormatting) {
+        closingTagNameToken.raw = `</${
+          closingTagNameToken.value
+        }${String.fromCodePoint(...rawClosingTagCodePointString)}`;
+      }
+      streamWriter.write(closingTagNameToken);
       return lexTextContent;
     }
   }
@@ -1210,11 +2282,21 @@ async function lexClosingTagEnd(streamWriter, pullChar) {
  * This lexer is starting after the opening "<!--" tag, so it just needs to
  * read until the closing "-->" is encountered.
  * @type {LexerStateFunction<
- *  "COMMENT"|"EOF"|"ERROR",
+ *  "COMMENT"|"DIAGNOSTIC"|"EOF"|"ERROR",
  *  typeof lexTextContent
  * >}
  */
-async function lexCommentTag(streamWriter, pullChar) {
+function* lexCommentTag(
+  streamWriter,
+  pullChar,
+  pullBufferedChar,
+  unreadChar,
+  getPosition,
+  options
+) {
+  // The "<!--" has already been read, so the comment starts four characters back
+  const startPosition = getPosition(-4);
+
   /**
    * @type {number|undefined}
    */
@@ -1235,9 +2317,35 @@ async function lexCommentTag(streamWriter, pullChar) {
       l: nextLine,
       c: nextCol,
       terminatorToken,
-    } = await pullChar();
+    } = pullBufferedChar() ?? (yield* pullChar());
 
     if (terminatorToken) {
+      if (terminatorToken.type === LexerTokenType.EOF) {
+        streamWriter.write(
+          createDiagnosticToken(
+            DiagnosticCode.UNTERMINATED_COMMENT,
+            "Comment was not terminated before the end of the file",
+            startPosition,
+            terminatorToken.start
+          )
+        );
+
+        if (options.recover) {
+          // Keep whatever comment content we got before the end of the file
+          const rawComment = String.fromCodePoint(
+            ...commentContentCodePointStr
+          );
+          streamWriter.write({
+            type: LexerTokenType.COMMENT,
+            value: rawComment.trim(),
+            ...(options.preserveFormatting ? { raw: rawComment } : {}),
+            l: startLine ?? startPosition.l,
+            c: startColumn ?? startPosition.c,
+            start: startPosition,
+            end: terminatorToken.start,
+          });
+        }
+      }
       streamWriter.write(terminatorToken);
       return null;
     }
@@ -1257,11 +2365,15 @@ async function lexCommentTag(streamWriter, pullChar) {
     ) {
       commentContentCodePointStr.length -= 2;
 
+      const rawComment = String.fromCodePoint(...commentContentCodePointStr);
       streamWriter.write({
         type: LexerTokenType.COMMENT,
-        value: String.fromCodePoint(...commentContentCodePointStr).trim(),
+        value: rawComment.trim(),
+        ...(options.preserveFormatting ? { raw: rawComment } : {}),
         l: startLine,
         c: startColumn,
+        start: startPosition,
+        end: getPosition(),
       });
       return lexTextContent;
     }
@@ -1272,20 +2384,25 @@ async function lexCommentTag(streamWriter, pullChar) {
 
 /**
  * Read the raw contents of a script or style tag until the closing tag is encountered.
+ * The `tagName` option is expected to be lowercase; closing tags are matched case-insensitively.
  *
  * @type {LexerStateFunction<
- *  "EOF"|"ERROR"|"TEXT_CONTENT"|"CLOSING_TAGNAME",
- *  typeof lexClosingTagEnd,
+ *  "EOF"|"ERROR"|"DIAGNOSTIC"|"TEXT_CONTENT"|"CLOSING_TAGNAME",
+ *  typeof lexTextContent,
  *  HTMLParserOptions & {
  *    tagName: string;
  *  }>}
  */
-async function lexRawElementContent(
+function* lexRawElementContent(
   streamWriter,
   pullChar,
+  pullBufferedChar,
   unreadChar,
+  getPosition,
   options
 ) {
+  const startPosition = getPosition();
+
   /**
    * @type {number|null}
    */
@@ -1304,6 +2421,9 @@ async function lexRawElementContent(
 
   const isScript = options.tagName === "script";
   const isStyle = options.tagName === "style";
+  // Character references are decoded in escapable raw text elements like <textarea> and <title>,
+  // but never in <script> or <style> contents
+  const shouldDecodeEntities = options.decodeEntities && !isScript && !isStyle;
 
   /**
    * @type {number | null}
@@ -1318,9 +2438,28 @@ async function lexRawElementContent(
       l: nextLine,
       c: nextCol,
       terminatorToken,
-    } = await pullChar();
+    } = pullBufferedChar() ?? (yield* pullChar());
 
     if (terminatorToken) {
+      if (
+        options.recover &&
+        terminatorToken.type === LexerTokenType.EOF &&
+        startLine &&
+        startColumn
+      ) {
+        // Keep whatever raw content we got before the end of the file
+        const rawContent = String.fromCodePoint(...rawContentCharCodes);
+        streamWriter.write({
+          type: LexerTokenType.TEXT_CONTENT,
+          ...(shouldDecodeEntities
+            ? getDecodedTextValueProperties(rawContent, options)
+            : { value: rawContent }),
+          l: startLine,
+          c: startColumn,
+          start: startPosition,
+          end: terminatorToken.start,
+        });
+      }
       streamWriter.write(terminatorToken);
       return null;
     }
@@ -1353,7 +2492,7 @@ async function lexRawElementContent(
       rawContentCharCodes.length >= closingTagnameMatchString.length &&
       String.fromCodePoint(
         ...rawContentCharCodes.slice(-closingTagnameMatchString.length)
-      ) === closingTagnameMatchString
+      ).toLowerCase() === closingTagnameMatchString
     ) {
       const unreadErrToken = unreadChar();
       if (unreadErrToken) {
@@ -1362,20 +2501,46 @@ async function lexRawElementContent(
       }
 
       const closingTagnameMatchStringLength = closingTagnameMatchString.length;
+      // Keep the closing tag name's original casing, minus the "</"
+      const closingTagName = String.fromCodePoint(
+        ...rawContentCharCodes.slice(-closingTagnameMatchStringLength + 2)
+      );
       rawContentCharCodes.length -= closingTagnameMatchStringLength;
+
+      const closingTagEndPosition = getPosition();
+      const closingTagStartPosition = getPosition(
+        -closingTagnameMatchStringLength
+      );
+
+      const rawContent = String.fromCodePoint(...rawContentCharCodes);
       streamWriter.write({
         type: LexerTokenType.TEXT_CONTENT,
-        value: String.fromCodePoint(...rawContentCharCodes),
+        ...(shouldDecodeEntities
+          ? getDecodedTextValueProperties(rawContent, options)
+          : { value: rawContent }),
         l: startLine,
         c: startColumn,
+        start: startPosition,
+        end: closingTagStartPosition,
       });
-      streamWriter.write({
-        type: LexerTokenType.CLOSING_TAGNAME,
-        value: options.tagName,
-        l: nextLine,
-        c: nextCol - closingTagnameMatchStringLength,
-      });
-      return lexClosingTagEnd;
+      return yield* lexClosingTagEnd(
+        streamWriter,
+        pullChar,
+        pullBufferedChar,
+        unreadChar,
+        getPosition,
+        {
+          ...options,
+          closingTagNameToken: {
+            type: LexerTokenType.CLOSING_TAGNAME,
+            value: closingTagName,
+            l: nextLine,
+            c: nextCol - closingTagnameMatchStringLength,
+            start: closingTagStartPosition,
+            end: closingTagEndPosition,
+          },
+        }
+      );
     }
 
     rawContentCharCodes.push(nextCharCode);
@@ -1386,16 +2551,26 @@ async function lexRawElementContent(
  * Lexes a <!DOCTYPE> declaration.
  *
  * @param {PullCharFn} pullChar
- * @param {WritableStreamDefaultWriter<LexerToken<"EOF" | "ERROR"| "DOCTYPE_DECLARATION">>} streamWriter
+ * @param {PullBufferedCharFn} pullBufferedChar
+ * @param {LexerTokenWriter<"EOF" | "ERROR" | "DIAGNOSTIC" | "DOCTYPE_DECLARATION">} streamWriter
  * @param {number} startLine
  * @param {number} startColumn
- * @returns {Promise<null>}
+ * @param {GetPositionFn} getPosition
+ * @param {TmphSourcePosition} startPosition - Position of the "<" at the start of the declaration
+ * @param {string} doctypeKeyword - The "<!DOCTYPE" at the start of the declaration as it was written in the source
+ * @param {HTMLParserOptions} options
+ * @returns {LexerGenerator<null>}
  */
-async function lexDoctypeDeclaration(
+function* lexDoctypeDeclaration(
   pullChar,
+  pullBufferedChar,
   streamWriter,
   startLine,
-  startColumn
+  startColumn,
+  getPosition,
+  startPosition,
+  doctypeKeyword,
+  options
 ) {
   /**
    * @type {number[]}
@@ -1403,19 +2578,51 @@ async function lexDoctypeDeclaration(
   const declarationValuesCodePointString = [];
 
   while (true) {
-    const { ch: nextCharCode, terminatorToken } = await pullChar();
+    const { ch: nextCharCode, terminatorToken } =
+      pullBufferedChar() ?? (yield* pullChar());
 
     if (terminatorToken) {
+      if (terminatorToken.type === LexerTokenType.EOF) {
+        streamWriter.write(
+          createDiagnosticToken(
+            DiagnosticCode.UNTERMINATED_DOCTYPE,
+            "<!DOCTYPE> declaration was not terminated before the end of the file",
+            startPosition,
+            terminatorToken.start
+          )
+        );
+
+        if (options.recover) {
+          streamWriter.write({
+            type: LexerTokenType.DOCTYPE_DECLARATION,
+            value: String.fromCodePoint(
+              ...declarationValuesCodePointString
+            ).trim(),
+            l: startLine,
+            c: startColumn,
+            start: startPosition,
+            end: terminatorToken.start,
+          });
+        }
+      }
       streamWriter.write(terminatorToken);
       return null;
     }
 
     if (nextCharCode === CLOSING_ANGLE_BRACKET) {
+      const rawDeclarationValues = String.fromCodePoint(
+        ...declarationValuesCodePointString
+      );
       streamWriter.write({
         type: LexerTokenType.DOCTYPE_DECLARATION,
-        value: String.fromCodePoint(...declarationValuesCodePointString).trim(),
+        value: rawDeclarationValues.trim(),
         l: startLine,
         c: startColumn,
+        start: startPosition,
+        end: getPosition(),
+        ...(options.preserveFormatting
+          ? { raw: `${doctypeKeyword}${rawDeclarationValues}>` }
+          : {}),
       });
       return null;
     }
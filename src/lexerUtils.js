@@ -25,6 +25,42 @@ const CARRIAGE_RETURN = 13;
 export const isLineBreak = (charCode) =>
   charCode >= NEWLINE && charCode <= CARRIAGE_RETURN;
 
+/**
+ * Whether a character is the newline of a "\r\n" pair, which is part of the same line break as the carriage return before it
+ * rather than starting a new line of its own.
+ * @param {number} charCode
+ * @param {number | null} previousCharCode
+ * @returns {boolean}
+ */
+export const isCRLFNewline = (charCode, previousCharCode) =>
+  charCode === NEWLINE && previousCharCode === CARRIAGE_RETURN;
+
+/**
+ * Finds the line and column of a character in some text, counting them the same way as the lexer; every line break
+ * starts a new line, with "\r\n" counting as a single line break, and columns are counted in code points.
+ * @param {string} text
+ * @param {{ l: number; c: number }} fromPosition - Line and column of the character at `fromIndex`
+ * @param {number} fromIndex - A known index at or before the index to count to
+ * @param {number} toIndex
+ * @returns {{ l: number; c: number }}
+ */
+export const getLineAndColumn = (text, fromPosition, fromIndex, toIndex) => {
+  let { l, c } = fromPosition;
+  for (let i = fromIndex; i < toIndex; ++i) {
+    const charCode = text.charCodeAt(i);
+    if (isLineBreak(charCode)) {
+      if (!isCRLFNewline(charCode, text.charCodeAt(i - 1))) {
+        ++l;
+        c = 1;
+      }
+    } else if (charCode < 0xdc00 || charCode > 0xdfff) {
+      // The second half of a surrogate pair is part of the same code point as the first half
+      ++c;
+    }
+  }
+  return { l, c };
+};
+
 /**
  * @param {number} charCode
  * @returns {boolean}
@@ -119,7 +155,7 @@ export const isLegalTagNameChar = (charCode) =>
   isNumber(charCode) ||
   isPCENChar(charCode);
 
-const SINGLE_QUOTE = 39;
+export const SINGLE_QUOTE = 39;
 const DOUBLE_QUOTE = 34;
 const BACKTICK = 96;
 
@@ -160,6 +196,7 @@ const voidTagnames = Object.freeze({
   br: true,
   col: true,
   embed: true,
+  frame: true,
   hr: true,
   img: true,
   input: true,
@@ -0,0 +1,82 @@
+import { isVoidElementTagname } from "./lexerUtils.js";
+
+/**
+ * @import { WritableStreamDefaultWriter } from 'node:stream/web';
+ * @import { StreamedTmphElementNode, StreamedTmphNode, TmphElementNode, TmphNode } from "./types.js";
+ */
+
+/**
+ * @param {TmphNode} node
+ * @returns {StreamedTmphNode}
+ */
+const toStreamedNode = (node) => {
+  if (!("tagName" in node)) {
+    return node;
+  }
+
+  const { children = [], ...rest } = node;
+  if (isVoidElementTagname(node.tagName.toLowerCase())) {
+    return rest;
+  }
+
+  return {
+    ...rest,
+    childStream: new ReadableStream({
+      start(controller) {
+        for (const child of children) {
+          controller.enqueue(toStreamedNode(child));
+        }
+        controller.close();
+      },
+    }),
+  };
+};
+
+/**
+ * Writes a tree of fully resolved nodes to a node stream, ie a tree built by `constructSpecTree` or loaded from the cache.
+ * @param {TmphNode[]} nodes
+ * @param {WritableStreamDefaultWriter<StreamedTmphNode>} rootNodeStreamWriter
+ */
+export function writeNodeTree(nodes, rootNodeStreamWriter) {
+  for (const node of nodes) {
+    // The consumer may have cancelled the stream, ie by breaking out of a loop early, which is fine to ignore
+    rootNodeStreamWriter.write(toStreamedNode(node)).catch(() => {});
+  }
+}
+
+/**
+ * Reads an element's child stream, and those of all of its descendants, into a fully parsed element.
+ *
+ * @overload
+ * @param {StreamedTmphElementNode | TmphElementNode} node
+ * @returns {Promise<TmphElementNode>}
+ */
+/**
+ * Reads a node's child stream, and those of all of its descendants, into a fully parsed node if it is an element.
+ *
+ * @overload
+ * @param {StreamedTmphNode | TmphNode} node
+ * @returns {Promise<TmphNode>}
+ */
+/**
+ * @param {StreamedTmphNode | TmphNode} node
+ * @returns {Promise<TmphNode>}
+ */
+export async function resolveStreamedNode(node) {
+  if (!("childStream" in node) || !node.childStream) {
+    return /** @type {TmphNode} */ (node);
+  }
+
+  /**
+   * @type {TmphNode[]}
+   */
+  const children = [];
+  for await (const child of node.childStream) {
+    children.push(await resolveStreamedNode(child));
+  }
+
+  // Destructure the node after its children have been resolved, since some properties
+  // like source ranges are only finalized once the child stream has closed
+  const { childStream, ...rest } = node;
+  return children.length > 0 ? { ...rest, children } : rest;
+}
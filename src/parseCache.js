@@ -0,0 +1,590 @@
+import { createHash } from "node:crypto";
+import {
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
+import {
+  mkdir,
+  readdir,
+  readFile,
+  rename,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import { createRequire } from "node:module";
+import { join } from "node:path";
+import { TransformStream } from "node:stream/web";
+import { promisify } from "node:util";
+import { gunzip, gunzipSync, gzip, gzipSync } from "node:zlib";
+import parseTemplate, { parseTemplateSync } from "./parseTemplate.js";
+import { resolveStreamedNode, writeNodeTree } from "./nodeStreams.js";
+
+/**
+ * @import { HTMLParseCacheOptions, HTMLParserOptions, HTMLParserSource, StreamedTmphNode, TmphDiagnostic, TmphNode } from './types.js';
+ * @import { ReportDiagnosticFn } from './parseTemplate.js';
+ */
+
+/**
+ * A parse result stored in the cache.
+ * @typedef HTMLParseCacheEntry
+ * @property {string} encoding - The character encoding the source was decoded with
+ * @property {TmphDiagnostic[]} diagnostics - The diagnostics which were reported while parsing the source
+ * @property {TmphNode[]} nodes - The fully resolved root-level nodes
+ */
+
+/**
+ * Results parsed by a different version of the parser may not match what this version would produce,
+ * so each version keeps its cached results in its own subdirectory of the cache directory.
+ * The version directories are kept inside of a directory named after the package, since the cache directory may be shared
+ * with other tools and only directories which this cache created can safely be cleaned up.
+ * @type {{ name: string, version: string }}
+ */
+const { name: PACKAGE_NAME, version: PARSER_VERSION } = createRequire(
+  import.meta.url
+)("../package.json");
+
+const VERSION_DIRECTORY_PREFIX = "v";
+
+const CACHE_FILE_EXTENSION = ".json.gz";
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+/**
+ * Codes for filesystem errors which mean results can't be written to the cache directory, ie because it is read-only or the disk is full.
+ * Failing to persist a result isn't an error, since the source can always be parsed again; anything else is a bug which shouldn't be hidden.
+ */
+const IGNORED_WRITE_ERROR_CODES = new Set([
+  "EACCES",
+  "EBUSY",
+  "EDQUOT",
+  "EEXIST",
+  "EISDIR",
+  "EMFILE",
+  "ENFILE",
+  "ENOENT",
+  "ENOSPC",
+  "ENOTDIR",
+  "EPERM",
+  "EROFS",
+]);
+
+/**
+ * @param {unknown} error
+ * @returns {boolean} Whether the error is a filesystem error from writing to the cache directory which can safely be ignored
+ */
+const isIgnoredWriteError = (error) =>
+  error instanceof Error &&
+  "code" in error &&
+  typeof error.code === "string" &&
+  IGNORED_WRITE_ERROR_CODES.has(error.code);
+
+/**
+ * Serializes an entry to JSON. The values of bigint and regular expression literals in attributes' `expressionAST`s
+ * can't be represented in JSON, so they are left out; they're restored from the literals' `bigint` and `regex` properties
+ * by `deserializeEntry`.
+ * @param {HTMLParseCacheEntry} entry
+ * @returns {string}
+ */
+const serializeEntry = (entry) =>
+  JSON.stringify(entry, (key, value) =>
+    key === "value" && (typeof value === "bigint" || value instanceof RegExp)
+      ? undefined
+      : value
+  );
+
+/**
+ * @param {string} serializedEntry
+ * @returns {HTMLParseCacheEntry}
+ */
+const deserializeEntry = (serializedEntry) =>
+  JSON.parse(serializedEntry, (key, value) => {
+    if (value?.type !== "Literal" || "value" in value) {
+      return value;
+    }
+
+    if (typeof value.bigint === "string") {
+      value.value = BigInt(value.bigint);
+    } else if (value.regex) {
+      try {
+        value.value = new RegExp(value.regex.pattern, value.regex.flags);
+      } catch {
+        // Like acorn, regular expressions which aren't supported in this environment have a null value
+        value.value = null;
+      }
+    }
+    return value;
+  });
+
+/**
+ * Cache of parse results, keyed by a hash of the source's content and the parser options which affect how it is parsed.
+ * Results are kept in memory, and are also persisted to a directory if one is provided so they can be reused across processes.
+ * A cache can be shared by multiple parsers; results parsed with different options won't be mixed up.
+ */
+export class HTMLParseCache {
+  /**
+   * Most recently used entries are kept at the end of the map
+   * @type {Map<string, HTMLParseCacheEntry>}
+   */
+  #memoryEntries = new Map();
+
+  #maxMemoryEntries;
+
+  /**
+   * @type {string | null}
+   */
+  #versionDirectoryPath = null;
+
+  /**
+   * Whether the version directory has been created and results from other parser versions have been cleaned up
+   */
+  #isDirectoryPrepared = false;
+
+  /**
+   * @param {HTMLParseCacheOptions} [cacheOptions]
+   */
+  constructor({ directory, maxMemoryEntries = 1000 } = {}) {
+    if (directory !== undefined) {
+      this.#versionDirectoryPath = join(
+        directory,
+        PACKAGE_NAME,
+        `${VERSION_DIRECTORY_PREFIX}${PARSER_VERSION}`
+      );
+    }
+    this.#maxMemoryEntries = maxMemoryEntries;
+  }
+
+  /**
+   * Gets the key which the result of parsing a source with the given options is cached under.
+   * Sources which are read as bytes (files and byte arrays) are decoded differently from strings,
+   * so they are keyed separately.
+   *
+   * @param {Uint8Array | string} sourceContent
+   * @param {HTMLParserOptions} options
+   * @returns {string}
+   */
+  static getKey(sourceContent, options) {
+    // Where the lexer runs and the cache itself don't change how the source is parsed
+    const { worker, cache, ...parseAffectingOptions } = options;
+
+    return createHash("sha256")
+      .update(PARSER_VERSION)
+      .update("\0")
+      .update(
+        JSON.stringify(
+          Object.entries(parseAffectingOptions).sort(([a], [b]) =>
+            a < b ? -1 : 1
+          )
+        )
+      )
+      .update("\0")
+      .update(typeof sourceContent === "string" ? "string" : "bytes")
+      .update("\0")
+      .update(sourceContent)
+      .digest("hex");
+  }
+
+  /**
+   * Gets a cached result from memory, or from the cache directory if it isn't in memory.
+   * @param {string} key
+   * @returns {Promise<HTMLParseCacheEntry | null>}
+   */
+  async get(key) {
+    const memoryEntry = this.#getMemoryEntry(key);
+    if (memoryEntry || !this.#versionDirectoryPath) {
+      return memoryEntry;
+    }
+
+    try {
+      return this.#loadEntry(
+        key,
+        await gunzipAsync(await readFile(this.#getEntryFilePath(key)))
+      );
+    } catch {
+      // A missing or unreadable cache file just means the source needs to be parsed again
+      return null;
+    }
+  }
+
+  /**
+   * Synchronous version of `get`.
+   * @param {string} key
+   * @returns {HTMLParseCacheEntry | null}
+   */
+  getSync(key) {
+    const memoryEntry = this.#getMemoryEntry(key);
+    if (memoryEntry || !this.#versionDirectoryPath) {
+      return memoryEntry;
+    }
+
+    try {
+      return this.#loadEntry(
+        key,
+        gunzipSync(readFileSync(this.#getEntryFilePath(key)))
+      );
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stores a result in memory and writes it to the cache directory.
+   * Filesystem errors which prevent the result from being written to the cache directory are ignored,
+   * since the result can always be parsed again.
+   * @param {string} key
+   * @param {HTMLParseCacheEntry} entry
+   */
+  async set(key, entry) {
+    // Copy the entry before anything else, since the caller may go on to modify its nodes
+    const serializedEntry = serializeEntry(entry);
+    this.#setMemoryEntry(key, deserializeEntry(serializedEntry));
+    if (!this.#versionDirectoryPath) {
+      return;
+    }
+
+    try {
+      if (!this.#isDirectoryPrepared) {
+        await mkdir(this.#versionDirectoryPath, { recursive: true });
+        await Promise.all(
+          this.#getOtherVersionDirectoryPaths(
+            await readdir(join(this.#versionDirectoryPath, ".."))
+          ).map((path) => rm(path, { recursive: true, force: true }))
+        );
+        this.#isDirectoryPrepared = true;
+      }
+
+      const entryFilePath = this.#getEntryFilePath(key);
+      // Write to a temporary file first so other processes never read a partially written entry
+      const tempFilePath = `${entryFilePath}.${process.pid}.tmp`;
+      await writeFile(tempFilePath, await gzipAsync(serializedEntry));
+      await rename(tempFilePath, entryFilePath);
+    } catch (error) {
+      if (!isIgnoredWriteError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Synchronous version of `set`.
+   * @param {string} key
+   * @param {HTMLParseCacheEntry} entry
+   */
+  setSync(key, entry) {
+    const serializedEntry = serializeEntry(entry);
+    this.#setMemoryEntry(key, deserializeEntry(serializedEntry));
+    if (!this.#versionDirectoryPath) {
+      return;
+    }
+
+    try {
+      if (!this.#isDirectoryPrepared) {
+        mkdirSync(this.#versionDirectoryPath, { recursive: true });
+        for (const path of this.#getOtherVersionDirectoryPaths(
+          readdirSync(join(this.#versionDirectoryPath, ".."))
+        )) {
+          rmSync(path, { recursive: true, force: true });
+        }
+        this.#isDirectoryPrepared = true;
+      }
+
+      const entryFilePath = this.#getEntryFilePath(key);
+      const tempFilePath = `${entryFilePath}.${process.pid}.tmp`;
+      writeFileSync(tempFilePath, gzipSync(serializedEntry));
+      renameSync(tempFilePath, entryFilePath);
+    } catch (error) {
+      if (!isIgnoredWriteError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Removes all cached results from memory and from the cache directory.
+   */
+  async clear() {
+    this.#memoryEntries.clear();
+    if (this.#versionDirectoryPath) {
+      await rm(this.#versionDirectoryPath, { recursive: true, force: true });
+      this.#isDirectoryPrepared = false;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {HTMLParseCacheEntry | null}
+   */
+  #getMemoryEntry(key) {
+    const entry = this.#memoryEntries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    // Move the entry to the end of the map so it will be evicted last
+    this.#memoryEntries.delete(key);
+    this.#memoryEntries.set(key, entry);
+    // Hand out a copy so the caller can't modify the cached nodes
+    return structuredClone(entry);
+  }
+
+  /**
+   * Stores an entry in memory, evicting the least recently used entries if there are too many.
+   * @param {string} key
+   * @param {HTMLParseCacheEntry} entry
+   */
+  #setMemoryEntry(key, entry) {
+    this.#memoryEntries.delete(key);
+    this.#memoryEntries.set(key, entry);
+    for (const evictedKey of this.#memoryEntries.keys()) {
+      if (this.#memoryEntries.size <= this.#maxMemoryEntries) {
+        break;
+      }
+      this.#memoryEntries.delete(evictedKey);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {Uint8Array} serializedEntry
+   * @returns {HTMLParseCacheEntry}
+   */
+  #loadEntry(key, serializedEntry) {
+    const entry = deserializeEntry(new TextDecoder().decode(serializedEntry));
+    this.#setMemoryEntry(key, structuredClone(entry));
+    return entry;
+  }
+
+  /**
+   * @param {string} key
+   */
+  #getEntryFilePath(key) {
+    return join(
+      /** @type {string} */ (this.#versionDirectoryPath),
+      `${key}${CACHE_FILE_EXTENSION}`
+    );
+  }
+
+  /**
+   * Finds the directories of results cached by other versions of the parser, which will never be used again.
+   * @param {string[]} directoryNames - Names of the entries in the cache directory
+   * @returns {string[]}
+   */
+  #getOtherVersionDirectoryPaths(directoryNames) {
+    const cacheDirectoryPath = join(
+      /** @type {string} */ (this.#versionDirectoryPath),
+      ".."
+    );
+    return directoryNames
+      .filter(
+        (name) =>
+          name.startsWith(VERSION_DIRECTORY_PREFIX) &&
+          name !== `${VERSION_DIRECTORY_PREFIX}${PARSER_VERSION}`
+      )
+      .map((name) => join(cacheDirectoryPath, name));
+  }
+}
+
+/**
+ * Reads the content of a source to hash it for the cache key.
+ * Byte streams can't be read up front, so they are never cached.
+ * @param {HTMLParserSource} source
+ * @returns {Promise<Uint8Array | string | null>}
+ */
+const readSourceContent = async (source) => {
+  if (source.filePath !== undefined) {
+    // Let the parser report the error for a file which can't be read.
+    // The file's bytes are copied out of the Buffer, since it may be backed by a shared pool which can't be transferred to a worker.
+    return readFile(source.filePath).then(
+      (fileBytes) => new Uint8Array(fileBytes),
+      () => null
+    );
+  }
+  return source.rawHTMLString ?? source.bytes ?? null;
+};
+
+/**
+ * Synchronous version of `readSourceContent`.
+ * @param {HTMLParserSource} source
+ * @returns {Uint8Array | string | null}
+ */
+const readSourceContentSync = (source) => {
+  if (source.filePath !== undefined) {
+    try {
+      return new Uint8Array(readFileSync(source.filePath));
+    } catch {
+      return null;
+    }
+  }
+  return source.rawHTMLString ?? source.bytes ?? null;
+};
+
+/**
+ * Gets a source which parses the content that was read to hash it, so that a file which changes after it was read
+ * can't have its new content cached under the key for its old content.
+ * @param {HTMLParserSource} source
+ * @param {Uint8Array | string} sourceContent
+ * @returns {HTMLParserSource}
+ */
+const getReadSource = (source, sourceContent) =>
+  source.filePath !== undefined && typeof sourceContent !== "string"
+    ? { filePath: source.filePath, bytes: sourceContent }
+    : source;
+
+/**
+ * @param {ReadableStream<StreamedTmphNode>} nodeStream
+ * @returns {Promise<TmphNode[]>}
+ */
+const resolveStreamedNodes = async (nodeStream) => {
+  /**
+   * @type {TmphNode[]}
+   */
+  const nodes = [];
+  for await (const node of nodeStream) {
+    nodes.push(await resolveStreamedNode(node));
+  }
+  return nodes;
+};
+
+/**
+ * Parses a source like `parseTemplate`, but writes previously cached results for sources which have already been parsed
+ * with the same options instead of parsing them again. Sources are just parsed as usual if the `cache` option is disabled.
+ * Results have to be fully resolved before they can be cached, so nodes are only written to the root node stream once
+ * the whole source has been parsed.
+ * @param {HTMLParserSource} source
+ * @param {HTMLParserOptions} options - Options with the `HTMLParseCache` instance to use
+ * @param {WritableStream<StreamedTmphNode>} rootNodeStream
+ * @param {ReportDiagnosticFn} reportDiagnostic
+ * @param {(encoding: string) => void} reportEncoding
+ * @param {AbortSignal} [signal]
+ * @param {() => void} [reportParsed] - Called once no more diagnostics will be reported, before the nodes have been read
+ */
+export async function parseTemplateWithCache(
+  source,
+  options,
+  rootNodeStream,
+  reportDiagnostic,
+  reportEncoding,
+  signal,
+  reportParsed
+) {
+  const { cache } = options;
+  const sourceContent =
+    cache instanceof HTMLParseCache ? await readSourceContent(source) : null;
+
+  if (!(cache instanceof HTMLParseCache) || sourceContent === null) {
+    return parseTemplate(
+      source,
+      options,
+      rootNodeStream,
+      reportDiagnostic,
+      reportEncoding,
+      signal,
+      reportParsed
+    );
+  }
+
+  const key = HTMLParseCache.getKey(sourceContent, options);
+  const rootNodeStreamWriter = rootNodeStream.getWriter();
+
+  try {
+    const cachedEntry = await cache.get(key);
+    signal?.throwIfAborted();
+
+    if (cachedEntry) {
+      reportEncoding(cachedEntry.encoding);
+      cachedEntry.diagnostics.forEach(reportDiagnostic);
+      reportParsed?.();
+      writeNodeTree(cachedEntry.nodes, rootNodeStreamWriter);
+      await rootNodeStreamWriter.close();
+      return;
+    }
+
+    /**
+     * @type {TransformStream<StreamedTmphNode, StreamedTmphNode>}
+     */
+    const parsedNodeStream = new TransformStream();
+    let encoding = "";
+    /**
+     * @type {TmphDiagnostic[]}
+     */
+    const diagnostics = [];
+
+    const parsePromise = parseTemplate(
+      getReadSource(source, sourceContent),
+      options,
+      parsedNodeStream.writable,
+      (diagnostic) => {
+        diagnostics.push(diagnostic);
+        reportDiagnostic(diagnostic);
+      },
+      (reportedEncoding) => {
+        encoding = reportedEncoding;
+        reportEncoding(reportedEncoding);
+      },
+      signal,
+      reportParsed
+    );
+    const nodes = await resolveStreamedNodes(parsedNodeStream.readable);
+    await parsePromise;
+
+    // The cache copies the entry right away, so the nodes can be written out while it's being persisted.
+    // The stream isn't closed until then though, so the result is sure to be cached once it has been consumed.
+    const cacheWritePromise = cache.set(key, { encoding, diagnostics, nodes });
+    writeNodeTree(nodes, rootNodeStreamWriter);
+    await cacheWritePromise;
+    await rootNodeStreamWriter.close();
+  } catch (err) {
+    await rootNodeStreamWriter.abort(err).catch(() => {});
+  }
+}
+
+/**
+ * Parses a source synchronously like `parseTemplateSync`, but returns previously cached results for sources
+ * which have already been parsed with the same options instead of parsing them again.
+ * Sources are just parsed as usual if the `cache` option is disabled.
+ * @param {HTMLParserSource} source
+ * @param {HTMLParserOptions} options - Options with the `HTMLParseCache` instance to use
+ * @returns {TmphNode[]}
+ */
+export function parseTemplateSyncWithCache(source, options) {
+  const { cache } = options;
+  const sourceContent =
+    cache instanceof HTMLParseCache ? readSourceContentSync(source) : null;
+
+  if (!(cache instanceof HTMLParseCache) || sourceContent === null) {
+    return parseTemplateSync(
+      source,
+      options,
+      () => {},
+      () => {}
+    );
+  }
+
+  const key = HTMLParseCache.getKey(sourceContent, options);
+  const cachedEntry = cache.getSync(key);
+  if (cachedEntry) {
+    return cachedEntry.nodes;
+  }
+
+  let encoding = "";
+  /**
+   * @type {TmphDiagnostic[]}
+   */
+  const diagnostics = [];
+  const nodes = parseTemplateSync(
+    getReadSource(source, sourceContent),
+    options,
+    (diagnostic) => {
+      diagnostics.push(diagnostic);
+    },
+    (reportedEncoding) => {
+      encoding = reportedEncoding;
+    }
+  );
+  cache.setSync(key, { encoding, diagnostics, nodes });
+  return nodes;
+}
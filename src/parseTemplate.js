@@ -1,52 +1,170 @@
 import { TransformStream, WritableStream } from "node:stream/web";
-import { LexerTokenType } from "./lexer.js";
+import { MessageChannel } from "node:worker_threads";
+import { LexerTokenType, lex, lexSync } from "./lexer.js";
+import { DiagnosticCode } from "./diagnostics.js";
+import {
+  parseAttributeDirective,
+  parseDirectiveExpression,
+} from "./directives.js";
+import { parseAttributeExpression } from "./expressions.js";
+import { getImpliedEndTagIndex, hasOptionalEndTag } from "./impliedEndTags.js";
+import { constructSpecTree } from "./treeConstruction.js";
+import { writeNodeTree } from "./nodeStreams.js";
+import { getSharedWorkerPool } from "./workerPool.js";
 import Piscina from "piscina";
 
 /**
- * @import { StreamedTmphElementNode, TmphTextNode, StreamedTmphNode, HTMLParserOptions, HTMLParserSource } from "./types.js";
+ * @import { StreamedTmphElementNode, TmphTextNode, TmphCommentNode, TmphDoctypeDeclarationNode, TmphElementAttribute, TmphElementNode, StreamedTmphNode, TmphNode, HTMLParserOptions, HTMLParserSource, TmphSourcePosition, TmphDiagnostic } from "./types.js";
  * @import { LexerToken } from './lexer.js';
+ * @import { MessagePort } from 'node:worker_threads';
  */
 
-const pool = new Piscina({
-  filename: import.meta.resolve("./lexer.js"),
-  name: "lex",
-});
+/**
+ * @typedef {(diagnostic: TmphDiagnostic) => void} ReportDiagnosticFn
+ */
+
+/**
+ * Parsing is done by generators which yield whenever they need the next token from the lexer, and are resumed with the result of reading it.
+ * This lets the same parsing code consume tokens streamed from the lexer worker or lexed synchronously in the same thread.
+ * @template T
+ * @typedef {Generator<void, T, ReadableStreamReadResult<LexerToken>>} LexerTokenConsumer
+ */
+
+/**
+ * Receives the nodes parsed at one level of the tree.
+ * @typedef NodeWriter
+ * @property {(node: StreamedTmphNode) => void} write
+ * @property {(error: Error) => void} abort - Called with an error which stops the rest of the nodes from being parsed
+ * @property {() => void} close
+ */
+
+/**
+ * Creates the writer for an element's child nodes, and attaches wherever they're written to the element.
+ * @typedef {(elementNode: StreamedTmphElementNode) => NodeWriter} CreateChildNodeWriterFn
+ */
+
+/**
+ * An opening tag which implicitly closes an open element, along with everything inside of it.
+ * @typedef {LexerToken<"OPENING_TAGNAME"> & { impliedEndTagIndex: number }} ImpliedEndTagToken
+ */
+
+/**
+ * Extends the end of an element's source range to include a child's source range.
+ * @param {StreamedTmphElementNode | null} elementNode
+ * @param {TmphSourcePosition} endPosition
+ */
+const extendElementRangeEnd = (elementNode, endPosition) => {
+  if (elementNode?.range) {
+    elementNode.range.end = endPosition;
+  }
+};
+
+/**
+ * @param {number} tokenType
+ * @returns {string}
+ */
+const getTokenTypeDisplayName = (tokenType) =>
+  Object.entries(LexerTokenType).find(
+    ([key, value]) => value === tokenType
+  )?.[0] ?? `UNKNOWN:${tokenType}`;
 
 /**
  * @param {HTMLParserSource} source
  * @param {HTMLParserOptions} parserOptions
- * @param {ReadableStreamDefaultReader<LexerToken>} lexerTokenReader
- * @param {WritableStreamDefaultWriter<StreamedTmphNode>} parentChildStreamWriter - The parent node of the child nodes being parsed, or null if the child nodes are root-level.
+ * @param {CreateChildNodeWriterFn} createChildNodeWriter
+ * @param {ReportDiagnosticFn} reportDiagnostic
+ * @param {NodeWriter} parentNodeWriter - Writer for the child nodes being parsed.
  * @param {string[]} [ parentTagNames ]
- * @returns {Promise<null | string>} Final return value is the tag name of an encountered closing tag, or null if the tag is self-closing.
+ * @param {StreamedTmphElementNode | null} [ parentElementNode ] - The parent element of the child nodes being parsed, or null if the child nodes are root-level.
+ * @returns {LexerTokenConsumer<null | LexerToken<"CLOSING_TAGNAME" | "EOF"> | ImpliedEndTagToken>} Final return value is the token which terminated the child nodes;
+ *    either an encountered closing tag with its tag name transformed to the configured casing, an opening tag which implicitly closes
+ *    the parent element when the `impliedEndTags` option is enabled, or the EOF. Returns null if parsing was aborted.
  */
-async function parseChildNodes(
+function* parseChildNodes(
   source,
   parserOptions,
-  lexerTokenReader,
-  parentChildStreamWriter,
-  parentTagNames = []
+  createChildNodeWriter,
+  reportDiagnostic,
+  parentNodeWriter,
+  parentTagNames = [],
+  parentElementNode = null
 ) {
+  /**
+   * Handles a problem which prevents a token from being parsed.
+   * In recover mode, the problem is reported as a diagnostic so parsing can continue;
+   * otherwise, the node writer is aborted with an error.
+   * @param {DiagnosticCode} code
+   * @param {string} message
+   * @param {LexerToken} token
+   * @returns {boolean} Whether parsing can continue
+   */
+  const handleParsingError = (code, message, token) => {
+    if (parserOptions.recover) {
+      reportDiagnostic({
+        severity: "error",
+        code,
+        message,
+        range: { start: token.start, end: token.end },
+      });
+      return true;
+    }
+
+    parentNodeWriter.abort(
+      new Error(
+        `Tempeh parsing error: ${message} at ${
+          source.filePath ? `${source.filePath}:` : ""
+        }${token.l}:${token.c}`
+      )
+    );
+    return false;
+  };
+
+  /**
+   * @param {StreamedTmphNode} node
+   */
+  const writeNode = (node) => parentNodeWriter.write(node);
+
+  /**
+   * Passes along a problem which the lexer was able to recover from.
+   * @param {LexerToken<"DIAGNOSTIC">} token
+   */
+  const reportLexerDiagnostic = (token) =>
+    reportDiagnostic({
+      severity: token.severity,
+      code: token.code,
+      message: token.value,
+      range: { start: token.start, end: token.end },
+    });
+
   /**
    * @type {ReadableStreamReadResult<LexerToken>}
    */
   let tokenReadResult;
-  while (!(tokenReadResult = await lexerTokenReader.read()).done) {
+  /**
+   * An opening tag which implicitly closed the previous element, which still needs to be parsed as its next sibling
+   * @type {ReadableStreamReadResult<LexerToken> | null}
+   */
+  let impliedEndTagReadResult = null;
+  while (!(tokenReadResult = impliedEndTagReadResult ?? (yield)).done) {
+    impliedEndTagReadResult = null;
+    /**
+     * @type {LexerToken}
+     */
     const token = tokenReadResult.value;
     switch (token.type) {
       case LexerTokenType.EOF: {
-        return null;
+        return token;
       }
       case LexerTokenType.ERROR: {
-        parentChildStreamWriter.abort(
-          new Error(
-            `Tempeh parsing error: ${token.value} at ${
-              source.filePath ? `${source.filePath}:` : ""
-            }${token.l}:${token.c}`
-          )
-        );
+        // The lexer can't continue after an error, so even in recover mode
+        // there's nothing left to parse.
+        handleParsingError(DiagnosticCode.LEXER_ERROR, token.value, token);
         return null;
       }
+      case LexerTokenType.DIAGNOSTIC: {
+        reportLexerDiagnostic(token);
+        break;
+      }
       case LexerTokenType.TEXT_CONTENT: {
         if (!token.value) {
           break;
@@ -61,10 +179,37 @@ async function parseChildNodes(
           c: token.c,
         };
 
-        parentChildStreamWriter.write(textNode);
+        if (parserOptions.sourceRanges) {
+          textNode.range = { start: token.start, end: token.end };
+          extendElementRangeEnd(parentElementNode, token.end);
+        }
+
+        if (token.decoded) {
+          textNode.decoded = true;
+        }
+
+        if (parserOptions.preserveFormatting && token.raw !== undefined) {
+          textNode.formatting = { rawTextContent: token.raw };
+        }
+
+        writeNode(textNode);
         break;
       }
       case LexerTokenType.OPENING_TAGNAME: {
+        if (parserOptions.impliedEndTags) {
+          const impliedEndTagIndex = getImpliedEndTagIndex(
+            token.value,
+            parentTagNames
+          );
+          if (impliedEndTagIndex !== -1) {
+            // Hand the opening tag back up to the element it closes so it can be parsed as that element's sibling
+            return { ...token, impliedEndTagIndex };
+          }
+        }
+
+        /**
+         * @type {string}
+         */
         let tagName = token.value;
         switch (parserOptions.tagNameCasing) {
           case "lower":
@@ -85,98 +230,283 @@ async function parseChildNodes(
           l: token.l,
         };
 
+        if (parserOptions.sourceRanges) {
+          elementNode.range = { start: token.start, end: token.end };
+          elementNode.openingTagRange = { start: token.start, end: token.end };
+        }
+
+        if (parserOptions.preserveFormatting) {
+          elementNode.formatting = {
+            openingTagName: token.value,
+            openingTagEnd: "",
+            closingTag: null,
+          };
+        }
+
+        /**
+         * Writes the element as-is if the opening tag couldn't be terminated.
+         * In recover mode, we'll synthesize the element from whatever we got before the problem;
+         * otherwise, the element will be dropped.
+         * @param {LexerToken} terminatorToken
+         */
+        const handleUnterminatedOpeningTag = (terminatorToken) => {
+          reportDiagnostic({
+            severity: "error",
+            code: DiagnosticCode.UNTERMINATED_OPENING_TAG,
+            message: `Opening tag for <${tagName}> was not terminated`,
+            range: { start: token.start, end: terminatorToken.end },
+          });
+
+          if (parserOptions.recover) {
+            if (elementNode.range && elementNode.openingTagRange) {
+              elementNode.openingTagRange.end = terminatorToken.end;
+              elementNode.range.end = terminatorToken.end;
+              extendElementRangeEnd(parentElementNode, terminatorToken.end);
+            }
+            writeNode(elementNode);
+          }
+        };
+
         /**
          * @type {ReadableStreamReadResult<LexerToken>}
          */
         let openingTagTokenReadResult;
         let isElementClosed = false;
-        while (
-          !isElementClosed &&
-          !(openingTagTokenReadResult = await lexerTokenReader.read()).done
-        ) {
+        while (!isElementClosed && !(openingTagTokenReadResult = yield).done) {
           const openingTagToken = openingTagTokenReadResult.value;
 
           switch (openingTagToken.type) {
             case LexerTokenType.SELF_CLOSING_TAG_END:
-              parentChildStreamWriter.write(elementNode);
+              if (elementNode.formatting) {
+                elementNode.formatting.openingTagEnd =
+                  openingTagToken.raw ?? ">";
+              }
+              if (elementNode.range && elementNode.openingTagRange) {
+                elementNode.openingTagRange.end = openingTagToken.end;
+                elementNode.range.end = openingTagToken.end;
+                extendElementRangeEnd(parentElementNode, openingTagToken.end);
+              }
+              writeNode(elementNode);
               isElementClosed = true;
               break;
             case LexerTokenType.ATTRIBUTE_NAME: {
-              (elementNode.attributes ??= []).push({
+              /**
+               * @type {TmphElementAttribute}
+               */
+              const attribute = {
                 name: openingTagToken.value,
                 l: openingTagToken.l,
                 c: openingTagToken.c,
                 value: "",
-              });
+              };
+
+              if (parserOptions.sourceRanges) {
+                attribute.range = {
+                  start: openingTagToken.start,
+                  end: openingTagToken.end,
+                };
+                attribute.nameRange = {
+                  start: openingTagToken.start,
+                  end: openingTagToken.end,
+                };
+              }
+
+              if (parserOptions.preserveFormatting) {
+                attribute.formatting = {
+                  whitespaceBefore: openingTagToken.whitespaceBefore ?? "",
+                  quote: null,
+                  rawValue: "",
+                };
+              }
+
+              if (parserOptions.parseDirectives) {
+                attribute.directive = parseAttributeDirective(
+                  openingTagToken,
+                  parserOptions.sourceRanges
+                );
+              }
+
+              (elementNode.attributes ??= []).push(attribute);
               break;
             }
             case LexerTokenType.ATTRIBUTE_VALUE: {
               const lastAttribute = elementNode.attributes?.at(-1);
               if (lastAttribute) {
                 lastAttribute.value = openingTagToken.value;
-              } else {
-                parentChildStreamWriter.abort(
-                  new Error(
-                    `Tempeh parsing error: Encountered unexpected attribute value ${
-                      openingTagToken.value
-                    } at ${source.filePath ? `${source.filePath}:` : ""}${
-                      openingTagToken.l
-                    }:${openingTagToken.c}`
-                  )
-                );
+                if (openingTagToken.decoded) {
+                  lastAttribute.decoded = true;
+                }
+
+                if (lastAttribute.range) {
+                  lastAttribute.range.end = openingTagToken.end;
+                  lastAttribute.valueRange = {
+                    start: openingTagToken.start,
+                    end: openingTagToken.end,
+                  };
+                }
+
+                if (lastAttribute.formatting) {
+                  lastAttribute.formatting.quote = openingTagToken.quote ?? "";
+                  lastAttribute.formatting.rawValue =
+                    openingTagToken.raw ?? openingTagToken.value;
+                }
+
+                if (lastAttribute.directive) {
+                  parseDirectiveExpression(
+                    lastAttribute.directive,
+                    openingTagToken,
+                    parserOptions.sourceRanges
+                  );
+                }
+
+                if (
+                  parserOptions.validateExpressions ||
+                  parserOptions.expressionAST
+                ) {
+                  parseAttributeExpression(
+                    lastAttribute,
+                    openingTagToken,
+                    parserOptions,
+                    reportDiagnostic
+                  );
+                }
+              } else if (
+                !handleParsingError(
+                  DiagnosticCode.UNEXPECTED_TOKEN,
+                  `Encountered unexpected attribute value ${openingTagToken.value}`,
+                  openingTagToken
+                )
+              ) {
                 return null;
               }
               break;
             }
             case LexerTokenType.OPENING_TAG_END: {
-              const { readable, writable } = new TransformStream();
-              elementNode.childStream = readable;
+              const childNodeWriter = createChildNodeWriter(elementNode);
 
-              parentChildStreamWriter.write(elementNode);
+              if (elementNode.formatting) {
+                elementNode.formatting.openingTagEnd =
+                  openingTagToken.raw ?? ">";
+              }
+
+              if (elementNode.range && elementNode.openingTagRange) {
+                elementNode.openingTagRange.end = openingTagToken.end;
+                elementNode.range.end = openingTagToken.end;
+              }
+
+              writeNode(elementNode);
 
-              const childStreamWriter = writable.getWriter();
-              const closingTagName = await parseChildNodes(
+              const closingTagToken = yield* parseChildNodes(
                 source,
                 parserOptions,
-                lexerTokenReader,
-                childStreamWriter,
-                parentTagNames.concat(tagName)
+                createChildNodeWriter,
+                reportDiagnostic,
+                childNodeWriter,
+                parentTagNames.concat(tagName),
+                elementNode
               );
-              childStreamWriter.close();
 
               isElementClosed = true;
 
-              if (closingTagName !== tagName) {
-                return closingTagName;
+              const isClosedByOwnClosingTag =
+                closingTagToken?.type === LexerTokenType.CLOSING_TAGNAME &&
+                closingTagToken.value === tagName;
+
+              if (
+                closingTagToken &&
+                !isClosedByOwnClosingTag &&
+                // Elements whose closing tags are optional are expected to be closed implicitly
+                !(parserOptions.impliedEndTags && hasOptionalEndTag(tagName))
+              ) {
+                reportDiagnostic({
+                  severity: "warning",
+                  code: DiagnosticCode.UNCLOSED_ELEMENT,
+                  message:
+                    closingTagToken.type === LexerTokenType.EOF
+                      ? `<${tagName}> element was not closed before the end of the file`
+                      : closingTagToken.type === LexerTokenType.OPENING_TAGNAME
+                      ? `<${tagName}> element was implicitly closed by <${closingTagToken.value}>`
+                      : `<${tagName}> element was implicitly closed by </${closingTagToken.value}>`,
+                  range: {
+                    start: token.start,
+                    end: openingTagToken.end,
+                  },
+                });
+              }
+
+              if (
+                elementNode.formatting &&
+                closingTagToken &&
+                isClosedByOwnClosingTag
+              ) {
+                elementNode.formatting.closingTag =
+                  closingTagToken.raw ?? `</${closingTagToken.value}>`;
+              }
+
+              if (elementNode.range) {
+                if (closingTagToken && isClosedByOwnClosingTag) {
+                  elementNode.closingTagRange = {
+                    start: closingTagToken.start,
+                    end: closingTagToken.end,
+                  };
+                  elementNode.range.end = closingTagToken.end;
+                }
+                // If the element wasn't explicitly closed, its range will just end
+                // wherever its last child ended
+                extendElementRangeEnd(parentElementNode, elementNode.range.end);
+              }
+
+              // Close the child node writer after all source ranges have been finalized so
+              // they will be complete by the time a consumer finishes reading the child stream.
+              // If a parsing error aborted the child node writer, it's already closed.
+              childNodeWriter.close();
+
+              if (
+                closingTagToken?.type === LexerTokenType.OPENING_TAGNAME &&
+                closingTagToken.impliedEndTagIndex === parentTagNames.length
+              ) {
+                // This element is the one the opening tag closed, so the opening tag is its next sibling
+                impliedEndTagReadResult = {
+                  done: false,
+                  value: closingTagToken,
+                };
+              } else if (!isClosedByOwnClosingTag) {
+                return closingTagToken;
               }
               break;
             }
             case LexerTokenType.EOF: {
-              return null;
+              handleUnterminatedOpeningTag(openingTagToken);
+              return openingTagToken;
             }
             case LexerTokenType.ERROR: {
-              parentChildStreamWriter.abort(
-                new Error(
-                  `Tempeh parsing error: ${token.value} at ${
-                    source.filePath ? `${source.filePath}:` : ""
-                  }${token.l}:${token.c}`
+              if (
+                handleParsingError(
+                  DiagnosticCode.LEXER_ERROR,
+                  openingTagToken.value,
+                  openingTagToken
                 )
-              );
+              ) {
+                handleUnterminatedOpeningTag(openingTagToken);
+              }
               return null;
             }
+            case LexerTokenType.DIAGNOSTIC: {
+              reportLexerDiagnostic(openingTagToken);
+              break;
+            }
             default:
-              const tokenTypeDisplayName =
-                Object.entries(LexerTokenType).find(
-                  ([key, value]) => value === openingTagToken.type
-                )?.[0] ?? `UNKNOWN:${openingTagToken.type}`;
-              parentChildStreamWriter.abort(
-                new Error(
-                  `Tempeh parsing error: Encountered unexpected token type ${tokenTypeDisplayName} at ${
-                    source.filePath ? `${source.filePath}:` : ""
-                  }${openingTagToken.l}:${openingTagToken.c}`
+              if (
+                !handleParsingError(
+                  DiagnosticCode.UNEXPECTED_TOKEN,
+                  `Encountered unexpected token type ${getTokenTypeDisplayName(
+                    openingTagToken.type
+                  )}`,
+                  openingTagToken
                 )
-              );
-              return null;
+              ) {
+                return null;
+              }
           }
         }
         break;
@@ -197,48 +527,105 @@ async function parseChildNodes(
           if (parentTagNames[i] === closingTagName) {
             // If the closing tag matches a parent tag name,
             // we should stop parsing child nodes and break out of this loop.
-            // Return with the closing tag name so the parent
+            // Return with the closing tag so the parent
             // context can handle things further.
-            return closingTagName;
+            return {
+              ...token,
+              type: LexerTokenType.CLOSING_TAGNAME,
+              value: closingTagName,
+            };
           }
         }
 
         // If the closing tag doesn't match any parent tag names, ignore it
-        break;
-      }
-      case LexerTokenType.DOCTYPE_DECLARATION: {
-        parentChildStreamWriter.write(
-          /** @satisfies {TmphDoctypeDeclarationNode} */ {
-            doctypeDeclaration: token.value,
+        reportDiagnostic({
+          severity: "warning",
+          code: DiagnosticCode.UNEXPECTED_CLOSING_TAG,
+          message: `Ignoring closing tag </${closingTagName}> which does not match any open element`,
+          range: { start: token.start, end: token.end },
+        });
+
+        if (parserOptions.preserveFormatting && token.raw !== undefined) {
+          // Keep the ignored closing tag in an empty text node so it can still be serialized back out
+          /**
+           * @type {TmphTextNode}
+           */
+          const textNode = {
+            textContent: "",
             l: token.l,
             c: token.c,
+          };
+
+          if (parserOptions.sourceRanges) {
+            textNode.range = { start: token.start, end: token.end };
+            extendElementRangeEnd(parentElementNode, token.end);
           }
-        );
+
+          textNode.formatting = {
+            rawTextContent: "",
+            ignoredClosingTag: token.raw,
+          };
+
+          writeNode(textNode);
+        }
+        break;
+      }
+      case LexerTokenType.DOCTYPE_DECLARATION: {
+        /**
+         * @type {TmphDoctypeDeclarationNode}
+         */
+        const doctypeNode = {
+          doctypeDeclaration: token.value,
+          l: token.l,
+          c: token.c,
+        };
+
+        if (parserOptions.sourceRanges) {
+          doctypeNode.range = { start: token.start, end: token.end };
+          extendElementRangeEnd(parentElementNode, token.end);
+        }
+
+        if (parserOptions.preserveFormatting && token.raw !== undefined) {
+          doctypeNode.formatting = { rawDeclaration: token.raw };
+        }
+
+        writeNode(doctypeNode);
         break;
       }
       case LexerTokenType.COMMENT: {
-        parentChildStreamWriter.write(
-          /** @satisfies {TmphCommentNode} */ {
-            comment: token.value,
-            l: token.l,
-            c: token.c,
-          }
-        );
+        /**
+         * @type {TmphCommentNode}
+         */
+        const commentNode = {
+          comment: token.value,
+          l: token.l,
+          c: token.c,
+        };
+
+        if (parserOptions.sourceRanges) {
+          commentNode.range = { start: token.start, end: token.end };
+          extendElementRangeEnd(parentElementNode, token.end);
+        }
+
+        if (parserOptions.preserveFormatting && token.raw !== undefined) {
+          commentNode.formatting = { rawComment: token.raw };
+        }
+
+        writeNode(commentNode);
         break;
       }
       default: {
-        const tokenTypeDisplayName =
-          Object.entries(LexerTokenType).find(
-            ([key, value]) => value === token.type
-          )?.[0] ?? `UNKNOWN:${token.type}`;
-        parentChildStreamWriter.abort(
-          new Error(
-            `Tempeh parsing error: Encountered unexpected token type ${tokenTypeDisplayName} at ${
-              source.filePath ? `${source.filePath}:` : ""
-            }${token.l}:${token.c}`
+        if (
+          !handleParsingError(
+            DiagnosticCode.UNEXPECTED_TOKEN,
+            `Encountered unexpected token type ${getTokenTypeDisplayName(
+              token.type
+            )}`,
+            token
           )
-        );
-        return null;
+        ) {
+          return null;
+        }
       }
     }
   }
@@ -246,39 +633,360 @@ async function parseChildNodes(
   return null;
 }
 
+/**
+ * Creates a node writer which writes to a stream, for parsing asynchronously.
+ * The consumer may cancel a stream, ie by breaking out of a loop early, so failed writes are ignored.
+ * @param {WritableStreamDefaultWriter<StreamedTmphNode>} streamWriter
+ * @returns {NodeWriter}
+ */
+const createStreamNodeWriter = (streamWriter) => ({
+  write: (node) => {
+    streamWriter.write(node).catch(() => {});
+  },
+  abort: (error) => {
+    streamWriter.abort(error).catch(() => {});
+  },
+  close: () => {
+    streamWriter.close().catch(() => {});
+  },
+});
+
+/**
+ * @type {CreateChildNodeWriterFn}
+ */
+const createChildStreamNodeWriter = (elementNode) => {
+  const { readable, writable } = new TransformStream();
+  elementNode.childStream = readable;
+  return createStreamNodeWriter(writable.getWriter());
+};
+
+/**
+ * Creates a node writer which collects nodes into an array, for parsing synchronously.
+ * Since there's no stream to abort, errors are thrown right away.
+ * @param {TmphNode[]} nodes
+ * @returns {NodeWriter}
+ */
+const createArrayNodeWriter = (nodes) => ({
+  write: (node) => {
+    nodes.push(/** @type {TmphNode} */ (node));
+  },
+  abort: (error) => {
+    throw error;
+  },
+  close: () => {},
+});
+
+/**
+ * @type {CreateChildNodeWriterFn}
+ */
+const createChildArrayNodeWriter = (streamedElementNode) => {
+  const elementNode = /** @type {TmphElementNode} */ (streamedElementNode);
+  /**
+   * @type {TmphNode[]}
+   */
+  const children = [];
+  elementNode.children = children;
+  return {
+    ...createArrayNodeWriter(children),
+    close: () => {
+      if (children.length === 0) {
+        delete elementNode.children;
+      }
+    },
+  };
+};
+
 /**
  * Takes the path to a .tmph.html file and parses it into a JSON object
  * that can be used by the compiler.
  * @param {HTMLParserSource} source
  * @param {HTMLParserOptions} options
  * @param {WritableStream<StreamedTmphNode>} rootNodeStream
+ * @param {ReportDiagnosticFn} reportDiagnostic - Called with each problem encountered while parsing
+ * @param {(encoding: string) => void} reportEncoding - Called with the name of the character encoding the source is decoded with once it has been determined
+ * @param {AbortSignal} [signal] - Signal which stops parsing, erroring the root node stream and any open child node streams with the signal's abort reason
+ * @param {() => void} [reportParsed] - Called once the whole source has been parsed and no more diagnostics will be reported,
+ *    which can be before all of the nodes have been read from the root node stream
  */
-export default async function parseTemplate(source, options, rootNodeStream) {
+export default async function parseTemplate(
+  source,
+  options,
+  rootNodeStream,
+  reportDiagnostic,
+  reportEncoding,
+  signal,
+  reportParsed
+) {
+  if (signal?.aborted) {
+    await rootNodeStream.abort(signal.reason);
+    return;
+  }
+
   /**
    * @type {TransformStream<LexerToken>}
    */
   const lexerTokenTransformStream = new TransformStream();
-  const runPromise = pool.run(
-    { source, options, writableStream: lexerTokenTransformStream.writable },
-    {
-      // @ts-ignore
-      transferList: [lexerTokenTransformStream.writable],
-    }
-  );
 
   const rootNodeStreamWriter = rootNodeStream.getWriter();
+  const lexerTokenReader = lexerTokenTransformStream.readable.getReader();
 
-  try {
-    await parseChildNodes(
+  /**
+   * @type {MessagePort | undefined}
+   */
+  let keepAlivePort;
+
+  /**
+   * @type {HTMLParserOptions}
+   */
+  const lexerOptions = {
+    ...options,
+    // A Piscina instance or cache can't be sent to a worker, and the lexer doesn't need either anyway
+    worker: "inline",
+    cache: false,
+  };
+
+  /**
+   * @type {Promise<void>}
+   */
+  let lexPromise;
+  if (options.worker === "inline") {
+    lexPromise = lex({
       source,
-      options,
-      lexerTokenTransformStream.readable.getReader(),
-      rootNodeStreamWriter
+      options: lexerOptions,
+      writableStream: lexerTokenTransformStream.writable,
+    });
+  } else {
+    /**
+     * @type {Array<WritableStream | ReadableStream | ArrayBuffer>}
+     */
+    const transferList = [lexerTokenTransformStream.writable];
+    if ("byteStream" in source) {
+      transferList.push(source.byteStream);
+    } else if ("bytes" in source) {
+      transferList.push(source.bytes.buffer);
+    }
+
+    const workerPool =
+      options.worker instanceof Piscina
+        ? options.worker
+        : getSharedWorkerPool();
+
+    lexPromise = workerPool.run(
+      {
+        source,
+        options: lexerOptions,
+        writableStream: lexerTokenTransformStream.writable,
+      },
+      {
+        // @ts-ignore
+        transferList,
+      }
     );
+
+    // The ports behind streams transferred to a worker are unref'd, so once the lexer's task finishes,
+    // nothing would keep the event loop alive to receive any tokens which are still in flight.
+    // A ref'd port is held open until all of the tokens have been read instead.
+    // https://github.com/nodejs/node/issues/44985
+    keepAlivePort = new MessageChannel().port1;
+    keepAlivePort.ref();
+  }
+
+  /**
+   * Child node writers for elements which are still being parsed, which need to be errored if parsing is stopped
+   * @type {Set<NodeWriter>}
+   */
+  const openChildNodeWriters = new Set();
+
+  /**
+   * @type {CreateChildNodeWriterFn}
+   */
+  const createChildNodeWriter = (elementNode) => {
+    const childNodeWriter = createChildStreamNodeWriter(elementNode);
+    openChildNodeWriters.add(childNodeWriter);
+    return {
+      ...childNodeWriter,
+      close: () => {
+        openChildNodeWriters.delete(childNodeWriter);
+        childNodeWriter.close();
+      },
+    };
+  };
+
+  /**
+   * Why parsing was stopped before the lexer finished, ie if the parse was aborted or the lexer's worker pool was destroyed
+   * @type {{ reason: Error } | null}
+   */
+  let stopped = null;
+
+  /**
+   * @param {Error} reason
+   * @returns {Error} The reason parsing was stopped, which may have been an earlier reason
+   */
+  const stopParsing = (reason) => {
+    if (stopped) {
+      return stopped.reason;
+    }
+    stopped = { reason };
+
+    // Stop waiting on tokens which will never come; this also tells the lexer to stop
+    lexerTokenReader.cancel(reason).catch(() => {});
+    rootNodeStreamWriter.abort(reason).catch(() => {});
+    for (const childNodeWriter of openChildNodeWriters) {
+      childNodeWriter.abort(reason);
+    }
+    openChildNodeWriters.clear();
+    return reason;
+  };
+
+  const onAbort = () => stopParsing(signal?.reason);
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  const lexerRunPromise = lexPromise.catch((err) => {
+    stopParsing(err);
+  });
+
+  /**
+   * Runs a parsing generator to completion, feeding it tokens as they are read from the lexer worker.
+   * @template T
+   * @param {LexerTokenConsumer<T>} consumer
+   * @returns {Promise<T>}
+   */
+  const consumeLexerTokens = async (consumer) => {
+    let consumerResult = consumer.next();
+    while (!consumerResult.done) {
+      consumerResult = consumer.next(await lexerTokenReader.read());
+    }
+    if (stopped) {
+      throw stopped.reason;
+    }
+    return consumerResult.value;
+  };
+
+  try {
+    // The lexer always starts by reporting which character encoding the source is being decoded with
+    reportEncoding(
+      getEncodingFromTokenReadResult(await lexerTokenReader.read())
+    );
+
+    if (options.mode === "spec") {
+      writeNodeTree(
+        await consumeLexerTokens(
+          constructSpecTree(source, options, reportDiagnostic)
+        ),
+        rootNodeStreamWriter
+      );
+    } else {
+      await consumeLexerTokens(
+        parseChildNodes(
+          source,
+          options,
+          createChildNodeWriter,
+          reportDiagnostic,
+          createStreamNodeWriter(rootNodeStreamWriter)
+        )
+      );
+    }
+    // All of the lexer's tokens have been read, so the event loop no longer needs to be kept alive for them,
+    // even if nobody ever reads the nodes
+    keepAlivePort?.close();
+    reportParsed?.();
     await rootNodeStreamWriter.close();
   } catch (err) {
-    await rootNodeStreamWriter.abort(err);
+    // Make sure the lexer stops too if parsing failed partway through
+    stopParsing(err instanceof Error ? err : new Error(String(err)));
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    keepAlivePort?.close();
+    await lexerRunPromise;
+  }
+}
+
+/**
+ * @param {ReadableStreamReadResult<LexerToken>} tokenReadResult - The first token read from the lexer
+ * @returns {string} The name of the character encoding the lexer reported
+ */
+const getEncodingFromTokenReadResult = (tokenReadResult) => {
+  if (
+    tokenReadResult.done ||
+    tokenReadResult.value.type !== LexerTokenType.ENCODING
+  ) {
+    throw new Error("Lexer did not report the source's encoding");
+  }
+  return tokenReadResult.value.value;
+};
+
+/**
+ * @param {IteratorResult<LexerToken, void>} lexerTokenResult
+ * @returns {ReadableStreamReadResult<LexerToken>}
+ */
+const toTokenReadResult = (lexerTokenResult) =>
+  lexerTokenResult.done
+    ? { done: true }
+    : { done: false, value: lexerTokenResult.value };
+
+/**
+ * Parses a source synchronously in the calling thread, without going through the lexer worker pool.
+ * Byte streams can't be read synchronously, so they aren't supported.
+ * @param {HTMLParserSource} source
+ * @param {HTMLParserOptions} options
+ * @param {ReportDiagnosticFn} reportDiagnostic - Called with each problem encountered while parsing
+ * @param {(encoding: string) => void} reportEncoding - Called with the name of the character encoding the source is decoded with once it has been determined
+ * @param {string[]} [parentTagNames] - Tag names of the open elements the source is nested inside of, when parsing a fragment of a larger document.
+ *    Closing tags for these elements will stop parsing, and they're taken into account when applying implied end tags.
+ * @returns {TmphNode[]} The parsed root-level nodes
+ */
+export function parseTemplateSync(
+  source,
+  options,
+  reportDiagnostic,
+  reportEncoding,
+  parentTagNames = []
+) {
+  const lexerTokens = lexSync({ source, options });
+
+  /**
+   * Runs a parsing generator to completion, feeding it tokens as they are lexed.
+   * @template T
+   * @param {LexerTokenConsumer<T>} consumer
+   * @returns {T}
+   */
+  const consumeLexerTokens = (consumer) => {
+    let consumerResult = consumer.next();
+    while (!consumerResult.done) {
+      consumerResult = consumer.next(toTokenReadResult(lexerTokens.next()));
+    }
+    return consumerResult.value;
+  };
+
+  try {
+    // The lexer always starts by reporting which character encoding the source is being decoded with
+    reportEncoding(
+      getEncodingFromTokenReadResult(toTokenReadResult(lexerTokens.next()))
+    );
+
+    if (options.mode === "spec") {
+      return consumeLexerTokens(
+        constructSpecTree(source, options, reportDiagnostic)
+      );
+    }
+
+    /**
+     * @type {TmphNode[]}
+     */
+    const nodes = [];
+    consumeLexerTokens(
+      parseChildNodes(
+        source,
+        options,
+        createChildArrayNodeWriter,
+        reportDiagnostic,
+        createArrayNodeWriter(nodes),
+        parentTagNames
+      )
+    );
+    return nodes;
   } finally {
-    await runPromise;
+    // Make sure the lexer closes the source file if parsing stopped early
+    lexerTokens.return();
   }
 }
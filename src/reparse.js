@@ -0,0 +1,477 @@
+import { isDeepStrictEqual } from "node:util";
+import { parseTemplateSync } from "./parseTemplate.js";
+import { getLineAndColumn, isCRLFNewline } from "./lexerUtils.js";
+
+/**
+ * @import { HTMLParseTree, HTMLParserOptions, HTMLSourceEdit, TmphDirectivePart, TmphElementAttribute, TmphElementNode, TmphNode, TmphSourcePosition, TmphSourceRange } from './types.js';
+ */
+
+/**
+ * Maps a position in the source before an edit to where the same character is after the edit.
+ * @typedef {<TPosition extends { l: number; c: number; offset?: number; byteOffset?: number }>(position: TPosition) => TPosition} MapPositionFn
+ */
+
+const utf8Encoder = new TextEncoder();
+
+/**
+ * @param {string} text
+ */
+const getByteLength = (text) => utf8Encoder.encode(text).byteLength;
+
+/**
+ * Creates a function which maps positions in a range of a source to where they are after an edit, when the range
+ * has been moved by the edit but its contents are the same.
+ * @param {number} originLine - The range's first line before the edit. Positions on this line may have been moved to a different column.
+ * @param {number} lineDelta
+ * @param {number} originLineColumnDelta
+ * @param {number} offsetDelta
+ * @param {number} byteOffsetDelta
+ * @returns {MapPositionFn}
+ */
+const createPositionMapper =
+  (
+    originLine,
+    lineDelta,
+    originLineColumnDelta,
+    offsetDelta,
+    byteOffsetDelta
+  ) =>
+  (position) => {
+    const mappedPosition = { ...position, l: position.l + lineDelta };
+    if (position.l === originLine) {
+      mappedPosition.c += originLineColumnDelta;
+    }
+    if (mappedPosition.offset !== undefined) {
+      mappedPosition.offset += offsetDelta;
+    }
+    if (mappedPosition.byteOffset !== undefined) {
+      mappedPosition.byteOffset += byteOffsetDelta;
+    }
+    return mappedPosition;
+  };
+
+/**
+ * @param {TmphSourceRange} range
+ * @param {MapPositionFn} mapPosition
+ * @returns {TmphSourceRange}
+ */
+const mapRange = (range, mapPosition) => ({
+  start: mapPosition(range.start),
+  end: mapPosition(range.end),
+});
+
+/**
+ * @param {TmphDirectivePart} part
+ * @param {MapPositionFn} mapPosition
+ * @returns {TmphDirectivePart}
+ */
+const mapDirectivePart = (part, mapPosition) => {
+  const mappedPart = { ...part, ...mapPosition({ l: part.l, c: part.c }) };
+  if (mappedPart.range) {
+    mappedPart.range = mapRange(mappedPart.range, mapPosition);
+  }
+  return mappedPart;
+};
+
+/**
+ * Copies a node with all of its positions mapped.
+ * @template {TmphNode | TmphElementAttribute} TNode
+ * @param {TNode} node
+ * @param {MapPositionFn} mapPosition
+ * @returns {TNode}
+ */
+const mapNodePositions = (node, mapPosition) => {
+  /**
+   * @type {TmphNode | TmphElementAttribute}
+   */
+  const mappedNode = { ...node, ...mapPosition({ l: node.l, c: node.c }) };
+
+  if (mappedNode.range) {
+    mappedNode.range = mapRange(mappedNode.range, mapPosition);
+  }
+
+  if ("name" in mappedNode) {
+    if (mappedNode.nameRange) {
+      mappedNode.nameRange = mapRange(mappedNode.nameRange, mapPosition);
+    }
+    if (mappedNode.valueRange) {
+      mappedNode.valueRange = mapRange(mappedNode.valueRange, mapPosition);
+    }
+    if (mappedNode.directive) {
+      const {
+        name,
+        arguments: args,
+        modifiers,
+        expression,
+      } = mappedNode.directive;
+      mappedNode.directive = {
+        ...mappedNode.directive,
+        name: mapDirectivePart(name, mapPosition),
+        arguments: args.map((part) => mapDirectivePart(part, mapPosition)),
+        modifiers: modifiers.map((part) => mapDirectivePart(part, mapPosition)),
+        expression: expression && mapDirectivePart(expression, mapPosition),
+      };
+    }
+  } else if ("tagName" in mappedNode) {
+    if (mappedNode.openingTagRange) {
+      mappedNode.openingTagRange = mapRange(
+        mappedNode.openingTagRange,
+        mapPosition
+      );
+    }
+    if (mappedNode.closingTagRange) {
+      mappedNode.closingTagRange = mapRange(
+        mappedNode.closingTagRange,
+        mapPosition
+      );
+    }
+    if (mappedNode.attributes) {
+      mappedNode.attributes = mappedNode.attributes.map((attribute) =>
+        mapNodePositions(attribute, mapPosition)
+      );
+    }
+    if (mappedNode.children) {
+      mappedNode.children = mappedNode.children.map((child) =>
+        mapNodePositions(child, mapPosition)
+      );
+    }
+  }
+
+  return /** @type {TNode} */ (mappedNode);
+};
+
+/**
+ * Swaps newly parsed nodes for the previous tree's nodes wherever they're identical, so consumers can tell
+ * which nodes didn't change by comparing them by identity. Nodes are matched up from the start and the end of the list,
+ * and if a single element was changed between them, its children are matched up the same way.
+ * @param {TmphNode[]} newNodes
+ * @param {TmphNode[]} previousNodes
+ * @returns {TmphNode[]}
+ */
+const reuseUnchangedNodes = (newNodes, previousNodes) => {
+  const nodes = newNodes.slice();
+
+  let startIndex = 0;
+  while (
+    startIndex < nodes.length &&
+    startIndex < previousNodes.length &&
+    isDeepStrictEqual(nodes[startIndex], previousNodes[startIndex])
+  ) {
+    nodes[startIndex] = /** @type {TmphNode} */ (previousNodes[startIndex]);
+    ++startIndex;
+  }
+
+  let endIndex = nodes.length;
+  let previousEndIndex = previousNodes.length;
+  while (
+    endIndex > startIndex &&
+    previousEndIndex > startIndex &&
+    isDeepStrictEqual(nodes[endIndex - 1], previousNodes[previousEndIndex - 1])
+  ) {
+    nodes[--endIndex] = /** @type {TmphNode} */ (
+      previousNodes[--previousEndIndex]
+    );
+  }
+
+  const changedNode = nodes[startIndex];
+  const previousChangedNode = previousNodes[startIndex];
+  if (
+    endIndex - startIndex === 1 &&
+    previousEndIndex - startIndex === 1 &&
+    changedNode &&
+    previousChangedNode &&
+    "tagName" in changedNode &&
+    "tagName" in previousChangedNode
+  ) {
+    /**
+     * @type {TmphElementNode}
+     */
+    const partiallyChangedNode = { ...changedNode };
+    if (
+      previousChangedNode.attributes &&
+      isDeepStrictEqual(changedNode.attributes, previousChangedNode.attributes)
+    ) {
+      partiallyChangedNode.attributes = previousChangedNode.attributes;
+    }
+    if (changedNode.children && previousChangedNode.children) {
+      partiallyChangedNode.children = reuseUnchangedNodes(
+        changedNode.children,
+        previousChangedNode.children
+      );
+    }
+    nodes[startIndex] = partiallyChangedNode;
+  }
+
+  return nodes;
+};
+
+/**
+ * Tries to reparse an element which contains an edit on its own. This fails if the edit changes where the element ends,
+ * ie if it inserts a closing tag for the element or one of its ancestors.
+ * @param {TmphElementNode} elementNode - The element from the previous tree
+ * @param {string[]} ancestorTagNames - Tag names of the element's ancestors
+ * @param {string} source - The edited source
+ * @param {number} delta - How much the edit changed the length of the source by
+ * @param {HTMLParserOptions} options
+ * @returns {TmphElementNode | null} The reparsed element with positions in the edited source, or null if it couldn't be reparsed on its own
+ */
+const reparseElement = (
+  elementNode,
+  ancestorTagNames,
+  source,
+  delta,
+  options
+) => {
+  const range = /** @type {TmphSourceRange} */ (elementNode.range);
+  const fragment = source.slice(range.start.offset, range.end.offset + delta);
+
+  /**
+   * @type {TmphNode[]}
+   */
+  let fragmentNodes;
+  try {
+    fragmentNodes = parseTemplateSync(
+      { rawHTMLString: fragment },
+      options,
+      () => {},
+      () => {},
+      ancestorTagNames
+    );
+  } catch {
+    return null;
+  }
+
+  const [reparsedNode] = fragmentNodes;
+  if (
+    fragmentNodes.length !== 1 ||
+    !reparsedNode ||
+    !("tagName" in reparsedNode) ||
+    reparsedNode.tagName !== elementNode.tagName ||
+    reparsedNode.closingTagRange?.end.offset !== fragment.length
+  ) {
+    return null;
+  }
+
+  // Positions in the fragment are relative to the start of the element
+  return mapNodePositions(
+    reparsedNode,
+    createPositionMapper(
+      1,
+      range.start.l - 1,
+      range.start.c - 1,
+      range.start.offset,
+      range.start.byteOffset
+    )
+  );
+};
+
+/**
+ * Applies an edit to a previously parsed source, reparsing as little of it as possible.
+ * Only the innermost element whose contents contain the edit is reparsed, starting from its opening tag;
+ * if the edit changes where that element ends, its parent is tried instead, and so on up to the whole source.
+ * Nodes which didn't change are reused from the previous tree, while nodes after the edit are copied
+ * with their positions moved if the edit changed the length or line structure of the source.
+ *
+ * @param {HTMLParseTree} previousTree
+ * @param {HTMLSourceEdit} edit
+ * @param {HTMLParserOptions} options
+ * @returns {HTMLParseTree}
+ */
+export function reparseTree(previousTree, edit, options) {
+  if (!options.sourceRanges) {
+    throw new Error("Reparsing requires the sourceRanges option");
+  }
+
+  const { offset, deletedLength, insertedText } = edit;
+  const previousSource = previousTree.source;
+  const editEndOffset = offset + deletedLength;
+  if (
+    !(
+      offset >= 0 &&
+      deletedLength >= 0 &&
+      editEndOffset <= previousSource.length
+    )
+  ) {
+    throw new RangeError(
+      `Edit from ${offset} to ${editEndOffset} is outside of the source's range from 0 to ${previousSource.length}`
+    );
+  }
+
+  const source = `${previousSource.slice(
+    0,
+    offset
+  )}${insertedText}${previousSource.slice(editEndOffset)}`;
+  const delta = insertedText.length - deletedLength;
+  // A newline right after the edit is part of a "\r\n" line break if the text before it is a carriage return, so if the edit
+  // changed whether it is, the newline's line break has changed too and it needs to be counted as part of the edit
+  const crlfAdjustment =
+    isCRLFNewline(
+      previousSource.charCodeAt(editEndOffset),
+      previousSource.charCodeAt(editEndOffset - 1)
+    ) !==
+    isCRLFNewline(
+      source.charCodeAt(offset + insertedText.length),
+      source.charCodeAt(offset + insertedText.length - 1)
+    )
+      ? 1
+      : 0;
+
+  /**
+   * The elements whose contents contain the edit, from the root down
+   * @type {TmphElementNode[]}
+   */
+  const elementPath = [];
+  /**
+   * Index of each element in `elementPath` in its parent's children
+   * @type {number[]}
+   */
+  const elementPathIndices = [];
+
+  // The spec tree construction rules can move nodes anywhere in the document, so parts of it can't be reparsed on their own
+  if (options.mode !== "spec") {
+    let nodes = previousTree.nodes;
+    let containingElementIndex;
+    while (
+      (containingElementIndex = nodes.findIndex(
+        (node) =>
+          "tagName" in node &&
+          node.openingTagRange &&
+          node.closingTagRange &&
+          node.openingTagRange.end.offset <= offset &&
+          editEndOffset <= node.closingTagRange.start.offset
+      )) !== -1
+    ) {
+      const elementNode = /** @type {TmphElementNode} */ (
+        nodes[containingElementIndex]
+      );
+      elementPath.push(elementNode);
+      elementPathIndices.push(containingElementIndex);
+      nodes = elementNode.children ?? [];
+    }
+  }
+
+  for (let depth = elementPath.length - 1; depth >= 0; --depth) {
+    const previousElementNode = /** @type {TmphElementNode} */ (
+      elementPath[depth]
+    );
+    const ancestors = elementPath.slice(0, depth);
+    let reparsedNode = reparseElement(
+      previousElementNode,
+      ancestors.map(({ tagName }) => tagName),
+      source,
+      delta,
+      options
+    );
+    if (!reparsedNode) {
+      continue;
+    }
+
+    [reparsedNode] = /** @type {TmphElementNode[]} */ (
+      reuseUnchangedNodes([reparsedNode], [previousElementNode])
+    );
+
+    // Everything after the reparsed element is unchanged apart from its position
+    const elementStart = /** @type {TmphSourceRange} */ (
+      previousElementNode.range
+    ).start;
+    const previousEditEnd = getLineAndColumn(
+      previousSource,
+      elementStart,
+      elementStart.offset,
+      editEndOffset + crlfAdjustment
+    );
+    const editEnd = getLineAndColumn(
+      source,
+      elementStart,
+      elementStart.offset,
+      offset + insertedText.length + crlfAdjustment
+    );
+    const byteOffsetDelta =
+      getByteLength(insertedText) -
+      getByteLength(previousSource.slice(offset, editEndOffset));
+
+    /**
+     * @type {MapPositionFn | null}
+     */
+    const mapPosition =
+      delta === 0 &&
+      byteOffsetDelta === 0 &&
+      previousEditEnd.l === editEnd.l &&
+      previousEditEnd.c === editEnd.c
+        ? null
+        : createPositionMapper(
+            previousEditEnd.l,
+            editEnd.l - previousEditEnd.l,
+            editEnd.c - previousEditEnd.c,
+            delta,
+            byteOffsetDelta
+          );
+
+    /**
+     * @param {TmphNode[]} siblings
+     * @param {number} index
+     * @param {TmphNode} replacementNode
+     */
+    const spliceSiblings = (siblings, index, replacementNode) => [
+      ...siblings.slice(0, index),
+      replacementNode,
+      ...siblings
+        .slice(index + 1)
+        .map((sibling) =>
+          mapPosition ? mapNodePositions(sibling, mapPosition) : sibling
+        ),
+    ];
+
+    /**
+     * @type {TmphNode}
+     */
+    let replacementNode = reparsedNode;
+    for (let i = depth; i > 0; --i) {
+      const ancestor = /** @type {TmphElementNode} */ (elementPath[i - 1]);
+      /**
+       * @type {TmphElementNode}
+       */
+      const updatedAncestor = {
+        ...ancestor,
+        children: spliceSiblings(
+          ancestor.children ?? [],
+          /** @type {number} */ (elementPathIndices[i]),
+          replacementNode
+        ),
+      };
+      if (mapPosition && ancestor.range && ancestor.closingTagRange) {
+        updatedAncestor.range = {
+          start: ancestor.range.start,
+          end: mapPosition(ancestor.range.end),
+        };
+        updatedAncestor.closingTagRange = mapRange(
+          ancestor.closingTagRange,
+          mapPosition
+        );
+      }
+      replacementNode = updatedAncestor;
+    }
+
+    return {
+      source,
+      nodes: spliceSiblings(
+        previousTree.nodes,
+        /** @type {number} */ (elementPathIndices[0]),
+        replacementNode
+      ),
+    };
+  }
+
+  return {
+    source,
+    nodes: reuseUnchangedNodes(
+      parseTemplateSync(
+        { rawHTMLString: source },
+        options,
+        () => {},
+        () => {}
+      ),
+      previousTree.nodes
+    ),
+  };
+}
@@ -0,0 +1,926 @@
+import { resolveStreamedNode } from "./nodeStreams.js";
+
+/**
+ * @import { StreamedTmphElementNode, StreamedTmphNode, TmphElementNode, TmphNode } from './types.js';
+ */
+
+/**
+ * @typedef {">" | " " | "+" | "~"} SelectorCombinator
+ */
+
+/**
+ * @typedef {"=" | "~=" | "|=" | "^=" | "$=" | "*="} AttributeSelectorOperator
+ */
+
+/**
+ * @typedef {{
+ *  type: "type";
+ *  tagName: string;
+ * } | {
+ *  type: "attribute";
+ *  name: string;
+ *  operator: AttributeSelectorOperator | null;
+ *  value: string;
+ *  isCaseInsensitive: boolean;
+ * } | {
+ *  type: "not" | "has";
+ *  selectorList: SelectorList;
+ * } | {
+ *  type: "nth-child";
+ *  a: number;
+ *  b: number;
+ * }} SimpleSelector
+ */
+
+/**
+ * @typedef {Object} ComplexSelectorPart
+ * @property {SelectorCombinator | null} combinator - How the element matched by this part relates to the element matched by the previous part.
+ *    For the first part, this is null unless the selector is relative to the element being matched by :has().
+ * @property {SimpleSelector[]} compoundSelector
+ */
+
+/**
+ * @typedef {ComplexSelectorPart[]} ComplexSelector
+ */
+
+/**
+ * @typedef {ComplexSelector[]} SelectorList
+ */
+
+/**
+ * @typedef {TmphElementNode | StreamedTmphElementNode} SelectableElementNode
+ */
+
+/**
+ * An element's position in the tree, used to resolve combinators and :nth-child().
+ * @typedef ElementPosition
+ * @property {SelectableElementNode} element
+ * @property {ElementPosition | null} parent
+ * @property {SelectableElementNode[]} siblings - The elements under the same parent which have been visited so far, including this element
+ * @property {number} index - The element's index in `siblings`
+ */
+
+/**
+ * @typedef {(position: ElementPosition) => boolean} ElementPredicate
+ */
+
+/**
+ * @type {ReadonlyArray<string>}
+ */
+const attributeSelectorOperators = Object.freeze([
+  "=",
+  "~=",
+  "|=",
+  "^=",
+  "$=",
+  "*=",
+]);
+
+const WHITESPACE_REGEX = /[\t\n\f\r ]/;
+const WHITESPACE_SEPARATOR_REGEX = /[\t\n\f\r ]+/;
+const IDENTIFIER_CHAR_REGEX = /[\w\-\u00a0-\u{10ffff}]/u;
+const NTH_CHILD_INTEGER_REGEX = /^[+-]?\d+$/;
+const NTH_CHILD_FORMULA_REGEX = /^([+-]?\d*)n(?:\s*([+-])\s*(\d+))?$/;
+
+class SelectorParser {
+  /**
+   * @type {string}
+   */
+  #selector;
+
+  #index = 0;
+
+  /**
+   * @param {string} selector
+   */
+  constructor(selector) {
+    this.#selector = selector;
+  }
+
+  /**
+   * @returns {SelectorList}
+   */
+  parse() {
+    const selectorList = this.#parseSelectorList(false);
+    if (this.#index < this.#selector.length) {
+      throw this.#createError(`Unexpected character "${this.#peek()}"`);
+    }
+    return selectorList;
+  }
+
+  /**
+   * @param {string} reason
+   * @returns {SyntaxError}
+   */
+  #createError(reason) {
+    return new SyntaxError(
+      `Invalid selector "${this.#selector}": ${reason} at position ${
+        this.#index + 1
+      }`
+    );
+  }
+
+  /**
+   * @returns {string} The next character in the selector, or an empty string if the end of the selector has been reached
+   */
+  #peek() {
+    return this.#selector[this.#index] ?? "";
+  }
+
+  /**
+   * @returns {boolean} Whether any whitespace was skipped
+   */
+  #skipWhitespace() {
+    const startIndex = this.#index;
+    while (WHITESPACE_REGEX.test(this.#peek())) {
+      ++this.#index;
+    }
+    return this.#index > startIndex;
+  }
+
+  /**
+   * @param {string} char
+   */
+  #expect(char) {
+    if (this.#peek() !== char) {
+      throw this.#createError(
+        this.#peek()
+          ? `Expected "${char}" but found "${this.#peek()}"`
+          : `Expected "${char}"`
+      );
+    }
+    ++this.#index;
+  }
+
+  /**
+   * @param {boolean} isRelative - Whether the selectors are relative to an element, as they are in :has()
+   * @returns {SelectorList}
+   */
+  #parseSelectorList(isRelative) {
+    const selectorList = [this.#parseComplexSelector(isRelative)];
+    while (this.#peek() === ",") {
+      ++this.#index;
+      selectorList.push(this.#parseComplexSelector(isRelative));
+    }
+    return selectorList;
+  }
+
+  /**
+   * @param {boolean} isRelative
+   * @returns {ComplexSelector}
+   */
+  #parseComplexSelector(isRelative) {
+    this.#skipWhitespace();
+
+    /**
+     * @type {SelectorCombinator | null}
+     */
+    let combinator = null;
+    if (isRelative) {
+      const char = this.#peek();
+      if (char === ">") {
+        combinator = ">";
+        ++this.#index;
+        this.#skipWhitespace();
+      } else if (char === "+" || char === "~") {
+        throw this.#createError(
+          ":has() only supports the descendant and child combinators"
+        );
+      } else {
+        combinator = " ";
+      }
+    }
+
+    /**
+     * @type {ComplexSelector}
+     */
+    const complexSelector = [];
+    while (true) {
+      complexSelector.push({
+        combinator,
+        compoundSelector: this.#parseCompoundSelector(),
+      });
+
+      const hasWhitespace = this.#skipWhitespace();
+      const char = this.#peek();
+      if (char === ">" || char === "+" || char === "~") {
+        combinator = char;
+        ++this.#index;
+        this.#skipWhitespace();
+      } else if (char === "," || char === ")" || char === "") {
+        return complexSelector;
+      } else if (hasWhitespace) {
+        combinator = " ";
+      } else {
+        throw this.#createError(`Unexpected character "${char}"`);
+      }
+    }
+  }
+
+  /**
+   * @returns {SimpleSelector[]}
+   */
+  #parseCompoundSelector() {
+    const startIndex = this.#index;
+
+    /**
+     * @type {SimpleSelector[]}
+     */
+    const compoundSelector = [];
+
+    if (this.#peek() === "*") {
+      ++this.#index;
+    } else if (
+      IDENTIFIER_CHAR_REGEX.test(this.#peek()) ||
+      this.#peek() === "\\"
+    ) {
+      compoundSelector.push({
+        type: "type",
+        tagName: this.#parseIdentifier().toLowerCase(),
+      });
+    }
+
+    while (true) {
+      const char = this.#peek();
+      if (char === "#") {
+        ++this.#index;
+        compoundSelector.push({
+          type: "attribute",
+          name: "id",
+          operator: "=",
+          value: this.#parseIdentifier(),
+          isCaseInsensitive: false,
+        });
+      } else if (char === ".") {
+        ++this.#index;
+        compoundSelector.push({
+          type: "attribute",
+          name: "class",
+          operator: "~=",
+          value: this.#parseIdentifier(),
+          isCaseInsensitive: false,
+        });
+      } else if (char === "[") {
+        compoundSelector.push(this.#parseAttributeSelector());
+      } else if (char === ":") {
+        compoundSelector.push(this.#parsePseudoClass());
+      } else {
+        break;
+      }
+    }
+
+    if (this.#index === startIndex) {
+      throw this.#createError(
+        this.#peek()
+          ? `Unexpected character "${this.#peek()}"`
+          : "Expected a selector"
+      );
+    }
+
+    return compoundSelector;
+  }
+
+  /**
+   * @returns {string}
+   */
+  #parseIdentifier() {
+    let identifier = "";
+    while (this.#index < this.#selector.length) {
+      const char = this.#peek();
+      if (char === "\\" && this.#index + 1 < this.#selector.length) {
+        // Escaped characters are taken literally
+        identifier += this.#selector[this.#index + 1];
+        this.#index += 2;
+      } else if (IDENTIFIER_CHAR_REGEX.test(char)) {
+        identifier += char;
+        ++this.#index;
+      } else {
+        break;
+      }
+    }
+
+    if (!identifier) {
+      throw this.#createError("Expected an identifier");
+    }
+
+    return identifier;
+  }
+
+  /**
+   * @returns {string}
+   */
+  #parseQuotedString() {
+    const quote = this.#peek();
+    ++this.#index;
+
+    let value = "";
+    while (this.#peek() !== quote) {
+      if (this.#index >= this.#selector.length) {
+        throw this.#createError("Unterminated string");
+      }
+
+      if (this.#peek() === "\\" && this.#index + 1 < this.#selector.length) {
+        ++this.#index;
+      }
+      value += this.#peek();
+      ++this.#index;
+    }
+    ++this.#index;
+
+    return value;
+  }
+
+  /**
+   * @returns {SimpleSelector}
+   */
+  #parseAttributeSelector() {
+    this.#expect("[");
+    this.#skipWhitespace();
+
+    // Attribute names are read more permissively than CSS identifiers so template attributes
+    // with names like "#component" or ":class" can be selected without escaping
+    let name = "";
+    while (this.#index < this.#selector.length) {
+      const char = this.#peek();
+      if (
+        WHITESPACE_REGEX.test(char) ||
+        char === "]" ||
+        char === "=" ||
+        attributeSelectorOperators.includes(
+          this.#selector.slice(this.#index, this.#index + 2)
+        )
+      ) {
+        break;
+      }
+      if (char === "\\" && this.#index + 1 < this.#selector.length) {
+        ++this.#index;
+      }
+      name += this.#peek();
+      ++this.#index;
+    }
+
+    if (!name) {
+      throw this.#createError("Expected an attribute name");
+    }
+
+    this.#skipWhitespace();
+
+    if (this.#peek() === "]") {
+      ++this.#index;
+      return {
+        type: "attribute",
+        name: name.toLowerCase(),
+        operator: null,
+        value: "",
+        isCaseInsensitive: false,
+      };
+    }
+
+    const operator = /** @type {AttributeSelectorOperator | undefined} */ (
+      attributeSelectorOperators.find((operator) =>
+        this.#selector.startsWith(operator, this.#index)
+      )
+    );
+    if (!operator) {
+      throw this.#createError(`Unexpected character "${this.#peek()}"`);
+    }
+    this.#index += operator.length;
+    this.#skipWhitespace();
+
+    const value =
+      this.#peek() === '"' || this.#peek() === "'"
+        ? this.#parseQuotedString()
+        : this.#parseIdentifier();
+
+    this.#skipWhitespace();
+
+    let isCaseInsensitive = false;
+    const flag = this.#peek().toLowerCase();
+    if (flag === "i" || flag === "s") {
+      isCaseInsensitive = flag === "i";
+      ++this.#index;
+      this.#skipWhitespace();
+    }
+
+    this.#expect("]");
+
+    return {
+      type: "attribute",
+      name: name.toLowerCase(),
+      operator,
+      value,
+      isCaseInsensitive,
+    };
+  }
+
+  /**
+   * @returns {SimpleSelector}
+   */
+  #parsePseudoClass() {
+    this.#expect(":");
+    const name = this.#parseIdentifier().toLowerCase();
+    if (name !== "not" && name !== "has" && name !== "nth-child") {
+      throw this.#createError(`Unsupported pseudo-class ":${name}"`);
+    }
+
+    this.#expect("(");
+
+    /**
+     * @type {SimpleSelector}
+     */
+    let pseudoClass;
+    if (name === "nth-child") {
+      const argumentEndIndex = this.#selector.indexOf(")", this.#index);
+      const nthChildArgument = this.#selector
+        .slice(
+          this.#index,
+          argumentEndIndex === -1 ? undefined : argumentEndIndex
+        )
+        .trim()
+        .toLowerCase();
+      const nthChildFormula = parseNthChildFormula(nthChildArgument);
+      if (!nthChildFormula) {
+        throw this.#createError(
+          `Invalid :nth-child() argument "${nthChildArgument}"`
+        );
+      }
+      this.#index = argumentEndIndex === -1 ? this.#index : argumentEndIndex;
+      pseudoClass = { type: "nth-child", ...nthChildFormula };
+    } else {
+      pseudoClass = {
+        type: name,
+        selectorList: this.#parseSelectorList(name === "has"),
+      };
+    }
+
+    this.#skipWhitespace();
+    this.#expect(")");
+
+    return pseudoClass;
+  }
+}
+
+/**
+ * Parses the "An+B" argument of :nth-child(), ie "2n+1", "odd" or "3".
+ * @param {string} nthChildArgument
+ * @returns {{ a: number; b: number } | null}
+ */
+const parseNthChildFormula = (nthChildArgument) => {
+  if (nthChildArgument === "odd") {
+    return { a: 2, b: 1 };
+  } else if (nthChildArgument === "even") {
+    return { a: 2, b: 0 };
+  } else if (NTH_CHILD_INTEGER_REGEX.test(nthChildArgument)) {
+    return { a: 0, b: parseInt(nthChildArgument, 10) };
+  }
+
+  const match = nthChildArgument.match(NTH_CHILD_FORMULA_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const [, aString = "", bSign, bString = "0"] = match;
+  return {
+    a:
+      aString === "" || aString === "+"
+        ? 1
+        : aString === "-"
+        ? -1
+        : parseInt(aString, 10),
+    b: (bSign === "-" ? -1 : 1) * parseInt(bString, 10),
+  };
+};
+
+/**
+ * @param {string} selector
+ * @returns {SelectorList}
+ */
+const parseSelector = (selector) => new SelectorParser(selector).parse();
+
+/**
+ * @param {SelectorList} selectorList
+ * @returns {boolean} Whether any part of the selector list uses :has(), meaning elements
+ *    can't be matched until their descendants have been parsed
+ */
+const doesSelectorListUseHas = (selectorList) =>
+  selectorList.some((complexSelector) =>
+    complexSelector.some(({ compoundSelector }) =>
+      compoundSelector.some(
+        (simpleSelector) =>
+          simpleSelector.type === "has" ||
+          (simpleSelector.type === "not" &&
+            doesSelectorListUseHas(simpleSelector.selectorList))
+      )
+    )
+  );
+
+/**
+ * @param {ElementPosition} position
+ * @param {number} index
+ * @returns {ElementPosition}
+ */
+const getSiblingPosition = (position, index) => ({
+  ...position,
+  // The index will always be in bounds since it's only ever for a sibling before the element
+  element: /** @type {SelectableElementNode} */ (position.siblings[index]),
+  index,
+});
+
+/**
+ * Gets the positions of the elements which an element could be related to by a combinator.
+ * @param {SelectorCombinator} combinator
+ * @param {ElementPosition} position
+ * @returns {Generator<ElementPosition>}
+ */
+function* getCombinatorCandidates(combinator, position) {
+  switch (combinator) {
+    case ">":
+      if (position.parent) {
+        yield position.parent;
+      }
+      break;
+    case " ":
+      for (
+        let ancestor = position.parent;
+        ancestor !== null;
+        ancestor = ancestor.parent
+      ) {
+        yield ancestor;
+      }
+      break;
+    case "+":
+      if (position.index > 0) {
+        yield getSiblingPosition(position, position.index - 1);
+      }
+      break;
+    case "~":
+      for (let index = position.index - 1; index >= 0; --index) {
+        yield getSiblingPosition(position, index);
+      }
+      break;
+  }
+}
+
+/**
+ * @param {SimpleSelector & { type: "attribute" }} attributeSelector
+ * @param {SelectableElementNode} element
+ * @returns {boolean}
+ */
+const matchesAttributeSelector = (
+  { name, operator, value, isCaseInsensitive },
+  element
+) => {
+  const attribute = element.attributes?.find(
+    (attribute) => attribute.name.toLowerCase() === name
+  );
+  if (!attribute) {
+    return false;
+  }
+
+  const attributeValue = isCaseInsensitive
+    ? attribute.value.toLowerCase()
+    : attribute.value;
+  const selectorValue = isCaseInsensitive ? value.toLowerCase() : value;
+
+  switch (operator) {
+    case null:
+      return true;
+    case "=":
+      return attributeValue === selectorValue;
+    case "~=":
+      return (
+        selectorValue !== "" &&
+        !WHITESPACE_REGEX.test(selectorValue) &&
+        attributeValue.split(WHITESPACE_SEPARATOR_REGEX).includes(selectorValue)
+      );
+    case "|=":
+      return (
+        attributeValue === selectorValue ||
+        attributeValue.startsWith(`${selectorValue}-`)
+      );
+    case "^=":
+      return selectorValue !== "" && attributeValue.startsWith(selectorValue);
+    case "$=":
+      return selectorValue !== "" && attributeValue.endsWith(selectorValue);
+    case "*=":
+      return selectorValue !== "" && attributeValue.includes(selectorValue);
+  }
+};
+
+/**
+ * @param {SimpleSelector} simpleSelector
+ * @param {ElementPosition} position
+ * @returns {boolean}
+ */
+const matchesSimpleSelector = (simpleSelector, position) => {
+  switch (simpleSelector.type) {
+    case "type":
+      return position.element.tagName.toLowerCase() === simpleSelector.tagName;
+    case "attribute":
+      return matchesAttributeSelector(simpleSelector, position.element);
+    case "not":
+      return !matchesSelectorList(simpleSelector.selectorList, position);
+    case "has": {
+      const { element } = position;
+      if (!("children" in element) || !element.children) {
+        return false;
+      }
+      return !findMatchingElements(element.children, position, (descendant) =>
+        matchesSelectorList(simpleSelector.selectorList, descendant, element)
+      ).next().done;
+    }
+    case "nth-child": {
+      const { a, b } = simpleSelector;
+      const childNumber = position.index + 1;
+      if (a === 0) {
+        return childNumber === b;
+      }
+      const n = (childNumber - b) / a;
+      return Number.isInteger(n) && n >= 0;
+    }
+  }
+};
+
+/**
+ * @param {ComplexSelector} complexSelector
+ * @param {number} partIndex - The index of the part of the selector to match the element against
+ * @param {ElementPosition} position
+ * @param {SelectableElementNode | null} anchorElement - The element relative selectors are anchored to
+ * @returns {boolean}
+ */
+const matchesComplexSelector = (
+  complexSelector,
+  partIndex,
+  position,
+  anchorElement
+) => {
+  const part = complexSelector[partIndex];
+  if (
+    !part ||
+    !part.compoundSelector.every((simpleSelector) =>
+      matchesSimpleSelector(simpleSelector, position)
+    )
+  ) {
+    return false;
+  }
+
+  if (part.combinator === null) {
+    return true;
+  }
+
+  // Selectors are matched from right to left, so try each element which the combinator could relate to
+  // against the previous part of the selector
+  for (const candidate of getCombinatorCandidates(part.combinator, position)) {
+    if (
+      partIndex === 0
+        ? candidate.element === anchorElement
+        : matchesComplexSelector(
+            complexSelector,
+            partIndex - 1,
+            candidate,
+            anchorElement
+          )
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * @param {SelectorList} selectorList
+ * @param {ElementPosition} position
+ * @param {SelectableElementNode | null} [anchorElement]
+ * @returns {boolean}
+ */
+const matchesSelectorList = (selectorList, position, anchorElement = null) =>
+  selectorList.some((complexSelector) =>
+    matchesComplexSelector(
+      complexSelector,
+      complexSelector.length - 1,
+      position,
+      anchorElement
+    )
+  );
+
+/**
+ * Walks a tree of nodes depth-first, yielding each element which passes the predicate in document order.
+ * @param {TmphNode[]} nodes
+ * @param {ElementPosition | null} parentPosition
+ * @param {ElementPredicate} predicate
+ * @returns {Generator<TmphElementNode>}
+ */
+function* findMatchingElements(nodes, parentPosition, predicate) {
+  /**
+   * @type {SelectableElementNode[]}
+   */
+  const siblings = [];
+
+  for (const node of nodes) {
+    if (!("tagName" in node)) {
+      continue;
+    }
+
+    /**
+     * @type {ElementPosition}
+     */
+    const position = {
+      element: node,
+      parent: parentPosition,
+      siblings,
+      index: siblings.push(node) - 1,
+    };
+
+    if (predicate(position)) {
+      yield node;
+    }
+
+    if (node.children) {
+      yield* findMatchingElements(node.children, position, predicate);
+    }
+  }
+}
+
+/**
+ * Walks a tree of streamed nodes depth-first, consuming element child streams as it goes and
+ * yielding each element which matches the selector once it has been fully parsed.
+ * @param {Iterable<TmphNode | StreamedTmphNode> | AsyncIterable<TmphNode | StreamedTmphNode>} nodes
+ * @param {ElementPosition | null} parentPosition
+ * @param {SelectorList} selectorList
+ * @param {boolean} shouldResolveElements - Whether elements need to be fully parsed before they can be matched
+ * @returns {AsyncGenerator<TmphElementNode>}
+ */
+async function* findMatchingStreamedElements(
+  nodes,
+  parentPosition,
+  selectorList,
+  shouldResolveElements
+) {
+  /**
+   * @type {SelectableElementNode[]}
+   */
+  const siblings = [];
+
+  /**
+   * @type {ElementPredicate}
+   */
+  const predicate = (position) => matchesSelectorList(selectorList, position);
+
+  for await (const node of nodes) {
+    if (!("tagName" in node)) {
+      continue;
+    }
+
+    /**
+     * @type {ElementPosition}
+     */
+    const position = {
+      element: node,
+      parent: parentPosition,
+      siblings,
+      index: siblings.push(node) - 1,
+    };
+
+    const isMatch = !shouldResolveElements && predicate(position);
+    if (isMatch || shouldResolveElements) {
+      // Once an element has been resolved, the rest of its subtree can be searched synchronously
+      const element = await resolveStreamedNode(node);
+      siblings[position.index] = position.element = element;
+
+      if (isMatch || predicate(position)) {
+        yield element;
+      }
+
+      if (element.children) {
+        yield* findMatchingElements(element.children, position, predicate);
+      }
+    } else {
+      const children =
+        "childStream" in node
+          ? node.childStream
+          : "children" in node
+          ? node.children
+          : null;
+      if (children) {
+        yield* findMatchingStreamedElements(
+          children,
+          position,
+          selectorList,
+          shouldResolveElements
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Finds the first element in a tree of parsed nodes which matches a CSS selector.
+ *
+ * @param {TmphNode[]} nodes
+ * @param {string} selector
+ * @returns {TmphElementNode | null}
+ *
+ * @example
+ * const nodes = await new HTMLParser().parseFile("path/to/file.html").toArray();
+ * const componentTemplate = querySelector(nodes, "template[#component]");
+ */
+export function querySelector(nodes, selector) {
+  const selectorList = parseSelector(selector);
+  const result = findMatchingElements(nodes, null, (position) =>
+    matchesSelectorList(selectorList, position)
+  ).next();
+  return result.done ? null : result.value;
+}
+
+/**
+ * Finds all elements in a tree of parsed nodes which match a CSS selector, in document order.
+ *
+ * @param {TmphNode[]} nodes
+ * @param {string} selector
+ * @returns {TmphElementNode[]}
+ *
+ * @example
+ * const nodes = await new HTMLParser().parseFile("path/to/file.html").toArray();
+ * const namedSlots = querySelectorAll(nodes, "slot[name]");
+ */
+export function querySelectorAll(nodes, selector) {
+  const selectorList = parseSelector(selector);
+  return Array.from(
+    findMatchingElements(nodes, null, (position) =>
+      matchesSelectorList(selectorList, position)
+    )
+  );
+}
+
+/**
+ * Checks whether a node is an element which matches a CSS selector.
+ * Combinators and :nth-child() are resolved against the tree of `rootNodes` which contains the node;
+ * if it isn't provided, the node is treated as a root node with no siblings.
+ *
+ * @param {TmphNode} node
+ * @param {string} selector
+ * @param {TmphNode[]} [rootNodes]
+ * @returns {boolean}
+ *
+ * @example
+ * matches(node, "slot[name]");
+ * matches(node, "ul > li:nth-child(odd)", rootNodes);
+ */
+export function matches(node, selector, rootNodes = [node]) {
+  const selectorList = parseSelector(selector);
+  if (!("tagName" in node)) {
+    return false;
+  }
+
+  return !findMatchingElements(
+    rootNodes,
+    null,
+    (position) =>
+      position.element === node && matchesSelectorList(selectorList, position)
+  ).next().done;
+}
+
+/**
+ * Finds all elements which match a CSS selector as nodes stream in, so a large file can stop being
+ * parsed as soon as the elements you're looking for have been found.
+ * Element nodes' `childStream`s will be consumed as they are searched, and each matching element
+ * is emitted once it has been fully parsed.
+ *
+ * Selectors using :has() need to look ahead at an element's descendants, so each root-level element
+ * will be fully parsed before it is searched.
+ *
+ * @param {Iterable<TmphNode | StreamedTmphNode> | AsyncIterable<TmphNode | StreamedTmphNode>} nodes
+ * @param {string} selector
+ * @returns {ReadableStream<TmphElementNode>}
+ *
+ * @example
+ * const parseResult = new HTMLParser().parseFile("path/to/file.html");
+ * for await (const element of querySelectorAllStream(parseResult, "template[#component]")) {
+ *   // Breaking out of the loop will stop parsing the rest of the file
+ *   break;
+ * }
+ */
+export function querySelectorAllStream(nodes, selector) {
+  const selectorList = parseSelector(selector);
+  const elements = findMatchingStreamedElements(
+    nodes,
+    null,
+    selectorList,
+    doesSelectorListUseHas(selectorList)
+  );
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await elements.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    async cancel() {
+      await elements.return(undefined);
+    },
+  });
+}
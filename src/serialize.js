@@ -0,0 +1,570 @@
+import {
+  isRawTextContentElementTagname,
+  isVoidElementTagname,
+} from "./lexerUtils.js";
+import { decodeCharacterReferences } from "./characterReferences.js";
+
+/**
+ * @import { SerializerOptions, StreamedTmphElementNode, StreamedTmphNode, TmphElementAttribute, TmphElementAttributeFormatting, TmphElementNode, TmphNode, TmphTextNode } from './types.js';
+ */
+
+/**
+ * @typedef SerializerContext
+ * @property {number} depth - How many elements deep the nodes being serialized are nested
+ * @property {boolean} isRoot - Whether the nodes being serialized are root-level nodes
+ * @property {boolean} isPreformatted - Whether whitespace in the nodes being serialized is significant and should be left as-is
+ * @property {boolean} isRawText - Whether text content is inside a <script> or <style> element and should never be escaped
+ * @property {boolean} isWhitespaceIgnored - Whether whitespace-only text nodes are never rendered, so minified output can drop them
+ */
+
+/**
+ * @type {SerializerContext}
+ */
+const rootContext = Object.freeze({
+  depth: 0,
+  isRoot: true,
+  isPreformatted: false,
+  isRawText: false,
+  isWhitespaceIgnored: true,
+});
+
+const WHITESPACE_REGEX = /[\t\n\f\r ]+/g;
+// Attribute values with any of these characters need to be quoted
+const UNQUOTED_ATTRIBUTE_VALUE_REGEX = /^[^\t\n\f\r "'=<>`]+$/;
+const BACKSLASH_ESCAPE_REGEX = /\\(.)/gsu;
+const CLOSING_TAG_NAME_REGEX = /^<\/([^\t\n\f\r />]*)/;
+
+/**
+ * @param {Partial<SerializerOptions>} options
+ * @returns {SerializerOptions}
+ */
+const resolveOptions = (options) => ({
+  format: options.format ?? "preserve",
+  indent: options.indent ?? "  ",
+  encodeEntities: options.encodeEntities ?? "decoded",
+});
+
+/**
+ * Checks whether a text node's or attribute's value should have its character references encoded.
+ * @param {{ decoded?: true }} nodeOrAttribute
+ * @param {SerializerOptions} options
+ * @returns {boolean}
+ */
+const shouldEncodeEntities = ({ decoded }, options) =>
+  options.encodeEntities === "decoded"
+    ? Boolean(decoded)
+    : options.encodeEntities;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeText = (text) =>
+  text.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+
+/**
+ * Checks whether a raw attribute value from the source is still accurate for an attribute's current value,
+ * ie it hasn't been modified since it was parsed.
+ * @param {TmphElementAttributeFormatting} formatting
+ * @param {string} value
+ * @returns {boolean}
+ */
+const doesRawAttributeValueMatch = ({ quote, rawValue }, value) => {
+  // Backslash escapes are only processed in quoted values
+  const unescapedValue = quote
+    ? rawValue.replace(BACKSLASH_ESCAPE_REGEX, "$1")
+    : rawValue;
+  return (
+    unescapedValue === value ||
+    decodeCharacterReferences(unescapedValue, true) === value
+  );
+};
+
+/**
+ * @param {TmphElementAttribute} attribute
+ * @param {SerializerOptions} options
+ * @returns {string} The serialized attribute, including the whitespace before it
+ */
+const serializeAttribute = (attribute, options) => {
+  const { name, value, formatting } = attribute;
+  const preservedFormatting =
+    options.format === "preserve" ? formatting : undefined;
+  const whitespaceBefore = preservedFormatting?.whitespaceBefore ?? " ";
+
+  if (
+    preservedFormatting &&
+    preservedFormatting.quote !== null &&
+    doesRawAttributeValueMatch(preservedFormatting, value)
+  ) {
+    const { quote, rawValue } = preservedFormatting;
+    return `${whitespaceBefore}${name}=${quote}${rawValue}${quote}`;
+  }
+
+  // Attributes with empty values are equivalent to boolean attributes with no value
+  if (!value) {
+    return `${whitespaceBefore}${name}`;
+  }
+
+  const shouldEncode = shouldEncodeEntities(attribute, options);
+  const encodedValue = shouldEncode ? value.replaceAll("&", "&amp;") : value;
+
+  if (
+    (options.format === "minified" || preservedFormatting?.quote === "") &&
+    UNQUOTED_ATTRIBUTE_VALUE_REGEX.test(encodedValue)
+  ) {
+    return `${whitespaceBefore}${name}=${encodedValue}`;
+  }
+
+  // The lexer treats backslashes as escapes in quoted values, so they need to be escaped themselves.
+  // Encoded values use character references instead so the output is standard HTML.
+  const escapedValue = encodedValue.replaceAll(
+    "\\",
+    shouldEncode ? "&#92;" : "\\\\"
+  );
+
+  // Prefer the value's original quotes if it had them, otherwise double quotes, but fall back to
+  // the other quote character if that means we can avoid escaping anything
+  const quotePreference =
+    preservedFormatting?.quote === "'" ? ["'", '"'] : ['"', "'"];
+  for (const quote of quotePreference) {
+    if (!escapedValue.includes(quote)) {
+      return `${whitespaceBefore}${name}=${quote}${escapedValue}${quote}`;
+    }
+  }
+
+  const [quote] = quotePreference;
+  const escapedQuote = shouldEncode
+    ? quote === '"'
+      ? "&quot;"
+      : "&#39;"
+    : `\\${quote}`;
+  return `${whitespaceBefore}${name}=${quote}${escapedValue.replaceAll(
+    quote,
+    escapedQuote
+  )}${quote}`;
+};
+
+/**
+ * Gets the preserved formatting for an element if its tag name hasn't been changed since it was parsed.
+ * @param {TmphElementNode | StreamedTmphElementNode} element
+ * @param {SerializerOptions} options
+ */
+const getPreservedElementFormatting = (element, options) =>
+  options.format === "preserve" &&
+  element.formatting?.openingTagName.toLowerCase() ===
+    element.tagName.toLowerCase()
+    ? element.formatting
+    : undefined;
+
+/**
+ * @param {TmphElementNode | StreamedTmphElementNode} element
+ * @param {SerializerOptions} options
+ * @returns {string}
+ */
+const serializeOpeningTag = (element, options) => {
+  const preservedFormatting = getPreservedElementFormatting(element, options);
+
+  let openingTag = `<${preservedFormatting?.openingTagName ?? element.tagName}`;
+  for (const attribute of element.attributes ?? []) {
+    openingTag += serializeAttribute(attribute, options);
+  }
+  return `${openingTag}${preservedFormatting?.openingTagEnd || ">"}`;
+};
+
+/**
+ * @param {TmphElementNode | StreamedTmphElementNode} element
+ * @param {SerializerOptions} options
+ * @returns {string}
+ */
+const serializeClosingTag = (element, options) => {
+  const preservedFormatting = getPreservedElementFormatting(element, options);
+  if (!preservedFormatting) {
+    return `</${element.tagName}>`;
+  }
+
+  const { closingTag } = preservedFormatting;
+  if (closingTag === null) {
+    // The element was self-closing or implicitly closed in the source
+    return "";
+  }
+
+  return CLOSING_TAG_NAME_REGEX.exec(closingTag)?.[1]?.toLowerCase() ===
+    element.tagName.toLowerCase()
+    ? closingTag
+    : `</${element.tagName}>`;
+};
+
+/**
+ * @param {TmphTextNode} textNode
+ * @param {SerializerOptions} options
+ * @param {SerializerContext} context
+ * @returns {string}
+ */
+const serializeTextContent = (textNode, options, context) => {
+  let text =
+    shouldEncodeEntities(textNode, options) && !context.isRawText
+      ? escapeText(textNode.textContent)
+      : textNode.textContent;
+
+  if (options.format !== "preserve" && !context.isPreformatted) {
+    text = text.replace(WHITESPACE_REGEX, " ");
+
+    if (
+      options.format === "pretty" ||
+      (context.isWhitespaceIgnored && text === " ")
+    ) {
+      text = text.trim();
+    }
+  }
+
+  return text;
+};
+
+/**
+ * @param {TmphNode | StreamedTmphNode} node
+ * @param {SerializerOptions} options
+ * @param {SerializerContext} context
+ * @returns {string} The serialized node, or an empty string if the node doesn't need to be included
+ *    in the output. Element nodes are only serialized up to the end of their opening tag.
+ */
+const serializeNonElementNode = (node, options, context) => {
+  const shouldPreserveFormatting = options.format === "preserve";
+
+  // Preserved formatting is only used if the node's content hasn't been changed since it was parsed
+  if ("textContent" in node) {
+    const rawTextContent = node.formatting?.rawTextContent;
+    const serializedText =
+      shouldPreserveFormatting &&
+      rawTextContent !== undefined &&
+      (rawTextContent === node.textContent ||
+        decodeCharacterReferences(rawTextContent) === node.textContent)
+        ? rawTextContent
+        : serializeTextContent(node, options, context);
+    // Stray closing tags which the parser ignored are only written back out when preserving formatting
+    const ignoredClosingTag = shouldPreserveFormatting
+      ? node.formatting?.ignoredClosingTag ?? ""
+      : "";
+    return ignoredClosingTag + serializedText;
+  } else if ("comment" in node) {
+    const rawComment = node.formatting?.rawComment;
+    if (
+      shouldPreserveFormatting &&
+      rawComment !== undefined &&
+      rawComment.trim() === node.comment
+    ) {
+      return `<!--${rawComment}-->`;
+    }
+
+    return options.format === "minified" || !node.comment
+      ? `<!--${node.comment}-->`
+      : `<!-- ${node.comment} -->`;
+  } else if ("doctypeDeclaration" in node) {
+    const rawDeclaration = node.formatting?.rawDeclaration;
+    if (
+      shouldPreserveFormatting &&
+      rawDeclaration !== undefined &&
+      // Slice off the "<!DOCTYPE" and ">"
+      rawDeclaration.slice(9, -1).trim() === node.doctypeDeclaration
+    ) {
+      return rawDeclaration;
+    }
+
+    return `<!DOCTYPE ${node.doctypeDeclaration}>`;
+  }
+
+  return "";
+};
+
+/**
+ * @param {TmphElementNode | StreamedTmphElementNode} element
+ * @param {SerializerContext} context
+ * @returns {SerializerContext}
+ */
+const getChildContext = (element, context) => {
+  const tagName = element.tagName.toLowerCase();
+  const isRawText = tagName === "script" || tagName === "style";
+
+  return {
+    depth: context.depth + 1,
+    isRoot: false,
+    isPreformatted:
+      context.isPreformatted ||
+      tagName === "pre" ||
+      isRawTextContentElementTagname(tagName),
+    isRawText,
+    isWhitespaceIgnored: tagName === "html" || tagName === "head",
+  };
+};
+
+/**
+ * Pretty output puts each node on its own line, unless an element's only child is text,
+ * ie `<p>Hello</p>`.
+ * Since nodes may be streamed in, this tracks the layout of a node list as each node is added so
+ * the first text node can be held back until we know whether it's the only node in the list.
+ */
+class PrettyNodeListLayout {
+  /**
+   * @type {string}
+   */
+  #indentation;
+  /**
+   * @type {string}
+   */
+  #closingIndentation;
+  /**
+   * @type {boolean}
+   */
+  #isRoot;
+
+  #nodeCount = 0;
+  /**
+   * @type {string | null}
+   */
+  #heldTextContent = null;
+
+  /**
+   * @param {SerializerOptions} options
+   * @param {SerializerContext} context - The context of the nodes in the list
+   */
+  constructor(options, context) {
+    this.#isRoot = context.isRoot;
+    this.#indentation = options.indent.repeat(context.depth);
+    this.#closingIndentation = options.indent.repeat(
+      Math.max(context.depth - 1, 0)
+    );
+  }
+
+  /**
+   * @param {string} serializedText
+   * @returns {string} Output to write for the text node
+   */
+  addText(serializedText) {
+    if (!serializedText) {
+      return "";
+    }
+
+    if (this.#nodeCount === 0) {
+      this.#heldTextContent = serializedText;
+      ++this.#nodeCount;
+      return "";
+    }
+
+    return this.addNode() + serializedText;
+  }
+
+  /**
+   * @returns {string} Output to write before the node
+   */
+  addNode() {
+    let output = "";
+    if (this.#heldTextContent !== null) {
+      // There's more than one node, so the held text needs to go on its own line after all
+      output = this.#getLineStart(true) + this.#heldTextContent;
+      this.#heldTextContent = null;
+    }
+
+    output += this.#getLineStart(this.#nodeCount === 0);
+    ++this.#nodeCount;
+    return output;
+  }
+
+  /**
+   * @returns {string} Output to write after all nodes in the list
+   */
+  end() {
+    if (this.#heldTextContent !== null) {
+      // The only node is text, so it can stay inline
+      return this.#heldTextContent;
+    }
+
+    if (this.#nodeCount === 0 || this.#isRoot) {
+      return "";
+    }
+
+    return `\n${this.#closingIndentation}`;
+  }
+
+  /**
+   * @param {boolean} isFirstNode
+   * @returns {string}
+   */
+  #getLineStart(isFirstNode) {
+    if (this.#isRoot && isFirstNode) {
+      return "";
+    }
+    return `\n${this.#indentation}`;
+  }
+}
+
+/**
+ * @param {Iterable<TmphNode>} nodes
+ * @param {SerializerOptions} options
+ * @param {SerializerContext} context
+ * @returns {Generator<string>}
+ */
+function* serializeNodeList(nodes, options, context) {
+  const prettyLayout =
+    options.format === "pretty" && !context.isPreformatted
+      ? new PrettyNodeListLayout(options, context)
+      : null;
+
+  for (const node of nodes) {
+    if (!("tagName" in node)) {
+      const serializedNode = serializeNonElementNode(node, options, context);
+      if (!prettyLayout) {
+        yield serializedNode;
+      } else if ("textContent" in node) {
+        yield prettyLayout.addText(serializedNode);
+      } else {
+        yield prettyLayout.addNode() + serializedNode;
+      }
+      continue;
+    }
+
+    if (prettyLayout) {
+      yield prettyLayout.addNode();
+    }
+
+    yield serializeOpeningTag(node, options);
+
+    if (isVoidElementTagname(node.tagName.toLowerCase())) {
+      continue;
+    }
+
+    if (node.children) {
+      yield* serializeNodeList(
+        node.children,
+        options,
+        getChildContext(node, context)
+      );
+    }
+
+    yield serializeClosingTag(node, options);
+  }
+
+  if (prettyLayout) {
+    yield prettyLayout.end();
+  }
+}
+
+/**
+ * @param {Iterable<TmphNode | StreamedTmphNode> | AsyncIterable<TmphNode | StreamedTmphNode>} nodes
+ * @param {SerializerOptions} options
+ * @param {SerializerContext} context
+ * @returns {AsyncGenerator<string>}
+ */
+async function* serializeStreamedNodeList(nodes, options, context) {
+  const prettyLayout =
+    options.format === "pretty" && !context.isPreformatted
+      ? new PrettyNodeListLayout(options, context)
+      : null;
+
+  for await (const node of nodes) {
+    if (!("tagName" in node)) {
+      const serializedNode = serializeNonElementNode(node, options, context);
+      if (!prettyLayout) {
+        yield serializedNode;
+      } else if ("textContent" in node) {
+        yield prettyLayout.addText(serializedNode);
+      } else {
+        yield prettyLayout.addNode() + serializedNode;
+      }
+      continue;
+    }
+
+    if (prettyLayout) {
+      yield prettyLayout.addNode();
+    }
+
+    yield serializeOpeningTag(node, options);
+
+    if (isVoidElementTagname(node.tagName.toLowerCase())) {
+      continue;
+    }
+
+    const children =
+      "childStream" in node
+        ? node.childStream
+        : "children" in node
+        ? node.children
+        : null;
+    if (children) {
+      yield* serializeStreamedNodeList(
+        children,
+        options,
+        getChildContext(node, context)
+      );
+    }
+
+    yield serializeClosingTag(node, options);
+  }
+
+  if (prettyLayout) {
+    yield prettyLayout.end();
+  }
+}
+
+/**
+ * Serializes parsed nodes back into an HTML string.
+ *
+ * @param {TmphNode[]} nodes
+ * @param {Partial<SerializerOptions>} [options]
+ * @returns {string}
+ *
+ * @example
+ * const nodes = await new HTMLParser().parseString("<p>Hello,   world!</p>").toArray();
+ * serialize(nodes); // "<p>Hello,   world!</p>"
+ * serialize(nodes, { format: "minified" }); // "<p>Hello, world!</p>"
+ */
+export function serialize(nodes, options = {}) {
+  let html = "";
+  for (const chunk of serializeNodeList(
+    nodes,
+    resolveOptions(options),
+    rootContext
+  )) {
+    html += chunk;
+  }
+  return html;
+}
+
+/**
+ * Serializes parsed nodes back into HTML as they stream in.
+ * Element nodes' `childStream`s will be consumed as their contents are serialized.
+ *
+ * @param {Iterable<TmphNode | StreamedTmphNode> | AsyncIterable<TmphNode | StreamedTmphNode>} nodes
+ * @param {Partial<SerializerOptions>} [options]
+ * @returns {ReadableStream<string>}
+ *
+ * @example
+ * const parseResult = new HTMLParser().parseFile("path/to/file.html");
+ * for await (const chunk of serializeStream(parseResult)) {
+ *   process.stdout.write(chunk);
+ * }
+ */
+export function serializeStream(nodes, options = {}) {
+  const chunks = serializeStreamedNodeList(
+    nodes,
+    resolveOptions(options),
+    rootContext
+  );
+
+  return new ReadableStream({
+    async pull(controller) {
+      // Skip empty chunks, since the stream won't pull again if nothing was enqueued
+      while (true) {
+        const { done, value } = await chunks.next();
+        if (done) {
+          controller.close();
+          return;
+        } else if (value) {
+          controller.enqueue(value);
+          return;
+        }
+      }
+    },
+    async cancel() {
+      await chunks.return(undefined);
+    },
+  });
+}
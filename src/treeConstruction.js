@@ -0,0 +1,4236 @@
+import { LexerTokenType } from "./lexer.js";
+import { DiagnosticCode } from "./diagnostics.js";
+import {
+  parseAttributeDirective,
+  parseDirectiveExpression,
+} from "./directives.js";
+import { parseAttributeExpression } from "./expressions.js";
+import {
+  getLineAndColumn,
+  isRawTextContentElementTagname,
+} from "./lexerUtils.js";
+
+/**
+ * @import { TmphCommentNode, TmphDoctypeDeclarationNode, TmphElementAttribute, TmphElementNode, TmphNode, TmphSourcePosition, TmphTextNode, HTMLParserOptions, HTMLParserSource, TagNameCasingMode } from "./types.js";
+ * @import { LexerToken } from './lexer.js';
+ * @import { LexerTokenConsumer, ReportDiagnosticFn } from './parseTemplate.js';
+ */
+
+/**
+ * @typedef BaseTreeToken
+ * @property {number} l - Line number
+ * @property {number} c - Column number
+ * @property {TmphSourcePosition} start
+ * @property {TmphSourcePosition} end
+ */
+
+/**
+ * @typedef StartTagTreeTokenProperties
+ * @property {"startTag"} type
+ * @property {string} name - The lowercased tag name
+ * @property {string} rawName - The tag name as it was written in the source
+ * @property {TmphElementNode} element - The element which will be inserted for the tag
+ * @property {boolean} isSelfClosing - Whether the tag ended with "/>" or was a void element
+ *
+ * @typedef {BaseTreeToken & StartTagTreeTokenProperties} StartTagTreeToken
+ */
+
+/**
+ * @typedef EndTagTreeTokenProperties
+ * @property {"endTag"} type
+ * @property {string} name - The lowercased tag name
+ * @property {string} rawName - The tag name as it was written in the source
+ * @property {string} [raw] - The full closing tag as it was written in the source
+ *
+ * @typedef {BaseTreeToken & EndTagTreeTokenProperties} EndTagTreeToken
+ */
+
+/**
+ * @typedef TextTreeTokenProperties
+ * @property {"text"} type
+ * @property {TmphTextNode} node
+ * @property {number} codeUnitSize - Number of bytes each ASCII character takes up in the source's encoding
+ *
+ * @typedef {BaseTreeToken & TextTreeTokenProperties} TextTreeToken
+ */
+
+/**
+ * @typedef {BaseTreeToken & { type: "comment"; node: TmphCommentNode }} CommentTreeToken
+ * @typedef {BaseTreeToken & { type: "doctype"; node: TmphDoctypeDeclarationNode }} DoctypeTreeToken
+ * @typedef {BaseTreeToken & { type: "eof" }} EOFTreeToken
+ */
+
+/**
+ * @typedef {StartTagTreeToken | EndTagTreeToken | TextTreeToken | CommentTreeToken | DoctypeTreeToken | EOFTreeToken} TreeToken
+ */
+
+/**
+ * @typedef {"html" | "svg" | "math"} ElementNamespace
+ */
+
+/**
+ * A position in the tree where a node can be inserted.
+ * @typedef InsertionLocation
+ * @property {TmphElementNode} parent
+ * @property {number} index
+ */
+
+/**
+ * Enum for the tree construction insertion modes, which determine how each token is handled.
+ * @see https://html.spec.whatwg.org/multipage/parsing.html#the-insertion-mode
+ * @readonly
+ * @enum {typeof InsertionMode[keyof typeof InsertionMode]}
+ */
+const InsertionMode = Object.freeze({
+  INITIAL: "initial",
+  BEFORE_HTML: "before html",
+  BEFORE_HEAD: "before head",
+  IN_HEAD: "in head",
+  IN_HEAD_NOSCRIPT: "in head noscript",
+  AFTER_HEAD: "after head",
+  IN_BODY: "in body",
+  TEXT: "text",
+  IN_TABLE: "in table",
+  IN_TABLE_TEXT: "in table text",
+  IN_CAPTION: "in caption",
+  IN_COLUMN_GROUP: "in column group",
+  IN_TABLE_BODY: "in table body",
+  IN_ROW: "in row",
+  IN_CELL: "in cell",
+  IN_SELECT: "in select",
+  IN_SELECT_IN_TABLE: "in select in table",
+  IN_TEMPLATE: "in template",
+  AFTER_BODY: "after body",
+  IN_FRAMESET: "in frameset",
+  AFTER_FRAMESET: "after frameset",
+  AFTER_AFTER_BODY: "after after body",
+  AFTER_AFTER_FRAMESET: "after after frameset",
+});
+
+/**
+ * @see https://html.spec.whatwg.org/multipage/parsing.html#special
+ */
+const specialTagNames = new Set([
+  "address",
+  "applet",
+  "area",
+  "article",
+  "aside",
+  "base",
+  "basefont",
+  "bgsound",
+  "blockquote",
+  "body",
+  "br",
+  "button",
+  "caption",
+  "center",
+  "col",
+  "colgroup",
+  "dd",
+  "details",
+  "dir",
+  "div",
+  "dl",
+  "dt",
+  "embed",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "footer",
+  "form",
+  "frame",
+  "frameset",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "head",
+  "header",
+  "hgroup",
+  "hr",
+  "html",
+  "iframe",
+  "img",
+  "input",
+  "keygen",
+  "li",
+  "link",
+  "listing",
+  "main",
+  "marquee",
+  "menu",
+  "meta",
+  "nav",
+  "noembed",
+  "noframes",
+  "noscript",
+  "object",
+  "ol",
+  "p",
+  "param",
+  "plaintext",
+  "pre",
+  "script",
+  "search",
+  "section",
+  "select",
+  "source",
+  "style",
+  "summary",
+  "table",
+  "tbody",
+  "td",
+  "template",
+  "textarea",
+  "tfoot",
+  "th",
+  "thead",
+  "title",
+  "tr",
+  "track",
+  "ul",
+  "wbr",
+  "xmp",
+]);
+
+const formattingTagNames = new Set([
+  "a",
+  "b",
+  "big",
+  "code",
+  "em",
+  "font",
+  "i",
+  "nobr",
+  "s",
+  "small",
+  "strike",
+  "strong",
+  "tt",
+  "u",
+]);
+
+/**
+ * Elements which can be closed implicitly, so they don't need to be reported when they are.
+ * @see https://html.spec.whatwg.org/multipage/parsing.html#generate-implied-end-tags
+ */
+const impliedEndTagNames = new Set([
+  "dd",
+  "dt",
+  "li",
+  "optgroup",
+  "option",
+  "p",
+  "rb",
+  "rp",
+  "rt",
+  "rtc",
+]);
+
+const thoroughImpliedEndTagNames = new Set([
+  ...impliedEndTagNames,
+  "caption",
+  "colgroup",
+  "tbody",
+  "td",
+  "tfoot",
+  "th",
+  "thead",
+  "tr",
+]);
+
+/**
+ * Elements which may still be open at the end of the file without it being a problem.
+ */
+const optionallyClosedTagNames = new Set([
+  ...thoroughImpliedEndTagNames,
+  "body",
+  "html",
+]);
+
+const defaultScopeBoundaryTagNames = new Set([
+  "applet",
+  "caption",
+  "html",
+  "table",
+  "td",
+  "th",
+  "marquee",
+  "object",
+  "template",
+]);
+const listItemScopeBoundaryTagNames = new Set([
+  ...defaultScopeBoundaryTagNames,
+  "ol",
+  "ul",
+]);
+const buttonScopeBoundaryTagNames = new Set([
+  ...defaultScopeBoundaryTagNames,
+  "button",
+]);
+const tableScopeBoundaryTagNames = new Set(["html", "table", "template"]);
+
+const headingTagNames = new Set(["h1", "h2", "h3", "h4", "h5", "h6"]);
+
+const tableRelatedTagNames = new Set([
+  "table",
+  "tbody",
+  "template",
+  "tfoot",
+  "thead",
+  "tr",
+]);
+
+const tableSectionTagNames = new Set(["tbody", "tfoot", "thead"]);
+const tableCellTagNames = new Set(["td", "th"]);
+
+/**
+ * Opening tags which close the current table cell, row, section or caption so they can be inserted into the table
+ */
+const tableStructureTagNames = new Set([
+  "caption",
+  "col",
+  "colgroup",
+  "tbody",
+  "td",
+  "tfoot",
+  "th",
+  "thead",
+  "tr",
+]);
+
+/**
+ * Tags which close a <select> inside of a table
+ */
+const selectInTableClosingTagNames = new Set([
+  "caption",
+  "table",
+  "tbody",
+  "td",
+  "tfoot",
+  "th",
+  "thead",
+  "tr",
+]);
+
+const tableContextTagNames = new Set(["html", "table", "template"]);
+const tableBodyContextTagNames = new Set([
+  "html",
+  "tbody",
+  "template",
+  "tfoot",
+  "thead",
+]);
+const tableRowContextTagNames = new Set(["html", "template", "tr"]);
+
+const optgroupAndOptionTagNames = new Set(["optgroup", "option"]);
+const addressDivAndParagraphTagNames = new Set(["address", "div", "p"]);
+
+const headContentTagNames = new Set([
+  "base",
+  "basefont",
+  "bgsound",
+  "link",
+  "meta",
+  "noframes",
+  "script",
+  "style",
+  "template",
+  "title",
+]);
+
+const blockTagNames = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "center",
+  "details",
+  "dialog",
+  "dir",
+  "div",
+  "dl",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "footer",
+  "header",
+  "hgroup",
+  "main",
+  "menu",
+  "nav",
+  "ol",
+  "p",
+  "search",
+  "section",
+  "summary",
+  "ul",
+]);
+
+const blockClosingTagNames = new Set([
+  ...blockTagNames,
+  "button",
+  "listing",
+  "pre",
+]);
+blockClosingTagNames.delete("p");
+
+/**
+ * Insertion modes where a <select> is inside of a table
+ * @type {ReadonlySet<InsertionMode>}
+ */
+const tableInsertionModes = new Set([
+  InsertionMode.IN_TABLE,
+  InsertionMode.IN_CAPTION,
+  InsertionMode.IN_TABLE_BODY,
+  InsertionMode.IN_ROW,
+  InsertionMode.IN_CELL,
+]);
+
+/**
+ * Opening tags which break out of <svg> and <math> content back into HTML.
+ */
+const foreignContentBreakoutTagNames = new Set([
+  "b",
+  "big",
+  "blockquote",
+  "body",
+  "br",
+  "center",
+  "code",
+  "dd",
+  "div",
+  "dl",
+  "dt",
+  "em",
+  "embed",
+  ...headingTagNames,
+  "head",
+  "hr",
+  "i",
+  "img",
+  "li",
+  "listing",
+  "menu",
+  "meta",
+  "nobr",
+  "ol",
+  "p",
+  "pre",
+  "ruby",
+  "s",
+  "small",
+  "span",
+  "strong",
+  "strike",
+  "sub",
+  "sup",
+  "table",
+  "tt",
+  "u",
+  "ul",
+  "var",
+]);
+
+const mathMLTextIntegrationPointTagNames = new Set([
+  "mi",
+  "mo",
+  "mn",
+  "ms",
+  "mtext",
+]);
+
+const svgHTMLIntegrationPointTagNames = new Set([
+  "foreignobject",
+  "desc",
+  "title",
+]);
+
+/**
+ * Public identifiers of legacy doctypes which put browsers into quirks mode.
+ * @see https://html.spec.whatwg.org/multipage/parsing.html#the-initial-insertion-mode
+ */
+const quirksModePublicIdentifierPrefixes = [
+  "+//silmaril//dtd html pro v0r11 19970101//",
+  "-//as//dtd html 3.0 aswedit + extensions//",
+  "-//advasoft ltd//dtd html 3.0 aswedit + extensions//",
+  "-//ietf//dtd html",
+  "-//metrius//dtd metrius presentational//",
+  "-//microsoft//dtd internet explorer",
+  "-//netscape comm. corp.//dtd",
+  "-//o'reilly and associates//dtd html",
+  "-//softquad",
+  "-//spyglass//dtd html 2.0 extended//",
+  "-//sq//dtd html 2.0 hotmetal + extensions//",
+  "-//sun microsystems corp.//dtd hotjava",
+  "-//w3c//dtd html 3",
+  "-//w3c//dtd html 4.0 frameset//",
+  "-//w3c//dtd html 4.0 transitional//",
+  "-//w3c//dtd html experimental",
+  "-//w3c//dtd w3 html//",
+  "-//w3o//dtd w3 html",
+  "-//webtechs//dtd mozilla html",
+];
+
+/**
+ * Matches whitespace characters as defined by the HTML spec
+ */
+const leadingWhitespaceRegex = /^[\t\n\f\r ]*/;
+const nonWhitespaceRegex = /[^\t\n\f\r ]/g;
+
+/**
+ * @param {string} tagName
+ * @param {TagNameCasingMode} tagNameCasing
+ * @returns {string}
+ */
+const applyTagNameCasing = (tagName, tagNameCasing) => {
+  switch (tagNameCasing) {
+    case "lower":
+      return tagName.toLowerCase();
+    case "upper":
+      return tagName.toUpperCase();
+    default:
+      return tagName;
+  }
+};
+
+/**
+ * @param {TmphElementNode} element
+ * @returns {string}
+ */
+const getLocalName = (element) => element.tagName.toLowerCase();
+
+/**
+ * Gets the position after a run of ASCII characters, matching how the lexer tracks positions.
+ * @param {TmphSourcePosition} position
+ * @param {string} text
+ * @param {number} codeUnitSize
+ * @returns {TmphSourcePosition}
+ */
+const advancePosition = (position, text, codeUnitSize) => ({
+  ...getLineAndColumn(text, position, 0, text.length),
+  offset: position.offset + text.length,
+  byteOffset: position.byteOffset + text.length * codeUnitSize,
+});
+
+/**
+ * Splits a text token after its leading run of literal ASCII characters.
+ * @param {TextTreeToken} token
+ * @param {number} length - Number of leading characters to split off; these must be ASCII characters
+ *    which appear as-is in the source
+ * @returns {[TextTreeToken, TextTreeToken]}
+ */
+const splitTextToken = (token, length) => {
+  const { node, codeUnitSize } = token;
+  const splitText = node.textContent.slice(0, length);
+  const splitPosition = advancePosition(token.start, splitText, codeUnitSize);
+
+  /**
+   * @param {string} textContent
+   * @param {TmphSourcePosition} start
+   * @param {TmphSourcePosition} end
+   * @param {string | undefined} rawTextContent
+   * @param {boolean} decoded
+   * @returns {TextTreeToken}
+   */
+  const createSplitToken = (
+    textContent,
+    start,
+    end,
+    rawTextContent,
+    decoded
+  ) => {
+    /**
+     * @type {TmphTextNode}
+     */
+    const splitNode = { textContent, l: start.l, c: start.c };
+    if (decoded) {
+      splitNode.decoded = true;
+    }
+    if (node.range) {
+      splitNode.range = { start, end };
+    }
+    if (rawTextContent !== undefined) {
+      splitNode.formatting = { rawTextContent };
+    }
+
+    return {
+      type: "text",
+      node: splitNode,
+      codeUnitSize,
+      l: start.l,
+      c: start.c,
+      start,
+      end,
+    };
+  };
+
+  const rawTextContent = node.formatting?.rawTextContent;
+  return [
+    createSplitToken(splitText, token.start, splitPosition, undefined, false),
+    createSplitToken(
+      node.textContent.slice(length),
+      splitPosition,
+      token.end,
+      rawTextContent?.slice(length),
+      Boolean(node.decoded)
+    ),
+  ];
+};
+
+/**
+ * Gets the leading whitespace of a text token which can be split off of it.
+ * @param {TextTreeToken} token
+ * @returns {string}
+ */
+const getLeadingWhitespace = (token) => {
+  const leadingWhitespace =
+    leadingWhitespaceRegex.exec(token.node.textContent)?.[0] ?? "";
+  const rawTextContent = token.node.formatting?.rawTextContent;
+  // Whitespace decoded from character references can't be split off since its position in the source is unknown
+  if (
+    rawTextContent !== undefined &&
+    !rawTextContent.startsWith(leadingWhitespace)
+  ) {
+    return "";
+  }
+  return leadingWhitespace;
+};
+
+/**
+ * @param {TmphDoctypeDeclarationNode} doctypeNode
+ * @returns {boolean} Whether the doctype puts browsers into quirks mode
+ */
+const isQuirksModeDoctype = ({ doctypeDeclaration }) => {
+  const [name] = doctypeDeclaration.trim().split(/\s/, 1);
+  if (name?.toLowerCase() !== "html") {
+    return true;
+  }
+
+  const publicIdentifier = /\bpublic\s*["']([^"']*)["']\s*(["'])?/i.exec(
+    doctypeDeclaration
+  );
+  if (!publicIdentifier) {
+    return false;
+  }
+
+  const publicId = (publicIdentifier[1] ?? "").toLowerCase();
+  const hasSystemIdentifier = Boolean(publicIdentifier[2]);
+
+  return (
+    publicId === "-//w3o//dtd w3 html strict 3.0//en//" ||
+    publicId === "-/w3c/dtd html 4.0 transitional/en" ||
+    publicId === "html" ||
+    quirksModePublicIdentifierPrefixes.some((prefix) =>
+      publicId.startsWith(prefix)
+    ) ||
+    (!hasSystemIdentifier &&
+      (publicId.startsWith("-//w3c//dtd html 4.01 frameset//") ||
+        publicId.startsWith("-//w3c//dtd html 4.01 transitional//")))
+  );
+};
+
+/**
+ * @param {TmphElementNode} elementA
+ * @param {TmphElementNode} elementB
+ * @returns {boolean} Whether both elements have the same attribute names and values
+ */
+const haveSameAttributes = (elementA, elementB) => {
+  const attributesA = elementA.attributes ?? [];
+  const attributesB = elementB.attributes ?? [];
+  return (
+    attributesA.length === attributesB.length &&
+    attributesA.every((attributeA) =>
+      attributesB.some(
+        (attributeB) =>
+          attributeA.name === attributeB.name &&
+          attributeA.value === attributeB.value
+      )
+    )
+  );
+};
+
+/**
+ * Builds a tree from tokens following the HTML spec's tree construction rules, including
+ * implicit <html>, <head> and <body> elements, foster parenting content out of tables and
+ * the adoption agency algorithm for misnested formatting elements.
+ * @see https://html.spec.whatwg.org/multipage/parsing.html#tree-construction
+ */
+class TreeBuilder {
+  /**
+   * @type {HTMLParserOptions}
+   */
+  #options;
+  /**
+   * @type {ReportDiagnosticFn}
+   */
+  #reportDiagnostic;
+
+  /**
+   * Container for the root-level nodes; this is never included in the output
+   * @type {TmphElementNode}
+   */
+  #document = { tagName: "#document", children: [], l: 1, c: 1 };
+
+  /**
+   * @type {TmphElementNode[]}
+   */
+  #openElements = [];
+  /**
+   * Formatting elements which may need to be reopened; null entries are markers which
+   * prevent reopening elements outside of the current table cell, template or object.
+   * @type {Array<TmphElementNode | null>}
+   */
+  #activeFormattingElements = [];
+  /**
+   * @type {InsertionMode[]}
+   */
+  #templateInsertionModes = [];
+
+  /**
+   * @type {InsertionMode}
+   */
+  #insertionMode = InsertionMode.INITIAL;
+  /**
+   * The insertion mode to return to after the "text" or "in table text" modes
+   * @type {InsertionMode}
+   */
+  #originalInsertionMode = InsertionMode.INITIAL;
+
+  /**
+   * @type {TmphElementNode | null}
+   */
+  #headElement = null;
+  /**
+   * @type {TmphElementNode | null}
+   */
+  #formElement = null;
+
+  #isFramesetOk = true;
+  #isFosterParentingEnabled = false;
+  #isQuirksMode = false;
+  #shouldSkipNextNewline = false;
+
+  /**
+   * Text encountered in a table, which will be foster parented if it isn't all whitespace
+   * @type {TextTreeToken[]}
+   */
+  #pendingTableTextTokens = [];
+
+  /**
+   * @type {WeakMap<TmphNode, TmphElementNode>}
+   */
+  #parents = new WeakMap();
+  /**
+   * Namespaces of <svg> and <math> elements and their descendants; elements which aren't included are HTML elements
+   * @type {WeakMap<TmphElementNode, ElementNamespace>}
+   */
+  #namespaces = new WeakMap();
+
+  /**
+   * @param {HTMLParserOptions} options
+   * @param {ReportDiagnosticFn} reportDiagnostic
+   */
+  constructor(options, reportDiagnostic) {
+    this.#options = options;
+    this.#reportDiagnostic = reportDiagnostic;
+  }
+
+  /**
+   * The root-level nodes which have been built so far
+   * @returns {TmphNode[]}
+   */
+  get nodes() {
+    return this.#document.children ?? [];
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  process(token) {
+    if (this.#shouldSkipNextNewline) {
+      this.#shouldSkipNextNewline = false;
+      // A newline directly after a <pre>, <listing> or <textarea> opening tag is ignored
+      if (token.type === "text") {
+        const newline = /^(\r\n?|\n)/.exec(token.node.textContent)?.[0];
+        if (newline && getLeadingWhitespace(token).startsWith(newline)) {
+          if (newline.length === token.node.textContent.length) {
+            return;
+          }
+          token = splitTextToken(token, newline.length)[1];
+        }
+      }
+    }
+
+    if (this.#shouldProcessAsForeignContent(token)) {
+      this.#processForeignContent(token);
+    } else {
+      this.#processInMode(this.#insertionMode, token);
+    }
+  }
+
+  /**
+   * @returns {TmphElementNode}
+   */
+  get #currentNode() {
+    return /** @type {TmphElementNode} */ (this.#openElements.at(-1));
+  }
+
+  /**
+   * @param {TmphElementNode} element
+   * @returns {ElementNamespace}
+   */
+  #getNamespace(element) {
+    return this.#namespaces.get(element) ?? "html";
+  }
+
+  /**
+   * @param {TmphElementNode | undefined} element
+   * @param {string | ReadonlySet<string>} tagNames
+   * @returns {boolean} Whether the element is an HTML element with one of the given tag names
+   */
+  #isHTMLElement(element, tagNames) {
+    if (!element || this.#namespaces.has(element)) {
+      return false;
+    }
+    const localName = getLocalName(element);
+    return typeof tagNames === "string"
+      ? localName === tagNames
+      : tagNames.has(localName);
+  }
+
+  /**
+   * @param {TmphElementNode} element
+   * @returns {boolean}
+   */
+  #isSpecialElement(element) {
+    const localName = getLocalName(element);
+    switch (this.#getNamespace(element)) {
+      case "math":
+        return (
+          mathMLTextIntegrationPointTagNames.has(localName) ||
+          localName === "annotation-xml"
+        );
+      case "svg":
+        return svgHTMLIntegrationPointTagNames.has(localName);
+      default:
+        return specialTagNames.has(localName);
+    }
+  }
+
+  /**
+   * @param {TmphElementNode} element
+   * @returns {boolean}
+   */
+  #isMathMLTextIntegrationPoint(element) {
+    return (
+      this.#getNamespace(element) === "math" &&
+      mathMLTextIntegrationPointTagNames.has(getLocalName(element))
+    );
+  }
+
+  /**
+   * @param {TmphElementNode} element
+   * @returns {boolean}
+   */
+  #isHTMLIntegrationPoint(element) {
+    const namespace = this.#getNamespace(element);
+    const localName = getLocalName(element);
+    if (namespace === "svg") {
+      return svgHTMLIntegrationPointTagNames.has(localName);
+    }
+    if (namespace === "math" && localName === "annotation-xml") {
+      const encoding = element.attributes
+        ?.find(({ name }) => name.toLowerCase() === "encoding")
+        ?.value.toLowerCase();
+      return encoding === "text/html" || encoding === "application/xhtml+xml";
+    }
+    return false;
+  }
+
+  /**
+   * @param {string | ReadonlySet<string>} tagNames
+   * @param {ReadonlySet<string>} boundaryTagNames
+   * @returns {boolean} Whether an HTML element with one of the given tag names is open,
+   *    without any boundary elements between it and the current node
+   * @see https://html.spec.whatwg.org/multipage/parsing.html#has-an-element-in-the-specific-scope
+   */
+  #hasElementInScope(
+    tagNames,
+    boundaryTagNames = defaultScopeBoundaryTagNames
+  ) {
+    for (let i = this.#openElements.length - 1; i >= 0; --i) {
+      const element = /** @type {TmphElementNode} */ (this.#openElements[i]);
+      if (this.#isHTMLElement(element, tagNames)) {
+        return true;
+      }
+
+      const namespace = this.#getNamespace(element);
+      if (
+        namespace === "html"
+          ? boundaryTagNames.has(getLocalName(element))
+          : boundaryTagNames !== tableScopeBoundaryTagNames &&
+            (this.#isSpecialElement(element) ||
+              (namespace === "math" &&
+                getLocalName(element) === "annotation-xml"))
+      ) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @param {TmphElementNode} targetElement
+   * @returns {boolean} Whether the exact element is open within the default scope
+   */
+  #isElementInScope(targetElement) {
+    for (let i = this.#openElements.length - 1; i >= 0; --i) {
+      const element = /** @type {TmphElementNode} */ (this.#openElements[i]);
+      if (element === targetElement) {
+        return true;
+      }
+      if (
+        this.#getNamespace(element) === "html"
+          ? defaultScopeBoundaryTagNames.has(getLocalName(element))
+          : this.#isSpecialElement(element)
+      ) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @returns {boolean} Whether a <select> element is open without any elements other than <optgroup> and <option> inside of it
+   */
+  #hasSelectInSelectScope() {
+    for (let i = this.#openElements.length - 1; i >= 0; --i) {
+      const element = /** @type {TmphElementNode} */ (this.#openElements[i]);
+      if (this.#isHTMLElement(element, "select")) {
+        return true;
+      }
+      if (!this.#isHTMLElement(element, optgroupAndOptionTagNames)) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} tagName
+   * @returns {boolean} Whether an HTML element with the tag name is open
+   */
+  #hasOpenElement(tagName) {
+    return this.#openElements.some((element) =>
+      this.#isHTMLElement(element, tagName)
+    );
+  }
+
+  /**
+   * @param {string} tagName
+   * @returns {number} Index of the last open HTML element with the tag name, or -1 if there isn't one
+   */
+  #getLastOpenElementIndex(tagName) {
+    for (let i = this.#openElements.length - 1; i >= 0; --i) {
+      if (this.#isHTMLElement(this.#openElements[i], tagName)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * @param {TmphElementNode} element
+   * @returns {TmphNode[]}
+   */
+  #getChildren(element) {
+    return (element.children ??= []);
+  }
+
+  /**
+   * @param {TmphNode} node
+   */
+  #detach(node) {
+    const parent = this.#parents.get(node);
+    if (parent) {
+      const siblings = this.#getChildren(parent);
+      siblings.splice(siblings.indexOf(node), 1);
+      this.#parents.delete(node);
+    }
+  }
+
+  /**
+   * @param {TmphNode} node
+   * @param {InsertionLocation} location
+   */
+  #insertAt(node, { parent, index }) {
+    this.#detach(node);
+    this.#getChildren(parent).splice(index, 0, node);
+    this.#parents.set(node, parent);
+  }
+
+  /**
+   * @param {TmphNode} node
+   * @param {TmphElementNode} parent
+   */
+  #append(node, parent) {
+    this.#detach(node);
+    this.#getChildren(parent).push(node);
+    this.#parents.set(node, parent);
+  }
+
+  /**
+   * Finds where new nodes should be inserted, moving them to before the nearest table if
+   * they were encountered somewhere in the table where they're not allowed.
+   * @param {TmphElementNode} [overrideTarget]
+   * @returns {InsertionLocation}
+   * @see https://html.spec.whatwg.org/multipage/parsing.html#appropriate-place-for-inserting-a-node
+   */
+  #getInsertionLocation(overrideTarget) {
+    const target = overrideTarget ?? this.#currentNode;
+
+    if (
+      this.#isFosterParentingEnabled &&
+      this.#isHTMLElement(target, tableRelatedTagNames)
+    ) {
+      const lastTemplateIndex = this.#getLastOpenElementIndex("template");
+      const lastTableIndex = this.#getLastOpenElementIndex("table");
+
+      if (
+        lastTemplateIndex !== -1 &&
+        (lastTableIndex === -1 || lastTemplateIndex > lastTableIndex)
+      ) {
+        const template = /** @type {TmphElementNode} */ (
+          this.#openElements[lastTemplateIndex]
+        );
+        return { parent: template, index: this.#getChildren(template).length };
+      }
+
+      if (lastTableIndex === -1) {
+        const htmlElement = /** @type {TmphElementNode} */ (
+          this.#openElements[0]
+        );
+        return {
+          parent: htmlElement,
+          index: this.#getChildren(htmlElement).length,
+        };
+      }
+
+      const table = /** @type {TmphElementNode} */ (
+        this.#openElements[lastTableIndex]
+      );
+      const tableParent = this.#parents.get(table);
+      if (tableParent) {
+        return {
+          parent: tableParent,
+          index: this.#getChildren(tableParent).indexOf(table),
+        };
+      }
+
+      const previousElement = /** @type {TmphElementNode} */ (
+        this.#openElements[lastTableIndex - 1]
+      );
+      return {
+        parent: previousElement,
+        index: this.#getChildren(previousElement).length,
+      };
+    }
+
+    return { parent: target, index: this.#getChildren(target).length };
+  }
+
+  /**
+   * @param {string} tagName
+   * @param {TreeToken} token - The token which caused the element to be created
+   * @returns {TmphElementNode}
+   */
+  #createImpliedElement(tagName, token) {
+    /**
+     * @type {TmphElementNode}
+     */
+    const element = {
+      tagName: applyTagNameCasing(tagName, this.#options.tagNameCasing),
+      l: token.l,
+      c: token.c,
+    };
+    if (this.#options.sourceRanges) {
+      // Implied elements don't appear in the source, so their range starts empty and grows to fit their children
+      element.range = { start: token.start, end: token.start };
+    }
+    return element;
+  }
+
+  /**
+   * Creates a new element with the same tag name and attributes as a formatting element so it can be reopened.
+   * @param {TmphElementNode} element
+   * @returns {TmphElementNode}
+   */
+  #cloneElement(element) {
+    const { children, closingTagRange, ...rest } = element;
+    /**
+     * @type {TmphElementNode}
+     */
+    const clone = structuredClone(rest);
+    if (clone.formatting) {
+      clone.formatting.closingTag = null;
+    }
+    if (clone.range && clone.openingTagRange) {
+      clone.range.end = clone.openingTagRange.end;
+    }
+
+    const namespace = this.#namespaces.get(element);
+    if (namespace) {
+      this.#namespaces.set(clone, namespace);
+    }
+    return clone;
+  }
+
+  /**
+   * @param {TmphElementNode} element
+   * @param {ElementNamespace} [namespace]
+   * @returns {TmphElementNode}
+   */
+  #insertElement(element, namespace = "html") {
+    if (namespace !== "html") {
+      this.#namespaces.set(element, namespace);
+    }
+    this.#insertAt(element, this.#getInsertionLocation());
+    this.#openElements.push(element);
+    return element;
+  }
+
+  /**
+   * @param {StartTagTreeToken} token
+   * @returns {TmphElementNode}
+   */
+  #insertElementForToken(token) {
+    return this.#insertElement(token.element);
+  }
+
+  /**
+   * @param {string} tagName
+   * @param {TreeToken} token
+   * @returns {TmphElementNode}
+   */
+  #insertImpliedElement(tagName, token) {
+    return this.#insertElement(this.#createImpliedElement(tagName, token));
+  }
+
+  /**
+   * @param {TextTreeToken} token
+   * @param {InsertionLocation} [location]
+   */
+  #insertText(token, location = this.#getInsertionLocation()) {
+    const { node } = token;
+    if (!node.textContent) {
+      return;
+    }
+
+    const previousSibling = location.parent.children?.[location.index - 1];
+    if (previousSibling && "textContent" in previousSibling) {
+      // Adjacent text is merged into a single text node
+      const rawTextContent =
+        previousSibling.formatting || node.formatting
+          ? (previousSibling.formatting?.rawTextContent ??
+              previousSibling.textContent) +
+            (node.formatting?.rawTextContent ?? node.textContent)
+          : undefined;
+
+      previousSibling.textContent += node.textContent;
+      if (node.decoded) {
+        previousSibling.decoded = true;
+      }
+      if (rawTextContent !== undefined) {
+        previousSibling.formatting = { rawTextContent };
+      }
+      if (previousSibling.range && node.range) {
+        previousSibling.range.end = node.range.end;
+      }
+      return;
+    }
+
+    // Copy the node so merging text into it later won't modify the token
+    this.#insertAt(
+      { ...node, ...(node.range ? { range: { ...node.range } } : {}) },
+      location
+    );
+  }
+
+  /**
+   * @param {CommentTreeToken} token
+   * @param {TmphElementNode} [parent]
+   */
+  #insertComment(token, parent) {
+    this.#insertAt(
+      token.node,
+      parent
+        ? { parent, index: this.#getChildren(parent).length }
+        : this.#getInsertionLocation()
+    );
+  }
+
+  /**
+   * Records that an element was explicitly closed by its closing tag.
+   * @param {TmphElementNode} element
+   * @param {EndTagTreeToken} token
+   */
+  #setClosingTag(element, token) {
+    if (element.range) {
+      element.closingTagRange = { start: token.start, end: token.end };
+      element.range.end = token.end;
+    }
+    if (element.formatting) {
+      element.formatting.closingTag = token.raw ?? `</${token.rawName}>`;
+    }
+  }
+
+  /**
+   * @returns {TmphElementNode | undefined}
+   */
+  #popCurrentNode() {
+    return this.#openElements.pop();
+  }
+
+  /**
+   * Pops elements off of the stack of open elements until one matching the predicate has been popped.
+   * @param {(element: TmphElementNode) => boolean} isTarget
+   * @param {TreeToken} token - The token which closed the elements
+   * @returns {TmphElementNode | null} The target element which was popped
+   */
+  #popUntil(isTarget, token) {
+    while (this.#openElements.length > 0) {
+      const element = /** @type {TmphElementNode} */ (this.#popCurrentNode());
+      if (isTarget(element)) {
+        if (token.type === "endTag") {
+          this.#setClosingTag(element, token);
+        }
+        return element;
+      }
+      this.#reportUnclosedElement(element, token);
+    }
+    return null;
+  }
+
+  /**
+   * @param {string | ReadonlySet<string>} tagNames
+   * @param {TreeToken} token
+   * @returns {TmphElementNode | null}
+   */
+  #popUntilTagName(tagNames, token) {
+    return this.#popUntil(
+      (element) => this.#isHTMLElement(element, tagNames),
+      token
+    );
+  }
+
+  /**
+   * @param {ReadonlySet<string>} [tagNames]
+   * @param {string} [excludedTagName]
+   * @see https://html.spec.whatwg.org/multipage/parsing.html#generate-implied-end-tags
+   */
+  #generateImpliedEndTags(
+    tagNames = impliedEndTagNames,
+    excludedTagName = undefined
+  ) {
+    while (
+      this.#isHTMLElement(this.#currentNode, tagNames) &&
+      getLocalName(this.#currentNode) !== excludedTagName
+    ) {
+      this.#popCurrentNode();
+    }
+  }
+
+  /**
+   * Closes a <p> element in button scope, if there is one.
+   * @param {TreeToken} token
+   */
+  #closeParagraph(token) {
+    if (this.#hasElementInScope("p", buttonScopeBoundaryTagNames)) {
+      this.#generateImpliedEndTags(impliedEndTagNames, "p");
+      this.#popUntilTagName("p", token);
+    }
+  }
+
+  /**
+   * @param {InsertionMode} insertionMode
+   */
+  #clearStackBackToContext(insertionMode) {
+    const contextTagNames =
+      insertionMode === InsertionMode.IN_TABLE
+        ? tableContextTagNames
+        : insertionMode === InsertionMode.IN_TABLE_BODY
+        ? tableBodyContextTagNames
+        : tableRowContextTagNames;
+
+    while (!this.#isHTMLElement(this.#currentNode, contextTagNames)) {
+      this.#popCurrentNode();
+    }
+  }
+
+  /**
+   * @see https://html.spec.whatwg.org/multipage/parsing.html#reset-the-insertion-mode-appropriately
+   */
+  #resetInsertionMode() {
+    for (let i = this.#openElements.length - 1; i >= 0; --i) {
+      const element = /** @type {TmphElementNode} */ (this.#openElements[i]);
+      const isLast = i === 0;
+      const localName = this.#namespaces.has(element)
+        ? null
+        : getLocalName(element);
+
+      switch (localName) {
+        case "select": {
+          if (!isLast) {
+            for (let j = i - 1; j > 0; --j) {
+              const ancestor = /** @type {TmphElementNode} */ (
+                this.#openElements[j]
+              );
+              if (this.#isHTMLElement(ancestor, "template")) {
+                break;
+              }
+              if (this.#isHTMLElement(ancestor, "table")) {
+                this.#insertionMode = InsertionMode.IN_SELECT_IN_TABLE;
+                return;
+              }
+            }
+          }
+          this.#insertionMode = InsertionMode.IN_SELECT;
+          return;
+        }
+        case "td":
+        case "th":
+          if (!isLast) {
+            this.#insertionMode = InsertionMode.IN_CELL;
+            return;
+          }
+          break;
+        case "tr":
+          this.#insertionMode = InsertionMode.IN_ROW;
+          return;
+        case "tbody":
+        case "thead":
+        case "tfoot":
+          this.#insertionMode = InsertionMode.IN_TABLE_BODY;
+          return;
+        case "caption":
+          this.#insertionMode = InsertionMode.IN_CAPTION;
+          return;
+        case "colgroup":
+          this.#insertionMode = InsertionMode.IN_COLUMN_GROUP;
+          return;
+        case "table":
+          this.#insertionMode = InsertionMode.IN_TABLE;
+          return;
+        case "template":
+          this.#insertionMode =
+            this.#templateInsertionModes.at(-1) ?? InsertionMode.IN_TEMPLATE;
+          return;
+        case "head":
+          if (!isLast) {
+            this.#insertionMode = InsertionMode.IN_HEAD;
+            return;
+          }
+          break;
+        case "body":
+          this.#insertionMode = InsertionMode.IN_BODY;
+          return;
+        case "frameset":
+          this.#insertionMode = InsertionMode.IN_FRAMESET;
+          return;
+        case "html":
+          this.#insertionMode = this.#headElement
+            ? InsertionMode.AFTER_HEAD
+            : InsertionMode.BEFORE_HEAD;
+          return;
+        default:
+      }
+
+      if (isLast) {
+        break;
+      }
+    }
+
+    this.#insertionMode = InsertionMode.IN_BODY;
+  }
+
+  /**
+   * @param {TmphElementNode} element
+   */
+  #pushActiveFormattingElement(element) {
+    // Only the 3 most recent identical formatting elements are kept, to limit how many can pile up
+    let matchingElementCount = 0;
+    let earliestMatchingIndex = -1;
+    for (let i = this.#activeFormattingElements.length - 1; i >= 0; --i) {
+      const entry = this.#activeFormattingElements[i];
+      if (!entry) {
+        break;
+      }
+      if (
+        entry.tagName === element.tagName &&
+        this.#getNamespace(entry) === this.#getNamespace(element) &&
+        haveSameAttributes(entry, element)
+      ) {
+        ++matchingElementCount;
+        earliestMatchingIndex = i;
+      }
+    }
+    if (matchingElementCount >= 3) {
+      this.#activeFormattingElements.splice(earliestMatchingIndex, 1);
+    }
+
+    this.#activeFormattingElements.push(element);
+  }
+
+  /**
+   * Reopens formatting elements which were implicitly closed, ie `<b>` in `<p><b>one<p>two`.
+   * @see https://html.spec.whatwg.org/multipage/parsing.html#reconstruct-the-active-formatting-elements
+   */
+  #reconstructActiveFormattingElements() {
+    const entries = this.#activeFormattingElements;
+    const lastEntry = entries.at(-1);
+    if (!lastEntry || this.#openElements.includes(lastEntry)) {
+      return;
+    }
+
+    let index = entries.length - 1;
+    while (index > 0) {
+      const entry = entries[index - 1];
+      if (!entry || this.#openElements.includes(entry)) {
+        break;
+      }
+      --index;
+    }
+
+    for (; index < entries.length; ++index) {
+      const entry = /** @type {TmphElementNode} */ (entries[index]);
+      const clone = this.#cloneElement(entry);
+      this.#insertElement(clone, this.#getNamespace(entry));
+      entries[index] = clone;
+    }
+  }
+
+  #clearActiveFormattingElementsToLastMarker() {
+    while (this.#activeFormattingElements.length > 0) {
+      if (this.#activeFormattingElements.pop() === null) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * @param {string} tagName
+   * @returns {TmphElementNode | null} The last formatting element with the tag name after the last marker
+   */
+  #getActiveFormattingElement(tagName) {
+    for (let i = this.#activeFormattingElements.length - 1; i >= 0; --i) {
+      const entry = this.#activeFormattingElements[i];
+      if (!entry) {
+        break;
+      }
+      if (getLocalName(entry) === tagName) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {TmphElementNode} element
+   */
+  #removeActiveFormattingElement(element) {
+    const index = this.#activeFormattingElements.indexOf(element);
+    if (index !== -1) {
+      this.#activeFormattingElements.splice(index, 1);
+    }
+  }
+
+  /**
+   * @param {TmphElementNode} element
+   */
+  #removeOpenElement(element) {
+    const index = this.#openElements.indexOf(element);
+    if (index !== -1) {
+      this.#openElements.splice(index, 1);
+    }
+  }
+
+  /**
+   * Closes a formatting element, splitting up any elements which were opened inside of it
+   * but not closed so everything nests properly, ie `<b>1<p>2</b>3</p>` becomes `<b>1</b><p><b>2</b>3</p>`.
+   * @param {StartTagTreeToken | EndTagTreeToken} token
+   * @returns {boolean} Whether the token should be handled like any other closing tag instead
+   * @see https://html.spec.whatwg.org/multipage/parsing.html#adoption-agency-algorithm
+   */
+  #runAdoptionAgency(token) {
+    const subject = token.name;
+
+    if (
+      this.#isHTMLElement(this.#currentNode, subject) &&
+      !this.#activeFormattingElements.includes(this.#currentNode)
+    ) {
+      const element = /** @type {TmphElementNode} */ (this.#popCurrentNode());
+      if (token.type === "endTag") {
+        this.#setClosingTag(element, token);
+      }
+      return false;
+    }
+
+    for (let outerLoopCounter = 0; outerLoopCounter < 8; ++outerLoopCounter) {
+      const formattingElement = this.#getActiveFormattingElement(subject);
+      if (!formattingElement) {
+        return true;
+      }
+
+      const formattingElementIndex =
+        this.#openElements.indexOf(formattingElement);
+      if (formattingElementIndex === -1) {
+        this.#reportIgnoredTag(token);
+        this.#removeActiveFormattingElement(formattingElement);
+        return false;
+      }
+
+      if (!this.#isElementInScope(formattingElement)) {
+        this.#reportIgnoredTag(token);
+        return false;
+      }
+
+      if (token.type === "endTag" && outerLoopCounter === 0) {
+        this.#setClosingTag(formattingElement, token);
+      }
+
+      let furthestBlockIndex = -1;
+      for (
+        let i = formattingElementIndex + 1;
+        i < this.#openElements.length;
+        ++i
+      ) {
+        if (
+          this.#isSpecialElement(
+            /** @type {TmphElementNode} */ (this.#openElements[i])
+          )
+        ) {
+          furthestBlockIndex = i;
+          break;
+        }
+      }
+
+      if (furthestBlockIndex === -1) {
+        while (this.#popCurrentNode() !== formattingElement) {
+          // Formatting elements which are popped here will be reopened once more content is inserted
+        }
+        this.#removeActiveFormattingElement(formattingElement);
+        return false;
+      }
+
+      const furthestBlock = /** @type {TmphElementNode} */ (
+        this.#openElements[furthestBlockIndex]
+      );
+      const commonAncestor = /** @type {TmphElementNode} */ (
+        this.#openElements[formattingElementIndex - 1]
+      );
+
+      this.#reportDiagnostic({
+        severity: "warning",
+        code: DiagnosticCode.MISNESTED_ELEMENT,
+        message: `<${formattingElement.tagName}> element was closed while <${furthestBlock.tagName}> was still open inside of it, so it was split up to nest properly`,
+        range: { start: token.start, end: token.end },
+      });
+
+      let bookmark = this.#activeFormattingElements.indexOf(formattingElement);
+      let lastNode = furthestBlock;
+      let nodeIndex = furthestBlockIndex;
+
+      for (let innerLoopCounter = 1; ; ++innerLoopCounter) {
+        --nodeIndex;
+        let node = /** @type {TmphElementNode} */ (
+          this.#openElements[nodeIndex]
+        );
+        if (node === formattingElement) {
+          break;
+        }
+
+        let nodeFormattingIndex = this.#activeFormattingElements.indexOf(node);
+        if (innerLoopCounter > 3 && nodeFormattingIndex !== -1) {
+          this.#activeFormattingElements.splice(nodeFormattingIndex, 1);
+          if (nodeFormattingIndex < bookmark) {
+            --bookmark;
+          }
+          nodeFormattingIndex = -1;
+        }
+
+        if (nodeFormattingIndex === -1) {
+          this.#openElements.splice(nodeIndex, 1);
+          continue;
+        }
+
+        const clone = this.#cloneElement(node);
+        this.#activeFormattingElements[nodeFormattingIndex] = clone;
+        this.#openElements[nodeIndex] = clone;
+        node = clone;
+
+        if (lastNode === furthestBlock) {
+          bookmark = nodeFormattingIndex + 1;
+        }
+
+        this.#append(lastNode, node);
+        lastNode = node;
+      }
+
+      this.#insertAt(lastNode, this.#getInsertionLocation(commonAncestor));
+
+      const clone = this.#cloneElement(formattingElement);
+      for (const child of [...this.#getChildren(furthestBlock)]) {
+        this.#append(child, clone);
+      }
+      this.#append(clone, furthestBlock);
+
+      const formattingIndex =
+        this.#activeFormattingElements.indexOf(formattingElement);
+      this.#activeFormattingElements.splice(formattingIndex, 1);
+      if (formattingIndex < bookmark) {
+        --bookmark;
+      }
+      this.#activeFormattingElements.splice(bookmark, 0, clone);
+
+      this.#removeOpenElement(formattingElement);
+      this.#openElements.splice(
+        this.#openElements.indexOf(furthestBlock) + 1,
+        0,
+        clone
+      );
+    }
+
+    return false;
+  }
+
+  /**
+   * @param {TmphElementNode} element
+   * @param {TreeToken} token - The token which closed the element
+   */
+  #reportUnclosedElement(element, token) {
+    if (
+      this.#isHTMLElement(element, optionallyClosedTagNames) ||
+      // Formatting elements will be reopened if any more content is inserted after them
+      (this.#activeFormattingElements.includes(element) && token.type !== "eof")
+    ) {
+      return;
+    }
+
+    this.#reportDiagnostic({
+      severity: "warning",
+      code: DiagnosticCode.UNCLOSED_ELEMENT,
+      message:
+        token.type === "eof"
+          ? `<${element.tagName}> element was not closed before the end of the file`
+          : token.type === "endTag"
+          ? `<${element.tagName}> element was implicitly closed by </${token.name}>`
+          : token.type === "startTag"
+          ? `<${element.tagName}> element was implicitly closed by <${token.name}>`
+          : `<${element.tagName}> element was implicitly closed`,
+      range: element.openingTagRange ?? { start: token.start, end: token.end },
+    });
+  }
+
+  /**
+   * @param {StartTagTreeToken | EndTagTreeToken | DoctypeTreeToken} token
+   */
+  #reportIgnoredTag(token) {
+    this.#reportDiagnostic({
+      severity: "warning",
+      ...(token.type === "startTag"
+        ? {
+            code: DiagnosticCode.UNEXPECTED_OPENING_TAG,
+            message: `Ignoring opening tag <${token.name}> which is not allowed here`,
+          }
+        : token.type === "endTag"
+        ? {
+            code: DiagnosticCode.UNEXPECTED_CLOSING_TAG,
+            message: this.#hasOpenElement(token.name)
+              ? `Ignoring closing tag </${token.name}> which is not allowed here`
+              : `Ignoring closing tag </${token.name}> which does not match any open element`,
+          }
+        : {
+            code: DiagnosticCode.UNEXPECTED_DOCTYPE,
+            message: `Ignoring <!DOCTYPE> declaration which is not at the start of the document`,
+          }),
+      range: { start: token.start, end: token.end },
+    });
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #reportFosterParentedContent(token) {
+    this.#reportDiagnostic({
+      severity: "warning",
+      code: DiagnosticCode.FOSTER_PARENTED_CONTENT,
+      message:
+        token.type === "startTag"
+          ? `<${token.name}> element is not allowed inside of a <table>, so it was moved to before the table`
+          : `Content is not allowed inside of a <table>, so it was moved to before the table`,
+      range: { start: token.start, end: token.end },
+    });
+  }
+
+  /**
+   * @param {EOFTreeToken} token
+   */
+  #stopParsing(token) {
+    for (const element of this.#openElements) {
+      this.#reportUnclosedElement(element, token);
+    }
+    this.#openElements.length = 0;
+  }
+
+  /**
+   * @param {TreeToken} token
+   * @returns {boolean}
+   */
+  #shouldProcessAsForeignContent(token) {
+    const adjustedCurrentNode = this.#openElements.at(-1);
+    if (
+      !adjustedCurrentNode ||
+      !this.#namespaces.has(adjustedCurrentNode) ||
+      token.type === "eof"
+    ) {
+      return false;
+    }
+
+    if (this.#isMathMLTextIntegrationPoint(adjustedCurrentNode)) {
+      if (
+        token.type === "text" ||
+        (token.type === "startTag" &&
+          token.name !== "mglyph" &&
+          token.name !== "malignmark")
+      ) {
+        return false;
+      }
+    }
+
+    if (
+      token.type === "startTag" &&
+      token.name === "svg" &&
+      this.#getNamespace(adjustedCurrentNode) === "math" &&
+      getLocalName(adjustedCurrentNode) === "annotation-xml"
+    ) {
+      return false;
+    }
+
+    if (
+      this.#isHTMLIntegrationPoint(adjustedCurrentNode) &&
+      (token.type === "startTag" || token.type === "text")
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {TreeToken} token
+   * @see https://html.spec.whatwg.org/multipage/parsing.html#parsing-main-inforeign
+   */
+  #processForeignContent(token) {
+    switch (token.type) {
+      case "text":
+        this.#insertText(token);
+        if (nonWhitespaceRegex.test(token.node.textContent)) {
+          this.#isFramesetOk = false;
+        }
+        nonWhitespaceRegex.lastIndex = 0;
+        return;
+      case "comment":
+        this.#insertComment(token);
+        return;
+      case "doctype":
+        this.#reportIgnoredTag(token);
+        return;
+      case "startTag": {
+        if (
+          foreignContentBreakoutTagNames.has(token.name) ||
+          (token.name === "font" &&
+            token.element.attributes?.some(({ name }) =>
+              ["color", "face", "size"].includes(name.toLowerCase())
+            ))
+        ) {
+          this.#popForeignElements(token);
+          this.#processInMode(this.#insertionMode, token);
+          return;
+        }
+
+        this.#insertElement(
+          token.element,
+          this.#getNamespace(this.#currentNode)
+        );
+        if (token.isSelfClosing) {
+          this.#popCurrentNode();
+        }
+        return;
+      }
+      case "endTag": {
+        if (token.name === "br" || token.name === "p") {
+          this.#popForeignElements(token);
+          this.#processInMode(this.#insertionMode, token);
+          return;
+        }
+
+        for (let i = this.#openElements.length - 1; i > 0; --i) {
+          const element = /** @type {TmphElementNode} */ (
+            this.#openElements[i]
+          );
+          if (!this.#namespaces.has(element)) {
+            this.#processInMode(this.#insertionMode, token);
+            return;
+          }
+          if (getLocalName(element) === token.name) {
+            this.#popUntil((openElement) => openElement === element, token);
+            return;
+          }
+        }
+        this.#reportIgnoredTag(token);
+        return;
+      }
+      default:
+    }
+  }
+
+  /**
+   * Pops <svg> and <math> elements off of the stack so an HTML tag can be processed.
+   * @param {StartTagTreeToken | EndTagTreeToken} token
+   */
+  #popForeignElements(token) {
+    while (
+      this.#namespaces.has(this.#currentNode) &&
+      !this.#isMathMLTextIntegrationPoint(this.#currentNode) &&
+      !this.#isHTMLIntegrationPoint(this.#currentNode)
+    ) {
+      this.#reportUnclosedElement(
+        /** @type {TmphElementNode} */ (this.#popCurrentNode()),
+        token
+      );
+    }
+  }
+
+  /**
+   * @param {InsertionMode} insertionMode
+   * @param {TreeToken} token
+   */
+  #processInMode(insertionMode, token) {
+    switch (insertionMode) {
+      case InsertionMode.INITIAL:
+        return this.#processInitial(token);
+      case InsertionMode.BEFORE_HTML:
+        return this.#processBeforeHTML(token);
+      case InsertionMode.BEFORE_HEAD:
+        return this.#processBeforeHead(token);
+      case InsertionMode.IN_HEAD:
+        return this.#processInHead(token);
+      case InsertionMode.IN_HEAD_NOSCRIPT:
+        return this.#processInHeadNoscript(token);
+      case InsertionMode.AFTER_HEAD:
+        return this.#processAfterHead(token);
+      case InsertionMode.IN_BODY:
+        return this.#processInBody(token);
+      case InsertionMode.TEXT:
+        return this.#processText(token);
+      case InsertionMode.IN_TABLE:
+        return this.#processInTable(token);
+      case InsertionMode.IN_TABLE_TEXT:
+        return this.#processInTableText(token);
+      case InsertionMode.IN_CAPTION:
+        return this.#processInCaption(token);
+      case InsertionMode.IN_COLUMN_GROUP:
+        return this.#processInColumnGroup(token);
+      case InsertionMode.IN_TABLE_BODY:
+        return this.#processInTableBody(token);
+      case InsertionMode.IN_ROW:
+        return this.#processInRow(token);
+      case InsertionMode.IN_CELL:
+        return this.#processInCell(token);
+      case InsertionMode.IN_SELECT:
+        return this.#processInSelect(token);
+      case InsertionMode.IN_SELECT_IN_TABLE:
+        return this.#processInSelectInTable(token);
+      case InsertionMode.IN_TEMPLATE:
+        return this.#processInTemplate(token);
+      case InsertionMode.AFTER_BODY:
+        return this.#processAfterBody(token);
+      case InsertionMode.IN_FRAMESET:
+        return this.#processInFrameset(token);
+      case InsertionMode.AFTER_FRAMESET:
+        return this.#processAfterFrameset(token);
+      case InsertionMode.AFTER_AFTER_BODY:
+        return this.#processAfterAfterBody(token);
+      case InsertionMode.AFTER_AFTER_FRAMESET:
+        return this.#processAfterAfterFrameset(token);
+      default:
+    }
+  }
+
+  /**
+   * @param {InsertionMode} insertionMode
+   * @param {TreeToken} token
+   */
+  #switchModeAndReprocess(insertionMode, token) {
+    this.#insertionMode = insertionMode;
+    this.process(token);
+  }
+
+  /**
+   * Handles the leading whitespace of a text token separately from the rest of it, since many insertion modes
+   * only allow whitespace.
+   * @param {TextTreeToken} token
+   * @param {(whitespaceToken: TextTreeToken) => void} processWhitespace
+   * @returns {TextTreeToken | null} The rest of the token after its leading whitespace, or null if it was all whitespace
+   */
+  #processLeadingWhitespace(token, processWhitespace) {
+    const leadingWhitespace = getLeadingWhitespace(token);
+    if (leadingWhitespace.length === token.node.textContent.length) {
+      processWhitespace(token);
+      return null;
+    }
+    if (!leadingWhitespace) {
+      return token;
+    }
+
+    const [whitespaceToken, restToken] = splitTextToken(
+      token,
+      leadingWhitespace.length
+    );
+    processWhitespace(whitespaceToken);
+    return restToken;
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInitial(token) {
+    if (token.type === "text") {
+      const restToken = this.#processLeadingWhitespace(token, () => {});
+      if (restToken) {
+        this.#isQuirksMode = true;
+        this.#switchModeAndReprocess(InsertionMode.BEFORE_HTML, restToken);
+      }
+      return;
+    }
+
+    if (token.type === "comment") {
+      this.#append(token.node, this.#document);
+      return;
+    }
+
+    if (token.type === "doctype") {
+      this.#append(token.node, this.#document);
+      this.#isQuirksMode = isQuirksModeDoctype(token.node);
+      this.#insertionMode = InsertionMode.BEFORE_HTML;
+      return;
+    }
+
+    this.#isQuirksMode = true;
+    this.#switchModeAndReprocess(InsertionMode.BEFORE_HTML, token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processBeforeHTML(token) {
+    switch (token.type) {
+      case "doctype":
+        this.#reportIgnoredTag(token);
+        return;
+      case "comment":
+        this.#append(token.node, this.#document);
+        return;
+      case "text": {
+        const restToken = this.#processLeadingWhitespace(token, () => {});
+        if (!restToken) {
+          return;
+        }
+        token = restToken;
+        break;
+      }
+      case "startTag":
+        if (token.name === "html") {
+          this.#append(token.element, this.#document);
+          this.#openElements.push(token.element);
+          this.#insertionMode = InsertionMode.BEFORE_HEAD;
+          return;
+        }
+        break;
+      case "endTag":
+        if (!["head", "body", "html", "br"].includes(token.name)) {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        break;
+      default:
+    }
+
+    const htmlElement = this.#createImpliedElement("html", token);
+    this.#append(htmlElement, this.#document);
+    this.#openElements.push(htmlElement);
+    this.#switchModeAndReprocess(InsertionMode.BEFORE_HEAD, token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processBeforeHead(token) {
+    switch (token.type) {
+      case "text": {
+        const restToken = this.#processLeadingWhitespace(token, () => {});
+        if (!restToken) {
+          return;
+        }
+        token = restToken;
+        break;
+      }
+      case "comment":
+        this.#insertComment(token);
+        return;
+      case "doctype":
+        this.#reportIgnoredTag(token);
+        return;
+      case "startTag":
+        if (token.name === "html") {
+          this.#processInBody(token);
+          return;
+        }
+        if (token.name === "head") {
+          this.#headElement = this.#insertElementForToken(token);
+          this.#insertionMode = InsertionMode.IN_HEAD;
+          return;
+        }
+        break;
+      case "endTag":
+        if (!["head", "body", "html", "br"].includes(token.name)) {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        break;
+      default:
+    }
+
+    this.#headElement = this.#insertImpliedElement("head", token);
+    this.#switchModeAndReprocess(InsertionMode.IN_HEAD, token);
+  }
+
+  /**
+   * Inserts an element whose contents are raw text which was lexed as a single text token, if the lexer
+   * treated it as a raw text element.
+   * @param {StartTagTreeToken} token
+   */
+  #insertRawTextElement(token) {
+    this.#insertElementForToken(token);
+    if (isRawTextContentElementTagname(token.name) && !token.isSelfClosing) {
+      this.#originalInsertionMode = this.#insertionMode;
+      this.#insertionMode = InsertionMode.TEXT;
+    }
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInHead(token) {
+    switch (token.type) {
+      case "text": {
+        const restToken = this.#processLeadingWhitespace(
+          token,
+          (whitespaceToken) => this.#insertText(whitespaceToken)
+        );
+        if (!restToken) {
+          return;
+        }
+        token = restToken;
+        break;
+      }
+      case "comment":
+        this.#insertComment(token);
+        return;
+      case "doctype":
+        this.#reportIgnoredTag(token);
+        return;
+      case "startTag":
+        switch (token.name) {
+          case "html":
+            this.#processInBody(token);
+            return;
+          case "base":
+          case "basefont":
+          case "bgsound":
+          case "link":
+          case "meta":
+            this.#insertElementForToken(token);
+            this.#popCurrentNode();
+            return;
+          case "title":
+          case "noframes":
+          case "style":
+          case "script":
+            this.#insertRawTextElement(token);
+            return;
+          case "noscript":
+            this.#insertElementForToken(token);
+            this.#insertionMode = InsertionMode.IN_HEAD_NOSCRIPT;
+            return;
+          case "template":
+            this.#insertElementForToken(token);
+            this.#activeFormattingElements.push(null);
+            this.#isFramesetOk = false;
+            this.#insertionMode = InsertionMode.IN_TEMPLATE;
+            this.#templateInsertionModes.push(InsertionMode.IN_TEMPLATE);
+            return;
+          case "head":
+            this.#reportIgnoredTag(token);
+            return;
+          default:
+        }
+        break;
+      case "endTag":
+        switch (token.name) {
+          case "head": {
+            const head = /** @type {TmphElementNode} */ (
+              this.#popCurrentNode()
+            );
+            this.#setClosingTag(head, token);
+            this.#insertionMode = InsertionMode.AFTER_HEAD;
+            return;
+          }
+          case "body":
+          case "html":
+          case "br":
+            break;
+          case "template":
+            if (!this.#hasOpenElement("template")) {
+              this.#reportIgnoredTag(token);
+              return;
+            }
+            this.#generateImpliedEndTags(thoroughImpliedEndTagNames);
+            this.#popUntilTagName("template", token);
+            this.#clearActiveFormattingElementsToLastMarker();
+            this.#templateInsertionModes.pop();
+            this.#resetInsertionMode();
+            return;
+          default:
+            this.#reportIgnoredTag(token);
+            return;
+        }
+        break;
+      default:
+    }
+
+    this.#popCurrentNode();
+    this.#switchModeAndReprocess(InsertionMode.AFTER_HEAD, token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInHeadNoscript(token) {
+    switch (token.type) {
+      case "doctype":
+        this.#reportIgnoredTag(token);
+        return;
+      case "comment":
+        this.#processInHead(token);
+        return;
+      case "text": {
+        const restToken = this.#processLeadingWhitespace(
+          token,
+          (whitespaceToken) => this.#processInHead(whitespaceToken)
+        );
+        if (!restToken) {
+          return;
+        }
+        token = restToken;
+        break;
+      }
+      case "startTag":
+        switch (token.name) {
+          case "html":
+            this.#processInBody(token);
+            return;
+          case "basefont":
+          case "bgsound":
+          case "link":
+          case "meta":
+          case "noframes":
+          case "style":
+            this.#processInHead(token);
+            return;
+          case "head":
+          case "noscript":
+            this.#reportIgnoredTag(token);
+            return;
+          default:
+        }
+        break;
+      case "endTag":
+        if (token.name === "noscript") {
+          const noscript = /** @type {TmphElementNode} */ (
+            this.#popCurrentNode()
+          );
+          this.#setClosingTag(noscript, token);
+          this.#insertionMode = InsertionMode.IN_HEAD;
+          return;
+        }
+        if (token.name !== "br") {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        break;
+      default:
+    }
+
+    this.#popCurrentNode();
+    this.#switchModeAndReprocess(InsertionMode.IN_HEAD, token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processAfterHead(token) {
+    switch (token.type) {
+      case "text": {
+        const restToken = this.#processLeadingWhitespace(
+          token,
+          (whitespaceToken) => this.#insertText(whitespaceToken)
+        );
+        if (!restToken) {
+          return;
+        }
+        token = restToken;
+        break;
+      }
+      case "comment":
+        this.#insertComment(token);
+        return;
+      case "doctype":
+        this.#reportIgnoredTag(token);
+        return;
+      case "startTag":
+        if (token.name === "html") {
+          this.#processInBody(token);
+          return;
+        }
+        if (token.name === "body") {
+          this.#insertElementForToken(token);
+          this.#isFramesetOk = false;
+          this.#insertionMode = InsertionMode.IN_BODY;
+          return;
+        }
+        if (token.name === "frameset") {
+          this.#insertElementForToken(token);
+          this.#insertionMode = InsertionMode.IN_FRAMESET;
+          return;
+        }
+        if (headContentTagNames.has(token.name) && this.#headElement) {
+          // Content which belongs in the <head> is moved back into it
+          const headElement = this.#headElement;
+          this.#openElements.push(headElement);
+          this.#processInHead(token);
+          this.#removeOpenElement(headElement);
+          return;
+        }
+        if (token.name === "head") {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        break;
+      case "endTag":
+        if (token.name === "template") {
+          this.#processInHead(token);
+          return;
+        }
+        if (!["body", "html", "br"].includes(token.name)) {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        break;
+      default:
+    }
+
+    this.#insertImpliedElement("body", token);
+    this.#switchModeAndReprocess(InsertionMode.IN_BODY, token);
+  }
+
+  /**
+   * Adds attributes from a duplicate <html> or <body> opening tag onto the existing element.
+   * @param {TmphElementNode} element
+   * @param {StartTagTreeToken} token
+   */
+  #mergeAttributes(element, token) {
+    for (const attribute of token.element.attributes ?? []) {
+      const attributeName = attribute.name.toLowerCase();
+      if (
+        !element.attributes?.some(
+          ({ name }) => name.toLowerCase() === attributeName
+        )
+      ) {
+        (element.attributes ??= []).push(attribute);
+      }
+    }
+  }
+
+  /**
+   * @param {TreeToken} token
+   * @see https://html.spec.whatwg.org/multipage/parsing.html#parsing-main-inbody
+   */
+  #processInBody(token) {
+    switch (token.type) {
+      case "text":
+        this.#reconstructActiveFormattingElements();
+        this.#insertText(token);
+        if (nonWhitespaceRegex.test(token.node.textContent)) {
+          this.#isFramesetOk = false;
+        }
+        nonWhitespaceRegex.lastIndex = 0;
+        return;
+      case "comment":
+        this.#insertComment(token);
+        return;
+      case "doctype":
+        this.#reportIgnoredTag(token);
+        return;
+      case "startTag":
+        this.#processStartTagInBody(token);
+        return;
+      case "endTag":
+        this.#processEndTagInBody(token);
+        return;
+      case "eof":
+        if (this.#templateInsertionModes.length > 0) {
+          this.#processInTemplate(token);
+          return;
+        }
+        this.#stopParsing(token);
+        return;
+      default:
+    }
+  }
+
+  /**
+   * @param {StartTagTreeToken} token
+   */
+  #processStartTagInBody(token) {
+    const { name } = token;
+
+    if (name === "html") {
+      if (!this.#hasOpenElement("template")) {
+        this.#mergeAttributes(
+          /** @type {TmphElementNode} */ (this.#openElements[0]),
+          token
+        );
+      }
+      return;
+    }
+
+    if (headContentTagNames.has(name)) {
+      this.#processInHead(token);
+      return;
+    }
+
+    if (name === "body") {
+      const body = this.#openElements[1];
+      if (
+        !body ||
+        !this.#isHTMLElement(body, "body") ||
+        this.#hasOpenElement("template")
+      ) {
+        this.#reportIgnoredTag(token);
+        return;
+      }
+      this.#isFramesetOk = false;
+      this.#mergeAttributes(body, token);
+      return;
+    }
+
+    if (name === "frameset") {
+      const body = this.#openElements[1];
+      if (!body || !this.#isHTMLElement(body, "body") || !this.#isFramesetOk) {
+        this.#reportIgnoredTag(token);
+        return;
+      }
+      this.#detach(body);
+      this.#openElements.length = 1;
+      this.#insertElementForToken(token);
+      this.#insertionMode = InsertionMode.IN_FRAMESET;
+      return;
+    }
+
+    if (blockTagNames.has(name)) {
+      this.#closeParagraph(token);
+      this.#insertElementForToken(token);
+      return;
+    }
+
+    if (headingTagNames.has(name)) {
+      this.#closeParagraph(token);
+      if (this.#isHTMLElement(this.#currentNode, headingTagNames)) {
+        this.#reportUnclosedElement(
+          /** @type {TmphElementNode} */ (this.#popCurrentNode()),
+          token
+        );
+      }
+      this.#insertElementForToken(token);
+      return;
+    }
+
+    switch (name) {
+      case "pre":
+      case "listing":
+        this.#closeParagraph(token);
+        this.#insertElementForToken(token);
+        this.#shouldSkipNextNewline = true;
+        this.#isFramesetOk = false;
+        return;
+      case "form": {
+        const hasTemplate = this.#hasOpenElement("template");
+        if (this.#formElement && !hasTemplate) {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        this.#closeParagraph(token);
+        const form = this.#insertElementForToken(token);
+        if (!hasTemplate) {
+          this.#formElement = form;
+        }
+        return;
+      }
+      case "li":
+      case "dd":
+      case "dt": {
+        this.#isFramesetOk = false;
+        const closedTagNames = name === "li" ? ["li"] : ["dd", "dt"];
+        for (let i = this.#openElements.length - 1; i >= 0; --i) {
+          const element = /** @type {TmphElementNode} */ (
+            this.#openElements[i]
+          );
+          if (
+            !this.#namespaces.has(element) &&
+            closedTagNames.includes(getLocalName(element))
+          ) {
+            this.#generateImpliedEndTags(
+              impliedEndTagNames,
+              getLocalName(element)
+            );
+            this.#popUntil((openElement) => openElement === element, token);
+            break;
+          }
+          if (
+            this.#isSpecialElement(element) &&
+            !this.#isHTMLElement(element, addressDivAndParagraphTagNames)
+          ) {
+            break;
+          }
+        }
+        this.#closeParagraph(token);
+        this.#insertElementForToken(token);
+        return;
+      }
+      case "plaintext":
+        this.#closeParagraph(token);
+        this.#insertElementForToken(token);
+        return;
+      case "button":
+        if (this.#hasElementInScope("button")) {
+          this.#generateImpliedEndTags();
+          this.#popUntilTagName("button", token);
+        }
+        this.#reconstructActiveFormattingElements();
+        this.#insertElementForToken(token);
+        this.#isFramesetOk = false;
+        return;
+      case "a": {
+        const activeAnchor = this.#getActiveFormattingElement("a");
+        if (activeAnchor) {
+          this.#runAdoptionAgency(token);
+          this.#removeActiveFormattingElement(activeAnchor);
+          this.#removeOpenElement(activeAnchor);
+        }
+        this.#reconstructActiveFormattingElements();
+        this.#pushActiveFormattingElement(this.#insertElementForToken(token));
+        return;
+      }
+      case "nobr":
+        this.#reconstructActiveFormattingElements();
+        if (this.#hasElementInScope("nobr")) {
+          this.#runAdoptionAgency(token);
+          this.#reconstructActiveFormattingElements();
+        }
+        this.#pushActiveFormattingElement(this.#insertElementForToken(token));
+        return;
+      case "applet":
+      case "marquee":
+      case "object":
+        this.#reconstructActiveFormattingElements();
+        this.#insertElementForToken(token);
+        this.#activeFormattingElements.push(null);
+        this.#isFramesetOk = false;
+        return;
+      case "table":
+        if (!this.#isQuirksMode) {
+          this.#closeParagraph(token);
+        }
+        this.#insertElementForToken(token);
+        this.#isFramesetOk = false;
+        this.#insertionMode = InsertionMode.IN_TABLE;
+        return;
+      case "area":
+      case "br":
+      case "embed":
+      case "img":
+      case "keygen":
+      case "wbr":
+        this.#reconstructActiveFormattingElements();
+        this.#insertElementForToken(token);
+        this.#popCurrentNode();
+        this.#isFramesetOk = false;
+        return;
+      case "input": {
+        this.#reconstructActiveFormattingElements();
+        this.#insertElementForToken(token);
+        this.#popCurrentNode();
+        const type = token.element.attributes?.find(
+          (attribute) => attribute.name.toLowerCase() === "type"
+        );
+        if (type?.value.toLowerCase() !== "hidden") {
+          this.#isFramesetOk = false;
+        }
+        return;
+      }
+      case "param":
+      case "source":
+      case "track":
+        this.#insertElementForToken(token);
+        this.#popCurrentNode();
+        return;
+      case "hr":
+        this.#closeParagraph(token);
+        this.#insertElementForToken(token);
+        this.#popCurrentNode();
+        this.#isFramesetOk = false;
+        return;
+      case "image":
+        // <image> is an old alias for <img>
+        token.element.tagName = applyTagNameCasing(
+          "img",
+          this.#options.tagNameCasing
+        );
+        this.process({ ...token, name: "img" });
+        return;
+      case "textarea":
+        this.#insertRawTextElement(token);
+        this.#shouldSkipNextNewline = true;
+        this.#isFramesetOk = false;
+        return;
+      case "xmp":
+        this.#closeParagraph(token);
+        this.#reconstructActiveFormattingElements();
+        this.#isFramesetOk = false;
+        this.#insertElementForToken(token);
+        return;
+      case "iframe":
+        this.#isFramesetOk = false;
+        this.#insertElementForToken(token);
+        return;
+      case "noembed":
+        this.#insertElementForToken(token);
+        return;
+      case "select":
+        this.#reconstructActiveFormattingElements();
+        this.#insertElementForToken(token);
+        this.#isFramesetOk = false;
+        this.#insertionMode = tableInsertionModes.has(this.#insertionMode)
+          ? InsertionMode.IN_SELECT_IN_TABLE
+          : InsertionMode.IN_SELECT;
+        return;
+      case "optgroup":
+      case "option":
+        if (this.#isHTMLElement(this.#currentNode, "option")) {
+          this.#popCurrentNode();
+        }
+        this.#reconstructActiveFormattingElements();
+        this.#insertElementForToken(token);
+        return;
+      case "rb":
+      case "rtc":
+        if (this.#hasElementInScope("ruby")) {
+          this.#generateImpliedEndTags();
+        }
+        this.#insertElementForToken(token);
+        return;
+      case "rp":
+      case "rt":
+        if (this.#hasElementInScope("ruby")) {
+          this.#generateImpliedEndTags(impliedEndTagNames, "rtc");
+        }
+        this.#insertElementForToken(token);
+        return;
+      case "math":
+      case "svg":
+        this.#reconstructActiveFormattingElements();
+        this.#insertElement(token.element, name);
+        if (token.isSelfClosing) {
+          this.#popCurrentNode();
+        }
+        return;
+      case "caption":
+      case "col":
+      case "colgroup":
+      case "frame":
+      case "head":
+      case "tbody":
+      case "td":
+      case "tfoot":
+      case "th":
+      case "thead":
+      case "tr":
+        this.#reportIgnoredTag(token);
+        return;
+      default:
+    }
+
+    if (formattingTagNames.has(name)) {
+      this.#reconstructActiveFormattingElements();
+      this.#pushActiveFormattingElement(this.#insertElementForToken(token));
+      return;
+    }
+
+    this.#reconstructActiveFormattingElements();
+    this.#insertElementForToken(token);
+  }
+
+  /**
+   * @param {EndTagTreeToken} token
+   */
+  #processEndTagInBody(token) {
+    const { name } = token;
+
+    switch (name) {
+      case "template":
+        this.#processInHead(token);
+        return;
+      case "body":
+      case "html": {
+        if (!this.#hasElementInScope("body")) {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        const body = this.#openElements.find((element) =>
+          this.#isHTMLElement(element, "body")
+        );
+        if (body && name === "body") {
+          this.#setClosingTag(body, token);
+        }
+        for (const element of this.#openElements) {
+          if (element !== body) {
+            this.#reportUnclosedElement(element, token);
+          }
+        }
+        if (name === "html") {
+          this.#switchModeAndReprocess(InsertionMode.AFTER_BODY, token);
+        } else {
+          this.#insertionMode = InsertionMode.AFTER_BODY;
+        }
+        return;
+      }
+      case "form": {
+        if (!this.#hasOpenElement("template")) {
+          const form = this.#formElement;
+          this.#formElement = null;
+          if (!form || !this.#isElementInScope(form)) {
+            this.#reportIgnoredTag(token);
+            return;
+          }
+          this.#generateImpliedEndTags();
+          this.#setClosingTag(form, token);
+          this.#removeOpenElement(form);
+          return;
+        }
+        if (!this.#hasElementInScope("form")) {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        this.#generateImpliedEndTags();
+        this.#popUntilTagName("form", token);
+        return;
+      }
+      case "p":
+        if (!this.#hasElementInScope("p", buttonScopeBoundaryTagNames)) {
+          // Unlike other stray closing tags, </p> isn't ignored; it produces an empty <p> element
+          this.#reportDiagnostic({
+            severity: "warning",
+            code: DiagnosticCode.UNEXPECTED_CLOSING_TAG,
+            message: `Closing tag </p> does not match any open <p> element, so an empty <p> element was inserted`,
+            range: { start: token.start, end: token.end },
+          });
+          this.#insertImpliedElement("p", token);
+        }
+        this.#generateImpliedEndTags(impliedEndTagNames, "p");
+        this.#popUntilTagName("p", token);
+        return;
+      case "li":
+        if (!this.#hasElementInScope("li", listItemScopeBoundaryTagNames)) {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        this.#generateImpliedEndTags(impliedEndTagNames, "li");
+        this.#popUntilTagName("li", token);
+        return;
+      case "dd":
+      case "dt":
+        if (!this.#hasElementInScope(name)) {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        this.#generateImpliedEndTags(impliedEndTagNames, name);
+        this.#popUntilTagName(name, token);
+        return;
+      case "h1":
+      case "h2":
+      case "h3":
+      case "h4":
+      case "h5":
+      case "h6":
+        if (!this.#hasElementInScope(headingTagNames)) {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        this.#generateImpliedEndTags();
+        this.#popUntilTagName(headingTagNames, token);
+        return;
+      case "applet":
+      case "marquee":
+      case "object":
+        if (!this.#hasElementInScope(name)) {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        this.#generateImpliedEndTags();
+        this.#popUntilTagName(name, token);
+        this.#clearActiveFormattingElementsToLastMarker();
+        return;
+      case "br":
+        // </br> is treated like <br>
+        this.#reportIgnoredTag(token);
+        this.#reconstructActiveFormattingElements();
+        this.#insertImpliedElement("br", token);
+        this.#popCurrentNode();
+        this.#isFramesetOk = false;
+        return;
+      default:
+    }
+
+    if (blockClosingTagNames.has(name)) {
+      if (!this.#hasElementInScope(name)) {
+        this.#reportIgnoredTag(token);
+        return;
+      }
+      this.#generateImpliedEndTags();
+      this.#popUntilTagName(name, token);
+      return;
+    }
+
+    if (formattingTagNames.has(name) && !this.#runAdoptionAgency(token)) {
+      return;
+    }
+
+    this.#processAnyOtherEndTagInBody(token);
+  }
+
+  /**
+   * @param {EndTagTreeToken} token
+   */
+  #processAnyOtherEndTagInBody(token) {
+    for (let i = this.#openElements.length - 1; i >= 0; --i) {
+      const element = /** @type {TmphElementNode} */ (this.#openElements[i]);
+      if (this.#isHTMLElement(element, token.name)) {
+        this.#generateImpliedEndTags(impliedEndTagNames, token.name);
+        this.#popUntil((openElement) => openElement === element, token);
+        return;
+      }
+      if (this.#isSpecialElement(element)) {
+        this.#reportIgnoredTag(token);
+        return;
+      }
+    }
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processText(token) {
+    if (token.type === "text") {
+      this.#insertText(token);
+      return;
+    }
+
+    const element = /** @type {TmphElementNode} */ (this.#popCurrentNode());
+    this.#insertionMode = this.#originalInsertionMode;
+
+    if (token.type === "endTag") {
+      this.#setClosingTag(element, token);
+      return;
+    }
+
+    if (token.type === "eof") {
+      this.#reportUnclosedElement(element, token);
+      this.process(token);
+    }
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInTable(token) {
+    switch (token.type) {
+      case "text":
+        if (this.#isHTMLElement(this.#currentNode, tableRelatedTagNames)) {
+          this.#pendingTableTextTokens = [];
+          this.#originalInsertionMode = this.#insertionMode;
+          this.#switchModeAndReprocess(InsertionMode.IN_TABLE_TEXT, token);
+          return;
+        }
+        break;
+      case "comment":
+        this.#insertComment(token);
+        return;
+      case "doctype":
+        this.#reportIgnoredTag(token);
+        return;
+      case "startTag":
+        switch (token.name) {
+          case "caption":
+            this.#clearStackBackToContext(InsertionMode.IN_TABLE);
+            this.#activeFormattingElements.push(null);
+            this.#insertElementForToken(token);
+            this.#insertionMode = InsertionMode.IN_CAPTION;
+            return;
+          case "colgroup":
+            this.#clearStackBackToContext(InsertionMode.IN_TABLE);
+            this.#insertElementForToken(token);
+            this.#insertionMode = InsertionMode.IN_COLUMN_GROUP;
+            return;
+          case "col":
+            this.#clearStackBackToContext(InsertionMode.IN_TABLE);
+            this.#insertImpliedElement("colgroup", token);
+            this.#switchModeAndReprocess(InsertionMode.IN_COLUMN_GROUP, token);
+            return;
+          case "tbody":
+          case "tfoot":
+          case "thead":
+            this.#clearStackBackToContext(InsertionMode.IN_TABLE);
+            this.#insertElementForToken(token);
+            this.#insertionMode = InsertionMode.IN_TABLE_BODY;
+            return;
+          case "td":
+          case "th":
+          case "tr":
+            this.#clearStackBackToContext(InsertionMode.IN_TABLE);
+            this.#insertImpliedElement("tbody", token);
+            this.#switchModeAndReprocess(InsertionMode.IN_TABLE_BODY, token);
+            return;
+          case "table":
+            this.#reportIgnoredTag(token);
+            if (this.#hasElementInScope("table", tableScopeBoundaryTagNames)) {
+              this.#popUntilTagName("table", token);
+              this.#resetInsertionMode();
+              this.process(token);
+            }
+            return;
+          case "style":
+          case "script":
+          case "template":
+            this.#processInHead(token);
+            return;
+          case "input": {
+            const type = token.element.attributes?.find(
+              (attribute) => attribute.name.toLowerCase() === "type"
+            );
+            if (type?.value.toLowerCase() !== "hidden") {
+              break;
+            }
+            this.#insertElementForToken(token);
+            this.#popCurrentNode();
+            return;
+          }
+          case "form":
+            this.#reportIgnoredTag(token);
+            if (this.#hasOpenElement("template") || this.#formElement) {
+              return;
+            }
+            this.#formElement = this.#insertElementForToken(token);
+            this.#popCurrentNode();
+            return;
+          default:
+        }
+        break;
+      case "endTag":
+        switch (token.name) {
+          case "table":
+            if (!this.#hasElementInScope("table", tableScopeBoundaryTagNames)) {
+              this.#reportIgnoredTag(token);
+              return;
+            }
+            this.#popUntilTagName("table", token);
+            this.#resetInsertionMode();
+            return;
+          case "body":
+          case "caption":
+          case "col":
+          case "colgroup":
+          case "html":
+          case "tbody":
+          case "td":
+          case "tfoot":
+          case "th":
+          case "thead":
+          case "tr":
+            this.#reportIgnoredTag(token);
+            return;
+          case "template":
+            this.#processInHead(token);
+            return;
+          default:
+        }
+        break;
+      case "eof":
+        this.#processInBody(token);
+        return;
+      default:
+    }
+
+    // Content is only moved if it would have been inserted directly into the table
+    if (this.#isHTMLElement(this.#currentNode, tableRelatedTagNames)) {
+      this.#reportFosterParentedContent(token);
+    }
+    this.#processInBodyWithFosterParenting(token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInBodyWithFosterParenting(token) {
+    this.#isFosterParentingEnabled = true;
+    this.#processInBody(token);
+    this.#isFosterParentingEnabled = false;
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInTableText(token) {
+    if (token.type === "text") {
+      this.#pendingTableTextTokens.push(token);
+      return;
+    }
+
+    const pendingTokens = this.#pendingTableTextTokens;
+    this.#pendingTableTextTokens = [];
+
+    const firstNonWhitespaceToken = pendingTokens.find(({ node }) =>
+      /[^\t\n\f\r ]/.test(node.textContent)
+    );
+    if (firstNonWhitespaceToken) {
+      this.#reportFosterParentedContent(firstNonWhitespaceToken);
+      for (const pendingToken of pendingTokens) {
+        this.#processInBodyWithFosterParenting(pendingToken);
+      }
+    } else {
+      for (const pendingToken of pendingTokens) {
+        this.#insertText(pendingToken);
+      }
+    }
+
+    this.#switchModeAndReprocess(this.#originalInsertionMode, token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInCaption(token) {
+    const isTableStructureTag =
+      (token.type === "startTag" && tableStructureTagNames.has(token.name)) ||
+      (token.type === "endTag" && token.name === "table");
+
+    if (
+      (token.type === "endTag" && token.name === "caption") ||
+      isTableStructureTag
+    ) {
+      if (!this.#hasElementInScope("caption", tableScopeBoundaryTagNames)) {
+        this.#reportIgnoredTag(
+          /** @type {StartTagTreeToken | EndTagTreeToken} */ (token)
+        );
+        return;
+      }
+      this.#generateImpliedEndTags();
+      this.#popUntilTagName("caption", token);
+      this.#clearActiveFormattingElementsToLastMarker();
+      this.#insertionMode = InsertionMode.IN_TABLE;
+      if (isTableStructureTag) {
+        this.process(token);
+      }
+      return;
+    }
+
+    if (
+      token.type === "endTag" &&
+      [
+        "body",
+        "col",
+        "colgroup",
+        "html",
+        "tbody",
+        "td",
+        "tfoot",
+        "th",
+        "thead",
+        "tr",
+      ].includes(token.name)
+    ) {
+      this.#reportIgnoredTag(token);
+      return;
+    }
+
+    this.#processInBody(token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInColumnGroup(token) {
+    switch (token.type) {
+      case "text": {
+        const restToken = this.#processLeadingWhitespace(
+          token,
+          (whitespaceToken) => this.#insertText(whitespaceToken)
+        );
+        if (!restToken) {
+          return;
+        }
+        token = restToken;
+        break;
+      }
+      case "comment":
+        this.#insertComment(token);
+        return;
+      case "doctype":
+        this.#reportIgnoredTag(token);
+        return;
+      case "startTag":
+        if (token.name === "html") {
+          this.#processInBody(token);
+          return;
+        }
+        if (token.name === "col") {
+          this.#insertElementForToken(token);
+          this.#popCurrentNode();
+          return;
+        }
+        if (token.name === "template") {
+          this.#processInHead(token);
+          return;
+        }
+        break;
+      case "endTag":
+        if (token.name === "colgroup") {
+          if (!this.#isHTMLElement(this.#currentNode, "colgroup")) {
+            this.#reportIgnoredTag(token);
+            return;
+          }
+          this.#setClosingTag(
+            /** @type {TmphElementNode} */ (this.#popCurrentNode()),
+            token
+          );
+          this.#insertionMode = InsertionMode.IN_TABLE;
+          return;
+        }
+        if (token.name === "col") {
+          this.#reportIgnoredTag(token);
+          return;
+        }
+        if (token.name === "template") {
+          this.#processInHead(token);
+          return;
+        }
+        break;
+      case "eof":
+        this.#processInBody(token);
+        return;
+      default:
+    }
+
+    if (!this.#isHTMLElement(this.#currentNode, "colgroup")) {
+      if (token.type === "startTag" || token.type === "endTag") {
+        this.#reportIgnoredTag(token);
+      }
+      return;
+    }
+    this.#popCurrentNode();
+    this.#switchModeAndReprocess(InsertionMode.IN_TABLE, token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInTableBody(token) {
+    if (token.type === "startTag") {
+      switch (token.name) {
+        case "tr":
+          this.#clearStackBackToContext(InsertionMode.IN_TABLE_BODY);
+          this.#insertElementForToken(token);
+          this.#insertionMode = InsertionMode.IN_ROW;
+          return;
+        case "th":
+        case "td":
+          this.#clearStackBackToContext(InsertionMode.IN_TABLE_BODY);
+          this.#insertImpliedElement("tr", token);
+          this.#switchModeAndReprocess(InsertionMode.IN_ROW, token);
+          return;
+        case "caption":
+        case "col":
+        case "colgroup":
+        case "tbody":
+        case "tfoot":
+        case "thead":
+          this.#closeTableSection(token);
+          return;
+        default:
+      }
+    } else if (token.type === "endTag") {
+      switch (token.name) {
+        case "tbody":
+        case "tfoot":
+        case "thead":
+          if (
+            !this.#hasElementInScope(token.name, tableScopeBoundaryTagNames)
+          ) {
+            this.#reportIgnoredTag(token);
+            return;
+          }
+          this.#clearStackBackToContext(InsertionMode.IN_TABLE_BODY);
+          this.#setClosingTag(
+            /** @type {TmphElementNode} */ (this.#popCurrentNode()),
+            token
+          );
+          this.#insertionMode = InsertionMode.IN_TABLE;
+          return;
+        case "table":
+          this.#closeTableSection(token);
+          return;
+        case "body":
+        case "caption":
+        case "col":
+        case "colgroup":
+        case "html":
+        case "td":
+        case "th":
+        case "tr":
+          this.#reportIgnoredTag(token);
+          return;
+        default:
+      }
+    }
+
+    this.#processInTable(token);
+  }
+
+  /**
+   * Closes the current table section so a token which can't be inside of it can be processed.
+   * @param {StartTagTreeToken | EndTagTreeToken} token
+   */
+  #closeTableSection(token) {
+    if (
+      !this.#hasElementInScope(tableSectionTagNames, tableScopeBoundaryTagNames)
+    ) {
+      this.#reportIgnoredTag(token);
+      return;
+    }
+    this.#clearStackBackToContext(InsertionMode.IN_TABLE_BODY);
+    this.#popCurrentNode();
+    this.#switchModeAndReprocess(InsertionMode.IN_TABLE, token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInRow(token) {
+    if (token.type === "startTag") {
+      switch (token.name) {
+        case "th":
+        case "td":
+          this.#clearStackBackToContext(InsertionMode.IN_ROW);
+          this.#insertElementForToken(token);
+          this.#insertionMode = InsertionMode.IN_CELL;
+          this.#activeFormattingElements.push(null);
+          return;
+        case "caption":
+        case "col":
+        case "colgroup":
+        case "tbody":
+        case "tfoot":
+        case "thead":
+        case "tr":
+          this.#closeRow(token);
+          return;
+        default:
+      }
+    } else if (token.type === "endTag") {
+      switch (token.name) {
+        case "tr":
+          if (!this.#hasElementInScope("tr", tableScopeBoundaryTagNames)) {
+            this.#reportIgnoredTag(token);
+            return;
+          }
+          this.#clearStackBackToContext(InsertionMode.IN_ROW);
+          this.#setClosingTag(
+            /** @type {TmphElementNode} */ (this.#popCurrentNode()),
+            token
+          );
+          this.#insertionMode = InsertionMode.IN_TABLE_BODY;
+          return;
+        case "table":
+          this.#closeRow(token);
+          return;
+        case "tbody":
+        case "tfoot":
+        case "thead":
+          if (
+            !this.#hasElementInScope(token.name, tableScopeBoundaryTagNames)
+          ) {
+            this.#reportIgnoredTag(token);
+            return;
+          }
+          this.#closeRow(token);
+          return;
+        case "body":
+        case "caption":
+        case "col":
+        case "colgroup":
+        case "html":
+        case "td":
+        case "th":
+          this.#reportIgnoredTag(token);
+          return;
+        default:
+      }
+    }
+
+    this.#processInTable(token);
+  }
+
+  /**
+   * Closes the current table row so a token which can't be inside of it can be processed.
+   * @param {StartTagTreeToken | EndTagTreeToken} token
+   */
+  #closeRow(token) {
+    if (!this.#hasElementInScope("tr", tableScopeBoundaryTagNames)) {
+      this.#reportIgnoredTag(token);
+      return;
+    }
+    this.#clearStackBackToContext(InsertionMode.IN_ROW);
+    this.#popCurrentNode();
+    this.#switchModeAndReprocess(InsertionMode.IN_TABLE_BODY, token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInCell(token) {
+    if (token.type === "endTag") {
+      switch (token.name) {
+        case "td":
+        case "th":
+          if (
+            !this.#hasElementInScope(token.name, tableScopeBoundaryTagNames)
+          ) {
+            this.#reportIgnoredTag(token);
+            return;
+          }
+          this.#generateImpliedEndTags();
+          this.#popUntilTagName(token.name, token);
+          this.#clearActiveFormattingElementsToLastMarker();
+          this.#insertionMode = InsertionMode.IN_ROW;
+          return;
+        case "body":
+        case "caption":
+        case "col":
+        case "colgroup":
+        case "html":
+          this.#reportIgnoredTag(token);
+          return;
+        case "table":
+        case "tbody":
+        case "tfoot":
+        case "thead":
+        case "tr":
+          if (
+            !this.#hasElementInScope(token.name, tableScopeBoundaryTagNames)
+          ) {
+            this.#reportIgnoredTag(token);
+            return;
+          }
+          this.#closeCell(token);
+          return;
+        default:
+      }
+    } else if (
+      token.type === "startTag" &&
+      tableStructureTagNames.has(token.name)
+    ) {
+      if (
+        !this.#hasElementInScope(tableCellTagNames, tableScopeBoundaryTagNames)
+      ) {
+        this.#reportIgnoredTag(token);
+        return;
+      }
+      this.#closeCell(token);
+      return;
+    }
+
+    this.#processInBody(token);
+  }
+
+  /**
+   * @param {StartTagTreeToken | EndTagTreeToken} token
+   */
+  #closeCell(token) {
+    this.#generateImpliedEndTags();
+    this.#popUntilTagName(tableCellTagNames, token);
+    this.#clearActiveFormattingElementsToLastMarker();
+    this.#switchModeAndReprocess(InsertionMode.IN_ROW, token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInSelect(token) {
+    switch (token.type) {
+      case "text":
+        this.#insertText(token);
+        return;
+      case "comment":
+        this.#insertComment(token);
+        return;
+      case "doctype":
+        this.#reportIgnoredTag(token);
+        return;
+      case "startTag":
+        switch (token.name) {
+          case "html":
+            this.#processInBody(token);
+            return;
+          case "option":
+            if (this.#isHTMLElement(this.#currentNode, "option")) {
+              this.#popCurrentNode();
+            }
+            this.#insertElementForToken(token);
+            return;
+          case "optgroup":
+          case "hr":
+            if (this.#isHTMLElement(this.#currentNode, "option")) {
+              this.#popCurrentNode();
+            }
+            if (this.#isHTMLElement(this.#currentNode, "optgroup")) {
+              this.#popCurrentNode();
+            }
+            this.#insertElementForToken(token);
+            if (token.name === "hr") {
+              this.#popCurrentNode();
+            }
+            return;
+          case "select":
+            this.#reportIgnoredTag(token);
+            if (this.#hasSelectInSelectScope()) {
+              this.#popUntilTagName("select", token);
+              this.#resetInsertionMode();
+            }
+            return;
+          case "input":
+          case "keygen":
+          case "textarea":
+            this.#reportIgnoredTag(token);
+            if (this.#hasSelectInSelectScope()) {
+              this.#popUntilTagName("select", token);
+              this.#resetInsertionMode();
+              this.process(token);
+            }
+            return;
+          case "script":
+          case "template":
+            this.#processInHead(token);
+            return;
+          default:
+            this.#reportIgnoredTag(token);
+            return;
+        }
+      case "endTag":
+        switch (token.name) {
+          case "optgroup": {
+            const previousElement = this.#openElements.at(-2);
+            if (
+              this.#isHTMLElement(this.#currentNode, "option") &&
+              this.#isHTMLElement(previousElement, "optgroup")
+            ) {
+              this.#popCurrentNode();
+            }
+            if (this.#isHTMLElement(this.#currentNode, "optgroup")) {
+              this.#setClosingTag(
+                /** @type {TmphElementNode} */ (this.#popCurrentNode()),
+                token
+              );
+            } else {
+              this.#reportIgnoredTag(token);
+            }
+            return;
+          }
+          case "option":
+            if (this.#isHTMLElement(this.#currentNode, "option")) {
+              this.#setClosingTag(
+                /** @type {TmphElementNode} */ (this.#popCurrentNode()),
+                token
+              );
+            } else {
+              this.#reportIgnoredTag(token);
+            }
+            return;
+          case "select":
+            if (!this.#hasSelectInSelectScope()) {
+              this.#reportIgnoredTag(token);
+              return;
+            }
+            this.#popUntilTagName("select", token);
+            this.#resetInsertionMode();
+            return;
+          case "template":
+            this.#processInHead(token);
+            return;
+          default:
+            this.#reportIgnoredTag(token);
+            return;
+        }
+      case "eof":
+        this.#processInBody(token);
+        return;
+      default:
+    }
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInSelectInTable(token) {
+    if (
+      (token.type === "startTag" || token.type === "endTag") &&
+      selectInTableClosingTagNames.has(token.name)
+    ) {
+      this.#reportIgnoredTag(token);
+      if (
+        token.type === "endTag" &&
+        !this.#hasElementInScope(token.name, tableScopeBoundaryTagNames)
+      ) {
+        return;
+      }
+      this.#popUntilTagName("select", token);
+      this.#resetInsertionMode();
+      this.process(token);
+      return;
+    }
+
+    this.#processInSelect(token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInTemplate(token) {
+    switch (token.type) {
+      case "text":
+      case "comment":
+      case "doctype":
+        this.#processInBody(token);
+        return;
+      case "startTag": {
+        if (headContentTagNames.has(token.name)) {
+          this.#processInHead(token);
+          return;
+        }
+
+        /**
+         * @type {InsertionMode}
+         */
+        let templateInsertionMode = InsertionMode.IN_BODY;
+        switch (token.name) {
+          case "caption":
+          case "colgroup":
+          case "tbody":
+          case "tfoot":
+          case "thead":
+            templateInsertionMode = InsertionMode.IN_TABLE;
+            break;
+          case "col":
+            templateInsertionMode = InsertionMode.IN_COLUMN_GROUP;
+            break;
+          case "tr":
+            templateInsertionMode = InsertionMode.IN_TABLE_BODY;
+            break;
+          case "td":
+          case "th":
+            templateInsertionMode = InsertionMode.IN_ROW;
+            break;
+          default:
+        }
+        this.#templateInsertionModes.pop();
+        this.#templateInsertionModes.push(templateInsertionMode);
+        this.#switchModeAndReprocess(templateInsertionMode, token);
+        return;
+      }
+      case "endTag":
+        if (token.name === "template") {
+          this.#processInHead(token);
+        } else {
+          this.#reportIgnoredTag(token);
+        }
+        return;
+      case "eof":
+        if (!this.#hasOpenElement("template")) {
+          this.#stopParsing(token);
+          return;
+        }
+        this.#popUntilTagName("template", token);
+        this.#clearActiveFormattingElementsToLastMarker();
+        this.#templateInsertionModes.pop();
+        this.#resetInsertionMode();
+        this.process(token);
+        return;
+      default:
+    }
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processAfterBody(token) {
+    switch (token.type) {
+      case "text": {
+        const restToken = this.#processLeadingWhitespace(
+          token,
+          (whitespaceToken) => this.#processInBody(whitespaceToken)
+        );
+        if (!restToken) {
+          return;
+        }
+        token = restToken;
+        break;
+      }
+      case "comment":
+        this.#insertComment(
+          token,
+          /** @type {TmphElementNode} */ (this.#openElements[0])
+        );
+        return;
+      case "doctype":
+        this.#reportIgnoredTag(token);
+        return;
+      case "startTag":
+        if (token.name === "html") {
+          this.#processInBody(token);
+          return;
+        }
+        break;
+      case "endTag":
+        if (token.name === "html") {
+          const htmlElement = /** @type {TmphElementNode} */ (
+            this.#openElements[0]
+          );
+          this.#setClosingTag(htmlElement, token);
+          this.#insertionMode = InsertionMode.AFTER_AFTER_BODY;
+          return;
+        }
+        break;
+      case "eof":
+        this.#stopParsing(token);
+        return;
+      default:
+    }
+
+    this.#switchModeAndReprocess(InsertionMode.IN_BODY, token);
+  }
+
+  /**
+   * Inserts only the whitespace in a text token, since other text isn't allowed in a frameset.
+   * @param {TextTreeToken} token
+   */
+  #insertFramesetWhitespace(token) {
+    const whitespace = token.node.textContent.replace(nonWhitespaceRegex, "");
+    if (whitespace) {
+      this.#insertText({
+        ...token,
+        node: { ...token.node, textContent: whitespace },
+      });
+    }
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processInFrameset(token) {
+    switch (token.type) {
+      case "text":
+        this.#insertFramesetWhitespace(token);
+        return;
+      case "comment":
+        this.#insertComment(token);
+        return;
+      case "startTag":
+        switch (token.name) {
+          case "html":
+            this.#processInBody(token);
+            return;
+          case "frameset":
+            this.#insertElementForToken(token);
+            return;
+          case "frame":
+            this.#insertElementForToken(token);
+            this.#popCurrentNode();
+            return;
+          case "noframes":
+            this.#processInHead(token);
+            return;
+          default:
+        }
+        break;
+      case "endTag":
+        if (token.name === "frameset") {
+          if (this.#openElements.length === 1) {
+            this.#reportIgnoredTag(token);
+            return;
+          }
+          this.#setClosingTag(
+            /** @type {TmphElementNode} */ (this.#popCurrentNode()),
+            token
+          );
+          if (!this.#isHTMLElement(this.#currentNode, "frameset")) {
+            this.#insertionMode = InsertionMode.AFTER_FRAMESET;
+          }
+          return;
+        }
+        break;
+      case "eof":
+        this.#stopParsing(token);
+        return;
+      default:
+    }
+
+    if (
+      token.type === "startTag" ||
+      token.type === "endTag" ||
+      token.type === "doctype"
+    ) {
+      this.#reportIgnoredTag(token);
+    }
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processAfterFrameset(token) {
+    switch (token.type) {
+      case "text":
+        this.#insertFramesetWhitespace(token);
+        return;
+      case "comment":
+        this.#insertComment(token);
+        return;
+      case "startTag":
+        if (token.name === "html") {
+          this.#processInBody(token);
+          return;
+        }
+        if (token.name === "noframes") {
+          this.#processInHead(token);
+          return;
+        }
+        break;
+      case "endTag":
+        if (token.name === "html") {
+          this.#setClosingTag(
+            /** @type {TmphElementNode} */ (this.#openElements[0]),
+            token
+          );
+          this.#insertionMode = InsertionMode.AFTER_AFTER_FRAMESET;
+          return;
+        }
+        break;
+      case "eof":
+        this.#stopParsing(token);
+        return;
+      default:
+    }
+
+    if (
+      token.type === "startTag" ||
+      token.type === "endTag" ||
+      token.type === "doctype"
+    ) {
+      this.#reportIgnoredTag(token);
+    }
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processAfterAfterBody(token) {
+    switch (token.type) {
+      case "comment":
+        this.#append(token.node, this.#document);
+        return;
+      case "doctype":
+        this.#processInBody(token);
+        return;
+      case "text": {
+        const restToken = this.#processLeadingWhitespace(
+          token,
+          (whitespaceToken) => this.#processInBody(whitespaceToken)
+        );
+        if (!restToken) {
+          return;
+        }
+        token = restToken;
+        break;
+      }
+      case "startTag":
+        if (token.name === "html") {
+          this.#processInBody(token);
+          return;
+        }
+        break;
+      case "eof":
+        this.#stopParsing(token);
+        return;
+      default:
+    }
+
+    this.#switchModeAndReprocess(InsertionMode.IN_BODY, token);
+  }
+
+  /**
+   * @param {TreeToken} token
+   */
+  #processAfterAfterFrameset(token) {
+    switch (token.type) {
+      case "comment":
+        this.#append(token.node, this.#document);
+        return;
+      case "doctype":
+        this.#processInBody(token);
+        return;
+      case "text":
+        this.#insertFramesetWhitespace(token);
+        return;
+      case "startTag":
+        if (token.name === "html") {
+          this.#processInBody(token);
+          return;
+        }
+        if (token.name === "noframes") {
+          this.#processInHead(token);
+          return;
+        }
+        this.#reportIgnoredTag(token);
+        return;
+      case "endTag":
+        this.#reportIgnoredTag(token);
+        return;
+      case "eof":
+        this.#stopParsing(token);
+        return;
+      default:
+    }
+  }
+}
+
+/**
+ * Reads tokens from the lexer and assembles them into whole tags and nodes for the tree builder.
+ * @param {HTMLParserSource} source
+ * @param {HTMLParserOptions} parserOptions
+ * @param {ReportDiagnosticFn} reportDiagnostic
+ * @param {(token: TreeToken) => void} processTreeToken - Called with each tree token as it is assembled
+ * @returns {LexerTokenConsumer<void>}
+ */
+function* readTreeTokens(
+  source,
+  parserOptions,
+  reportDiagnostic,
+  processTreeToken
+) {
+  /**
+   * Bytes per ASCII character in the source, which is learned from the first tag's closing ">"
+   */
+  let codeUnitSize = 1;
+
+  /**
+   * Handles a problem which prevents a token from being parsed.
+   * In recover mode, the problem is reported as a diagnostic so parsing can continue;
+   * otherwise, an error is thrown to abort parsing.
+   * @param {DiagnosticCode} code
+   * @param {string} message
+   * @param {LexerToken} token
+   */
+  const handleParsingError = (code, message, token) => {
+    if (!parserOptions.recover) {
+      throw new Error(
+        `Tempeh parsing error: ${message} at ${
+          source.filePath ? `${source.filePath}:` : ""
+        }${token.l}:${token.c}`
+      );
+    }
+
+    reportDiagnostic({
+      severity: "error",
+      code,
+      message,
+      range: { start: token.start, end: token.end },
+    });
+  };
+
+  /**
+   * @param {LexerToken} token
+   * @returns {BaseTreeToken}
+   */
+  const getTokenPosition = ({ l, c, start, end }) => ({ l, c, start, end });
+
+  /**
+   * @param {LexerToken} token
+   * @returns {EOFTreeToken}
+   */
+  const createEOFToken = (token) => ({
+    type: "eof",
+    ...getTokenPosition(token),
+  });
+
+  while (true) {
+    const { done, value: token } = yield;
+    if (done) {
+      return;
+    }
+
+    switch (token.type) {
+      case LexerTokenType.EOF:
+        processTreeToken(createEOFToken(token));
+        return;
+      case LexerTokenType.ERROR:
+        // The lexer can't continue after an error, so even in recover mode
+        // there's nothing left to parse.
+        handleParsingError(DiagnosticCode.LEXER_ERROR, token.value, token);
+        processTreeToken(createEOFToken(token));
+        return;
+      case LexerTokenType.DIAGNOSTIC:
+        reportDiagnostic({
+          severity: token.severity,
+          code: token.code,
+          message: token.value,
+          range: { start: token.start, end: token.end },
+        });
+        break;
+      case LexerTokenType.TEXT_CONTENT: {
+        if (!token.value) {
+          break;
+        }
+
+        /**
+         * @type {TmphTextNode}
+         */
+        const textNode = {
+          textContent: token.value,
+          l: token.l,
+          c: token.c,
+        };
+
+        if (parserOptions.sourceRanges) {
+          textNode.range = { start: token.start, end: token.end };
+        }
+
+        if (token.decoded) {
+          textNode.decoded = true;
+        }
+
+        if (parserOptions.preserveFormatting && token.raw !== undefined) {
+          textNode.formatting = { rawTextContent: token.raw };
+        }
+
+        processTreeToken({
+          type: "text",
+          node: textNode,
+          codeUnitSize,
+          ...getTokenPosition(token),
+        });
+        break;
+      }
+      case LexerTokenType.OPENING_TAGNAME: {
+        /**
+         * @type {TmphElementNode}
+         */
+        const elementNode = {
+          tagName: applyTagNameCasing(token.value, parserOptions.tagNameCasing),
+          l: token.l,
+          c: token.c,
+        };
+
+        if (parserOptions.sourceRanges) {
+          elementNode.range = { start: token.start, end: token.end };
+          elementNode.openingTagRange = { start: token.start, end: token.end };
+        }
+
+        if (parserOptions.preserveFormatting) {
+          elementNode.formatting = {
+            openingTagName: token.value,
+            openingTagEnd: "",
+            closingTag: null,
+          };
+        }
+
+        /**
+         * @param {LexerToken} endToken
+         * @param {boolean} isSelfClosing
+         * @returns {StartTagTreeToken}
+         */
+        const createStartTagToken = (endToken, isSelfClosing) => {
+          if (elementNode.range && elementNode.openingTagRange) {
+            elementNode.openingTagRange.end = endToken.end;
+            elementNode.range.end = endToken.end;
+          }
+
+          return {
+            type: "startTag",
+            name: token.value.toLowerCase(),
+            rawName: token.value,
+            element: elementNode,
+            isSelfClosing,
+            l: token.l,
+            c: token.c,
+            start: token.start,
+            end: endToken.end,
+          };
+        };
+
+        /**
+         * In recover mode, the element is synthesized from whatever we got before the opening tag was cut off;
+         * otherwise, the element will be dropped.
+         * @param {LexerToken} terminatorToken
+         */
+        const handleUnterminatedOpeningTag = (terminatorToken) => {
+          reportDiagnostic({
+            severity: "error",
+            code: DiagnosticCode.UNTERMINATED_OPENING_TAG,
+            message: `Opening tag for <${elementNode.tagName}> was not terminated`,
+            range: { start: token.start, end: terminatorToken.end },
+          });
+
+          if (parserOptions.recover) {
+            processTreeToken(createStartTagToken(terminatorToken, false));
+          }
+          processTreeToken(createEOFToken(terminatorToken));
+        };
+
+        /**
+         * Whether the last attribute name was a duplicate, so its value should be dropped too
+         */
+        let isDroppingAttribute = false;
+        let isTagComplete = false;
+        while (!isTagComplete) {
+          const { done: isDone, value: openingTagToken } = yield;
+          if (isDone) {
+            return;
+          }
+
+          switch (openingTagToken.type) {
+            case LexerTokenType.SELF_CLOSING_TAG_END:
+            case LexerTokenType.OPENING_TAG_END:
+              if (elementNode.formatting) {
+                elementNode.formatting.openingTagEnd =
+                  openingTagToken.raw ?? ">";
+              }
+              // The token's range only spans the closing ">"
+              codeUnitSize =
+                openingTagToken.end.byteOffset -
+                  openingTagToken.start.byteOffset || codeUnitSize;
+              processTreeToken(
+                createStartTagToken(
+                  openingTagToken,
+                  openingTagToken.type === LexerTokenType.SELF_CLOSING_TAG_END
+                )
+              );
+              isTagComplete = true;
+              break;
+            case LexerTokenType.ATTRIBUTE_NAME: {
+              const attributeName = openingTagToken.value.toLowerCase();
+              isDroppingAttribute = Boolean(
+                elementNode.attributes?.some(
+                  ({ name }) => name.toLowerCase() === attributeName
+                )
+              );
+              if (isDroppingAttribute) {
+                reportDiagnostic({
+                  severity: "warning",
+                  code: DiagnosticCode.DUPLICATE_ATTRIBUTE,
+                  message: `Ignoring duplicate attribute ${openingTagToken.value} on <${elementNode.tagName}>`,
+                  range: {
+                    start: openingTagToken.start,
+                    end: openingTagToken.end,
+                  },
+                });
+                break;
+              }
+
+              /**
+               * @type {TmphElementAttribute}
+               */
+              const attribute = {
+                name: openingTagToken.value,
+                l: openingTagToken.l,
+                c: openingTagToken.c,
+                value: "",
+              };
+
+              if (parserOptions.sourceRanges) {
+                attribute.range = {
+                  start: openingTagToken.start,
+                  end: openingTagToken.end,
+                };
+                attribute.nameRange = {
+                  start: openingTagToken.start,
+                  end: openingTagToken.end,
+                };
+              }
+
+              if (parserOptions.preserveFormatting) {
+                attribute.formatting = {
+                  whitespaceBefore: openingTagToken.whitespaceBefore ?? "",
+                  quote: null,
+                  rawValue: "",
+                };
+              }
+
+              if (parserOptions.parseDirectives) {
+                attribute.directive = parseAttributeDirective(
+                  openingTagToken,
+                  parserOptions.sourceRanges
+                );
+              }
+
+              (elementNode.attributes ??= []).push(attribute);
+              break;
+            }
+            case LexerTokenType.ATTRIBUTE_VALUE: {
+              if (isDroppingAttribute) {
+                break;
+              }
+
+              const lastAttribute = elementNode.attributes?.at(-1);
+              if (!lastAttribute) {
+                handleParsingError(
+                  DiagnosticCode.UNEXPECTED_TOKEN,
+                  `Encountered unexpected attribute value ${openingTagToken.value}`,
+                  openingTagToken
+                );
+                break;
+              }
+
+              lastAttribute.value = openingTagToken.value;
+              if (openingTagToken.decoded) {
+                lastAttribute.decoded = true;
+              }
+
+              if (lastAttribute.range) {
+                lastAttribute.range.end = openingTagToken.end;
+                lastAttribute.valueRange = {
+                  start: openingTagToken.start,
+                  end: openingTagToken.end,
+                };
+              }
+
+              if (lastAttribute.formatting) {
+                lastAttribute.formatting.quote = openingTagToken.quote ?? "";
+                lastAttribute.formatting.rawValue =
+                  openingTagToken.raw ?? openingTagToken.value;
+              }
+
+              if (lastAttribute.directive) {
+                parseDirectiveExpression(
+                  lastAttribute.directive,
+                  openingTagToken,
+                  parserOptions.sourceRanges
+                );
+              }
+
+              if (
+                parserOptions.validateExpressions ||
+                parserOptions.expressionAST
+              ) {
+                parseAttributeExpression(
+                  lastAttribute,
+                  openingTagToken,
+                  parserOptions,
+                  reportDiagnostic
+                );
+              }
+              break;
+            }
+            case LexerTokenType.EOF:
+              handleUnterminatedOpeningTag(openingTagToken);
+              return;
+            case LexerTokenType.ERROR:
+              handleParsingError(
+                DiagnosticCode.LEXER_ERROR,
+                openingTagToken.value,
+                openingTagToken
+              );
+              handleUnterminatedOpeningTag(openingTagToken);
+              return;
+            case LexerTokenType.DIAGNOSTIC:
+              reportDiagnostic({
+                severity: openingTagToken.severity,
+                code: openingTagToken.code,
+                message: openingTagToken.value,
+                range: {
+                  start: openingTagToken.start,
+                  end: openingTagToken.end,
+                },
+              });
+              break;
+            default:
+              handleParsingError(
+                DiagnosticCode.UNEXPECTED_TOKEN,
+                `Encountered unexpected token type ${openingTagToken.type}`,
+                openingTagToken
+              );
+          }
+        }
+        break;
+      }
+      case LexerTokenType.CLOSING_TAGNAME:
+        processTreeToken({
+          type: "endTag",
+          name: token.value.toLowerCase(),
+          rawName: token.value,
+          ...(token.raw !== undefined ? { raw: token.raw } : {}),
+          ...getTokenPosition(token),
+        });
+        break;
+      case LexerTokenType.DOCTYPE_DECLARATION: {
+        /**
+         * @type {TmphDoctypeDeclarationNode}
+         */
+        const doctypeNode = {
+          doctypeDeclaration: token.value,
+          l: token.l,
+          c: token.c,
+        };
+
+        if (parserOptions.sourceRanges) {
+          doctypeNode.range = { start: token.start, end: token.end };
+        }
+
+        if (parserOptions.preserveFormatting && token.raw !== undefined) {
+          doctypeNode.formatting = { rawDeclaration: token.raw };
+        }
+
+        processTreeToken({
+          type: "doctype",
+          node: doctypeNode,
+          ...getTokenPosition(token),
+        });
+        break;
+      }
+      case LexerTokenType.COMMENT: {
+        /**
+         * @type {TmphCommentNode}
+         */
+        const commentNode = {
+          comment: token.value,
+          l: token.l,
+          c: token.c,
+        };
+
+        if (parserOptions.sourceRanges) {
+          commentNode.range = { start: token.start, end: token.end };
+        }
+
+        if (parserOptions.preserveFormatting && token.raw !== undefined) {
+          commentNode.formatting = { rawComment: token.raw };
+        }
+
+        processTreeToken({
+          type: "comment",
+          node: commentNode,
+          ...getTokenPosition(token),
+        });
+        break;
+      }
+      default:
+        handleParsingError(
+          DiagnosticCode.UNEXPECTED_TOKEN,
+          `Encountered unexpected token type ${token.type}`,
+          token
+        );
+    }
+  }
+}
+
+/**
+ * Fills in the source ranges of elements which weren't explicitly closed so they end wherever their last child ended,
+ * and removes empty children arrays.
+ * @param {TmphNode} node
+ */
+const finalizeNode = (node) => {
+  if (!("tagName" in node)) {
+    return;
+  }
+
+  const { children } = node;
+  if (!children || children.length === 0) {
+    delete node.children;
+    return;
+  }
+
+  children.forEach(finalizeNode);
+
+  const lastChildRangeEnd = children.at(-1)?.range?.end;
+  if (
+    node.range &&
+    !node.closingTagRange &&
+    lastChildRangeEnd &&
+    lastChildRangeEnd.offset > node.range.end.offset
+  ) {
+    node.range.end = lastChildRangeEnd;
+  }
+};
+
+/**
+ * Parses a document following the HTML spec's tree construction rules, for the `mode: "spec"` parser option.
+ * Since content later in the document can move nodes which came before it, ie content which is foster parented out of a table,
+ * the whole tree is built before any nodes are written to the stream.
+ * @param {HTMLParserSource} source
+ * @param {HTMLParserOptions} parserOptions
+ * @param {ReportDiagnosticFn} reportDiagnostic
+ * @returns {LexerTokenConsumer<TmphNode[]>} The root-level nodes of the finished tree
+ */
+export function* constructSpecTree(source, parserOptions, reportDiagnostic) {
+  const treeBuilder = new TreeBuilder(parserOptions, reportDiagnostic);
+
+  yield* readTreeTokens(source, parserOptions, reportDiagnostic, (token) =>
+    treeBuilder.process(token)
+  );
+
+  for (const node of treeBuilder.nodes) {
+    finalizeNode(node);
+  }
+
+  return treeBuilder.nodes;
+}
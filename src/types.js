@@ -1,22 +1,96 @@
+/**
+ * @import { DiagnosticCode } from "./diagnostics.js";
+ * @import Piscina from "piscina";
+ * @import { HTMLParseCache } from "./parseCache.js";
+ * @import { Expression } from "acorn";
+ * @import { ComponentErrorCode } from "./components.js";
+ */
+
+/**
+ * @typedef {Object} TmphSourcePosition
+ * @property {number} l Line number
+ * @property {number} c Column number
+ * @property {number} offset Offset from the start of the source in UTF-16 code units
+ * @property {number} byteOffset Offset from the start of the source in bytes
+ */
+
+/**
+ * @typedef {Object} TmphSourceRange
+ * @property {TmphSourcePosition} start Position of the first character in the range
+ * @property {TmphSourcePosition} end Position immediately after the last character in the range
+ */
+
 /**
  * @typedef {Object} BaseTmphContentProperties
  * @property {number} l Line number
  * @property {number} c Column number
+ * @property {TmphSourceRange} [range] Full source range of the content; only included if the `sourceRanges` option is enabled
+ */
+
+/**
+ * Formatting details for an attribute; only included if the `preserveFormatting` option is enabled.
+ * @typedef {Object} TmphElementAttributeFormatting
+ * @property {string} whitespaceBefore Source text between the tag name or previous attribute and this attribute, usually whitespace
+ * @property {"\"" | "'" | "" | null} quote Quote character used around the attribute's value; "" if the value was unquoted, or null if the attribute had no value
+ * @property {string} rawValue The attribute's value as it was written in the source, before any escapes or character references were processed
  */
 
 /**
  * @typedef {Object} TmphElementAttributeProperties
  * @property {string} name
  * @property {string} value
+ * @property {TmphSourceRange} [nameRange] Source range of the attribute's name
+ * @property {TmphSourceRange} [valueRange] Source range of the attribute's value, including quotes if the value was quoted. Omitted if the attribute has no value.
+ * @property {TmphElementAttributeFormatting} [formatting]
+ * @property {true} [decoded] Set if the `decodeEntities` option is enabled and decoding character references changed the attribute's value.
+ *    The serializer encodes marked values by default so they round-trip.
+ * @property {TmphAttributeDirective} [directive] The attribute's name and value broken down into their parts; only included if the `parseDirectives` option is enabled
+ * @property {Expression} [expressionAST] The AST of the attribute's value parsed as a JavaScript expression, with positions relative to the start of the value.
+ *    Only included if the `expressionAST` option is enabled and the attribute is a bound attribute or directive with a valid expression.
  *
  * @typedef {BaseTmphContentProperties & TmphElementAttributeProperties} TmphElementAttribute
  */
 
+/**
+ * Part of an attribute's name or value, with the position it was found at in the source.
+ * @typedef {Object} TmphDirectivePart
+ * @property {string} value
+ * @property {number} l Line number
+ * @property {number} c Column number
+ * @property {TmphSourceRange} [range] Full source range of the part; only included if the `sourceRanges` option is enabled
+ */
+
+/**
+ * @typedef {"static" | "bound" | "directive"} TmphAttributeKind
+ */
+
+/**
+ * An attribute broken down into its parts. For an attribute like `#for-of:item,i.lazy="props.items"`, the name is "for-of",
+ * the arguments are "item" and "i", the modifiers are "lazy" and the expression is "props.items".
+ * @typedef {Object} TmphAttributeDirective
+ * @property {TmphAttributeKind} kind Whether the attribute is a static attribute, a bound attribute prefixed with `:`, or a directive prefixed with `#`
+ * @property {TmphDirectivePart} name The attribute's name without its prefix, arguments or modifiers. Static attributes' names are left as they are.
+ * @property {TmphDirectivePart[]} arguments Comma-separated arguments following a `:` after the name
+ * @property {TmphDirectivePart[]} modifiers `.`-separated modifiers following the name and arguments
+ * @property {TmphDirectivePart | null} expression The value of a bound attribute or directive, or null if it doesn't have one or is static
+ */
+
+/**
+ * Formatting details for an element; only included if the `preserveFormatting` option is enabled.
+ * @typedef {Object} TmphElementFormatting
+ * @property {string} openingTagName The tag name as it was written in the opening tag, before the `tagNameCasing` option was applied
+ * @property {string} openingTagEnd Source text after the last attribute through the end of the opening tag, ie " />"
+ * @property {string | null} closingTag The closing tag as it was written in the source, ie "</DIV >", or null if the element was not explicitly closed
+ */
+
 /**
  * @typedef {Object} TmphElementNodeProperties
  * @property {string} tagName
  * @property {TmphElementAttribute[]} [attributes]
  * @property {TmphNode[]} [children]
+ * @property {TmphSourceRange} [openingTagRange] Source range of the element's opening tag
+ * @property {TmphSourceRange} [closingTagRange] Source range of the element's closing tag, if it has one
+ * @property {TmphElementFormatting} [formatting]
  *
  * @typedef {BaseTmphContentProperties & TmphElementNodeProperties} TmphElementNode
  */
@@ -26,6 +100,10 @@
  * @property {string} tagName
  * @property {TmphElementAttribute[]} [attributes]
  * @property {ReadableStream<StreamedTmphNode>} [childStream]
+ * @property {TmphSourceRange} [openingTagRange] Source range of the element's opening tag
+ * @property {TmphSourceRange} [closingTagRange] Source range of the element's closing tag, if it has one.
+ *    This, along with the element's full `range`, will be filled in once the element's `childStream` has closed.
+ * @property {TmphElementFormatting} [formatting] Formatting details for the element. The `closingTag` will be filled in once the element's `childStream` has closed.
  *
  * @typedef {BaseTmphContentProperties & StreamedTmphElementNodeProperties} StreamedTmphElementNode
  */
@@ -33,6 +111,11 @@
 /**
  * @typedef {Object} TmphTextNodeProperties
  * @property {string} textContent
+ * @property {true} [decoded] Set if the `decodeEntities` option is enabled and decoding character references changed the text.
+ *    The serializer encodes marked text by default so it round-trips.
+ * @property {{ rawTextContent: string; ignoredClosingTag?: string }} [formatting] The text as it was written in the source; only included if the `preserveFormatting`
+ *    option is enabled and decoding character references changed the text. A stray closing tag which the parser ignored is kept as an empty
+ *    text node with the tag as it was written in the source as its `ignoredClosingTag`.
  *
  * @typedef {BaseTmphContentProperties & TmphTextNodeProperties} TmphTextNode
  */
@@ -40,6 +123,8 @@
 /**
  * @typedef {Object} TmphDoctypeDeclarationNodeProperties
  * @property {string} doctypeDeclaration
+ * @property {{ rawDeclaration: string }} [formatting] The full declaration as it was written in the source, ie "<!doctype html>";
+ *    only included if the `preserveFormatting` option is enabled.
  *
  * @typedef {BaseTmphContentProperties & TmphDoctypeDeclarationNodeProperties} TmphDoctypeDeclarationNode
  */
@@ -47,6 +132,7 @@
 /**
  * @typedef {Object} TmphCommentNodeProperties
  * @property {string} comment
+ * @property {{ rawComment: string }} [formatting] The comment's untrimmed text; only included if the `preserveFormatting` option is enabled.
  *
  * @typedef {BaseTmphContentProperties & TmphCommentNodeProperties} TmphCommentNode
  */
@@ -64,19 +150,346 @@
  */
 
 /**
+ * @typedef {"template" | "spec"} HTMLParserMode
+ */
+
+/**
+ * @typedef {"error" | "warning"} TmphDiagnosticSeverity
+ */
+
+/**
+ * @typedef {Object} TmphDiagnostic
+ * @property {TmphDiagnosticSeverity} severity
+ * @property {DiagnosticCode} code Identifier for the kind of problem being reported
+ * @property {string} message Human-readable description of the problem
+ * @property {TmphSourceRange} range Source range where the problem occurred
+ */
+
+/**
+ * A source to parse. File sources can include the file's bytes if they have already been read,
+ * in which case the file isn't read again and its path is only used in error messages.
  * @typedef {{
  *  filePath: string;
  *  rawHTMLString?: never;
+ *  byteStream?: never;
+ *  bytes?: Uint8Array;
  * } | {
  *  filePath?: never;
  *  rawHTMLString: string;
+ *  byteStream?: never;
+ *  bytes?: never;
+ * } | {
+ *  filePath?: never;
+ *  rawHTMLString?: never;
+ *  byteStream: ReadableStream<Uint8Array>;
+ *  bytes?: never;
+ * } | {
+ *  filePath?: never;
+ *  rawHTMLString?: never;
+ *  byteStream?: never;
+ *  bytes: Uint8Array;
  * }} HTMLParserSource
  */
 
+/**
+ * A stream of HTML source bytes; either a web `ReadableStream`, a Node.js `Readable`, or any other async iterable.
+ * String chunks are encoded as UTF-8.
+ * @typedef {ReadableStream<Uint8Array | string> | AsyncIterable<Uint8Array | string>} HTMLByteStreamInput
+ */
+
 /**
  * @typedef HTMLParserOptions
  * @property {TagNameCasingMode} tagNameCasing - The mode to use for transforming the casing of parsed element tag names.
  * @property {boolean} ignoreSelfClosingSyntax - Whether to ignore self-closing `/>` syntax on non-void elements, matching how the official HTML spec behaves (ie, `<div />` will be treated as an open div which subsequent contents will be a child of.
+ * @property {boolean} decodeEntities - Whether to decode HTML character references like `&amp;` and `&#x1F600;` in text content and attribute values. Contents of `<script>` and `<style>` elements are never decoded.
+ * @property {boolean} sourceRanges - Whether to include full source ranges with end positions and UTF-16/byte offsets for every node and attribute.
+ * @property {boolean} recover - Whether to recover from problems which would otherwise abort parsing, reporting them as diagnostics instead.
+ * @property {boolean} preserveFormatting - Whether to record formatting details like attribute quote styles, whitespace inside tags and untrimmed comments
+ *    on a `formatting` property for each node and attribute, so the source can be reproduced exactly when serializing.
+ * @property {boolean} impliedEndTags - Whether to apply the HTML spec's optional end tag rules, so opening tags like `<li>` and `<p>` implicitly close
+ *    open elements which they can't be nested inside of, matching the trees browsers build.
+ * @property {boolean} parseDirectives - Whether to parse each attribute's name and value into a `directive` property, classifying it as static, bound (`:`-prefixed)
+ *    or a directive (`#`-prefixed), and splitting bound attributes and directives into their name, arguments, modifiers and expression with positions for each part.
+ * @property {boolean} validateExpressions - Whether to parse the values of bound attributes and directives as JavaScript expressions, reporting syntax errors
+ *    as "invalid-expression" diagnostics.
+ * @property {boolean} expressionAST - Whether to include the AST of each bound attribute's and directive's expression on an `expressionAST` property.
+ *    Enabling this also validates expressions like the `validateExpressions` option.
+ * @property {HTMLParserMode} mode - How to build the tree. "template" nests elements exactly as they are written, while "spec" follows the HTML spec's
+ *    tree construction rules, including implicit `<html>`, `<head>` and `<body>` elements, moving content out of tables and fixing misnested formatting elements.
+ * @property {string | null} encoding - Label of the character encoding to decode byte sources with, ie from an HTTP `Content-Type` header.
+ *    A byte order mark takes precedence over this; if null, the encoding is sniffed from a `<meta charset>` tag near the start of the source, falling back to UTF-8.
+ *    Ignored by `parseString`, since strings are already decoded.
+ * @property {HTMLParserWorker} worker - Where to run the lexer. "pool" runs it in a pool of worker threads shared by all parsers, "inline" runs it on the calling thread,
+ *    and pool options or a Piscina instance run it in a dedicated pool.
+ * @property {HTMLParserCache} cache - Whether to cache parse results, keyed by a hash of the source's content and the options above, so unchanged sources don't have to be parsed again.
+ *    `true` or cache options create a cache for the parser, and an `HTMLParseCache` instance can be shared between parsers. Byte streams are never cached.
+ */
+
+/**
+ * Options for an individual call to one of `HTMLParser`'s async parse methods.
+ * @typedef HTMLParseOptions
+ * @property {AbortSignal} [signal] - Signal which cancels the parse when aborted. The parse result and the child streams of any elements
+ *    which are still being parsed will be errored with the signal's abort reason.
+ */
+
+/**
+ * Options for a call to `HTMLParser`'s `parseFiles` method.
+ * @typedef HTMLParseFilesOptions
+ * @property {number} [concurrency] - The maximum number of files to parse at once. Defaults to the number of CPUs available to the process.
+ * @property {AbortSignal} [signal] - Signal which cancels the batch when aborted. Files which are still being parsed are cancelled,
+ *    and iterating over the results will throw the signal's abort reason.
+ */
+
+/**
+ * The outcome of parsing one of the files in a `parseFiles` batch; either the file's parsed nodes, or the error which parsing it failed with.
+ * @typedef {{
+ *  filePath: string;
+ *  nodes: TmphNode[];
+ *  error?: never;
+ * } | {
+ *  filePath: string;
+ *  nodes?: never;
+ *  error: unknown;
+ * }} HTMLParseFileResult
+ */
+
+/**
+ * Options for a call to `HTMLParser`'s `watchFile` or `watchFiles` methods.
+ * @typedef HTMLWatchFilesOptions
+ * @property {number} [debounceMs] - How long to wait in milliseconds after a file changes before parsing it, so rapid saves only cause it to be parsed once.
+ *    Defaults to 50.
+ * @property {AbortSignal} [signal] - Signal which stops watching when aborted. Iterating over the results will throw the signal's abort reason.
+ */
+
+/**
+ * The outcome of parsing a watched file after it changed. Includes the nodes which the file was last parsed into successfully
+ * before this change, or null if this is the first time the file has been parsed successfully.
+ * @typedef {HTMLParseFileResult & { previousNodes: TmphNode[] | null }} HTMLWatchFileResult
+ */
+
+/**
+ * Options for a dedicated pool of worker threads for a parser to run the lexer in.
+ * @typedef HTMLParserWorkerPoolOptions
+ * @property {number} [minThreads] - The minimum number of threads to keep running.
+ * @property {number} [maxThreads] - The maximum number of threads to run at once.
+ * @property {number} [idleTimeout] - How long in milliseconds to keep an idle thread running before stopping it.
+ */
+
+/**
+ * @typedef {"pool" | "inline" | HTMLParserWorkerPoolOptions | Piscina} HTMLParserWorker
+ */
+
+/**
+ * Options for a cache of parse results.
+ * @typedef HTMLParseCacheOptions
+ * @property {string} [directory] - Directory to persist cached results to, so they can be reused by other processes.
+ *    Results cached by other versions of the parser are removed from this directory.
+ * @property {number} [maxMemoryEntries] - The maximum number of results to keep in memory. The least recently used results are evicted first.
+ */
+
+/**
+ * @typedef {boolean | HTMLParseCacheOptions | HTMLParseCache} HTMLParserCache
+ */
+
+/**
+ * A parsed source along with its nodes, which can be passed to `HTMLParser`'s `reparse` method when the source is edited.
+ * @typedef HTMLParseTree
+ * @property {string} source
+ * @property {TmphNode[]} nodes - Nodes parsed from the source with the `sourceRanges` option enabled
+ */
+
+/**
+ * A change to a source, ie from a text editor.
+ * @typedef HTMLSourceEdit
+ * @property {number} offset - Offset in UTF-16 code units where the edit starts
+ * @property {number} deletedLength - The number of UTF-16 code units which were removed from the source at the offset
+ * @property {string} insertedText - Text which was inserted at the offset in place of the deleted text
+ */
+
+/**
+ * @typedef {"preserve" | "minified" | "pretty"} SerializerFormat
+ */
+
+/**
+ * @typedef SerializerOptions
+ * @property {SerializerFormat} format - How to format whitespace in the serialized output. "preserve" leaves text content as-is,
+ *    "minified" collapses whitespace and omits optional attribute quotes, and "pretty" puts each node on its own indented line.
+ *    Whitespace in <pre>, <textarea>, <script> and <style> elements is always preserved.
+ * @property {string} indent - The string to use for each level of indentation in "pretty" output.
+ * @property {boolean | "decoded"} encodeEntities - Whether to escape `&`, `<` and `>` in text content outside of raw text elements, and `&` in attribute values.
+ *    "decoded" only escapes text and attribute values marked as `decoded` by the `decodeEntities` parser option, so nodes round-trip
+ *    whether or not they were parsed with it.
+ */
+
+/**
+ * Details about a node being visited by `walk`.
+ * @template {TmphNode | StreamedTmphNode} [TNode=TmphNode | StreamedTmphNode]
+ * @typedef {Object} TmphWalkPath
+ * @property {TNode} node The node being visited
+ * @property {TmphElementNode | StreamedTmphElementNode | null} parent The element containing the node, or null if it is a root-level node
+ * @property {Array<TmphElementNode | StreamedTmphElementNode>} ancestors All elements containing the node, starting from the root
+ * @property {number} index The node's index in its parent's children, before any changes were made
+ * @property {() => void} skip Skips visiting the node's children
+ */
+
+/**
+ * @typedef {Object} TmphTransformPathMethods
+ * @property {(...nodes: Array<TmphNode | StreamedTmphNode>) => void} replaceWith Replaces the node with zero or more nodes. The original node's children
+ *    will not be visited and its `leave` callback will not be called if it is replaced while entering it.
+ * @property {() => void} remove Removes the node from the tree
+ * @property {(...nodes: Array<TmphNode | StreamedTmphNode>) => void} insertBefore Inserts nodes before the node
+ * @property {(...nodes: Array<TmphNode | StreamedTmphNode>) => void} insertAfter Inserts nodes after the node, after any which were previously inserted after it
+ */
+
+/**
+ * Details about a node being visited by `transform`, with methods for modifying the tree around it.
+ * Nodes inserted by these methods will not be visited.
+ * @template {TmphNode | StreamedTmphNode} [TNode=TmphNode | StreamedTmphNode]
+ * @typedef {TmphWalkPath<TNode> & TmphTransformPathMethods} TmphTransformPath
+ */
+
+/**
+ * Callbacks for a kind of node; a function is shorthand for an `enter` callback.
+ * @template TPath
+ * @typedef {((path: TPath) => void) | {
+ *  enter?: (path: TPath) => void;
+ *  leave?: (path: TPath) => void;
+ * }} TmphNodeVisitor
+ */
+
+/**
+ * Callbacks to call for each kind of node visited by `walk`. `leave` callbacks are called after the node's children have been visited.
+ * @typedef {Object} TmphWalkVisitor
+ * @property {TmphNodeVisitor<TmphWalkPath<TmphElementNode | StreamedTmphElementNode>>} [element]
+ * @property {TmphNodeVisitor<TmphWalkPath<TmphTextNode>>} [text]
+ * @property {TmphNodeVisitor<TmphWalkPath<TmphCommentNode>>} [comment]
+ * @property {TmphNodeVisitor<TmphWalkPath<TmphDoctypeDeclarationNode>>} [doctype]
+ */
+
+/**
+ * Callbacks to call for each kind of node visited by `transform`. `leave` callbacks are called after the node's children have been visited.
+ * @typedef {Object} TmphTransformVisitor
+ * @property {TmphNodeVisitor<TmphTransformPath<TmphElementNode | StreamedTmphElementNode>>} [element]
+ * @property {TmphNodeVisitor<TmphTransformPath<TmphTextNode>>} [text]
+ * @property {TmphNodeVisitor<TmphTransformPath<TmphCommentNode>>} [comment]
+ * @property {TmphNodeVisitor<TmphTransformPath<TmphDoctypeDeclarationNode>>} [doctype]
+ */
+
+/**
+ * @typedef {Object} TmphDiffOptions
+ * @property {string} [keyAttribute] Name of the attribute which identifies an element among its siblings, so that it will be matched
+ *    with the element with the same tag name and key in the other tree even if it has moved. Defaults to "id".
+ */
+
+/**
+ * Location of a node in a tree; the index of each of its ancestors in their parent's children, followed by the node's own index.
+ * @typedef {number[]} TmphNodePath
+ */
+
+/**
+ * @typedef {Object} TmphInsertNodeOperation
+ * @property {"insert"} type
+ * @property {TmphNodePath} path Path which the node will be at once it has been inserted
+ * @property {TmphNode} node
+ */
+
+/**
+ * @typedef {Object} TmphRemoveNodeOperation
+ * @property {"remove"} type
+ * @property {TmphNodePath} path
+ */
+
+/**
+ * @typedef {Object} TmphMoveNodeOperation
+ * @property {"move"} type
+ * @property {TmphNodePath} from Path of the node before it is moved
+ * @property {TmphNodePath} to Path which the node will be at once it has been moved. Nodes are only moved within the same parent.
+ */
+
+/**
+ * @typedef {Object} TmphSetAttributeOperation
+ * @property {"setAttribute"} type
+ * @property {TmphNodePath} path Path of the element
+ * @property {TmphElementAttribute} attribute Attribute which replaces the element's attribute with the same name, or is added
+ *    if it doesn't have one
+ * @property {number} [index] Index which the attribute will be at among the element's attributes once its old attribute with
+ *    the same name has been removed. If omitted, the attribute replaces the old attribute in place or is added after the element's
+ *    other attributes.
+ */
+
+/**
+ * @typedef {Object} TmphRemoveAttributeOperation
+ * @property {"removeAttribute"} type
+ * @property {TmphNodePath} path Path of the element
+ * @property {string} name
+ */
+
+/**
+ * @typedef {Object} TmphSetTextOperation
+ * @property {"setText"} type
+ * @property {TmphNodePath} path Path of the text node
+ * @property {string} textContent
+ * @property {true} [decoded] Set if the new text was marked as `decoded` by the `decodeEntities` option
+ */
+
+/**
+ * A single change to a tree of nodes, as produced by `diff`. Paths refer to the tree as it is after all of the preceding operations have been applied.
+ * @typedef {TmphInsertNodeOperation | TmphRemoveNodeOperation | TmphMoveNodeOperation | TmphSetAttributeOperation | TmphRemoveAttributeOperation | TmphSetTextOperation} TmphPatchOperation
+ */
+
+/**
+ * A component defined inline with a `<template id="ComponentName" #component>` element.
+ * @typedef {Object} TmphComponentDefinition
+ * @property {string} id The component's id, as written in the template's id attribute
+ * @property {TmphElementNode} element The template element which defines the component, with any component definitions nested inside of it removed
+ * @property {string | null} parentComponentId Id of the component whose definition this component was nested inside of, or null if it was defined at the top level
+ * @property {TmphComponentUsage[]} usages Elements which use the component, in the order they appear in the main tree followed by each component definition
+ */
+
+/**
+ * @typedef {Object} TmphComponentUsage
+ * @property {TmphElementNode} element
+ * @property {TmphNodePath} path Path of the element in the tree it appears in; the main tree if `parentComponentId` is null,
+ *    or otherwise the children of that component's template element
+ * @property {string | null} parentComponentId Id of the component whose definition the element appears in, or null if it is in the main tree
+ */
+
+/**
+ * @typedef {Object} TmphComponentError
+ * @property {ComponentErrorCode} code Identifier for the kind of problem found
+ * @property {string} message
+ * @property {TmphElementNode} element The element which the problem was found on
+ */
+
+/**
+ * @typedef {Object} TmphComponentRegistry
+ * @property {Map<string, TmphComponentDefinition>} components Component definitions by their ids
+ * @property {TmphNode[]} nodes The parsed nodes with all component definitions removed
+ * @property {TmphComponentError[]} errors
+ */
+
+/**
+ * A `<slot>` element in a component's template, as listed by `getSlots`.
+ * @typedef {Object} TmphSlot
+ * @property {string | null} name The slot's name, or null for the default slot
+ * @property {TmphElementNode} element
+ * @property {TmphNode[]} fallback The slot's children, which are rendered if no content is routed to the slot
+ * @property {TmphNodePath} path Path of the slot element in the component's nodes
+ */
+
+/**
+ * @typedef {Object} TmphSlotContent
+ * @property {TmphSlot} slot
+ * @property {TmphNode[]} nodes Nodes routed to the slot, or the slot's fallback content if only whitespace and comments were routed to it
+ * @property {boolean} isFallback Whether `nodes` is the slot's fallback content
+ */
+
+/**
+ * How the child nodes of an element which uses a component are routed to the component's slots, as resolved by `assignSlots`.
+ * @typedef {Object} TmphSlotAssignment
+ * @property {TmphSlotContent[]} slots Content for each of the component's slots, in the same order as the slots
+ * @property {TmphNode[]} unassigned Elements whose `slot` attribute doesn't match any of the component's slots,
+ *    or any nodes which would be routed to the default slot if the component doesn't have one
  */
 
 /**
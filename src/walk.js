@@ -0,0 +1,420 @@
+/**
+ * @import { StreamedTmphElementNode, StreamedTmphNode, TmphElementNode, TmphNode, TmphNodeVisitor, TmphTransformPath, TmphTransformPathMethods, TmphTransformVisitor, TmphWalkPath, TmphWalkVisitor } from './types.js';
+ */
+
+/**
+ * @typedef {TmphElementNode | StreamedTmphElementNode} VisitableElementNode
+ */
+
+/**
+ * @typedef VisitContext
+ * @property {TmphWalkVisitor | TmphTransformVisitor} visitor
+ * @property {boolean} isTransform - Whether the tree is being transformed, meaning nodes can be modified through their paths
+ * @property {VisitableElementNode | null} parent - The element containing the nodes being visited, or null if they are root-level nodes
+ * @property {VisitableElementNode[]} ancestors
+ */
+
+/**
+ * Changes to the tree around a node which were requested through its path.
+ * @typedef PathModifications
+ * @property {Array<TmphNode | StreamedTmphNode>} nodesBefore
+ * @property {Array<TmphNode | StreamedTmphNode> | null} replacementNodes - Nodes to replace the node with, or null if it hasn't been replaced
+ * @property {Array<TmphNode | StreamedTmphNode>} nodesAfter
+ * @property {boolean} isSkipped - Whether the node's children should not be visited
+ * @property {boolean} isLocked - Whether the node has already been emitted, so the tree around it can't be changed anymore
+ */
+
+/**
+ * @returns {PathModifications}
+ */
+const createPathModifications = () => ({
+  nodesBefore: [],
+  replacementNodes: null,
+  nodesAfter: [],
+  isSkipped: false,
+  isLocked: false,
+});
+
+/**
+ * @param {PathModifications} modifications
+ * @returns {TmphTransformPathMethods}
+ */
+const createTransformPathMethods = (modifications) => {
+  const assertCanModify = () => {
+    if (modifications.isLocked) {
+      throw new Error(
+        "A streamed element can't be replaced, removed or have nodes inserted around it after its children have been streamed"
+      );
+    }
+  };
+
+  return {
+    replaceWith(...nodes) {
+      assertCanModify();
+      modifications.replacementNodes = nodes;
+    },
+    remove() {
+      assertCanModify();
+      modifications.replacementNodes = [];
+    },
+    insertBefore(...nodes) {
+      assertCanModify();
+      modifications.nodesBefore.push(...nodes);
+    },
+    insertAfter(...nodes) {
+      assertCanModify();
+      modifications.nodesAfter.push(...nodes);
+    },
+  };
+};
+
+/**
+ * @param {TmphNode | StreamedTmphNode} node
+ * @param {number} index
+ * @param {VisitContext} context
+ * @param {PathModifications} modifications
+ * @returns {TmphWalkPath | TmphTransformPath}
+ */
+const createPath = (node, index, context, modifications) => {
+  /**
+   * @type {TmphWalkPath}
+   */
+  const path = {
+    node,
+    parent: context.parent,
+    ancestors: context.ancestors,
+    index,
+    skip() {
+      modifications.isSkipped = true;
+    },
+  };
+
+  if (context.isTransform) {
+    return Object.assign(path, createTransformPathMethods(modifications));
+  }
+
+  return path;
+};
+
+/**
+ * @param {VisitableElementNode} element
+ * @param {VisitContext} context
+ * @returns {VisitContext}
+ */
+const getChildContext = (element, context) => ({
+  ...context,
+  parent: element,
+  ancestors: context.ancestors.concat(element),
+});
+
+/**
+ * @param {TmphWalkVisitor | TmphTransformVisitor} visitor
+ * @param {TmphNode | StreamedTmphNode} node
+ * @param {"enter" | "leave"} phase
+ * @returns {((path: any) => void) | undefined}
+ */
+const getVisitorCallback = (visitor, node, phase) => {
+  /**
+   * @type {TmphNodeVisitor<any> | undefined}
+   */
+  const nodeVisitor =
+    "tagName" in node
+      ? visitor.element
+      : "textContent" in node
+      ? visitor.text
+      : "comment" in node
+      ? visitor.comment
+      : visitor.doctype;
+
+  if (typeof nodeVisitor === "function") {
+    return phase === "enter" ? nodeVisitor : undefined;
+  }
+
+  return nodeVisitor?.[phase];
+};
+
+/**
+ * @param {PathModifications} modifications
+ * @param {TmphNode | StreamedTmphNode} node
+ * @returns {Array<TmphNode | StreamedTmphNode>} The nodes which should take the node's place in the tree
+ */
+const getModifiedNodes = (modifications, node) => [
+  ...modifications.nodesBefore,
+  ...(modifications.replacementNodes ?? [node]),
+  ...modifications.nodesAfter,
+];
+
+/**
+ * Visits a list of resolved nodes and their children depth-first.
+ * @param {TmphNode[]} nodes
+ * @param {VisitContext} context
+ * @returns {TmphNode[]} The list of nodes after any modifications made by the visitor
+ */
+const visitNodeList = (nodes, context) => {
+  /**
+   * @type {TmphNode[]}
+   */
+  const visitedNodes = [];
+
+  nodes.forEach((node, index) => {
+    const modifications = createPathModifications();
+    const path = createPath(node, index, context, modifications);
+
+    getVisitorCallback(context.visitor, node, "enter")?.(path);
+
+    if (!modifications.replacementNodes) {
+      if ("tagName" in node && node.children && !modifications.isSkipped) {
+        const children = visitNodeList(
+          node.children,
+          getChildContext(node, context)
+        );
+
+        if (context.isTransform) {
+          if (children.length > 0) {
+            node.children = children;
+          } else {
+            delete node.children;
+          }
+        }
+      }
+
+      getVisitorCallback(context.visitor, node, "leave")?.(path);
+    }
+
+    visitedNodes.push(
+      .../** @type {TmphNode[]} */ (getModifiedNodes(modifications, node))
+    );
+  });
+
+  return visitedNodes;
+};
+
+/**
+ * Visits a list of streamed nodes and their children depth-first, consuming element child streams as it goes.
+ * @param {Iterable<TmphNode | StreamedTmphNode> | AsyncIterable<TmphNode | StreamedTmphNode>} nodes
+ * @param {VisitContext} context
+ * @returns {Promise<void>}
+ */
+const walkStreamedNodeList = async (nodes, context) => {
+  let index = 0;
+  for await (const node of nodes) {
+    const modifications = createPathModifications();
+    const path = createPath(node, index++, context, modifications);
+
+    getVisitorCallback(context.visitor, node, "enter")?.(path);
+
+    if ("tagName" in node) {
+      const children =
+        "childStream" in node
+          ? node.childStream
+          : "children" in node
+          ? node.children
+          : null;
+
+      if (children && !modifications.isSkipped) {
+        await walkStreamedNodeList(children, getChildContext(node, context));
+      } else if ("childStream" in node && node.childStream) {
+        // Nobody else will read the skipped children
+        await node.childStream.cancel();
+      }
+    }
+
+    getVisitorCallback(context.visitor, node, "leave")?.(path);
+  }
+};
+
+/**
+ * Transforms a list of streamed nodes as they stream in. Element child streams are replaced with
+ * streams which transform their children as they are read.
+ * @param {Iterable<TmphNode | StreamedTmphNode> | AsyncIterable<TmphNode | StreamedTmphNode>} nodes
+ * @param {VisitContext} context
+ * @returns {AsyncGenerator<TmphNode | StreamedTmphNode>}
+ */
+async function* transformStreamedNodeList(nodes, context) {
+  let index = 0;
+  for await (const node of nodes) {
+    const modifications = createPathModifications();
+    const path = createPath(node, index++, context, modifications);
+
+    getVisitorCallback(context.visitor, node, "enter")?.(path);
+
+    if (modifications.replacementNodes) {
+      yield* getModifiedNodes(modifications, node);
+      continue;
+    }
+
+    const leave = getVisitorCallback(context.visitor, node, "leave");
+
+    if ("tagName" in node && !modifications.isSkipped) {
+      if ("childStream" in node && node.childStream) {
+        const childStream = node.childStream;
+        const childContext = getChildContext(node, context);
+
+        // The element needs to be emitted before its children can be streamed, so its leave callback
+        // will be called once its new child stream has been fully read
+        node.childStream = createNodeStream(
+          (async function* () {
+            yield* transformStreamedNodeList(childStream, childContext);
+            modifications.isLocked = true;
+            leave?.(path);
+          })()
+        );
+
+        yield* getModifiedNodes(modifications, node);
+        continue;
+      } else if ("children" in node && node.children) {
+        const children = visitNodeList(
+          node.children,
+          getChildContext(node, context)
+        );
+        if (children.length > 0) {
+          node.children = children;
+        } else {
+          delete node.children;
+        }
+      }
+    }
+
+    leave?.(path);
+
+    yield* getModifiedNodes(modifications, node);
+  }
+}
+
+/**
+ * @param {AsyncGenerator<TmphNode | StreamedTmphNode>} nodes
+ * @returns {ReadableStream<StreamedTmphNode>}
+ */
+const createNodeStream = (nodes) =>
+  new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await nodes.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(/** @type {StreamedTmphNode} */ (value));
+      }
+    },
+    async cancel() {
+      await nodes.return(undefined);
+    },
+  });
+
+/**
+ * Walks a tree of parsed nodes depth-first, calling the visitor's callbacks for each node.
+ *
+ * @overload
+ * @param {TmphNode[]} nodes
+ * @param {TmphWalkVisitor} visitor
+ * @returns {void}
+ */
+/**
+ * Walks streamed nodes depth-first as they stream in, calling the visitor's callbacks for each node.
+ * Element nodes' `childStream`s will be consumed as they are walked.
+ *
+ * @overload
+ * @param {AsyncIterable<StreamedTmphNode>} nodes
+ * @param {TmphWalkVisitor} visitor
+ * @returns {Promise<void>}
+ */
+/**
+ * @param {TmphNode[] | AsyncIterable<StreamedTmphNode>} nodes
+ * @param {TmphWalkVisitor} visitor
+ * @returns {void | Promise<void>}
+ *
+ * @example
+ * walk(nodes, {
+ *   element: {
+ *     enter(path) {
+ *       console.log(`Entering <${path.node.tagName}> inside of ${path.ancestors.length} elements`);
+ *     },
+ *     leave(path) {
+ *       console.log(`Leaving <${path.node.tagName}>`);
+ *     },
+ *   },
+ *   text(path) {
+ *     console.log(path.node.textContent);
+ *   },
+ * });
+ *
+ * // Or walk nodes as they are parsed
+ * await walk(new HTMLParser().parseFile("path/to/file.html"), visitor);
+ */
+export function walk(nodes, visitor) {
+  /**
+   * @type {VisitContext}
+   */
+  const context = {
+    visitor,
+    isTransform: false,
+    parent: null,
+    ancestors: [],
+  };
+
+  if (Array.isArray(nodes)) {
+    visitNodeList(nodes, context);
+    return;
+  }
+
+  return walkStreamedNodeList(nodes, context);
+}
+
+/**
+ * Transforms a tree of parsed nodes, calling the visitor's callbacks for each node so it can modify,
+ * replace, remove or insert nodes. The nodes passed in are not modified; a transformed copy of the tree is returned.
+ *
+ * @overload
+ * @param {TmphNode[]} nodes
+ * @param {TmphTransformVisitor} visitor
+ * @returns {TmphNode[]}
+ */
+/**
+ * Transforms streamed nodes as they stream in, calling the visitor's callbacks for each node so it can modify,
+ * replace, remove or insert nodes. Returns a stream of the transformed nodes, whose `childStream`s are
+ * transformed as they are read.
+ *
+ * Elements with a `childStream` are emitted before their children are visited, so their `leave` callbacks are called once
+ * their `childStream` has been fully read, and they can't be replaced, removed or have nodes inserted around them at that point.
+ *
+ * @overload
+ * @param {AsyncIterable<StreamedTmphNode>} nodes
+ * @param {TmphTransformVisitor} visitor
+ * @returns {ReadableStream<StreamedTmphNode>}
+ */
+/**
+ * @param {TmphNode[] | AsyncIterable<StreamedTmphNode>} nodes
+ * @param {TmphTransformVisitor} visitor
+ * @returns {TmphNode[] | ReadableStream<StreamedTmphNode>}
+ *
+ * @example
+ * const transformedNodes = transform(nodes, {
+ *   element(path) {
+ *     if (path.node.tagName === "script") {
+ *       path.remove();
+ *     }
+ *   },
+ *   comment(path) {
+ *     path.replaceWith({ textContent: path.node.comment, l: path.node.l, c: path.node.c });
+ *   },
+ * });
+ *
+ * // Or transform nodes as they are parsed
+ * const transformedNodeStream = transform(new HTMLParser().parseFile("path/to/file.html"), visitor);
+ */
+export function transform(nodes, visitor) {
+  /**
+   * @type {VisitContext}
+   */
+  const context = {
+    visitor,
+    isTransform: true,
+    parent: null,
+    ancestors: [],
+  };
+
+  if (Array.isArray(nodes)) {
+    return visitNodeList(structuredClone(nodes), context);
+  }
+
+  return createNodeStream(transformStreamedNodeList(nodes, context));
+}
@@ -0,0 +1,198 @@
+import { watch } from "node:fs";
+import { basename, dirname, resolve } from "node:path";
+import { isDeepStrictEqual } from "node:util";
+
+/**
+ * @import { FSWatcher } from "node:fs";
+ * @import { HTMLWatchFileResult, HTMLWatchFilesOptions, TmphNode } from './types.js';
+ */
+
+/**
+ * @typedef {(filePath: string, signal: AbortSignal) => Promise<TmphNode[]>} ParseFileFn
+ */
+
+/**
+ * @typedef WatchedFile
+ * @property {string} filePath - The path the file was passed in with
+ * @property {TmphNode[] | null} previousNodes - The nodes the file was last parsed into successfully
+ * @property {unknown} previousError - The error the file last failed to parse with, if its last parse failed
+ * @property {ReturnType<typeof setTimeout> | undefined} debounceTimeout
+ * @property {Promise<void>} parsePromise - Settles once the file's latest parse has finished; parses of the same file are run one at a time
+ */
+
+/**
+ * Parses files, then parses them again whenever they change, yielding a result each time their nodes change.
+ * Each file's directory is watched rather than the file itself, so files which editors save by replacing them
+ * with a new file, or which are deleted and created again, are still picked up.
+ *
+ * @param {string[]} filePaths
+ * @param {ParseFileFn} parseFile
+ * @param {HTMLWatchFilesOptions} watchOptions
+ * @returns {AsyncGenerator<HTMLWatchFileResult, void, undefined>}
+ */
+export async function* watchParsedFiles(
+  filePaths,
+  parseFile,
+  { debounceMs = 50, signal }
+) {
+  signal?.throwIfAborted();
+
+  /**
+   * @type {HTMLWatchFileResult[]}
+   */
+  const pendingResults = [];
+  /**
+   * Errors which stopped watching, ie a watched directory being deleted
+   * @type {unknown[]}
+   */
+  const watchErrors = [];
+  /**
+   * Wakes up the generator when there's a result to yield
+   * @type {(() => void) | null}
+   */
+  let notify = null;
+  const wake = () => {
+    notify?.();
+    notify = null;
+  };
+
+  // Cancels any parses which are still in progress once watching stops
+  const abortController = new AbortController();
+  const parseSignal = signal
+    ? AbortSignal.any([signal, abortController.signal])
+    : abortController.signal;
+  parseSignal.addEventListener("abort", wake, { once: true });
+
+  /**
+   * Watched files, grouped by the absolute path of their directory and then by their file name
+   * @type {Map<string, Map<string, WatchedFile>>}
+   */
+  const watchedDirectories = new Map();
+  for (const filePath of filePaths) {
+    const absoluteFilePath = resolve(filePath);
+    const directoryPath = dirname(absoluteFilePath);
+    let watchedFiles = watchedDirectories.get(directoryPath);
+    if (!watchedFiles) {
+      watchedFiles = new Map();
+      watchedDirectories.set(directoryPath, watchedFiles);
+    }
+    watchedFiles.set(basename(absoluteFilePath), {
+      filePath,
+      previousNodes: null,
+      previousError: undefined,
+      debounceTimeout: undefined,
+      parsePromise: Promise.resolve(),
+    });
+  }
+
+  /**
+   * @param {WatchedFile} watchedFile
+   */
+  const parseWatchedFile = (watchedFile) => {
+    watchedFile.parsePromise = watchedFile.parsePromise.then(async () => {
+      if (parseSignal.aborted) {
+        return;
+      }
+
+      const { filePath, previousNodes } = watchedFile;
+      try {
+        const nodes = await parseFile(filePath, parseSignal);
+        if (
+          watchedFile.previousError === undefined &&
+          isDeepStrictEqual(nodes, previousNodes)
+        ) {
+          // The file was saved without any changes which affect its nodes
+          return;
+        }
+        watchedFile.previousNodes = nodes;
+        watchedFile.previousError = undefined;
+        pendingResults.push({ filePath, nodes, previousNodes });
+      } catch (error) {
+        if (parseSignal.aborted) {
+          return;
+        }
+        // Keep watching a file with invalid content, since it's likely to be fixed by a later change
+        watchedFile.previousError = error;
+        pendingResults.push({ filePath, error, previousNodes });
+      }
+      wake();
+    });
+  };
+
+  /**
+   * @param {WatchedFile} watchedFile
+   */
+  const scheduleParse = (watchedFile) => {
+    // Editors often write files in several steps, so wait for changes to settle before parsing
+    clearTimeout(watchedFile.debounceTimeout);
+    watchedFile.debounceTimeout = setTimeout(
+      () => parseWatchedFile(watchedFile),
+      debounceMs
+    );
+  };
+
+  /**
+   * @type {FSWatcher[]}
+   */
+  const watchers = [];
+
+  try {
+    for (const [directoryPath, watchedFiles] of watchedDirectories) {
+      const watcher = watch(directoryPath, (eventType, fileName) => {
+        if (fileName === null) {
+          // Some platforms don't report which file changed
+          watchedFiles.forEach(scheduleParse);
+          return;
+        }
+
+        const watchedFile = watchedFiles.get(fileName);
+        if (watchedFile) {
+          scheduleParse(watchedFile);
+        }
+      });
+      watcher.on("error", (error) => {
+        watchErrors.push(error);
+        wake();
+      });
+      watchers.push(watcher);
+    }
+
+    for (const watchedFiles of watchedDirectories.values()) {
+      watchedFiles.forEach(parseWatchedFile);
+    }
+
+    while (true) {
+      if (pendingResults.length === 0 && watchErrors.length === 0) {
+        /**
+         * @type {Promise<void>}
+         */
+        const wakePromise = new Promise((resolve) => {
+          notify = resolve;
+        });
+        if (!parseSignal.aborted) {
+          await wakePromise;
+        }
+      }
+
+      signal?.throwIfAborted();
+      if (watchErrors.length > 0) {
+        throw watchErrors[0];
+      }
+
+      const result = pendingResults.shift();
+      if (result) {
+        yield result;
+      }
+    }
+  } finally {
+    abortController.abort();
+    for (const watcher of watchers) {
+      watcher.close();
+    }
+    for (const watchedFiles of watchedDirectories.values()) {
+      for (const watchedFile of watchedFiles.values()) {
+        clearTimeout(watchedFile.debounceTimeout);
+      }
+    }
+  }
+}
@@ -0,0 +1,56 @@
+import Piscina from "piscina";
+
+/**
+ * @import { HTMLParserWorkerPoolOptions } from './types.js';
+ */
+
+/**
+ * Pool shared by all parsers using the default `worker: "pool"` option.
+ * This is only created once something is parsed, and is created again if it is destroyed.
+ * @type {Piscina | null}
+ */
+let sharedWorkerPool = null;
+
+/**
+ * Creates a pool of worker threads to run the lexer in.
+ * @param {HTMLParserWorkerPoolOptions} [poolOptions]
+ * @returns {Piscina}
+ */
+export const createWorkerPool = (poolOptions = {}) =>
+  new Piscina({
+    ...poolOptions,
+    filename: import.meta.resolve("./lexer.js"),
+    name: "lex",
+  });
+
+/**
+ * @returns {Piscina}
+ */
+export const getSharedWorkerPool = () =>
+  (sharedWorkerPool ??= createWorkerPool());
+
+/**
+ * How many parsers using the shared pool haven't been destroyed yet
+ */
+let sharedWorkerPoolReferenceCount = 0;
+
+/**
+ * Registers a parser which uses the shared pool, so the pool won't be destroyed until that parser is done with it.
+ */
+export const retainSharedWorkerPool = () => {
+  ++sharedWorkerPoolReferenceCount;
+};
+
+/**
+ * Releases a parser's reference to the shared pool, terminating the pool's worker threads once no other parsers are using it.
+ * Parses which are still in progress at that point will fail.
+ */
+export async function releaseSharedWorkerPool() {
+  if (--sharedWorkerPoolReferenceCount > 0) {
+    return;
+  }
+
+  const workerPool = sharedWorkerPool;
+  sharedWorkerPool = null;
+  await workerPool?.destroy();
+}
@@ -0,0 +1,264 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+
+import {
+  HTMLParser,
+  assignSlots,
+  extractComponents,
+  getSlots,
+} from "../src/index.js";
+
+/**
+ * @import { TmphElementNode } from "../src/types.js";
+ */
+
+const fixturesDirPath = import.meta
+  .resolve("../test/fixtures/")
+  .slice("file://".length);
+
+const parser = new HTMLParser();
+
+describe("extractComponents", () => {
+  test("should build a registry of inline component definitions", async () => {
+    const nodes = await parser
+      .parseFile(`${fixturesDirPath}inlineSubComponents.tmph.html`)
+      .toArray();
+
+    const { components, nodes: mainNodes, errors } = extractComponents(nodes);
+
+    assert.deepStrictEqual(
+      [...components.values()].map(({ id, parentComponentId, element }) => ({
+        id,
+        parentComponentId,
+        l: element.l,
+      })),
+      [
+        { id: "ListItem", parentComponentId: null, l: 5 },
+        { id: "WhackyComponent", parentComponentId: null, l: 11 },
+        { id: "NestedComponent", parentComponentId: "WhackyComponent", l: 14 },
+      ]
+    );
+
+    // Nested definitions are removed from the definitions they were nested inside of
+    const whackyComponentDiv = components
+      .get("WhackyComponent")
+      ?.element.children?.find((node) => "tagName" in node);
+    assert.deepStrictEqual(
+      whackyComponentDiv?.children?.map((node) =>
+        "tagName" in node ? node.tagName : null
+      ),
+      [null, "innercomponent", null, null]
+    );
+
+    assert.deepStrictEqual(
+      mainNodes.map((node) => ("tagName" in node ? node.tagName : null)),
+      ["ul", null, null, null, null, null]
+    );
+
+    const listItemUsages = components.get("ListItem")?.usages;
+    assert.strictEqual(listItemUsages?.length, 1);
+    assert.deepStrictEqual(listItemUsages[0]?.path, [0, 1]);
+    assert.strictEqual(listItemUsages[0]?.parentComponentId, null);
+    assert.strictEqual(
+      listItemUsages[0]?.element,
+      /** @type {TmphElementNode} */ (mainNodes[0]).children?.[1]
+    );
+
+    assert.deepStrictEqual(
+      errors.map(({ code, message, element }) => ({
+        code,
+        message,
+        l: element.l,
+      })),
+      [
+        {
+          code: "undefined-component",
+          message: "<innercomponent> is not a defined component",
+          l: 13,
+        },
+      ]
+    );
+  });
+
+  test("should find usages inside of component definitions", () => {
+    const nodes = parser.parseStringSync(
+      `<template id="Icon" #component><svg><path d=""></path></svg></template>
+<template id="IconButton" #component><button><Icon></Icon><slot></slot></button></template>
+<IconButton>Save</IconButton>`
+    );
+
+    const { components, errors } = extractComponents(nodes);
+
+    assert.deepStrictEqual(
+      components.get("Icon")?.usages.map(({ path, parentComponentId }) => ({
+        path,
+        parentComponentId,
+      })),
+      [{ path: [0, 0], parentComponentId: "IconButton" }]
+    );
+    assert.deepStrictEqual(
+      components.get("IconButton")?.usages.map(({ path }) => path),
+      [[2]]
+    );
+    // SVG elements and slots aren't mistaken for components
+    assert.deepStrictEqual(errors, []);
+  });
+
+  test("should report duplicate and missing component ids", () => {
+    const nodes = parser.parseStringSync(
+      `<template id="Card" #component><div></div></template>
+<template id="card" #component><section></section></template>
+<template #component><p></p></template>
+<Card></Card><my-element></my-element>`
+    );
+
+    const { components, nodes: mainNodes, errors } = extractComponents(nodes);
+
+    assert.deepStrictEqual([...components.keys()], ["Card"]);
+    assert.deepStrictEqual(components.get("Card")?.element.children, [
+      { tagName: "div", l: 1, c: 33 },
+    ]);
+    assert.deepStrictEqual(
+      errors.map(({ code, message }) => ({ code, message })),
+      [
+        {
+          code: "duplicate-component",
+          message: "Component card was already defined on line 1",
+        },
+        {
+          code: "missing-component-id",
+          message: "<template #component> is missing an id",
+        },
+      ]
+    );
+    // Definitions which were ignored are still removed from the main tree
+    assert.deepStrictEqual(
+      mainNodes.filter((node) => "tagName" in node),
+      [
+        { tagName: "card", l: 4, c: 2 },
+        { tagName: "my-element", l: 4, c: 15 },
+      ]
+    );
+  });
+
+  test("should not modify the nodes passed in", () => {
+    const nodes = parser.parseStringSync(
+      '<template id="A" #component><p></p></template><A></A>'
+    );
+    const nodesSnapshot = structuredClone(nodes);
+
+    extractComponents(nodes);
+    assert.deepStrictEqual(nodes, nodesSnapshot);
+  });
+});
+
+describe("getSlots", () => {
+  test("should list each slot with its name, fallback content and path", async () => {
+    const nodes = await parser
+      .parseFile(`${fixturesDirPath}componentWIthSlots.tmph.html`)
+      .toArray();
+
+    assert.deepStrictEqual(
+      getSlots(nodes).map(({ name, fallback, path, element }) => ({
+        name,
+        fallback,
+        path,
+        l: element.l,
+        c: element.c,
+      })),
+      [
+        {
+          name: null,
+          fallback: [{ textContent: "Default slot content", l: 2, c: 9 }],
+          path: [0, 1],
+          l: 2,
+          c: 4,
+        },
+        {
+          name: "after",
+          fallback: [{ textContent: "Named slot content", l: 3, c: 22 }],
+          path: [0, 3],
+          l: 3,
+          c: 4,
+        },
+      ]
+    );
+  });
+
+  test("should not include slots of nested component definitions", async () => {
+    const nodes = await parser
+      .parseFile(`${fixturesDirPath}inlineSubComponents.tmph.html`)
+      .toArray();
+    const { components } = extractComponents(nodes);
+
+    const whackyComponent = /** @type {TmphElementNode} */ (
+      nodes.find(
+        (node) =>
+          "tagName" in node &&
+          node.attributes?.some(({ value }) => value === "WhackyComponent")
+      )
+    );
+    assert.deepStrictEqual(getSlots(whackyComponent.children ?? []), []);
+    assert.deepStrictEqual(
+      getSlots(components.get("NestedComponent")?.element.children ?? []).map(
+        ({ name }) => name
+      ),
+      ["before", "after"]
+    );
+  });
+});
+
+describe("assignSlots", () => {
+  const slots = getSlots(
+    parser.parseStringSync(
+      '<header><slot name="title">Untitled</slot></header><slot></slot><footer><slot name="footer">Footer</slot></footer>'
+    )
+  );
+
+  test("should route child nodes to slots by their slot attributes", () => {
+    const [usage] = /** @type {TmphElementNode[]} */ (
+      parser.parseStringSync(
+        '<Card>Body <h2 slot="title">Title</h2><b>text</b><p slot="missing"></p></Card>'
+      )
+    );
+
+    const { slots: slotContents, unassigned } = assignSlots(usage, slots);
+
+    assert.deepStrictEqual(
+      slotContents.map(({ slot, nodes, isFallback }) => ({
+        name: slot.name,
+        nodes,
+        isFallback,
+      })),
+      [
+        {
+          name: "title",
+          nodes: [usage.children?.[1]],
+          isFallback: false,
+        },
+        {
+          name: null,
+          nodes: [usage.children?.[0], usage.children?.[2]],
+          isFallback: false,
+        },
+        {
+          name: "footer",
+          nodes: [{ textContent: "Footer", l: 1, c: 93 }],
+          isFallback: true,
+        },
+      ]
+    );
+    assert.deepStrictEqual(unassigned, [usage.children?.[3]]);
+  });
+
+  test("should use fallback content for slots which only get whitespace and comments", () => {
+    const [usage] = /** @type {TmphElementNode[]} */ (
+      parser.parseStringSync("<Card>\n  <!-- Nothing here -->\n</Card>")
+    );
+
+    assert.deepStrictEqual(
+      assignSlots(usage, slots).slots.map(({ isFallback }) => isFallback),
+      [true, true, true]
+    );
+  });
+});
@@ -0,0 +1,218 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+
+import { HTMLParser, applyPatch, diff } from "../src/index.js";
+
+/**
+ * @import { TmphElementNode, TmphNode } from "../src/types.js";
+ */
+
+const parser = new HTMLParser();
+
+/**
+ * Removes source positions from nodes, since they aren't compared by `diff`.
+ * @param {TmphNode[]} nodes
+ */
+const withoutPositions = (nodes) =>
+  JSON.parse(
+    JSON.stringify(nodes, (key, value) =>
+      key === "l" || key === "c" ? undefined : value
+    )
+  );
+
+describe("diff", () => {
+  test("should produce patches which turn the old nodes into the new nodes", () => {
+    /**
+     * @type {Array<[string, string]>}
+     */
+    const changes = [
+      ["<p>Hello</p>", "<p>Hello</p>"],
+      ["<p>Hello</p>", "<p>Goodbye</p>"],
+      ["<p>Hello</p>", ""],
+      ["", "<p>Hello</p><!-- comment -->"],
+      [
+        "<ul><li>One</li><li>Two</li></ul>",
+        "<ul><li>Zero</li><li>One</li><li>Two</li></ul>",
+      ],
+      [
+        "<ul><li>One</li><li>Two</li></ul>",
+        "<ol><li>One</li><li>Two</li></ol>",
+      ],
+      [
+        '<div id="a"><b>A</b></div><div id="b">B</div>',
+        '<div id="b">B</div><p>New</p><div id="a"><i>A</i></div>',
+      ],
+      [
+        '<input type="text" value="1" disabled>',
+        '<input type="number" value="1" :max="max">',
+      ],
+      [
+        "<!DOCTYPE html><html><body>Text</body></html>",
+        "<!doctype html><html><head></head><body>Text</body></html>",
+      ],
+      ["<div>a<!-- x -->b</div>", "<div>b<!-- y -->a</div>"],
+      ["<li a b c></li>", "<li c a b></li>"],
+      ["<li a b c></li>", "<li d b c></li>"],
+      ['<li a b="1" c></li>', '<li a x b="2" c></li>'],
+    ];
+
+    for (const [oldHTML, newHTML] of changes) {
+      const oldNodes = parser.parseStringSync(oldHTML);
+      const newNodes = parser.parseStringSync(newHTML);
+      assert.deepStrictEqual(
+        withoutPositions(applyPatch(oldNodes, diff(oldNodes, newNodes))),
+        withoutPositions(newNodes),
+        `${oldHTML} -> ${newHTML}`
+      );
+    }
+  });
+
+  test("should ignore nodes which have only moved in the source", () => {
+    const oldNodes = parser.parseStringSync("<div><p>Hello</p></div>");
+    const newNodes = parser.parseStringSync("<div>\n\n  <p   >Hello</p></div>");
+
+    const newDiv = /** @type {TmphElementNode} */ (newNodes[0]);
+
+    assert.deepStrictEqual(diff(oldNodes, newNodes), [
+      { type: "insert", path: [0, 0], node: newDiv.children?.[0] },
+    ]);
+  });
+
+  test("should update text and attributes in place", () => {
+    const oldNodes = parser.parseStringSync(
+      '<main><h1 class="title" hidden>Hello</h1></main>'
+    );
+    const newNodes = parser.parseStringSync(
+      '<main><h1 class="heading" id="top">Hi</h1></main>'
+    );
+
+    assert.deepStrictEqual(diff(oldNodes, newNodes), [
+      { type: "removeAttribute", path: [0, 0], name: "hidden" },
+      {
+        type: "setAttribute",
+        path: [0, 0],
+        attribute: { name: "class", value: "heading", l: 1, c: 11 },
+        index: 0,
+      },
+      {
+        type: "setAttribute",
+        path: [0, 0],
+        attribute: { name: "id", value: "top", l: 1, c: 27 },
+        index: 1,
+      },
+      { type: "setText", path: [0, 0, 0], textContent: "Hi" },
+    ]);
+  });
+
+  test("should keep attributes in order", () => {
+    const oldNodes = parser.parseStringSync("<li a b c></li>");
+
+    assert.deepStrictEqual(
+      diff(oldNodes, parser.parseStringSync("<li c a b></li>")),
+      [
+        {
+          type: "setAttribute",
+          path: [0],
+          attribute: { name: "c", value: "", l: 1, c: 5 },
+          index: 0,
+        },
+      ]
+    );
+    assert.deepStrictEqual(
+      diff(oldNodes, parser.parseStringSync("<li a d b c></li>")),
+      [
+        {
+          type: "setAttribute",
+          path: [0],
+          attribute: { name: "d", value: "", l: 1, c: 7 },
+          index: 1,
+        },
+      ]
+    );
+  });
+
+  test("should move keyed elements rather than replacing them", () => {
+    const oldNodes = parser.parseStringSync(
+      '<li id="a">A</li><li id="b">B</li><li id="c">C</li><li id="d">D</li>'
+    );
+    const newNodes = parser.parseStringSync(
+      '<li id="b">B</li><li id="c">C</li><li id="d">D!</li><li id="a">A</li>'
+    );
+
+    assert.deepStrictEqual(diff(oldNodes, newNodes), [
+      { type: "move", from: [0], to: [3] },
+      { type: "setText", path: [2, 0], textContent: "D!" },
+    ]);
+  });
+
+  test("should match elements by the keyAttribute option", () => {
+    const oldNodes = parser.parseStringSync(
+      '<li data-key="a">A</li><li data-key="b">B</li>'
+    );
+    const newNodes = parser.parseStringSync(
+      '<li data-key="b">B</li><li data-key="a">A</li>'
+    );
+
+    assert.deepStrictEqual(
+      diff(oldNodes, newNodes, { keyAttribute: "data-key" }),
+      [{ type: "move", from: [0], to: [1] }]
+    );
+    // Without keys, nodes can only be matched up in order
+    assert.deepStrictEqual(
+      diff(oldNodes, newNodes).map(({ type }) => type),
+      ["remove", "insert"]
+    );
+  });
+});
+
+describe("applyPatch", () => {
+  test("should not modify the nodes passed in", () => {
+    const oldNodes = parser.parseStringSync("<div><p>Hello</p></div>");
+    const newNodes = parser.parseStringSync("<div></div><br>");
+    const oldNodesSnapshot = structuredClone(oldNodes);
+
+    const patchedNodes = applyPatch(oldNodes, diff(oldNodes, newNodes));
+    assert.deepStrictEqual(oldNodes, oldNodesSnapshot);
+    // Elements without children don't have a children array
+    assert.deepStrictEqual(patchedNodes, [
+      { tagName: "div", l: 1, c: 2 },
+      { tagName: "br", l: 1, c: 13 },
+    ]);
+  });
+
+  test("should keep text nodes' decoded markers in sync with their text", () => {
+    const decodingParser = new HTMLParser({ decodeEntities: true });
+    const oldNodes = decodingParser.parseStringSync("<p>1 &lt; 2</p>");
+    const newNodes = decodingParser.parseStringSync("<p>1 is less</p>");
+
+    const patchedNodes = applyPatch(oldNodes, diff(oldNodes, newNodes));
+    assert.deepStrictEqual(patchedNodes, [
+      {
+        tagName: "p",
+        children: [{ textContent: "1 is less", l: 1, c: 4 }],
+        l: 1,
+        c: 2,
+      },
+    ]);
+    assert.deepStrictEqual(
+      applyPatch(newNodes, diff(newNodes, oldNodes)),
+      oldNodes
+    );
+  });
+
+  test("should throw for paths which don't exist", () => {
+    const nodes = parser.parseStringSync("<div><p>Hello</p></div>");
+
+    assert.throws(
+      () => applyPatch(nodes, [{ type: "remove", path: [0, 1] }]),
+      new RangeError("There is no node at the patch path [0,1]")
+    );
+    assert.throws(
+      () =>
+        applyPatch(nodes, [
+          { type: "removeAttribute", path: [0, 0, 0], name: "id" },
+        ]),
+      new TypeError("The node at the patch path [0,0,0] is not an element")
+    );
+  });
+});
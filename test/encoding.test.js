@@ -0,0 +1,215 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+import { Readable } from "node:stream";
+
+import { DiagnosticCode, HTMLParser } from "../src/index.js";
+
+const fixturesDirPath = import.meta
+  .resolve("../test/fixtures/")
+  .slice("file://".length);
+
+/**
+ * @import { TmphElementNode, TmphNode } from '../src/types.js';
+ */
+
+const utf8Encoder = new TextEncoder();
+
+/**
+ * Builds a byte array out of a mix of ASCII strings and raw bytes.
+ * @param {Array<string | number[]>} parts
+ */
+const toBytes = (...parts) =>
+  new Uint8Array(
+    parts.flatMap((part) =>
+      typeof part === "string" ? [...utf8Encoder.encode(part)] : part
+    )
+  );
+
+/**
+ * Gets the text content of the last element in the parsed nodes.
+ * @param {TmphNode[]} nodes
+ */
+const getLastElementText = (nodes) => {
+  const element = /** @type {TmphElementNode} */ (
+    [...nodes].reverse().find((node) => "tagName" in node)
+  );
+  return element.children
+    ?.map((child) => ("textContent" in child ? child.textContent : ""))
+    .join("");
+};
+
+// "こんにちは" in Shift_JIS
+const shiftJisBytes = [
+  0x82, 0xb1, 0x82, 0xf1, 0x82, 0xc9, 0x82, 0xbf, 0x82, 0xcd,
+];
+// "你好" in GBK
+const gbkBytes = [0xc4, 0xe3, 0xba, 0xc3];
+// "café €" in windows-1252
+const windows1252Bytes = [0x63, 0x61, 0x66, 0xe9, 0x20, 0x80];
+
+describe("Encoding sniffing", () => {
+  test("should report utf-8 for strings and sources without any encoding declaration", async () => {
+    const parser = new HTMLParser();
+
+    const stringResult = parser.parseString("<p>Hi</p>");
+    await stringResult.toArray();
+    assert.strictEqual(stringResult.encoding, "utf-8");
+
+    const bytesResult = parser.parseBytes(toBytes("<p>Hi</p>"));
+    await bytesResult.toArray();
+    assert.strictEqual(bytesResult.encoding, "utf-8");
+  });
+
+  test("should report the encoding from a byte order mark", async () => {
+    const result = new HTMLParser().parseFile(
+      `${fixturesDirPath}utf16-be.tmph.html`
+    );
+    await result.toArray();
+    assert.strictEqual(result.encoding, "utf-16be");
+  });
+
+  test("should decode a file with a <meta http-equiv> encoding declaration", async () => {
+    const result = new HTMLParser({ sourceRanges: true }).parseFile(
+      `${fixturesDirPath}shiftJis.tmph.html`
+    );
+    const nodes = await result.toArray();
+
+    assert.strictEqual(result.encoding, "shift_jis");
+    assert.strictEqual(getLastElementText(nodes), "こんにちは");
+
+    const paragraph = /** @type {TmphElementNode} */ (nodes.at(-2));
+    assert.deepStrictEqual(paragraph.range?.end, {
+      l: 2,
+      c: 13,
+      offset: 84,
+      // Each character takes up 2 bytes in Shift_JIS
+      byteOffset: 89,
+    });
+  });
+
+  test("should decode a <meta charset> encoding declaration", async () => {
+    const result = new HTMLParser().parseBytes(
+      toBytes('<meta charset="windows-1252"><p>', windows1252Bytes, "</p>")
+    );
+    const nodes = await result.toArray();
+
+    assert.strictEqual(result.encoding, "windows-1252");
+    assert.strictEqual(getLastElementText(nodes), "café €");
+  });
+
+  test("should resolve encoding labels", async () => {
+    const result = new HTMLParser().parseBytes(
+      toBytes("<meta charset=latin1><p>", windows1252Bytes, "</p>")
+    );
+    const nodes = await result.toArray();
+
+    assert.strictEqual(result.encoding, "windows-1252");
+    assert.strictEqual(getLastElementText(nodes), "café €");
+  });
+
+  test("should decode an x-user-defined declaration as windows-1252", async () => {
+    const result = new HTMLParser().parseBytes(
+      toBytes(
+        '<meta http-equiv="Content-Type" content="text/html; charset=X-User-Defined"><p>',
+        windows1252Bytes,
+        "</p>"
+      )
+    );
+    const nodes = await result.toArray();
+
+    assert.strictEqual(result.encoding, "windows-1252");
+    assert.strictEqual(getLastElementText(nodes), "café €");
+  });
+
+  test("should decode multi-byte legacy encodings streamed one byte at a time", async () => {
+    const htmlBytes = toBytes("<meta charset=gbk><p>", gbkBytes, "</p>");
+
+    const result = new HTMLParser().parseStream(
+      Readable.from(Array.from(htmlBytes, (byte) => new Uint8Array([byte])))
+    );
+    const nodes = await result.toArray();
+
+    assert.strictEqual(result.encoding, "gbk");
+    assert.strictEqual(getLastElementText(nodes), "你好");
+  });
+
+  test("should decode ISO-2022-JP", async () => {
+    const result = new HTMLParser().parseBytes(
+      toBytes(
+        '<meta charset="iso-2022-jp"><p>',
+        // "日本"
+        [0x1b, 0x24, 0x42, 0x46, 0x7c, 0x4b, 0x5c, 0x1b, 0x28, 0x42],
+        "</p>"
+      )
+    );
+    const nodes = await result.toArray();
+
+    assert.strictEqual(result.encoding, "iso-2022-jp");
+    assert.strictEqual(getLastElementText(nodes), "日本");
+  });
+
+  test("should ignore encoding declarations in comments, attribute values and content type declarations without http-equiv", async () => {
+    const result = new HTMLParser().parseBytes(
+      toBytes(
+        '<!-- <meta charset="windows-1252"> -->',
+        '<div title="<meta charset=windows-1252>"></div>',
+        '<meta content="text/html; charset=windows-1252">',
+        "<p>café</p>"
+      )
+    );
+    const nodes = await result.toArray();
+
+    assert.strictEqual(result.encoding, "utf-8");
+    assert.strictEqual(getLastElementText(nodes), "café");
+  });
+
+  test("should ignore encoding declarations after the first 1024 bytes", async () => {
+    const result = new HTMLParser().parseBytes(
+      toBytes(`<!--${"-".repeat(1024)}-->`, "<meta charset=shift_jis><p>ok</p>")
+    );
+    await result.toArray();
+
+    assert.strictEqual(result.encoding, "utf-8");
+  });
+
+  test("should treat utf-16 <meta charset> declarations as utf-8", async () => {
+    const result = new HTMLParser().parseBytes(
+      toBytes('<meta charset="utf-16"><p>café</p>')
+    );
+    const nodes = await result.toArray();
+
+    assert.strictEqual(result.encoding, "utf-8");
+    assert.strictEqual(getLastElementText(nodes), "café");
+  });
+
+  test("throws an error for an invalid byte sequence", async () => {
+    await assert.rejects(
+      () =>
+        new HTMLParser()
+          .parseBytes(
+            toBytes("<meta charset=shift_jis><p>", [0x82, 0x20], "</p>")
+          )
+          .toArray(),
+      /Invalid shift_jis byte sequence/
+    );
+  });
+
+  test("should replace invalid byte sequences in recover mode", async () => {
+    const result = new HTMLParser({ recover: true }).parseBytes(
+      toBytes(
+        "<meta charset=shift_jis><p>",
+        [0x82, 0x20],
+        shiftJisBytes.slice(0, 2),
+        "</p>"
+      )
+    );
+    const nodes = await result.toArray();
+
+    // The space which interrupted the invalid sequence is still kept
+    assert.strictEqual(getLastElementText(nodes), "� こ");
+    assert.deepStrictEqual(
+      result.diagnostics.map(({ code }) => code),
+      [DiagnosticCode.INVALID_CHARACTER_ENCODING]
+    );
+  });
+});
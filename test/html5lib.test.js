@@ -0,0 +1,498 @@
+import { test } from "node:test";
+import * as assert from "node:assert";
+import { readdir, readFile } from "node:fs/promises";
+import { TransformStream } from "node:stream/web";
+
+import { HTMLParser } from "../src/index.js";
+import { lex, LexerTokenType } from "../src/lexer.js";
+
+/**
+ * @import { HTMLParserOptions, TmphNode } from "../src/types.js";
+ * @import { LexerToken } from "../src/lexer.js";
+ */
+
+/**
+ * Runs the html5lib-tests tokenizer and tree construction suites against the lexer and the `mode: "spec"` tree builder.
+ * The test files are vendored in test/fixtures/html5lib using html5lib-tests' own formats, so more
+ * upstream files can be dropped in as-is.
+ * Cases listed in knownDeviations.json are expected to fail, and are reported as todos so the suite stays green
+ * while still measuring how far the parser is from the spec.
+ * @see https://github.com/html5lib/html5lib-tests
+ */
+
+const fixturesDirectoryURL = new URL("./fixtures/html5lib/", import.meta.url);
+
+/**
+ * @typedef {Record<string, Array<string | number>>} KnownDeviations
+ */
+
+/**
+ * Cases which are known to fail, keyed by the file they're in. Tokenizer cases are identified by their description,
+ * and tree construction cases by their 1-based index in the file.
+ * @type {KnownDeviations}
+ */
+const knownDeviations = JSON.parse(
+  await readFile(new URL("knownDeviations.json", fixturesDirectoryURL), "utf8")
+);
+
+/**
+ * @param {string} directoryName
+ * @param {string} extension
+ * @returns {Promise<string[]>} Paths of the test files in the directory, relative to the fixtures directory
+ */
+const getTestFilePaths = async (directoryName, extension) =>
+  (await readdir(new URL(directoryName, fixturesDirectoryURL)))
+    .filter((fileName) => fileName.endsWith(extension))
+    .sort()
+    .map((fileName) => `${directoryName}/${fileName}`);
+
+/**
+ * Parses a doctype declaration's value into the parts html5lib-tests compares.
+ * @param {string} doctypeDeclaration - The text after "<!DOCTYPE ", ie `html PUBLIC "-//W3C//DTD HTML 4.01//EN"`
+ * @returns {{ name: string | null; publicId: string | null; systemId: string | null }}
+ */
+const parseDoctypeDeclaration = (doctypeDeclaration) => {
+  const [, name = null, rest = ""] =
+    /^\s*([^\s>]+)?\s*([^]*)$/.exec(doctypeDeclaration) ?? [];
+  const identifiers =
+    /^(public|system)\s*(["'])([^]*?)\2\s*(?:(["'])([^]*?)\4)?/i.exec(rest);
+
+  if (!identifiers) {
+    return {
+      name: name?.toLowerCase() ?? null,
+      publicId: null,
+      systemId: null,
+    };
+  }
+
+  const isPublic = identifiers[1]?.toLowerCase() === "public";
+  return {
+    name: name?.toLowerCase() ?? null,
+    publicId: isPublic ? identifiers[3] ?? "" : null,
+    systemId: isPublic ? identifiers[5] ?? null : identifiers[3] ?? "",
+  };
+};
+
+/**
+ * @param {string} text
+ * @returns {string} The text with JS-style \uXXXX escapes replaced, for cases with `doubleEscaped` set
+ */
+const unescapeDoubleEscaped = (text) =>
+  text.replace(/\\u([0-9a-fA-F]{4})/g, (_, hex) =>
+    String.fromCharCode(parseInt(hex, 16))
+  );
+
+/**
+ * @typedef TokenizerTestCase
+ * @property {string} description
+ * @property {string} input
+ * @property {unknown[]} output
+ * @property {string[]} [initialStates]
+ * @property {string} [lastStartTag]
+ * @property {boolean} [doubleEscaped]
+ */
+
+/**
+ * @type {HTMLParserOptions}
+ */
+const lexerOptions = {
+  ...new HTMLParser().options,
+  decodeEntities: true,
+  // The raw source text is needed to tell "/>" apart from void elements, and to get untrimmed comments
+  preserveFormatting: true,
+};
+
+/**
+ * Runs the lexer in this thread and collects all of its tokens.
+ * @param {string} input
+ * @returns {Promise<LexerToken[]>}
+ */
+const lexString = async (input) => {
+  /**
+   * @type {TransformStream<LexerToken>}
+   */
+  const { readable, writable } = new TransformStream();
+  const lexPromise = lex({
+    writableStream: writable,
+    options: lexerOptions,
+    source: { rawHTMLString: input },
+  });
+
+  /**
+   * @type {LexerToken[]}
+   */
+  const tokens = [];
+  for await (const token of readable) {
+    tokens.push(token);
+  }
+  await lexPromise;
+
+  return tokens;
+};
+
+/**
+ * Maps lexer tokens onto html5lib-tests' tokenizer output format.
+ * @param {LexerToken[]} tokens
+ * @returns {unknown[]}
+ */
+const toHtml5libTokens = (tokens) => {
+  /**
+   * @type {unknown[][]}
+   */
+  const output = [];
+  /**
+   * @type {Record<string, string> | null}
+   */
+  let currentAttributes = null;
+  /**
+   * @type {string | null}
+   */
+  let currentAttributeName = null;
+
+  const isDoctypeTerminated = !tokens.some(
+    (token) =>
+      token.type === LexerTokenType.DIAGNOSTIC &&
+      token.code === "unterminated-doctype"
+  );
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case LexerTokenType.TEXT_CONTENT: {
+        const lastToken = output.at(-1);
+        if (lastToken?.[0] === "Character") {
+          lastToken[1] += token.value;
+        } else if (token.value) {
+          output.push(["Character", token.value]);
+        }
+        break;
+      }
+      case LexerTokenType.OPENING_TAGNAME:
+        currentAttributes = {};
+        currentAttributeName = null;
+        output.push(["StartTag", token.value.toLowerCase(), currentAttributes]);
+        break;
+      case LexerTokenType.ATTRIBUTE_NAME: {
+        const name = token.value.toLowerCase();
+        // Only the first of any duplicate attributes is kept
+        currentAttributeName =
+          currentAttributes && !(name in currentAttributes) ? name : null;
+        if (currentAttributes && currentAttributeName !== null) {
+          currentAttributes[currentAttributeName] = "";
+        }
+        break;
+      }
+      case LexerTokenType.ATTRIBUTE_VALUE:
+        if (currentAttributes && currentAttributeName !== null) {
+          currentAttributes[currentAttributeName] = token.value;
+        }
+        break;
+      case LexerTokenType.SELF_CLOSING_TAG_END:
+      case LexerTokenType.OPENING_TAG_END:
+        // Void elements end with a SELF_CLOSING_TAG_END token too, so check whether the tag was actually written with "/>"
+        if (token.raw?.endsWith("/>")) {
+          output.at(-1)?.push(true);
+        }
+        currentAttributes = null;
+        break;
+      case LexerTokenType.CLOSING_TAGNAME:
+        output.push(["EndTag", token.value.toLowerCase()]);
+        break;
+      case LexerTokenType.COMMENT:
+        output.push(["Comment", token.raw ?? token.value]);
+        break;
+      case LexerTokenType.DOCTYPE_DECLARATION: {
+        const { name, publicId, systemId } = parseDoctypeDeclaration(
+          token.value
+        );
+        output.push([
+          "DOCTYPE",
+          name,
+          publicId,
+          systemId,
+          name !== null && isDoctypeTerminated,
+        ]);
+        break;
+      }
+      default:
+    }
+  }
+
+  return output;
+};
+
+for (const filePath of await getTestFilePaths("tokenizer", ".test")) {
+  test(`html5lib ${filePath}`, async (t) => {
+    /**
+     * @type {{ tests?: TokenizerTestCase[] }}
+     */
+    const { tests = [] } = JSON.parse(
+      await readFile(new URL(filePath, fixturesDirectoryURL), "utf8")
+    );
+    const fileKnownDeviations = knownDeviations[filePath] ?? [];
+
+    let passedCount = 0;
+    let runCount = 0;
+    for (const testCase of tests) {
+      // The lexer always starts in the data state and can't be put into any other states
+      if (
+        testCase.initialStates &&
+        !testCase.initialStates.includes("Data state")
+      ) {
+        await t.test(testCase.description, {
+          skip: `starts in ${testCase.initialStates.join(", ")}`,
+        });
+        continue;
+      }
+
+      const input = testCase.doubleEscaped
+        ? unescapeDoubleEscaped(testCase.input)
+        : testCase.input;
+      const expectedOutput = testCase.doubleEscaped
+        ? JSON.parse(unescapeDoubleEscaped(JSON.stringify(testCase.output)))
+        : testCase.output;
+
+      const actualOutput = toHtml5libTokens(await lexString(input));
+      const isPassing =
+        JSON.stringify(actualOutput) === JSON.stringify(expectedOutput);
+      const isKnownDeviation = fileKnownDeviations.includes(
+        testCase.description
+      );
+
+      ++runCount;
+      if (isPassing) {
+        ++passedCount;
+      }
+
+      await t.test(
+        testCase.description,
+        { todo: isKnownDeviation && "known deviation" },
+        () => {
+          assert.deepStrictEqual(actualOutput, expectedOutput, input);
+        }
+      );
+    }
+
+    t.diagnostic(`${passedCount}/${runCount} cases passed`);
+  });
+}
+
+/**
+ * @typedef TreeConstructionTestCase
+ * @property {string} data
+ * @property {string} document
+ * @property {string | null} documentFragment - The context element for fragment cases, or null for full documents
+ * @property {boolean} isScriptingEnabled
+ */
+
+/**
+ * Parses the sections of each case out of a tree construction .dat file.
+ * @param {string} fileContents
+ * @returns {TreeConstructionTestCase[]}
+ */
+const parseDatFile = (fileContents) => {
+  /**
+   * @type {Array<Record<string, string[]>>}
+   */
+  const cases = [];
+  /**
+   * @type {string[] | null}
+   */
+  let currentSectionLines = null;
+
+  const lines = fileContents.split("\n");
+  for (let i = 0; i < lines.length; ++i) {
+    const line = /** @type {string} */ (lines[i]);
+
+    if (line === "#data" && (i === 0 || lines[i - 1] === "")) {
+      // Cases are separated by a blank line
+      if (currentSectionLines?.at(-1) === "") {
+        currentSectionLines.pop();
+      }
+      currentSectionLines = [];
+      cases.push({ data: currentSectionLines });
+      continue;
+    }
+
+    const currentCase = cases.at(-1);
+    if (
+      currentCase &&
+      /^#(errors|new-errors|document|document-fragment|script-off|script-on)$/.test(
+        line
+      )
+    ) {
+      currentSectionLines = [];
+      currentCase[line.slice(1)] = currentSectionLines;
+      continue;
+    }
+
+    currentSectionLines?.push(line);
+  }
+
+  if (currentSectionLines?.at(-1) === "") {
+    currentSectionLines.pop();
+  }
+
+  return cases.map((sections) => ({
+    data: (sections.data ?? []).join("\n"),
+    document: (sections.document ?? []).join("\n"),
+    documentFragment: sections["document-fragment"]?.[0] ?? null,
+    isScriptingEnabled: "script-on" in sections,
+  }));
+};
+
+/**
+ * @typedef {"html" | "svg" | "math"} ElementNamespace
+ */
+
+/**
+ * Gets the namespace html5lib-tests expects for an element. Parsed nodes don't record namespaces,
+ * so they're inferred from the <svg> and <math> elements they're nested in.
+ * @param {string} tagName - Lowercased tag name
+ * @param {ElementNamespace} parentNamespace
+ * @param {string | null} parentTagName
+ * @returns {ElementNamespace}
+ */
+const getElementNamespace = (tagName, parentNamespace, parentTagName) => {
+  const isInHTMLIntegrationPoint =
+    (parentNamespace === "svg" &&
+      ["foreignobject", "desc", "title"].includes(parentTagName ?? "")) ||
+    (parentNamespace === "math" &&
+      ["mi", "mo", "mn", "ms", "mtext"].includes(parentTagName ?? ""));
+
+  if (parentNamespace !== "html" && !isInHTMLIntegrationPoint) {
+    return parentNamespace;
+  }
+  if (tagName === "svg") {
+    return "svg";
+  }
+  if (tagName === "math") {
+    return "math";
+  }
+  return "html";
+};
+
+/**
+ * Serializes parsed nodes into html5lib-tests' tree format.
+ * @param {TmphNode[]} nodes
+ * @param {number} [depth]
+ * @param {ElementNamespace} [parentNamespace]
+ * @param {string | null} [parentTagName]
+ * @returns {string[]}
+ */
+const toHtml5libTree = (
+  nodes,
+  depth = 0,
+  parentNamespace = "html",
+  parentTagName = null
+) => {
+  const indent = `| ${"  ".repeat(depth)}`;
+
+  return nodes.flatMap((node) => {
+    if ("textContent" in node) {
+      return [`${indent}"${node.textContent}"`];
+    }
+
+    if ("comment" in node) {
+      return [
+        `${indent}<!-- ${node.formatting?.rawComment ?? node.comment} -->`,
+      ];
+    }
+
+    if ("doctypeDeclaration" in node) {
+      const { name, publicId, systemId } = parseDoctypeDeclaration(
+        node.doctypeDeclaration
+      );
+      return [
+        publicId !== null || systemId !== null
+          ? `${indent}<!DOCTYPE ${name ?? ""} "${publicId ?? ""}" "${
+              systemId ?? ""
+            }">`
+          : `${indent}<!DOCTYPE ${name ?? ""}>`,
+      ];
+    }
+
+    const tagName = node.tagName.toLowerCase();
+    const namespace = getElementNamespace(
+      tagName,
+      parentNamespace,
+      parentTagName
+    );
+
+    const attributeLines = (node.attributes ?? [])
+      .map(({ name, value }) => `${indent}  ${name.toLowerCase()}="${value}"`)
+      .sort();
+
+    // A template's children are shown inside of its "content" document fragment
+    const isTemplate = namespace === "html" && tagName === "template";
+    const childLines = toHtml5libTree(
+      node.children ?? [],
+      isTemplate ? depth + 2 : depth + 1,
+      namespace,
+      tagName
+    );
+
+    return [
+      `${indent}<${namespace === "html" ? "" : `${namespace} `}${tagName}>`,
+      ...attributeLines,
+      ...(isTemplate ? [`${indent}  content`] : []),
+      ...childLines,
+    ];
+  });
+};
+
+const treeConstructionParser = new HTMLParser({
+  mode: "spec",
+  decodeEntities: true,
+  recover: true,
+  preserveFormatting: true,
+});
+
+for (const filePath of await getTestFilePaths("tree-construction", ".dat")) {
+  test(`html5lib ${filePath}`, async (t) => {
+    const testCases = parseDatFile(
+      await readFile(new URL(filePath, fixturesDirectoryURL), "utf8")
+    );
+    const fileKnownDeviations = knownDeviations[filePath] ?? [];
+
+    let passedCount = 0;
+    let runCount = 0;
+    for (const [index, testCase] of testCases.entries()) {
+      const caseNumber = index + 1;
+      const testName = `#${caseNumber}: ${JSON.stringify(testCase.data)}`;
+
+      if (testCase.documentFragment !== null) {
+        await t.test(testName, {
+          skip: "fragment parsing is not supported",
+        });
+        continue;
+      }
+      if (testCase.isScriptingEnabled) {
+        // <noscript> is always parsed as if scripting were disabled
+        await t.test(testName, { skip: "scripting is not supported" });
+        continue;
+      }
+
+      const nodes = await treeConstructionParser
+        .parseString(testCase.data)
+        .toArray();
+      const actualDocument = toHtml5libTree(nodes).join("\n");
+      const isPassing = actualDocument === testCase.document;
+      const isKnownDeviation = fileKnownDeviations.includes(caseNumber);
+
+      ++runCount;
+      if (isPassing) {
+        ++passedCount;
+      }
+
+      await t.test(
+        testName,
+        { todo: isKnownDeviation && "known deviation" },
+        () => {
+          assert.strictEqual(actualDocument, testCase.document);
+        }
+      );
+    }
+
+    t.diagnostic(`${passedCount}/${runCount} cases passed`);
+  });
+}
@@ -1,7 +1,35 @@
 import { test, describe } from "node:test";
 import * as assert from "node:assert";
 
-import { HTMLParser } from "../src/index.js";
+import {
+  mkdir,
+  mkdtemp,
+  readdir,
+  readFile,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import { execFile } from "node:child_process";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { promisify } from "node:util";
+
+import Piscina from "piscina";
+
+import {
+  DiagnosticCode,
+  HTMLParseCache,
+  HTMLParser,
+  querySelector,
+  serialize,
+} from "../src/index.js";
+import { getSharedWorkerPool } from "../src/workerPool.js";
+
+/**
+ * @import { TmphAttributeDirective, TmphElementNode, TmphNode } from "../src/types.js";
+ */
+
+const execFileAsync = promisify(execFile);
 
 describe("HTMLParser", () => {
   describe("tagNameCasing option", () => {
@@ -194,4 +222,1789 @@ describe("HTMLParser", () => {
       );
     });
   });
+
+  describe("decodeEntities option", () => {
+    test("Character references are not decoded by default", async () => {
+      const htmlParser = new HTMLParser();
+      assert.strictEqual(htmlParser.options.decodeEntities, false);
+
+      assert.deepStrictEqual(
+        await htmlParser
+          .parseString(`<p title="Fish &amp; Chips">1 &lt; 2</p>`)
+          .toArray(),
+        [
+          {
+            tagName: "p",
+            attributes: [
+              {
+                name: "title",
+                value: "Fish &amp; Chips",
+                c: 4,
+                l: 1,
+              },
+            ],
+            children: [
+              {
+                textContent: "1 &lt; 2",
+                c: 29,
+                l: 1,
+              },
+            ],
+            c: 2,
+            l: 1,
+          },
+        ]
+      );
+    });
+
+    test("Enabling decodeEntities decodes named and numeric character references", async () => {
+      const htmlParser = new HTMLParser({
+        decodeEntities: true,
+      });
+
+      assert.deepStrictEqual(
+        await htmlParser
+          .parseString(
+            `<a href="?a=1&copy=2&amp;b=&lt;" title=&quot;Hi&quot;>&amp;lt; &nbsp&notit; &#x1F600;&#128512; &#x80;&#0;</a>`
+          )
+          .toArray(),
+        [
+          {
+            tagName: "a",
+            attributes: [
+              {
+                name: "href",
+                value: "?a=1&copy=2&b=<",
+                decoded: true,
+                c: 4,
+                l: 1,
+              },
+              {
+                name: "title",
+                value: '"Hi"',
+                decoded: true,
+                c: 34,
+                l: 1,
+              },
+            ],
+            children: [
+              {
+                textContent: "&lt; \u00a0\u00acit; 😀😀 €\ufffd",
+                decoded: true,
+                c: 55,
+                l: 1,
+              },
+            ],
+            c: 2,
+            l: 1,
+          },
+        ],
+        "Legacy references in attribute values followed by '=' should not be decoded."
+      );
+    });
+
+    test("Character references are not decoded in script or style elements", async () => {
+      const htmlParser = new HTMLParser({
+        decodeEntities: true,
+      });
+
+      assert.deepStrictEqual(
+        await htmlParser
+          .parseString(
+            `<script>a &amp;&amp; b</script><style>a::after { content: "&gt;" }</style><textarea>&lt;p&gt;</textarea>`
+          )
+          .toArray(),
+        [
+          {
+            tagName: "script",
+            children: [
+              {
+                textContent: "a &amp;&amp; b",
+                c: 9,
+                l: 1,
+              },
+            ],
+            c: 2,
+            l: 1,
+          },
+          {
+            tagName: "style",
+            children: [
+              {
+                textContent: 'a::after { content: "&gt;" }',
+                c: 39,
+                l: 1,
+              },
+            ],
+            c: 33,
+            l: 1,
+          },
+          {
+            tagName: "textarea",
+            children: [
+              {
+                textContent: "<p>",
+                decoded: true,
+                c: 85,
+                l: 1,
+              },
+            ],
+            c: 76,
+            l: 1,
+          },
+        ]
+      );
+    });
+
+    test("Raw text elements are recognized regardless of their tag name's casing", async () => {
+      for (const mode of /** @type {const} */ (["template", "spec"])) {
+        const htmlParser = new HTMLParser({
+          decodeEntities: true,
+          mode,
+        });
+
+        const nodes = await htmlParser
+          .parseString(
+            `<SCRIPT>a &amp;&amp; b</Script><Style>a::after { content: "&gt;" }</STYLE><BR>`
+          )
+          .toArray();
+        assert.deepStrictEqual(
+          querySelector(nodes, "script")?.children,
+          [{ textContent: "a &amp;&amp; b", c: 9, l: 1 }],
+          mode
+        );
+        assert.deepStrictEqual(
+          querySelector(nodes, "style")?.children,
+          [{ textContent: 'a::after { content: "&gt;" }', c: 39, l: 1 }],
+          mode
+        );
+        assert.strictEqual(querySelector(nodes, "br")?.children, undefined);
+      }
+    });
+  });
+
+  describe("sourceRanges option", () => {
+    test("Source ranges are not included by default", async () => {
+      const htmlParser = new HTMLParser();
+      assert.strictEqual(htmlParser.options.sourceRanges, false);
+
+      assert.deepStrictEqual(
+        await htmlParser.parseString("<br><!-- hi -->").toArray(),
+        [
+          {
+            tagName: "br",
+            c: 2,
+            l: 1,
+          },
+          {
+            comment: "hi",
+            c: 9,
+            l: 1,
+          },
+        ]
+      );
+    });
+
+    test("Enabling sourceRanges includes ranges for all nodes and attributes", async () => {
+      const htmlParser = new HTMLParser({
+        sourceRanges: true,
+      });
+
+      assert.deepStrictEqual(
+        await htmlParser.parseString(`<p id="a">👋<br></p>`).toArray(),
+        [
+          {
+            tagName: "p",
+            attributes: [
+              {
+                name: "id",
+                value: "a",
+                c: 4,
+                l: 1,
+                range: {
+                  start: { l: 1, c: 4, offset: 3, byteOffset: 3 },
+                  end: { l: 1, c: 10, offset: 9, byteOffset: 9 },
+                },
+                nameRange: {
+                  start: { l: 1, c: 4, offset: 3, byteOffset: 3 },
+                  end: { l: 1, c: 6, offset: 5, byteOffset: 5 },
+                },
+                valueRange: {
+                  start: { l: 1, c: 7, offset: 6, byteOffset: 6 },
+                  end: { l: 1, c: 10, offset: 9, byteOffset: 9 },
+                },
+              },
+            ],
+            children: [
+              {
+                textContent: "👋",
+                c: 11,
+                l: 1,
+                range: {
+                  start: { l: 1, c: 11, offset: 10, byteOffset: 10 },
+                  end: { l: 1, c: 12, offset: 12, byteOffset: 14 },
+                },
+              },
+              {
+                tagName: "br",
+                c: 13,
+                l: 1,
+                range: {
+                  start: { l: 1, c: 12, offset: 12, byteOffset: 14 },
+                  end: { l: 1, c: 16, offset: 16, byteOffset: 18 },
+                },
+                openingTagRange: {
+                  start: { l: 1, c: 12, offset: 12, byteOffset: 14 },
+                  end: { l: 1, c: 16, offset: 16, byteOffset: 18 },
+                },
+              },
+            ],
+            c: 2,
+            l: 1,
+            range: {
+              start: { l: 1, c: 1, offset: 0, byteOffset: 0 },
+              end: { l: 1, c: 20, offset: 20, byteOffset: 22 },
+            },
+            openingTagRange: {
+              start: { l: 1, c: 1, offset: 0, byteOffset: 0 },
+              end: { l: 1, c: 11, offset: 10, byteOffset: 10 },
+            },
+            closingTagRange: {
+              start: { l: 1, c: 16, offset: 16, byteOffset: 18 },
+              end: { l: 1, c: 20, offset: 20, byteOffset: 22 },
+            },
+          },
+        ]
+      );
+    });
+
+    test("Source ranges map back to the source text", async () => {
+      const htmlParser = new HTMLParser({
+        sourceRanges: true,
+      });
+
+      const htmlString = `<!DOCTYPE html>
+<div class="a" hidden><span>é</div>
+<script>const x = "</div>";</script>`;
+
+      const [doctype, lineBreak, div, , script] = await htmlParser
+        .parseString(htmlString)
+        .toArray();
+
+      /**
+       * @param {import("../src/types.js").TmphSourceRange | undefined} range
+       */
+      const getSourceText = (range) =>
+        range ? htmlString.slice(range.start.offset, range.end.offset) : null;
+
+      assert.strictEqual(getSourceText(doctype?.range), "<!DOCTYPE html>");
+      assert.strictEqual(getSourceText(lineBreak?.range), "\n");
+      assert.deepStrictEqual(lineBreak?.range, {
+        start: { l: 1, c: 16, offset: 15, byteOffset: 15 },
+        end: { l: 2, c: 1, offset: 16, byteOffset: 16 },
+      });
+
+      if (!div || !("tagName" in div) || !script || !("tagName" in script)) {
+        throw new Error("Expected div and script elements");
+      }
+
+      assert.strictEqual(
+        getSourceText(div.range),
+        `<div class="a" hidden><span>é</div>`
+      );
+      assert.strictEqual(
+        getSourceText(div.openingTagRange),
+        `<div class="a" hidden>`
+      );
+      assert.strictEqual(getSourceText(div.closingTagRange), "</div>");
+      assert.deepStrictEqual(
+        div.attributes?.map((attribute) => [
+          getSourceText(attribute.range),
+          getSourceText(attribute.nameRange),
+          getSourceText(attribute.valueRange),
+        ]),
+        [
+          [`class="a"`, "class", `"a"`],
+          ["hidden", "hidden", null],
+        ]
+      );
+
+      const span = div.children?.[0];
+      if (!span || !("tagName" in span)) {
+        throw new Error("Expected span element");
+      }
+      // The span was never closed, so it ends where its last child ends
+      assert.strictEqual(getSourceText(span.range), "<span>é");
+      assert.strictEqual(span.closingTagRange, undefined);
+      // "é" takes up 2 bytes
+      assert.strictEqual(span.range?.end.offset, 45);
+      assert.strictEqual(span.range?.end.byteOffset, 46);
+
+      assert.strictEqual(
+        getSourceText(script.range),
+        `<script>const x = "</div>";</script>`
+      );
+      assert.strictEqual(getSourceText(script.closingTagRange), "</script>");
+    });
+
+    test("Byte offsets include the byte order mark for UTF-16 files", async () => {
+      const htmlParser = new HTMLParser({
+        sourceRanges: true,
+      });
+
+      const [div] = await htmlParser
+        .parseFile(
+          import.meta
+            .resolve("./fixtures/utf16-le.tmph.html")
+            .slice("file://".length)
+        )
+        .toArray();
+
+      assert.deepStrictEqual(div?.range, {
+        start: { l: 1, c: 1, offset: 0, byteOffset: 2 },
+        end: { l: 1, c: 28, offset: 27, byteOffset: 56 },
+      });
+    });
+
+    test("CRLF line breaks count as a single line break", async () => {
+      const filePath = import.meta
+        .resolve("./fixtures/crlf.tmph.html")
+        .slice("file://".length);
+      const source = await readFile(filePath, "utf8");
+
+      for (const mode of /** @type {const} */ (["template", "spec"])) {
+        const htmlParser = new HTMLParser({ sourceRanges: true, mode });
+        /**
+         * @type {TmphNode[]}
+         */
+        let nodes = await htmlParser.parseFile(filePath).toArray();
+        if (mode === "spec") {
+          // Skip past the implied <html> and <body> elements
+          nodes =
+            /** @type {TmphElementNode} */ (
+              /** @type {TmphElementNode} */ (nodes[0]).children?.[1]
+            ).children ?? [];
+        }
+
+        const list = /** @type {TmphElementNode} */ (nodes[0]);
+        const [, firstItem, , secondItem] = /** @type {TmphElementNode[]} */ (
+          list.children
+        );
+
+        assert.deepStrictEqual(firstItem?.range, {
+          start: { l: 2, c: 3, offset: 8, byteOffset: 8 },
+          end: { l: 2, c: 29, offset: 34, byteOffset: 34 },
+        });
+        assert.deepStrictEqual(secondItem?.range, {
+          start: { l: 3, c: 3, offset: 38, byteOffset: 38 },
+          end: { l: 5, c: 8, offset: 60, byteOffset: 60 },
+        });
+        assert.deepStrictEqual(list.closingTagRange, {
+          start: { l: 6, c: 1, offset: 62, byteOffset: 62 },
+          end: { l: 6, c: 6, offset: 67, byteOffset: 67 },
+        });
+        assert.strictEqual(
+          source.slice(
+            secondItem?.range?.start.offset,
+            secondItem?.range?.end.offset
+          ),
+          "<li>\r\n    Two\r\n  </li>"
+        );
+      }
+    });
+  });
+
+  describe("preserveFormatting option", () => {
+    test("Formatting details are not included by default", async () => {
+      const htmlParser = new HTMLParser();
+      assert.strictEqual(htmlParser.options.preserveFormatting, false);
+
+      assert.deepStrictEqual(
+        await htmlParser.parseString(`<p  id='a'><!-- hi --></P>`).toArray(),
+        [
+          {
+            tagName: "p",
+            attributes: [{ name: "id", value: "a", l: 1, c: 5 }],
+            children: [{ comment: "hi", l: 1, c: 16 }],
+            l: 1,
+            c: 2,
+          },
+        ]
+      );
+    });
+
+    test("Enabling preserveFormatting records formatting details for nodes and attributes", async () => {
+      const htmlParser = new HTMLParser({
+        preserveFormatting: true,
+        decodeEntities: true,
+      });
+
+      assert.deepStrictEqual(
+        await htmlParser
+          .parseString(
+            `<!DOCTYPE html ><A  href='x'\n  download title=a\\b>&amp;</a ><br/><!-- hi -->`
+          )
+          .toArray(),
+        [
+          {
+            doctypeDeclaration: "html",
+            formatting: { rawDeclaration: "<!DOCTYPE html >" },
+            l: 1,
+            c: 1,
+          },
+          {
+            tagName: "a",
+            formatting: {
+              openingTagName: "A",
+              openingTagEnd: ">",
+              closingTag: "</a >",
+            },
+            attributes: [
+              {
+                name: "href",
+                value: "x",
+                formatting: {
+                  whitespaceBefore: "  ",
+                  quote: "'",
+                  rawValue: "x",
+                },
+                l: 1,
+                c: 21,
+              },
+              {
+                name: "download",
+                value: "",
+                formatting: {
+                  whitespaceBefore: "\n  ",
+                  quote: null,
+                  rawValue: "",
+                },
+                l: 2,
+                c: 3,
+              },
+              {
+                name: "title",
+                value: "a\\b",
+                formatting: {
+                  whitespaceBefore: " ",
+                  quote: "",
+                  rawValue: "a\\b",
+                },
+                l: 2,
+                c: 12,
+              },
+            ],
+            children: [
+              {
+                textContent: "&",
+                decoded: true,
+                formatting: { rawTextContent: "&amp;" },
+                l: 2,
+                c: 22,
+              },
+            ],
+            l: 1,
+            c: 18,
+          },
+          {
+            tagName: "br",
+            formatting: {
+              openingTagName: "br",
+              openingTagEnd: "/>",
+              closingTag: null,
+            },
+            l: 2,
+            c: 33,
+          },
+          {
+            comment: "hi",
+            formatting: { rawComment: " hi " },
+            l: 2,
+            c: 41,
+          },
+        ]
+      );
+    });
+  });
+
+  describe("impliedEndTags option", () => {
+    test("Optional end tags are not implied by default", async () => {
+      const htmlParser = new HTMLParser();
+      assert.strictEqual(htmlParser.options.impliedEndTags, false);
+
+      assert.deepStrictEqual(
+        await htmlParser.parseString(`<ul><li>a<li>b</ul>`).toArray(),
+        [
+          {
+            tagName: "ul",
+            children: [
+              {
+                tagName: "li",
+                children: [
+                  { textContent: "a", l: 1, c: 9 },
+                  {
+                    tagName: "li",
+                    children: [{ textContent: "b", l: 1, c: 14 }],
+                    l: 1,
+                    c: 11,
+                  },
+                ],
+                l: 1,
+                c: 6,
+              },
+            ],
+            l: 1,
+            c: 2,
+          },
+        ]
+      );
+    });
+
+    test("Enabling impliedEndTags closes elements whose end tags are optional", async () => {
+      const htmlParser = new HTMLParser({
+        impliedEndTags: true,
+      });
+
+      const parseResult = htmlParser.parseString(
+        `<ul><li class="a">a<li>b</ul>`
+      );
+      assert.deepStrictEqual(await parseResult.toArray(), [
+        {
+          tagName: "ul",
+          children: [
+            {
+              tagName: "li",
+              attributes: [{ name: "class", value: "a", l: 1, c: 9 }],
+              children: [{ textContent: "a", l: 1, c: 19 }],
+              l: 1,
+              c: 6,
+            },
+            {
+              tagName: "li",
+              children: [{ textContent: "b", l: 1, c: 24 }],
+              l: 1,
+              c: 21,
+            },
+          ],
+          l: 1,
+          c: 2,
+        },
+      ]);
+      // Omitting optional end tags isn't a problem
+      assert.deepStrictEqual(parseResult.diagnostics, []);
+    });
+
+    test("Optional end tag rules match the HTML spec", async () => {
+      const htmlParser = new HTMLParser({
+        impliedEndTags: true,
+      });
+
+      const expectedHTML = {
+        "<p>one<p>two<div>three</div>": "<p>one</p><p>two</p><div>three</div>",
+        "<p>one<span>two</span>": "<p>one<span>two</span></p>",
+        "<p>one<button><div>two</div></button>":
+          "<p>one<button><div>two</div></button></p>",
+        "<ul><li>one<ul><li>two</ul><li>three</ul>":
+          "<ul><li>one<ul><li>two</li></ul></li><li>three</li></ul>",
+        "<ul><li><div><li>two</div></ul>":
+          "<ul><li><div></div></li><li>two</li></ul>",
+        "<ul><li><section><li>two</section></ul>":
+          "<ul><li><section><li>two</li></section></li></ul>",
+        "<dl><dt>term<dd>one<dt>term<dd>two</dl>":
+          "<dl><dt>term</dt><dd>one</dd><dt>term</dt><dd>two</dd></dl>",
+        "<select><option>a<optgroup><option>b<option>c</select>":
+          "<select><option>a</option><optgroup><option>b</option><option>c</option></optgroup></select>",
+        "<table><thead><tr><th>a<th>b<tbody><tr><td>1<td>2<tr><td>3</table>":
+          "<table><thead><tr><th>a</th><th>b</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr><tr><td>3</td></tr></tbody></table>",
+        "<table><tr><td><table><tr><td>a</table><td>b</table>":
+          "<table><tr><td><table><tr><td>a</td></tr></table></td><td>b</td></tr></table>",
+        "<ruby>a<rb>b<rt>c<rp>(<rtc>d<rt>e</ruby>":
+          "<ruby>a<rb>b</rb><rt>c</rt><rp>(</rp><rtc>d<rt>e</rt></rtc></ruby>",
+        "<UL><LI>one<LI>two</UL>": "<ul><li>one</li><li>two</li></ul>",
+      };
+
+      for (const [html, expected] of Object.entries(expectedHTML)) {
+        assert.strictEqual(
+          serialize(await htmlParser.parseString(html).toArray()),
+          expected,
+          html
+        );
+      }
+    });
+
+    test("Tag names matching object prototype properties have no optional end tag rules", () => {
+      const htmlParser = new HTMLParser({
+        impliedEndTags: true,
+      });
+
+      for (const tagName of [
+        "constructor",
+        "toString",
+        "valueOf",
+        "__proto__",
+      ]) {
+        const html = `<${tagName}>x</${tagName}>`;
+        assert.strictEqual(
+          serialize(htmlParser.parseStringSync(html)),
+          html.toLowerCase(),
+          html
+        );
+      }
+    });
+
+    test("Elements without optional end tags are reported when they are implicitly closed", async () => {
+      const htmlParser = new HTMLParser({
+        impliedEndTags: true,
+      });
+
+      const parseResult = htmlParser.parseString(`<p><span>text<div></div>`);
+      assert.strictEqual(
+        serialize(await parseResult.toArray()),
+        "<p><span>text</span></p><div></div>"
+      );
+      assert.deepStrictEqual(
+        parseResult.diagnostics.map(({ code, message }) => ({ code, message })),
+        [
+          {
+            code: DiagnosticCode.UNCLOSED_ELEMENT,
+            message: "<span> element was implicitly closed by <div>",
+          },
+        ]
+      );
+    });
+  });
+
+  describe("parseDirectives option", () => {
+    test("Attributes are not parsed into directives by default", async () => {
+      const htmlParser = new HTMLParser();
+      assert.strictEqual(htmlParser.options.parseDirectives, false);
+
+      assert.deepStrictEqual(
+        await htmlParser.parseString(`<p #text="message"></p>`).toArray(),
+        [
+          {
+            tagName: "p",
+            attributes: [{ name: "#text", value: "message", l: 1, c: 4 }],
+            l: 1,
+            c: 2,
+          },
+        ]
+      );
+    });
+
+    test("Enabling parseDirectives breaks attributes down into their parts", async () => {
+      const htmlParser = new HTMLParser({ parseDirectives: true });
+
+      const nodes = await htmlParser
+        .parseString(
+          `<li #for-of:item,i.lazy="props.items" :style=styles #component class="item"></li>`
+        )
+        .toArray();
+      const listItem = /** @type {TmphElementNode} */ (nodes[0]);
+
+      assert.deepStrictEqual(
+        listItem.attributes?.map(({ directive }) => directive),
+        [
+          {
+            kind: "directive",
+            name: { value: "for-of", l: 1, c: 6 },
+            arguments: [
+              { value: "item", l: 1, c: 13 },
+              { value: "i", l: 1, c: 18 },
+            ],
+            modifiers: [{ value: "lazy", l: 1, c: 20 }],
+            expression: { value: "props.items", l: 1, c: 26 },
+          },
+          {
+            kind: "bound",
+            name: { value: "style", l: 1, c: 40 },
+            arguments: [],
+            modifiers: [],
+            expression: { value: "styles", l: 1, c: 46 },
+          },
+          {
+            kind: "directive",
+            name: { value: "component", l: 1, c: 54 },
+            arguments: [],
+            modifiers: [],
+            expression: null,
+          },
+          {
+            kind: "static",
+            name: { value: "class", l: 1, c: 64 },
+            arguments: [],
+            modifiers: [],
+            expression: null,
+          },
+        ]
+      );
+    });
+
+    test("Directive parts have source ranges when sourceRanges is enabled", async () => {
+      const source = `<p>👋</p>\n<_ #let:forecast="await\n  getForecast()" :title='"é"'></_>`;
+
+      for (const mode of /** @type {const} */ (["template", "spec"])) {
+        const htmlParser = new HTMLParser({
+          parseDirectives: true,
+          sourceRanges: true,
+          mode,
+        });
+        const nodes = await htmlParser.parseString(source).toArray();
+        const element = querySelector(nodes, "_");
+        const directives = (element?.attributes ?? []).map(
+          ({ directive }) => /** @type {TmphAttributeDirective} */ (directive)
+        );
+
+        const parts = directives.flatMap(
+          ({ name, arguments: args, modifiers, expression }) => [
+            name,
+            ...args,
+            ...modifiers,
+            ...(expression ? [expression] : []),
+          ]
+        );
+        assert.deepStrictEqual(
+          parts.map(({ value }) => value),
+          ["let", "forecast", "await\n  getForecast()", "title", '"é"']
+        );
+        for (const { value, range } of parts) {
+          assert.ok(range);
+          // Ranges of quoted expressions don't include the quotes
+          assert.strictEqual(
+            source.slice(range.start.offset, range.end.offset),
+            value
+          );
+          assert.strictEqual(
+            range.start.byteOffset,
+            Buffer.byteLength(source.slice(0, range.start.offset))
+          );
+          assert.strictEqual(
+            range.end.byteOffset,
+            Buffer.byteLength(source.slice(0, range.end.offset))
+          );
+        }
+        assert.deepStrictEqual(directives[0]?.expression?.range?.end, {
+          l: 3,
+          c: 16,
+          offset: 49,
+          byteOffset: 51,
+        });
+      }
+    });
+  });
+
+  describe("validateExpressions option", () => {
+    const source = `<li\n  :style="\`--i: \${i}\`"\n  #if="i % === 0"\n  #text='item.name'\n  #="just a comment"\n  title="not an expression"\n  :class=a.b.\n></li>`;
+
+    test("Expressions are not validated by default", async () => {
+      const htmlParser = new HTMLParser();
+      assert.strictEqual(htmlParser.options.validateExpressions, false);
+
+      const parseResult = htmlParser.parseString(source);
+      await parseResult.toArray();
+      assert.deepStrictEqual(parseResult.diagnostics, []);
+    });
+
+    test("Enabling validateExpressions reports syntax errors in bound attributes and directives", async () => {
+      const htmlParser = new HTMLParser({ validateExpressions: true });
+
+      const parseResult = htmlParser.parseString(source);
+      const nodes = await parseResult.toArray();
+      // Invalid expressions don't stop the element from being parsed
+      assert.strictEqual(
+        /** @type {TmphElementNode} */ (nodes[0]).attributes?.length,
+        6
+      );
+      assert.deepStrictEqual(parseResult.diagnostics, [
+        {
+          severity: "error",
+          code: DiagnosticCode.INVALID_EXPRESSION,
+          message: "Invalid expression in #if attribute: Unexpected token",
+          range: {
+            start: { l: 3, c: 12, offset: 38, byteOffset: 38 },
+            end: { l: 3, c: 17, offset: 43, byteOffset: 43 },
+          },
+        },
+        {
+          severity: "error",
+          code: DiagnosticCode.INVALID_EXPRESSION,
+          message: "Invalid expression in :class attribute: Unexpected token",
+          range: {
+            start: { l: 7, c: 14, offset: 127, byteOffset: 127 },
+            end: { l: 7, c: 14, offset: 127, byteOffset: 127 },
+          },
+        },
+      ]);
+    });
+
+    test("Errors in values which don't match their source text cover the whole value", async () => {
+      const parseResult = new HTMLParser({
+        validateExpressions: true,
+        decodeEntities: true,
+      }).parseString(`<p #if="a &amp;&amp; b c" :title='"\\'" +'></p>`);
+      await parseResult.toArray();
+
+      assert.deepStrictEqual(parseResult.diagnostics, [
+        {
+          severity: "error",
+          code: DiagnosticCode.INVALID_EXPRESSION,
+          message: "Invalid expression in #if attribute: Unexpected token",
+          range: {
+            start: { l: 1, c: 9, offset: 8, byteOffset: 8 },
+            end: { l: 1, c: 25, offset: 24, byteOffset: 24 },
+          },
+        },
+        {
+          severity: "error",
+          code: DiagnosticCode.INVALID_EXPRESSION,
+          message: "Invalid expression in :title attribute: Unexpected token",
+          range: {
+            start: { l: 1, c: 35, offset: 34, byteOffset: 34 },
+            end: { l: 1, c: 41, offset: 40, byteOffset: 40 },
+          },
+        },
+      ]);
+    });
+  });
+
+  describe("expressionAST option", () => {
+    test("Expression ASTs are not included by default", async () => {
+      const htmlParser = new HTMLParser();
+      assert.strictEqual(htmlParser.options.expressionAST, false);
+
+      const nodes = await htmlParser
+        .parseString(`<p #text="message"></p>`)
+        .toArray();
+      assert.strictEqual(
+        /** @type {TmphElementNode} */ (nodes[0]).attributes?.[0]
+          ?.expressionAST,
+        undefined
+      );
+    });
+
+    test("Enabling expressionAST includes the ASTs of valid expressions", async () => {
+      const htmlParser = new HTMLParser({ expressionAST: true });
+
+      const parseResult = htmlParser.parseString(
+        `<p #let:forecast="await getForecast()" #text="forecast +" class="a"></p>`
+      );
+      const [letAttribute, textAttribute, classAttribute] =
+        /** @type {TmphElementNode} */ ((await parseResult.toArray())[0])
+          .attributes ?? [];
+
+      // Positions are relative to the start of the value
+      assert.deepStrictEqual(
+        JSON.parse(JSON.stringify(letAttribute?.expressionAST)),
+        {
+          type: "AwaitExpression",
+          start: 0,
+          end: 19,
+          argument: {
+            type: "CallExpression",
+            start: 6,
+            end: 19,
+            callee: {
+              type: "Identifier",
+              start: 6,
+              end: 17,
+              name: "getForecast",
+            },
+            arguments: [],
+            optional: false,
+          },
+        }
+      );
+      assert.strictEqual(textAttribute?.expressionAST, undefined);
+      assert.strictEqual(classAttribute?.expressionAST, undefined);
+      // Expressions are validated as well
+      assert.deepStrictEqual(
+        parseResult.diagnostics.map(({ code }) => code),
+        [DiagnosticCode.INVALID_EXPRESSION]
+      );
+    });
+  });
+
+  describe("mode option", () => {
+    test("Template mode is used by default", async () => {
+      const htmlParser = new HTMLParser();
+      assert.strictEqual(htmlParser.options.mode, "template");
+
+      assert.strictEqual(
+        serialize(
+          await htmlParser
+            .parseString(`<b><i></b></i><table>text</table>`)
+            .toArray()
+        ),
+        "<b><i></i></b><table>text</table>"
+      );
+    });
+
+    test("Spec mode builds the same trees as browsers", async () => {
+      const htmlParser = new HTMLParser({
+        mode: "spec",
+      });
+
+      const expectedHTML = {
+        "<p>Hello": "<html><head></head><body><p>Hello</p></body></html>",
+        "<!DOCTYPE html><title>Title</title><p>text":
+          "<!DOCTYPE html><html><head><title>Title</title></head><body><p>text</p></body></html>",
+        "<b><i></b></i>":
+          "<html><head></head><body><b><i></i></b></body></html>",
+        "<b>1<p>2</b>3</p>":
+          "<html><head></head><body><b>1</b><p><b>2</b>3</p></body></html>",
+        "<p>a<b>b<i>c</b>d</i>e":
+          "<html><head></head><body><p>a<b>b<i>c</i></b><i>d</i>e</p></body></html>",
+        "<table><tr><td>1</td></tr>oops<div>x</div></table>":
+          "<html><head></head><body>oops<div>x</div><table><tbody><tr><td>1</td></tr></tbody></table></body></html>",
+        "<table><td>cell</table>":
+          "<html><head></head><body><table><tbody><tr><td>cell</td></tr></tbody></table></body></html>",
+        "<ul><li>one<li>two</ul>":
+          "<html><head></head><body><ul><li>one</li><li>two</li></ul></body></html>",
+        "<pre>\ntext</pre>":
+          "<html><head></head><body><pre>text</pre></body></html>",
+        "<html><head></head><body></body></html>":
+          "<html><head></head><body></body></html>",
+        "<div></p></div>":
+          "<html><head></head><body><div><p></p></div></body></html>",
+        "<p>a<button></p>b</button>":
+          "<html><head></head><body><p>a<button><p></p>b</button></p></body></html>",
+      };
+
+      for (const [html, expected] of Object.entries(expectedHTML)) {
+        assert.strictEqual(
+          serialize(await htmlParser.parseString(html).toArray()),
+          expected,
+          html
+        );
+      }
+    });
+
+    test("Problems fixed by tree construction are reported as warnings", async () => {
+      const htmlParser = new HTMLParser({
+        mode: "spec",
+      });
+
+      const parseResult = htmlParser.parseString(
+        `<div id="a" ID="b"><b>1<p>2</b></p><table>text</table></div></span>`
+      );
+      assert.strictEqual(
+        serialize(await parseResult.toArray()),
+        `<html><head></head><body><div id="a"><b>1</b><p><b>2</b></p>text<table></table></div></body></html>`
+      );
+      assert.deepStrictEqual(
+        parseResult.diagnostics.map(({ code, range }) => ({
+          code,
+          start: range.start.offset,
+          end: range.end.offset,
+        })),
+        [
+          { code: DiagnosticCode.DUPLICATE_ATTRIBUTE, start: 12, end: 14 },
+          { code: DiagnosticCode.MISNESTED_ELEMENT, start: 27, end: 31 },
+          { code: DiagnosticCode.FOSTER_PARENTED_CONTENT, start: 42, end: 46 },
+          { code: DiagnosticCode.UNEXPECTED_CLOSING_TAG, start: 60, end: 67 },
+        ]
+      );
+    });
+
+    test("Closing </p> tags without an open <p> element insert an empty <p> element", async () => {
+      const parseResult = new HTMLParser({ mode: "spec" }).parseString(
+        `<div>text</p></div>`
+      );
+      assert.strictEqual(
+        serialize(await parseResult.toArray()),
+        `<html><head></head><body><div>text<p></p></div></body></html>`
+      );
+      assert.deepStrictEqual(parseResult.diagnostics, [
+        {
+          severity: "warning",
+          code: DiagnosticCode.UNEXPECTED_CLOSING_TAG,
+          message:
+            "Closing tag </p> does not match any open <p> element, so an empty <p> element was inserted",
+          range: {
+            start: { l: 1, c: 10, offset: 9, byteOffset: 9 },
+            end: { l: 1, c: 14, offset: 13, byteOffset: 13 },
+          },
+        },
+      ]);
+    });
+
+    test("Spec mode fills in source ranges for implied elements", async () => {
+      const htmlParser = new HTMLParser({
+        mode: "spec",
+        sourceRanges: true,
+      });
+
+      const [htmlElement] = await htmlParser.parseString(`<p>text`).toArray();
+      assert.ok(htmlElement && "tagName" in htmlElement);
+      assert.deepStrictEqual(
+        [htmlElement.range?.start.offset, htmlElement.range?.end.offset],
+        [0, 7]
+      );
+      assert.strictEqual(htmlElement.openingTagRange, undefined);
+    });
+  });
+
+  describe("recover option", () => {
+    const invalidUtf8FilePath = import.meta
+      .resolve("./fixtures/invalidUtf8.tmph.html")
+      .slice("file://".length);
+
+    test("Recover mode is disabled by default", async () => {
+      const htmlParser = new HTMLParser();
+      assert.strictEqual(htmlParser.options.recover, false);
+
+      await assert.rejects(
+        htmlParser.parseFile(invalidUtf8FilePath).toArray(),
+        {
+          message: `Tempeh parsing error: Invalid UTF-8 leading byte: 255 at ${invalidUtf8FilePath}:1:4`,
+        }
+      );
+    });
+
+    test("Diagnostics are reported for problems which don't prevent parsing", async () => {
+      const htmlParser = new HTMLParser();
+
+      const parseResult = htmlParser.parseString(
+        `<div = b>text</span></div><p><a href="foo`
+      );
+      assert.deepStrictEqual(await parseResult.toArray(), [
+        {
+          tagName: "div",
+          attributes: [{ name: "b", value: "", l: 1, c: 8 }],
+          children: [{ textContent: "text", l: 1, c: 10 }],
+          l: 1,
+          c: 2,
+        },
+        {
+          tagName: "p",
+          l: 1,
+          c: 28,
+        },
+      ]);
+
+      assert.deepStrictEqual(
+        parseResult.diagnostics.map(({ severity, code, range }) => ({
+          severity,
+          code,
+          start: range.start.offset,
+          end: range.end.offset,
+        })),
+        [
+          {
+            severity: "warning",
+            code: DiagnosticCode.UNEXPECTED_CHARACTER_IN_TAG,
+            start: 5,
+            end: 6,
+          },
+          {
+            severity: "warning",
+            code: DiagnosticCode.UNEXPECTED_CLOSING_TAG,
+            start: 13,
+            end: 20,
+          },
+          {
+            severity: "error",
+            code: DiagnosticCode.UNTERMINATED_ATTRIBUTE_VALUE,
+            start: 37,
+            end: 41,
+          },
+          {
+            severity: "error",
+            code: DiagnosticCode.UNTERMINATED_OPENING_TAG,
+            start: 29,
+            end: 41,
+          },
+          {
+            severity: "warning",
+            code: DiagnosticCode.UNCLOSED_ELEMENT,
+            start: 26,
+            end: 29,
+          },
+        ]
+      );
+    });
+
+    test("Recover mode synthesizes nodes which were not terminated", async () => {
+      const htmlParser = new HTMLParser({
+        recover: true,
+      });
+
+      assert.deepStrictEqual(
+        await htmlParser.parseString(`<p><a href="foo`).toArray(),
+        [
+          {
+            tagName: "p",
+            children: [
+              {
+                tagName: "a",
+                attributes: [{ name: "href", value: "foo", l: 1, c: 7 }],
+                l: 1,
+                c: 5,
+              },
+            ],
+            l: 1,
+            c: 2,
+          },
+        ]
+      );
+
+      assert.deepStrictEqual(
+        await htmlParser.parseString(`<script>let a<!-- b`).toArray(),
+        [
+          {
+            tagName: "script",
+            children: [{ textContent: "let a<!-- b", l: 1, c: 9 }],
+            l: 1,
+            c: 2,
+          },
+        ]
+      );
+
+      assert.deepStrictEqual(
+        await htmlParser.parseString(`text<!-- comment`).toArray(),
+        [
+          { textContent: "text", l: 1, c: 1 },
+          { comment: "comment", l: 1, c: 9 },
+        ]
+      );
+    });
+
+    test("Opening tags which are cut off by the end of the file are reported", async () => {
+      for (const recover of [false, true]) {
+        const parseResult = new HTMLParser({ recover }).parseString(
+          `<p>x</p><div a`
+        );
+        const nodes = await parseResult.toArray();
+
+        assert.deepStrictEqual(
+          nodes.slice(1),
+          recover
+            ? [
+                {
+                  tagName: "div",
+                  attributes: [{ name: "a", value: "", l: 1, c: 14 }],
+                  l: 1,
+                  c: 10,
+                },
+              ]
+            : []
+        );
+        assert.deepStrictEqual(
+          parseResult.diagnostics.map(({ severity, code, range }) => ({
+            severity,
+            code,
+            start: range.start.offset,
+            end: range.end.offset,
+          })),
+          [
+            {
+              severity: "error",
+              code: DiagnosticCode.UNTERMINATED_OPENING_TAG,
+              start: 8,
+              end: 14,
+            },
+          ]
+        );
+      }
+
+      const htmlParser = new HTMLParser({ recover: true });
+      assert.deepStrictEqual(htmlParser.parseStringSync(`<p>x</p><div`), [
+        {
+          tagName: "p",
+          children: [{ textContent: "x", l: 1, c: 4 }],
+          l: 1,
+          c: 2,
+        },
+        { tagName: "div", l: 1, c: 10 },
+      ]);
+    });
+
+    test("Recover mode keeps stray equals signs in opening tags as part of an attribute name", async () => {
+      const htmlParser = new HTMLParser({
+        recover: true,
+      });
+
+      const parseResult = htmlParser.parseString(`<div =x = b>text</div>`);
+      assert.deepStrictEqual(await parseResult.toArray(), [
+        {
+          tagName: "div",
+          attributes: [
+            { name: "=x", value: "", l: 1, c: 6 },
+            { name: "=", value: "", l: 1, c: 9 },
+            { name: "b", value: "", l: 1, c: 11 },
+          ],
+          children: [{ textContent: "text", l: 1, c: 13 }],
+          l: 1,
+          c: 2,
+        },
+      ]);
+      assert.deepStrictEqual(
+        parseResult.diagnostics.map(({ code, range }) => [
+          code,
+          range.start.offset,
+          range.end.offset,
+        ]),
+        [
+          [DiagnosticCode.UNEXPECTED_CHARACTER_IN_TAG, 5, 6],
+          [DiagnosticCode.UNEXPECTED_CHARACTER_IN_TAG, 8, 9],
+        ]
+      );
+    });
+
+    test("Recover mode replaces invalid characters and reports them", async () => {
+      const htmlParser = new HTMLParser({
+        recover: true,
+      });
+
+      const parseResult = htmlParser.parseFile(invalidUtf8FilePath);
+      assert.deepStrictEqual(await parseResult.toArray(), [
+        {
+          tagName: "p",
+          children: [{ textContent: "a\uFFFDb", l: 1, c: 4 }],
+          l: 1,
+          c: 2,
+        },
+        { textContent: "\n", l: 2, c: 1 },
+      ]);
+
+      assert.deepStrictEqual(parseResult.diagnostics, [
+        {
+          severity: "error",
+          code: DiagnosticCode.INVALID_CHARACTER_ENCODING,
+          message: "Invalid UTF-8 leading byte: 255",
+          range: {
+            start: { l: 1, c: 5, offset: 4, byteOffset: 4 },
+            end: { l: 1, c: 6, offset: 5, byteOffset: 5 },
+          },
+        },
+      ]);
+    });
+
+    test("Diagnostics can be streamed as they are reported", async () => {
+      const htmlParser = new HTMLParser();
+
+      const parseResult = htmlParser.parseString(`<div></span>`);
+      const nodesPromise = parseResult.toArray();
+
+      const diagnosticCodes = [];
+      for await (const diagnostic of parseResult.diagnosticStream) {
+        diagnosticCodes.push(diagnostic.code);
+      }
+
+      assert.deepStrictEqual(diagnosticCodes, [
+        DiagnosticCode.UNEXPECTED_CLOSING_TAG,
+        DiagnosticCode.UNCLOSED_ELEMENT,
+      ]);
+      assert.deepStrictEqual(await nodesPromise, [
+        { tagName: "div", l: 1, c: 2 },
+      ]);
+    });
+
+    test(
+      "Diagnostics can be streamed without reading the nodes",
+      { timeout: 10000 },
+      async () => {
+        for (const options of [
+          { recover: true, worker: /** @type {const} */ ("inline") },
+          { recover: true },
+          { recover: true, mode: /** @type {const} */ ("spec") },
+          { recover: true, cache: true },
+        ]) {
+          const htmlParser = new HTMLParser(options);
+          // Parse twice so cached results are covered too
+          for (let i = 0; i < 2; ++i) {
+            const diagnosticCodes = [];
+            for await (const diagnostic of htmlParser.parseString("<div = >")
+              .diagnosticStream) {
+              diagnosticCodes.push(diagnostic.code);
+            }
+            assert.ok(diagnosticCodes.length > 0, JSON.stringify(options));
+          }
+        }
+      }
+    );
+  });
+
+  describe("encoding option", () => {
+    // "café" in windows-1252
+    const windows1252Bytes = new Uint8Array([
+      0x3c, 0x70, 0x3e, 0x63, 0x61, 0x66, 0xe9, 0x3c, 0x2f, 0x70, 0x3e,
+    ]);
+
+    test("should decode byte sources with the given encoding", async () => {
+      const htmlParser = new HTMLParser();
+      assert.strictEqual(
+        htmlParser.options.encoding,
+        null,
+        "Default encoding should be null."
+      );
+
+      const result = new HTMLParser({ encoding: "windows-1252" }).parseBytes(
+        windows1252Bytes
+      );
+      assert.deepStrictEqual(await result.toArray(), [
+        {
+          tagName: "p",
+          children: [{ textContent: "café", l: 1, c: 4 }],
+          l: 1,
+          c: 2,
+        },
+      ]);
+      assert.strictEqual(result.encoding, "windows-1252");
+    });
+
+    test("should take precedence over <meta charset> but not a byte order mark", async () => {
+      const htmlParser = new HTMLParser({ encoding: "iso-8859-2" });
+
+      const metaResult = htmlParser.parseString(
+        '<meta charset="shift_jis"><p>Hi</p>'
+      );
+      await metaResult.toArray();
+      // Strings are already decoded, so the encoding option doesn't apply
+      assert.strictEqual(metaResult.encoding, "utf-8");
+
+      const metaBytesResult = htmlParser.parseBytes(
+        new TextEncoder().encode('<meta charset="shift_jis"><p>Hi</p>')
+      );
+      await metaBytesResult.toArray();
+      assert.strictEqual(metaBytesResult.encoding, "iso-8859-2");
+
+      const bomResult = htmlParser.parseBytes(
+        new Uint8Array([0xef, 0xbb, 0xbf, 0x3c, 0x70, 0x3e])
+      );
+      await bomResult.toArray();
+      assert.strictEqual(bomResult.encoding, "utf-8");
+    });
+
+    test("should decode utf-16 without a byte order mark", async () => {
+      const result = new HTMLParser({ encoding: "utf-16be" }).parseBytes(
+        new Uint8Array([0, 0x3c, 0, 0x70, 0, 0x3e, 0x4f, 0x60])
+      );
+
+      assert.deepStrictEqual(await result.toArray(), [
+        {
+          tagName: "p",
+          children: [{ textContent: "你", l: 1, c: 4 }],
+          l: 1,
+          c: 2,
+        },
+      ]);
+    });
+
+    test("should throw for unsupported encodings", () => {
+      for (const encoding of ["not-an-encoding", "x-user-defined"]) {
+        assert.throws(() => new HTMLParser({ encoding }), {
+          name: "RangeError",
+          message: `Received unsupported encoding "${encoding}"; the encoding option must be a WHATWG encoding label`,
+        });
+      }
+    });
+  });
+
+  describe("worker option", () => {
+    const htmlString = /* html */ `<ul class="list"><li>One<li>Two</ul><p>Done</p>`;
+
+    test("should run the lexer in the shared worker pool by default", async () => {
+      const htmlParser = new HTMLParser();
+      assert.strictEqual(htmlParser.options.worker, "pool");
+
+      const nodes = await htmlParser.parseString(htmlString).toArray();
+      assert.strictEqual(nodes.length, 2);
+
+      // Destroying the shared pool doesn't stop it from being used again later
+      await htmlParser.destroy();
+      assert.deepStrictEqual(
+        await htmlParser.parseString(htmlString).toArray(),
+        nodes
+      );
+    });
+
+    test("should not destroy the shared worker pool while other parsers are using it", async () => {
+      const htmlParser = new HTMLParser();
+      const otherHTMLParser = new HTMLParser();
+
+      const nodes = await htmlParser.parseString(htmlString).toArray();
+      const sharedWorkerPool = getSharedWorkerPool();
+      assert.ok(sharedWorkerPool.threads.length > 0);
+
+      await htmlParser.destroy();
+      // Destroying a parser more than once shouldn't release its reference again
+      await htmlParser.destroy();
+      assert.strictEqual(getSharedWorkerPool(), sharedWorkerPool);
+      assert.ok(sharedWorkerPool.threads.length > 0);
+      assert.deepStrictEqual(
+        await otherHTMLParser.parseString(htmlString).toArray(),
+        nodes
+      );
+    });
+
+    test("should produce the same nodes when lexing inline", async () => {
+      const options = { sourceRanges: true, impliedEndTags: true };
+
+      assert.deepStrictEqual(
+        await new HTMLParser({ ...options, worker: "inline" })
+          .parseString(htmlString)
+          .toArray(),
+        await new HTMLParser(options).parseString(htmlString).toArray()
+      );
+    });
+
+    test("should create a dedicated pool from pool options", async (t) => {
+      const htmlParser = new HTMLParser({
+        worker: { minThreads: 1, maxThreads: 1, idleTimeout: 100 },
+      });
+      const workerPool = htmlParser.options.worker;
+      assert.ok(workerPool instanceof Piscina);
+      assert.strictEqual(workerPool.maxThreads, 1);
+
+      const runMock = t.mock.method(workerPool, "run");
+      await htmlParser.parseString(htmlString).toArray();
+      assert.strictEqual(runMock.mock.callCount(), 1);
+
+      await htmlParser.dispose();
+      assert.strictEqual(workerPool.threads.length, 0);
+    });
+
+    test("should use a provided Piscina instance without destroying it", async (t) => {
+      const workerPool = new Piscina({
+        filename: import.meta.resolve("../src/lexer.js"),
+        name: "lex",
+        maxThreads: 1,
+      });
+      const htmlParser = new HTMLParser({ worker: workerPool });
+      const runMock = t.mock.method(workerPool, "run");
+
+      await htmlParser.parseString(htmlString).toArray();
+      assert.strictEqual(runMock.mock.callCount(), 1);
+
+      await htmlParser.destroy();
+      assert.ok(workerPool.threads.length > 0);
+
+      await workerPool.destroy();
+    });
+
+    test("should keep the process alive until all of the lexer's tokens have been read", async () => {
+      // Nothing else keeps the child process's event loop alive once the lexer's task has finished,
+      // so it would exit before all of the nodes had been parsed if the tokens still in flight weren't waited for
+      const { stdout } = await execFileAsync(
+        process.execPath,
+        [
+          "--input-type=module",
+          "--eval",
+          `
+            import { HTMLParser } from ${JSON.stringify(
+              import.meta.resolve("../src/index.js")
+            )};
+            const nodes = await new HTMLParser()
+              .parseString("<p>Paragraph</p>".repeat(2000))
+              .toArray();
+            console.log(nodes.length);
+          `,
+        ],
+        { timeout: 30000 }
+      );
+      assert.strictEqual(stdout.trim(), "2000");
+    });
+  });
+
+  describe("cache option", () => {
+    const htmlString = /* html */ `<ul class="list"><li>One<li>Two</ul><p>Unclosed`;
+    const fixtureFilePath = import.meta
+      .resolve("../test/fixtures/simpleComponent.tmph.html")
+      .slice("file://".length);
+
+    /**
+     * Creates a worker pool whose runs can be counted, to tell whether a source was actually parsed.
+     * @param {import("node:test").TestContext} t
+     */
+    const createCountedWorkerPool = (t) => {
+      const workerPool = new Piscina({
+        filename: import.meta.resolve("../src/lexer.js"),
+        name: "lex",
+        maxThreads: 1,
+      });
+      t.after(() => workerPool.destroy());
+      return {
+        workerPool,
+        runMock: t.mock.method(workerPool, "run"),
+      };
+    };
+
+    test("should not cache results by default", () => {
+      assert.strictEqual(new HTMLParser().options.cache, false);
+    });
+
+    test("should reuse results for sources which have already been parsed", async (t) => {
+      const { workerPool, runMock } = createCountedWorkerPool(t);
+      const htmlParser = new HTMLParser({ cache: true, worker: workerPool });
+      assert.ok(htmlParser.options.cache instanceof HTMLParseCache);
+
+      const firstParseResult = htmlParser.parseString(htmlString);
+      const nodes = await firstParseResult.toArray();
+      assert.strictEqual(runMock.mock.callCount(), 1);
+
+      const cachedParseResult = htmlParser.parseString(htmlString);
+      assert.deepStrictEqual(await cachedParseResult.toArray(), nodes);
+      assert.strictEqual(runMock.mock.callCount(), 1);
+      assert.strictEqual(cachedParseResult.encoding, "utf-8");
+      assert.deepStrictEqual(
+        cachedParseResult.diagnostics,
+        firstParseResult.diagnostics
+      );
+      assert.strictEqual(
+        cachedParseResult.diagnostics[0]?.code,
+        DiagnosticCode.UNCLOSED_ELEMENT
+      );
+
+      // Modifying returned nodes shouldn't affect the cached result
+      nodes.length = 0;
+      assert.strictEqual(
+        (await htmlParser.parseString(htmlString).toArray()).length,
+        2
+      );
+
+      await htmlParser.parseString(`${htmlString} `).toArray();
+      assert.strictEqual(runMock.mock.callCount(), 2);
+    });
+
+    test("should not share results between parsers with different options", async () => {
+      const cache = new HTMLParseCache();
+      const lowerCaseNodes = await new HTMLParser({ cache })
+        .parseString("<DIV></DIV>")
+        .toArray();
+      const upperCaseNodes = await new HTMLParser({
+        cache,
+        tagNameCasing: "upper",
+      })
+        .parseString("<DIV></DIV>")
+        .toArray();
+
+      assert.strictEqual(
+        "tagName" in lowerCaseNodes[0] && lowerCaseNodes[0].tagName,
+        "div"
+      );
+      assert.strictEqual(
+        "tagName" in upperCaseNodes[0] && upperCaseNodes[0].tagName,
+        "DIV"
+      );
+    });
+
+    test("should share results between sync and async methods", async (t) => {
+      const { workerPool, runMock } = createCountedWorkerPool(t);
+      const htmlParser = new HTMLParser({ cache: true, worker: workerPool });
+
+      const nodes = htmlParser.parseFileSync(fixtureFilePath);
+      assert.deepStrictEqual(
+        await htmlParser.parseFile(fixtureFilePath).toArray(),
+        nodes
+      );
+      assert.strictEqual(runMock.mock.callCount(), 0);
+    });
+
+    test("should persist results to a cache directory", async (t) => {
+      const cacheDirectoryPath = await mkdtemp(join(tmpdir(), "tmph-cache-"));
+      t.after(() => rm(cacheDirectoryPath, { recursive: true, force: true }));
+
+      const packageCacheDirectoryPath = join(
+        cacheDirectoryPath,
+        "tempeh-html-parser"
+      );
+      await mkdir(join(packageCacheDirectoryPath, "v0.0.0-old"), {
+        recursive: true,
+      });
+
+      const nodes = await new HTMLParser({
+        cache: { directory: cacheDirectoryPath },
+      })
+        .parseFile(fixtureFilePath)
+        .toArray();
+
+      // Results from other versions of the parser should be cleaned up
+      assert.deepStrictEqual(await readdir(packageCacheDirectoryPath), [
+        "v0.0.1",
+      ]);
+
+      const { workerPool, runMock } = createCountedWorkerPool(t);
+      const htmlParser = new HTMLParser({
+        cache: { directory: cacheDirectoryPath },
+        worker: workerPool,
+      });
+      assert.deepStrictEqual(
+        await htmlParser.parseFile(fixtureFilePath).toArray(),
+        nodes
+      );
+      assert.deepStrictEqual(htmlParser.parseFileSync(fixtureFilePath), nodes);
+      assert.strictEqual(runMock.mock.callCount(), 0);
+    });
+
+    test("should cache expression ASTs with bigint and regular expression literals", async (t) => {
+      const cacheDirectoryPath = await mkdtemp(join(tmpdir(), "tmph-cache-"));
+      t.after(() => rm(cacheDirectoryPath, { recursive: true, force: true }));
+
+      /**
+       * @param {TmphNode[]} nodes
+       */
+      const getLiteralValues = (nodes) => {
+        const [p] = nodes;
+        return p && "tagName" in p
+          ? p.attributes?.map(
+              ({ expressionAST }) =>
+                /** @type {import("acorn").Literal} */ (expressionAST).value
+            )
+          : null;
+      };
+      const expectedLiteralValues = [1n, /a+/g];
+
+      const htmlString = `<p :a="1n" :b="/a+/g"></p>`;
+      const options = {
+        parseDirectives: true,
+        validateExpressions: true,
+        expressionAST: true,
+      };
+      assert.deepStrictEqual(
+        getLiteralValues(
+          await new HTMLParser({
+            ...options,
+            cache: { directory: cacheDirectoryPath },
+          })
+            .parseString(htmlString)
+            .toArray()
+        ),
+        expectedLiteralValues
+      );
+      assert.deepStrictEqual(
+        getLiteralValues(
+          new HTMLParser({
+            ...options,
+            cache: { directory: cacheDirectoryPath },
+          }).parseStringSync(htmlString)
+        ),
+        expectedLiteralValues
+      );
+
+      // Results loaded from the cache directory should have the same values
+      const { workerPool, runMock } = createCountedWorkerPool(t);
+      const htmlParser = new HTMLParser({
+        ...options,
+        cache: { directory: cacheDirectoryPath },
+        worker: workerPool,
+      });
+      assert.deepStrictEqual(
+        getLiteralValues(await htmlParser.parseString(htmlString).toArray()),
+        expectedLiteralValues
+      );
+      assert.deepStrictEqual(
+        getLiteralValues(htmlParser.parseStringSync(htmlString)),
+        expectedLiteralValues
+      );
+      assert.strictEqual(runMock.mock.callCount(), 0);
+    });
+
+    test("should not remove anything in the cache directory which it didn't create", async (t) => {
+      const cacheDirectoryPath = await mkdtemp(join(tmpdir(), "tmph-cache-"));
+      t.after(() => rm(cacheDirectoryPath, { recursive: true, force: true }));
+
+      // Other tools' files which look like version directories
+      await mkdir(join(cacheDirectoryPath, "vendor"));
+      await writeFile(
+        join(cacheDirectoryPath, "vendor", "important.txt"),
+        "keep me"
+      );
+      await mkdir(join(cacheDirectoryPath, "vite-cache"));
+
+      await new HTMLParser({ cache: { directory: cacheDirectoryPath } })
+        .parseString("<p>Async</p>")
+        .toArray();
+      new HTMLParser({
+        cache: { directory: cacheDirectoryPath },
+      }).parseStringSync("<p>Sync</p>");
+
+      assert.deepStrictEqual((await readdir(cacheDirectoryPath)).sort(), [
+        "tempeh-html-parser",
+        "vendor",
+        "vite-cache",
+      ]);
+      assert.strictEqual(
+        await readFile(
+          join(cacheDirectoryPath, "vendor", "important.txt"),
+          "utf8"
+        ),
+        "keep me"
+      );
+    });
+
+    test("should ignore filesystem errors when writing to the cache directory", async (t) => {
+      const directoryPath = await mkdtemp(join(tmpdir(), "tmph-cache-"));
+      t.after(() => rm(directoryPath, { recursive: true, force: true }));
+      // A file can't be used as the cache directory
+      const cacheDirectoryPath = join(directoryPath, "file");
+      await writeFile(cacheDirectoryPath, "");
+
+      const cache = new HTMLParseCache({ directory: cacheDirectoryPath });
+      const { workerPool, runMock } = createCountedWorkerPool(t);
+      const htmlParser = new HTMLParser({ cache, worker: workerPool });
+      const nodes = await htmlParser.parseString("<p>Async</p>").toArray();
+      assert.deepStrictEqual(
+        await htmlParser.parseString("<p>Async</p>").toArray(),
+        nodes
+      );
+      assert.deepStrictEqual(htmlParser.parseStringSync("<p>Sync</p>"), [
+        {
+          tagName: "p",
+          children: [{ textContent: "Sync", l: 1, c: 4 }],
+          l: 1,
+          c: 2,
+        },
+      ]);
+      // The results should still be cached in memory
+      assert.strictEqual(runMock.mock.callCount(), 1);
+
+      // Other errors shouldn't be hidden
+      /**
+       * @type {any}
+       */
+      const circularNode = { textContent: "", l: 1, c: 1 };
+      circularNode.self = circularNode;
+      const entry = {
+        encoding: "utf-8",
+        diagnostics: [],
+        nodes: [circularNode],
+      };
+      await assert.rejects(cache.set("circular", entry), TypeError);
+      assert.throws(() => cache.setSync("circular", entry), TypeError);
+    });
+
+    test("should cache the content of a file which was parsed", async (t) => {
+      const directoryPath = await mkdtemp(join(tmpdir(), "tmph-cache-"));
+      t.after(() => rm(directoryPath, { recursive: true, force: true }));
+      const filePath = join(directoryPath, "file.html");
+      await writeFile(filePath, "<p>Before</p>");
+
+      const cache = new HTMLParseCache();
+      const setMock = t.mock.method(cache, "set");
+      // Change the file after it has been read for hashing, but before the parser could read it again
+      t.mock.method(cache, "get", async () => {
+        await writeFile(filePath, "<p>After</p>");
+        return null;
+      });
+
+      const htmlParser = new HTMLParser({ cache, worker: "inline" });
+      const nodes = await htmlParser.parseFile(filePath).toArray();
+      assert.deepStrictEqual(nodes, [
+        {
+          tagName: "p",
+          children: [{ textContent: "Before", l: 1, c: 4 }],
+          l: 1,
+          c: 2,
+        },
+      ]);
+      assert.strictEqual(
+        setMock.mock.calls[0]?.arguments[0],
+        HTMLParseCache.getKey(
+          new TextEncoder().encode("<p>Before</p>"),
+          htmlParser.options
+        )
+      );
+    });
+  });
 });
@@ -0,0 +1,78 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+import { readFile } from "node:fs/promises";
+
+import { HTMLParser } from "../src/index.js";
+
+const fixturesDirPath = import.meta
+  .resolve("../test/fixtures/")
+  .slice("file://".length);
+
+/**
+ * @import { TmphNode } from '../src/types.js';
+ */
+
+describe("HTMLParser.parseBytes", () => {
+  test("should parse a utf-8 Uint8Array", async () => {
+    const htmlBytes = new TextEncoder().encode("<div>Hello, world! 👋</div>");
+
+    const nodes = await new HTMLParser().parseBytes(htmlBytes).toArray();
+
+    assert.deepStrictEqual(
+      nodes,
+      /** @satisfies {TmphNode[]} */ ([
+        {
+          tagName: "div",
+          children: [
+            {
+              textContent: "Hello, world! 👋",
+              c: 6,
+              l: 1,
+            },
+          ],
+          c: 2,
+          l: 1,
+        },
+      ])
+    );
+  });
+
+  test("should parse Buffers with the same results as parseFile", async () => {
+    const parser = new HTMLParser({ sourceRanges: true });
+
+    for (const fileName of [
+      "simpleComponent.tmph.html",
+      "utf8-bom.tmph.html",
+      "utf16-le.tmph.html",
+      "utf16-be.tmph.html",
+    ]) {
+      const filePath = `${fixturesDirPath}${fileName}`;
+      const [bytesNodes, fileNodes] = await Promise.all([
+        parser.parseBytes(await readFile(filePath)).toArray(),
+        parser.parseFile(filePath).toArray(),
+      ]);
+
+      assert.deepStrictEqual(bytesNodes, fileNodes, fileName);
+    }
+  });
+
+  test("should parse a view into a larger buffer without detaching it", async () => {
+    const buffer = new TextEncoder().encode("xx<p>Hi</p>xx");
+    const htmlBytes = buffer.subarray(2, buffer.byteLength - 2);
+
+    const nodes = await new HTMLParser().parseBytes(htmlBytes).toArray();
+
+    assert.deepStrictEqual(
+      nodes,
+      /** @satisfies {TmphNode[]} */ ([
+        {
+          tagName: "p",
+          children: [{ textContent: "Hi", c: 4, l: 1 }],
+          c: 2,
+          l: 1,
+        },
+      ])
+    );
+    assert.strictEqual(buffer.byteLength, 13);
+  });
+});
@@ -0,0 +1,174 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+
+import { HTMLParser } from "../src/index.js";
+
+const fixturesDirPath = import.meta
+  .resolve("../test/fixtures/")
+  .slice("file://".length);
+
+/**
+ * @import { HTMLParseFileResult } from '../src/types.js';
+ */
+
+/**
+ * @param {AsyncIterable<HTMLParseFileResult>} results
+ */
+const collectResults = async (results) => {
+  /**
+   * @type {HTMLParseFileResult[]}
+   */
+  const collectedResults = [];
+  for await (const result of results) {
+    collectedResults.push(result);
+  }
+  return collectedResults.sort((a, b) => a.filePath.localeCompare(b.filePath));
+};
+
+describe("HTMLParser.parseFiles", () => {
+  test("should parse all files matching a glob pattern", async () => {
+    const parser = new HTMLParser();
+    const results = await collectResults(
+      parser.parseFiles(`${fixturesDirPath}{simple,layout}*.tmph.html`)
+    );
+
+    assert.deepStrictEqual(
+      results.map(({ filePath }) => filePath),
+      [
+        `${fixturesDirPath}layout.tmph.html`,
+        `${fixturesDirPath}simpleComponent.tmph.html`,
+      ]
+    );
+
+    for (const { filePath, nodes } of results) {
+      assert.deepStrictEqual(
+        nodes,
+        await parser.parseFile(filePath).toArray(),
+        filePath
+      );
+    }
+  });
+
+  test("should capture errors for individual files without stopping the batch", async () => {
+    const missingFilePath = `${fixturesDirPath}THIS_DOES_NOT_EXIST.tmph.html`;
+    const invalidUtf8FilePath = `${fixturesDirPath}invalidUtf8.tmph.html`;
+    const unicodeFilePath = `${fixturesDirPath}unicode.tmph.html`;
+
+    const results = await collectResults(
+      new HTMLParser().parseFiles([
+        missingFilePath,
+        invalidUtf8FilePath,
+        unicodeFilePath,
+      ])
+    );
+
+    assert.strictEqual(results.length, 3);
+    const [invalidUtf8Result, missingFileResult, unicodeResult] = results;
+
+    assert.strictEqual(invalidUtf8Result?.filePath, invalidUtf8FilePath);
+    assert.deepStrictEqual(
+      invalidUtf8Result.error,
+      new Error(
+        `Tempeh parsing error: Invalid UTF-8 leading byte: 255 at ${invalidUtf8FilePath}:1:4`
+      )
+    );
+    assert.strictEqual(missingFileResult?.filePath, missingFilePath);
+    assert.deepStrictEqual(
+      missingFileResult.error,
+      new Error(`ENOENT: no such file or directory, open '${missingFilePath}'`)
+    );
+    assert.strictEqual(unicodeResult?.filePath, unicodeFilePath);
+    assert.ok(unicodeResult.nodes);
+  });
+
+  test("should parse all HTML files in a directory", async () => {
+    const results = await collectResults(
+      new HTMLParser().parseFiles(fixturesDirPath)
+    );
+
+    assert.strictEqual(results.length, 19);
+    assert.ok(
+      results.every(({ filePath }) => filePath.endsWith(".tmph.html")),
+      "Expected only HTML files to be parsed"
+    );
+    assert.strictEqual(
+      results.filter(({ error }) => error !== undefined).length,
+      1
+    );
+  });
+
+  test("should yield no results for a glob pattern which doesn't match anything", async () => {
+    const parser = new HTMLParser();
+
+    assert.deepStrictEqual(
+      await collectResults(parser.parseFiles(`${fixturesDirPath}*.xhtml`)),
+      []
+    );
+    assert.deepStrictEqual(
+      await collectResults(
+        parser.parseFiles(`${fixturesDirPath}THIS_DOES_NOT_EXIST/**/*.html`)
+      ),
+      []
+    );
+  });
+
+  test("should not parse more files at once than the concurrency limit", async (t) => {
+    const parser = new HTMLParser();
+    const parseFile = parser.parseFile.bind(parser);
+
+    let parsingFileCount = 0;
+    let maxParsingFileCount = 0;
+
+    t.mock.method(
+      parser,
+      "parseFile",
+      /** @type {typeof parser.parseFile} */
+      (filePath, parseOptions) => {
+        const parseResult = parseFile(filePath, parseOptions);
+        const toArray = parseResult.toArray.bind(parseResult);
+        parseResult.toArray = async () => {
+          maxParsingFileCount = Math.max(
+            maxParsingFileCount,
+            ++parsingFileCount
+          );
+          try {
+            return await toArray();
+          } finally {
+            --parsingFileCount;
+          }
+        };
+        return parseResult;
+      }
+    );
+
+    const results = await collectResults(
+      parser.parseFiles(`${fixturesDirPath}*.tmph.html`, { concurrency: 2 })
+    );
+
+    assert.strictEqual(results.length, 19);
+    assert.strictEqual(maxParsingFileCount, 2);
+  });
+
+  test("should throw for an invalid concurrency", async () => {
+    await assert.rejects(
+      () =>
+        collectResults(
+          new HTMLParser().parseFiles(fixturesDirPath, { concurrency: 0 })
+        ),
+      RangeError
+    );
+  });
+
+  test("should throw the abort reason when the signal is aborted", async () => {
+    const abortController = new AbortController();
+    const results = new HTMLParser().parseFiles(fixturesDirPath, {
+      concurrency: 1,
+      signal: abortController.signal,
+    });
+
+    await results.next();
+    abortController.abort(new Error("Stop"));
+
+    await assert.rejects(() => results.next(), new Error("Stop"));
+  });
+});
@@ -1,5 +1,6 @@
 import { test, describe } from "node:test";
 import * as assert from "node:assert";
+import { setTimeout as sleep } from "node:timers/promises";
 
 import { HTMLParser } from "../src/index.js";
 
@@ -95,4 +96,99 @@ describe("HTMLParseResult", () => {
       c: 54,
     });
   });
+
+  describe("cancellation", () => {
+    /**
+     * Creates a never-ending source which records when it has been closed by the parser.
+     */
+    const createEndlessSource = () => {
+      const source = {
+        isClosed: false,
+        async *generateChunks() {
+          try {
+            while (true) {
+              yield "<p>More</p>";
+              await sleep(1);
+            }
+          } finally {
+            source.isClosed = true;
+          }
+        },
+      };
+      return source;
+    };
+
+    /**
+     * @param {() => boolean} condition
+     */
+    const waitFor = async (condition) => {
+      for (let i = 0; i < 100 && !condition(); ++i) {
+        await sleep(20);
+      }
+      return condition();
+    };
+
+    test("aborting the signal errors the parse result and open child streams", async () => {
+      const abortController = new AbortController();
+      const parseResult = new HTMLParser().parseString(
+        `<div>${"<p>Some text</p>".repeat(20000)}</div>`,
+        { signal: abortController.signal }
+      );
+      const iterator = parseResult[Symbol.asyncIterator]();
+
+      const { value: divNode } = await iterator.next();
+      const childStream =
+        divNode && "childStream" in divNode ? divNode.childStream : null;
+      if (!childStream) {
+        throw new Error("Expected root node to have a child stream");
+      }
+
+      abortController.abort();
+
+      await assert.rejects(
+        async () => {
+          for await (const node of childStream) {
+          }
+        },
+        { name: "AbortError" }
+      );
+      await assert.rejects(() => iterator.next(), { name: "AbortError" });
+    });
+
+    test("aborting the signal stops reading the source", async () => {
+      const source = createEndlessSource();
+      const abortController = new AbortController();
+      const parseResult = new HTMLParser().parseStream(
+        source.generateChunks(),
+        { signal: abortController.signal }
+      );
+
+      setTimeout(() => abortController.abort(new Error("Stop")), 50);
+
+      await assert.rejects(() => parseResult.toArray(), new Error("Stop"));
+      assert.ok(await waitFor(() => source.isClosed));
+    });
+
+    test("a signal which has already been aborted rejects right away", async () => {
+      await assert.rejects(
+        () =>
+          new HTMLParser()
+            .parseString("<p>Hi</p>", { signal: AbortSignal.abort() })
+            .toArray(),
+        { name: "AbortError" }
+      );
+    });
+
+    test("breaking out of the loop early cancels the parse", async () => {
+      const source = createEndlessSource();
+
+      for await (const node of new HTMLParser().parseStream(
+        source.generateChunks()
+      )) {
+        break;
+      }
+
+      assert.ok(await waitFor(() => source.isClosed));
+    });
+  });
 });
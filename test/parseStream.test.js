@@ -0,0 +1,185 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+import { createReadStream } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { Readable } from "node:stream";
+import { ReadableStream } from "node:stream/web";
+
+import { HTMLParser } from "../src/index.js";
+
+const fixturesDirPath = import.meta
+  .resolve("../test/fixtures/")
+  .slice("file://".length);
+
+/**
+ * @import { TmphNode } from '../src/types.js';
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} chunkSize
+ */
+function* splitIntoChunks(bytes, chunkSize) {
+  for (let i = 0; i < bytes.byteLength; i += chunkSize) {
+    yield bytes.subarray(i, i + chunkSize);
+  }
+}
+
+/**
+ * @satisfies {TmphNode[]}
+ */
+const expectedEncodedFixtureNodes = [
+  {
+    tagName: "div",
+    children: [
+      {
+        textContent: "Hello, world! 👋",
+        l: 1,
+        c: 6,
+      },
+    ],
+    l: 1,
+    c: 2,
+  },
+  {
+    textContent: "\n",
+    l: 2,
+    c: 1,
+  },
+];
+
+describe("HTMLParser.parseStream", () => {
+  test("should parse a web ReadableStream", async () => {
+    const htmlBytes = new TextEncoder().encode("<div>Hello, world!</div>");
+
+    const nodes = await new HTMLParser()
+      .parseStream(ReadableStream.from(splitIntoChunks(htmlBytes, 4)))
+      .toArray();
+
+    assert.deepStrictEqual(
+      nodes,
+      /** @satisfies {TmphNode[]} */ ([
+        {
+          tagName: "div",
+          children: [
+            {
+              textContent: "Hello, world!",
+              c: 6,
+              l: 1,
+            },
+          ],
+          c: 2,
+          l: 1,
+        },
+      ])
+    );
+  });
+
+  test("should parse a Node.js Readable with the same results as parseFile", async () => {
+    const filePath = `${fixturesDirPath}simpleComponent.tmph.html`;
+    const parser = new HTMLParser({ sourceRanges: true });
+
+    const [streamedNodes, fileNodes] = await Promise.all([
+      parser.parseStream(createReadStream(filePath)).toArray(),
+      parser.parseFile(filePath).toArray(),
+    ]);
+
+    assert.deepStrictEqual(streamedNodes, fileNodes);
+  });
+
+  test("should parse an async iterable of string chunks", async () => {
+    async function* generateChunks() {
+      yield "<p>Hello, ";
+      yield "<em>world</em>";
+      yield "!</p>";
+    }
+
+    const nodes = await new HTMLParser()
+      .parseStream(generateChunks())
+      .toArray();
+
+    assert.deepStrictEqual(
+      nodes,
+      /** @satisfies {TmphNode[]} */ ([
+        {
+          tagName: "p",
+          children: [
+            { textContent: "Hello, ", l: 1, c: 4 },
+            {
+              tagName: "em",
+              children: [{ textContent: "world", l: 1, c: 15 }],
+              l: 1,
+              c: 12,
+            },
+            { textContent: "!", l: 1, c: 25 },
+          ],
+          l: 1,
+          c: 2,
+        },
+      ])
+    );
+  });
+
+  test("should decode multi-byte characters split across chunks", async () => {
+    const htmlBytes = await readFile(`${fixturesDirPath}utf8-bom.tmph.html`);
+
+    const nodes = await new HTMLParser()
+      .parseStream(Readable.from(splitIntoChunks(htmlBytes, 1)))
+      .toArray();
+
+    assert.deepStrictEqual(nodes, expectedEncodedFixtureNodes);
+  });
+
+  test("should detect utf-16 byte order marks", async () => {
+    for (const fileName of ["utf16-le.tmph.html", "utf16-be.tmph.html"]) {
+      const htmlBytes = await readFile(`${fixturesDirPath}${fileName}`);
+
+      // Odd-sized chunks split code units across chunk boundaries
+      const nodes = await new HTMLParser()
+        .parseStream(Readable.from(splitIntoChunks(htmlBytes, 3)))
+        .toArray();
+
+      assert.deepStrictEqual(nodes, expectedEncodedFixtureNodes, fileName);
+    }
+  });
+
+  test("should yield nodes before the stream has ended", async () => {
+    /**
+     * @type {() => void}
+     */
+    let endStream = () => {};
+    const streamEnded = new Promise((resolve) => {
+      endStream = () => resolve(undefined);
+    });
+
+    async function* generateChunks() {
+      yield "<div>First</div>";
+      await streamEnded;
+      yield "<div>Second</div>";
+    }
+
+    const result = new HTMLParser().parseStream(generateChunks());
+
+    const tagNames = [];
+    for await (const node of result) {
+      if ("tagName" in node) {
+        tagNames.push(node.tagName);
+        endStream();
+      }
+    }
+
+    assert.deepStrictEqual(tagNames, ["div", "div"]);
+  });
+
+  test("throws an error if the stream errors", async () => {
+    async function* generateChunks() {
+      yield "<div>Hello";
+      throw new Error("Connection reset");
+    }
+
+    await assert.rejects(
+      () => new HTMLParser().parseStream(generateChunks()).toArray(),
+      /Connection reset/
+    );
+  });
+});
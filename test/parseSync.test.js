@@ -0,0 +1,97 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+
+import { HTMLParser } from "../src/index.js";
+
+const fixturesDirPath = import.meta
+  .resolve("../test/fixtures/")
+  .slice("file://".length);
+
+/**
+ * @import { TmphNode } from '../src/types.js';
+ */
+
+const fixtureFileNames = [
+  "simpleComponent.tmph.html",
+  "componentWithScripts.tmph.html",
+  "componentWithStyles.tmph.html",
+  "layout.tmph.html",
+  "unicode.tmph.html",
+  "utf16-le.tmph.html",
+  "shiftJis.tmph.html",
+  "geyer.dev.tmph.html",
+];
+
+describe("HTMLParser.parseStringSync", () => {
+  test("should parse a string", () => {
+    assert.deepStrictEqual(
+      new HTMLParser().parseStringSync("<b>x</b><br>"),
+      /** @satisfies {TmphNode[]} */ ([
+        {
+          tagName: "b",
+          children: [{ textContent: "x", l: 1, c: 4 }],
+          l: 1,
+          c: 2,
+        },
+        { tagName: "br", l: 1, c: 10 },
+      ])
+    );
+  });
+
+  test("should produce the same nodes as parseString", async () => {
+    const htmlString = /* html */ `<!DOCTYPE html>
+<ul class="list">
+  <li>One
+  <li>Two &amp; <em>three</em>
+</ul>
+<script>if (a </scrip> b) console.log("</script>");</script>
+<!-- done --><p>Unclosed`;
+
+    for (const options of [
+      { sourceRanges: true, preserveFormatting: true },
+      { impliedEndTags: true, decodeEntities: true, sourceRanges: true },
+      { mode: /** @type {const} */ ("spec"), sourceRanges: true },
+    ]) {
+      const parser = new HTMLParser(options);
+      assert.deepStrictEqual(
+        parser.parseStringSync(htmlString),
+        await parser.parseString(htmlString).toArray(),
+        JSON.stringify(options)
+      );
+    }
+  });
+});
+
+describe("HTMLParser.parseFileSync", () => {
+  test("should produce the same nodes as parseFile", async () => {
+    const parser = new HTMLParser({ sourceRanges: true });
+
+    for (const fileName of fixtureFileNames) {
+      const filePath = `${fixturesDirPath}${fileName}`;
+      assert.deepStrictEqual(
+        parser.parseFileSync(filePath),
+        await parser.parseFile(filePath).toArray(),
+        fileName
+      );
+    }
+  });
+
+  test("throws parsing errors", () => {
+    const invalidUtf8FilePath = `${fixturesDirPath}invalidUtf8.tmph.html`;
+
+    assert.throws(() => new HTMLParser().parseFileSync(invalidUtf8FilePath), {
+      message: `Tempeh parsing error: Invalid UTF-8 leading byte: 255 at ${invalidUtf8FilePath}:1:4`,
+    });
+  });
+
+  test("throws error for a file which does not exist", () => {
+    const templateSourceFilePath = "THIS_DOES_NOT_EXIST.tmph.html";
+
+    assert.throws(
+      () => new HTMLParser().parseFileSync(templateSourceFilePath),
+      new Error(
+        `ENOENT: no such file or directory, open '${templateSourceFilePath}'`
+      )
+    );
+  });
+});
@@ -0,0 +1,155 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+
+import { DiagnosticCode, HTMLParser } from "../src/index.js";
+
+/**
+ * @import { TmphNode } from '../src/types.js';
+ */
+
+const htmlString = /* html */ `<div class="greeting" data-emoji='👋'>Héllo, wörld! 👋</div>
+<script>
+  if (a </scrip> b) console.log("</script>");
+</script>
+<!-- 🎉 --><p>Done</p>`;
+
+describe("HTMLParser.createPushParser", () => {
+  test("should parse chunks written to the parser", async () => {
+    const pushParser = new HTMLParser().createPushParser();
+    pushParser.write("<div>Hello, ");
+    pushParser.write(new TextEncoder().encode("world!</div>"));
+    pushParser.end();
+
+    assert.deepStrictEqual(
+      await pushParser.toArray(),
+      /** @satisfies {TmphNode[]} */ ([
+        {
+          tagName: "div",
+          children: [
+            {
+              textContent: "Hello, world!",
+              c: 6,
+              l: 1,
+            },
+          ],
+          c: 2,
+          l: 1,
+        },
+      ])
+    );
+  });
+
+  test("should handle source split across chunks at every byte", async () => {
+    const parser = new HTMLParser({ sourceRanges: true });
+    const expectedNodes = await parser.parseString(htmlString).toArray();
+
+    const htmlBytes = new TextEncoder().encode(htmlString);
+    for (let splitIndex = 1; splitIndex < htmlBytes.byteLength; ++splitIndex) {
+      const pushParser = parser.createPushParser();
+      pushParser.write(htmlBytes.subarray(0, splitIndex));
+      pushParser.end(htmlBytes.subarray(splitIndex));
+
+      assert.deepStrictEqual(
+        await pushParser.toArray(),
+        expectedNodes,
+        `Split at byte ${splitIndex}`
+      );
+    }
+  });
+
+  test("should handle source written one byte at a time", async () => {
+    const parser = new HTMLParser({ sourceRanges: true });
+    const expectedNodes = await parser.parseString(htmlString).toArray();
+
+    const pushParser = parser.createPushParser();
+    for (const byte of new TextEncoder().encode(htmlString)) {
+      pushParser.write(new Uint8Array([byte]));
+    }
+    pushParser.end();
+
+    assert.deepStrictEqual(await pushParser.toArray(), expectedNodes);
+  });
+
+  test("should yield nodes before the parser has ended", async () => {
+    const pushParser = new HTMLParser().createPushParser();
+    pushParser.write("<p>First</p>");
+
+    const tagNames = [];
+    for await (const node of pushParser) {
+      if ("tagName" in node) {
+        tagNames.push(node.tagName);
+        if (tagNames.length === 1) {
+          pushParser.write("<p>Second</p>");
+          pushParser.end();
+        }
+      }
+    }
+
+    assert.deepStrictEqual(tagNames, ["p", "p"]);
+  });
+
+  test("should report diagnostics", async () => {
+    const pushParser = new HTMLParser({ recover: true }).createPushParser();
+    pushParser.write("<div><span>");
+    pushParser.end("Unclosed");
+
+    await pushParser.toArray();
+
+    assert.deepStrictEqual(
+      pushParser.diagnostics.map(({ code }) => code),
+      [DiagnosticCode.UNCLOSED_ELEMENT, DiagnosticCode.UNCLOSED_ELEMENT]
+    );
+  });
+
+  test("throws an error when writing after the parser has ended", async () => {
+    const pushParser = new HTMLParser().createPushParser();
+    pushParser.end("<div></div>");
+
+    assert.throws(
+      () => pushParser.write("<p></p>"),
+      new Error("Cannot write to HTMLPushParser after end() has been called")
+    );
+    await pushParser.toArray();
+  });
+
+  test("throws an error when writing a string chunk with a non-UTF-8 encoding option", async () => {
+    const pushParser = new HTMLParser({
+      encoding: "windows-1252",
+    }).createPushParser();
+
+    assert.throws(
+      () => pushParser.write("<p>Héllo</p>"),
+      new TypeError(
+        'Cannot write string chunks to HTMLPushParser when the encoding option is "windows-1252"; write the encoded bytes instead'
+      )
+    );
+
+    // Bytes in the encoding can still be written
+    pushParser.end(
+      new Uint8Array([...Buffer.from("<p>H"), 0xe9, ...Buffer.from("llo</p>")])
+    );
+    assert.deepStrictEqual(await pushParser.toArray(), [
+      {
+        tagName: "p",
+        l: 1,
+        c: 2,
+        children: [{ textContent: "Héllo", l: 1, c: 4 }],
+      },
+    ]);
+    assert.strictEqual(pushParser.encoding, "windows-1252");
+  });
+
+  test("string chunks can be written when the encoding option is UTF-8", async () => {
+    const pushParser = new HTMLParser({ encoding: "utf8" }).createPushParser();
+    pushParser.end("<p>Héllo 👋</p>");
+
+    assert.deepStrictEqual(await pushParser.toArray(), [
+      {
+        tagName: "p",
+        l: 1,
+        c: 2,
+        children: [{ textContent: "Héllo 👋", l: 1, c: 4 }],
+      },
+    ]);
+  });
+});
@@ -0,0 +1,255 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+
+import { HTMLParser } from "../src/index.js";
+
+/**
+ * @import { HTMLParseTree, HTMLSourceEdit, TmphElementNode, TmphNode } from '../src/types.js';
+ */
+
+const source = /* html */ `<!DOCTYPE html>
+<main class="page" :title="title" #if="visible">
+  <header>Title 👋</header>
+  <ul>
+    <li>One</li>
+    <li>Two</li>
+  </ul>
+  <script>const x = 1 < 2;</script>
+</main>
+<footer>Bye</footer>`;
+
+/**
+ * @param {TmphNode | undefined} node
+ * @returns {TmphElementNode}
+ */
+const assertElement = (node) => {
+  if (!node || !("tagName" in node)) {
+    throw new Error("Expected an element node");
+  }
+  return node;
+};
+
+/**
+ * Applies an edit to a source string.
+ * @param {string} sourceString
+ * @param {HTMLSourceEdit} edit
+ */
+const applyEdit = (sourceString, { offset, deletedLength, insertedText }) =>
+  `${sourceString.slice(0, offset)}${insertedText}${sourceString.slice(
+    offset + deletedLength
+  )}`;
+
+describe("HTMLParser.reparse", () => {
+  const parserOptionSets = [
+    { sourceRanges: true },
+    { sourceRanges: true, recover: true },
+    { sourceRanges: true, parseDirectives: true },
+    {
+      sourceRanges: true,
+      impliedEndTags: true,
+      preserveFormatting: true,
+      decodeEntities: true,
+    },
+  ];
+
+  test("should produce the same nodes as parsing the edited source", () => {
+    /**
+     * @type {Array<[string, string]>}
+     */
+    const edits = [
+      // Inside of text content
+      ["One", "Uno"],
+      // Adding lines before later content
+      ["Two", "Two\n\n  and a half"],
+      // Inside of a raw text element
+      ["1 < 2", "1 </scrip> 2"],
+      // Non-BMP characters before later content
+      ["Title 👋", "Title"],
+      ["Bye", "👋 Bye"],
+      // Adding elements
+      ["<li>Two</li>", "<li>Two</li><li>Three"],
+      // Closing tags which change where elements end
+      ["One", "One</ul>"],
+      ["Title", "Title</main>"],
+      ["const", "</script>const"],
+      // Opening tags which implicitly close elements when impliedEndTags is enabled
+      ["One", "One<li>One and a half"],
+      // Editing tags themselves
+      ['class="page"', 'class="page" id="main"'],
+      ["<footer>", "<aside>"],
+      // A comment which swallows the rest of the source
+      ["Title", "<!-- Title"],
+    ];
+
+    for (const options of parserOptionSets) {
+      const parser = new HTMLParser(options);
+      const previousTree = { source, nodes: parser.parseStringSync(source) };
+
+      for (const [searchText, insertedText] of edits) {
+        /**
+         * @type {HTMLSourceEdit}
+         */
+        const edit = {
+          offset: source.indexOf(searchText),
+          deletedLength: searchText.length,
+          insertedText,
+        };
+        const editedSource = applyEdit(source, edit);
+
+        const tree = parser.reparse(previousTree, edit);
+        assert.strictEqual(tree.source, editedSource);
+        assert.deepStrictEqual(
+          tree.nodes,
+          parser.parseStringSync(editedSource),
+          `${JSON.stringify(options)}: ${searchText} -> ${insertedText}`
+        );
+      }
+    }
+  });
+
+  test("should produce the same nodes as parsing the edited source after many edits", () => {
+    const parser = new HTMLParser({ sourceRanges: true, recover: true });
+    const insertedTexts = ["a", "\n", "<b>", "</li>", "😀", "", "<!--", "-->"];
+
+    /**
+     * @type {HTMLParseTree}
+     */
+    let tree = { source, nodes: parser.parseStringSync(source) };
+    for (let i = 0; i < 100; ++i) {
+      const offset = (i * 37) % (tree.source.length + 1);
+      tree = parser.reparse(tree, {
+        offset,
+        deletedLength: Math.min(i % 3, tree.source.length - offset),
+        insertedText: insertedTexts[i % insertedTexts.length] ?? "",
+      });
+      assert.deepStrictEqual(
+        tree.nodes,
+        parser.parseStringSync(tree.source),
+        `Edit ${i}`
+      );
+    }
+  });
+
+  test("should produce the same nodes as parsing the edited source after edits to CRLF line breaks", () => {
+    const parser = new HTMLParser({ sourceRanges: true, recover: true });
+    const crlfSource = source.replaceAll("\n", "\r\n");
+    const insertedTexts = ["\r", "\n", "\r\n", "a", ""];
+
+    /**
+     * @type {HTMLParseTree}
+     */
+    let tree = {
+      source: crlfSource,
+      nodes: parser.parseStringSync(crlfSource),
+    };
+    for (let i = 0; i < 60; ++i) {
+      // Edit around each of the line breaks in turn, including between their "\r" and "\n"
+      const lineBreakOffset = tree.source.indexOf(
+        "\r",
+        (i * 29) % tree.source.length
+      );
+      const offset = Math.min(
+        lineBreakOffset === -1 ? tree.source.length : lineBreakOffset + (i % 3),
+        tree.source.length
+      );
+      tree = parser.reparse(tree, {
+        offset,
+        deletedLength: Math.min(i % 2, tree.source.length - offset),
+        insertedText: insertedTexts[i % insertedTexts.length] ?? "",
+      });
+      assert.deepStrictEqual(
+        tree.nodes,
+        parser.parseStringSync(tree.source),
+        `Edit ${i}`
+      );
+    }
+  });
+
+  test("should reuse nodes which weren't changed by identity", () => {
+    const parser = new HTMLParser({ sourceRanges: true });
+    const previousNodes = parser.parseStringSync(source);
+    const previousMain = assertElement(previousNodes[2]);
+    const previousList = assertElement(previousMain.children?.[3]);
+    const previousSnapshot = structuredClone(previousNodes);
+
+    // Replacing text with text of the same length doesn't move anything
+    const sameLengthTree = parser.reparse(
+      { source, nodes: previousNodes },
+      {
+        offset: source.indexOf("One"),
+        deletedLength: 3,
+        insertedText: "Uno",
+      }
+    );
+    const sameLengthMain = assertElement(sameLengthTree.nodes[2]);
+    const sameLengthList = assertElement(sameLengthMain.children?.[3]);
+
+    assert.strictEqual(sameLengthTree.nodes[0], previousNodes[0]);
+    assert.notStrictEqual(sameLengthMain, previousMain);
+    assert.strictEqual(sameLengthMain.attributes, previousMain.attributes);
+    assert.strictEqual(
+      sameLengthMain.children?.[1],
+      previousMain.children?.[1]
+    );
+    assert.notStrictEqual(
+      sameLengthList.children?.[1],
+      previousList.children?.[1]
+    );
+    assert.strictEqual(
+      sameLengthList.children?.[3],
+      previousList.children?.[3]
+    );
+    assert.strictEqual(
+      sameLengthMain.children?.[5],
+      previousMain.children?.[5]
+    );
+    assert.strictEqual(sameLengthTree.nodes[4], previousNodes[4]);
+
+    // Adding a line moves everything after the edit
+    const addedLineTree = parser.reparse(
+      { source, nodes: previousNodes },
+      {
+        offset: source.indexOf("One"),
+        deletedLength: 0,
+        insertedText: "\n",
+      }
+    );
+    const addedLineMain = assertElement(addedLineTree.nodes[2]);
+
+    assert.strictEqual(addedLineMain.children?.[1], previousMain.children?.[1]);
+    assert.notStrictEqual(
+      addedLineMain.children?.[5],
+      previousMain.children?.[5]
+    );
+    assert.strictEqual(addedLineTree.nodes[4]?.l, 11);
+
+    // The previous tree should be left as it was
+    assert.deepStrictEqual(previousNodes, previousSnapshot);
+  });
+
+  test("should throw if the sourceRanges option is disabled", () => {
+    const parser = new HTMLParser();
+
+    assert.throws(
+      () =>
+        parser.reparse(
+          { source, nodes: parser.parseStringSync(source) },
+          { offset: 0, deletedLength: 0, insertedText: "" }
+        ),
+      new Error("Reparsing requires the sourceRanges option")
+    );
+  });
+
+  test("should throw for an edit outside of the source", () => {
+    const parser = new HTMLParser({ sourceRanges: true });
+
+    assert.throws(
+      () =>
+        parser.reparse(
+          { source, nodes: parser.parseStringSync(source) },
+          { offset: source.length, deletedLength: 1, insertedText: "" }
+        ),
+      RangeError
+    );
+  });
+});
@@ -0,0 +1,276 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+
+import {
+  HTMLParser,
+  matches,
+  querySelector,
+  querySelectorAll,
+  querySelectorAllStream,
+} from "../src/index.js";
+
+/**
+ * @import { TmphElementNode } from "../src/types.js";
+ */
+
+const fixturesDirPath = import.meta
+  .resolve("../test/fixtures/")
+  .slice("file://".length);
+
+const html = `<template #component>
+  <ul class="list">
+    <li id="first" data-index="1">One</li>
+    <li class="item active" :class="classes">Two</li>
+    <li class="item" lang="en-US">Three</li>
+    <li #for-of:item,i="items"><b>Four</b></li>
+  </ul>
+  <slot name="header"></slot>
+  <slot></slot>
+  <p>Text <b>bold</b></p>
+</template>`;
+
+/**
+ * @param {TmphElementNode[]} elements
+ * @returns {string[]}
+ */
+const describeElements = (elements) =>
+  elements.map(
+    (element) =>
+      `${element.tagName}${
+        element.attributes
+          ?.map(({ name, value }) =>
+            value ? `[${name}=${value}]` : `[${name}]`
+          )
+          .join("") ?? ""
+      }`
+  );
+
+const nodes = await new HTMLParser().parseString(html).toArray();
+
+describe("selectors", () => {
+  test("type and universal selectors", () => {
+    assert.deepStrictEqual(describeElements(querySelectorAll(nodes, "SLOT")), [
+      "slot[name=header]",
+      "slot",
+    ]);
+    assert.strictEqual(querySelectorAll(nodes, "*").length, 11);
+  });
+
+  test("id, class and attribute selectors", () => {
+    const selectorMatches = {
+      "#first": ["li[id=first][data-index=1]"],
+      ".item.active": ["li[class=item active][:class=classes]"],
+      "[lang|=en]": ["li[class=item][lang=en-US]"],
+      "[lang='EN-us' i]": ["li[class=item][lang=en-US]"],
+      "[lang='EN-us']": [],
+      "slot[name]": ["slot[name=header]"],
+      "slot[name^=head]": ["slot[name=header]"],
+      "slot[name$='er']": ["slot[name=header]"],
+      "slot[name*=ade]": ["slot[name=header]"],
+      "[class~=item]": [
+        "li[class=item active][:class=classes]",
+        "li[class=item][lang=en-US]",
+      ],
+    };
+
+    for (const [selector, expectedMatches] of Object.entries(selectorMatches)) {
+      assert.deepStrictEqual(
+        describeElements(querySelectorAll(nodes, selector)),
+        expectedMatches,
+        selector
+      );
+    }
+  });
+
+  test("template attribute names with # and : prefixes", () => {
+    assert.deepStrictEqual(
+      describeElements(querySelectorAll(nodes, "template[#component]")),
+      ["template[#component]"]
+    );
+    assert.deepStrictEqual(
+      describeElements(querySelectorAll(nodes, "[:class]")),
+      ["li[class=item active][:class=classes]"]
+    );
+    assert.deepStrictEqual(
+      describeElements(querySelectorAll(nodes, "li[#for-of:item,i='items']")),
+      ["li[#for-of:item,i=items]"]
+    );
+    assert.deepStrictEqual(
+      describeElements(querySelectorAll(nodes, "li[\\:class]")),
+      ["li[class=item active][:class=classes]"]
+    );
+  });
+
+  test("combinators", () => {
+    const selectorMatches = {
+      "template b": ["b", "b"],
+      "p > b": ["b"],
+      "template > b": [],
+      "#first + li": ["li[class=item active][:class=classes]"],
+      "[lang] ~ li": ["li[#for-of:item,i=items]"],
+      "ul ~ slot": ["slot[name=header]", "slot"],
+      "template > ul li > b": ["b"],
+      "slot, p": ["slot[name=header]", "slot", "p"],
+    };
+
+    for (const [selector, expectedMatches] of Object.entries(selectorMatches)) {
+      assert.deepStrictEqual(
+        describeElements(querySelectorAll(nodes, selector)),
+        expectedMatches,
+        selector
+      );
+    }
+  });
+
+  test("pseudo-classes", () => {
+    const selectorMatches = {
+      "slot:not([name])": ["slot"],
+      "li:not(.item, #first)": ["li[#for-of:item,i=items]"],
+      "li:has(b)": ["li[#for-of:item,i=items]"],
+      "template:has(> slot[name])": ["template[#component]"],
+      "template:has(> b)": [],
+      ":not(:has(*))": [
+        "li[id=first][data-index=1]",
+        "li[class=item active][:class=classes]",
+        "li[class=item][lang=en-US]",
+        "b",
+        "slot[name=header]",
+        "slot",
+        "b",
+      ],
+      "li:nth-child(2)": ["li[class=item active][:class=classes]"],
+      "li:nth-child(odd)": [
+        "li[id=first][data-index=1]",
+        "li[class=item][lang=en-US]",
+      ],
+      "li:nth-child(2n)": [
+        "li[class=item active][:class=classes]",
+        "li[#for-of:item,i=items]",
+      ],
+      "li:nth-child(-n + 2)": [
+        "li[id=first][data-index=1]",
+        "li[class=item active][:class=classes]",
+      ],
+      "template > :nth-child(3)": ["slot"],
+    };
+
+    for (const [selector, expectedMatches] of Object.entries(selectorMatches)) {
+      assert.deepStrictEqual(
+        describeElements(querySelectorAll(nodes, selector)),
+        expectedMatches,
+        selector
+      );
+    }
+  });
+
+  test("querySelector returns the first match", () => {
+    assert.strictEqual(
+      querySelector(nodes, "b"),
+      querySelectorAll(nodes, "b")[0]
+    );
+    assert.deepStrictEqual(querySelector(nodes, "li")?.attributes?.[0], {
+      name: "id",
+      value: "first",
+      l: 3,
+      c: 9,
+    });
+    assert.strictEqual(querySelector(nodes, "video"), null);
+  });
+
+  test("matches", () => {
+    const [secondListItem] = querySelectorAll(nodes, "li.active");
+    if (!secondListItem) {
+      throw new Error("Expected to find a list item");
+    }
+
+    assert.strictEqual(matches(secondListItem, "li.item"), true);
+    assert.strictEqual(matches(secondListItem, "ul > li"), false);
+    assert.strictEqual(matches(secondListItem, "ul > li", nodes), true);
+    assert.strictEqual(
+      matches(secondListItem, "li:nth-child(2):not(:has(b))", nodes),
+      true
+    );
+    assert.strictEqual(matches(secondListItem, "#first ~ *", nodes), true);
+    assert.strictEqual(
+      matches({ textContent: "Text", l: 1, c: 1 }, "*", nodes),
+      false
+    );
+  });
+
+  test("invalid selectors throw a SyntaxError", () => {
+    const invalidSelectors = {
+      "": `Invalid selector "": Expected a selector at position 1`,
+      "li >": `Invalid selector "li >": Expected a selector at position 5`,
+      "li:hover": `Invalid selector "li:hover": Unsupported pseudo-class ":hover" at position 9`,
+      "li:nth-child(x)": `Invalid selector "li:nth-child(x)": Invalid :nth-child() argument "x" at position 14`,
+      "li:has(+ li)": `Invalid selector "li:has(+ li)": :has() only supports the descendant and child combinators at position 8`,
+      "[name='a": `Invalid selector "[name='a": Unterminated string at position 9`,
+      "li)": `Invalid selector "li)": Unexpected character ")" at position 3`,
+    };
+
+    for (const [selector, message] of Object.entries(invalidSelectors)) {
+      assert.throws(() => querySelectorAll(nodes, selector), {
+        name: "SyntaxError",
+        message,
+      });
+    }
+  });
+
+  describe("querySelectorAllStream", () => {
+    test("matches elements as they are parsed", async () => {
+      /**
+       * @type {TmphElementNode[]}
+       */
+      const elements = [];
+      for await (const element of querySelectorAllStream(
+        new HTMLParser().parseString(html),
+        "li:nth-child(n+3), p"
+      )) {
+        elements.push(element);
+      }
+
+      assert.deepStrictEqual(
+        elements,
+        querySelectorAll(nodes, "li:nth-child(n+3), p")
+      );
+    });
+
+    test("matches selectors using :has()", async () => {
+      /**
+       * @type {TmphElementNode[]}
+       */
+      const elements = [];
+      for await (const element of querySelectorAllStream(
+        new HTMLParser().parseString(html),
+        "li:has(> b), :not(:has(*))"
+      )) {
+        elements.push(element);
+      }
+
+      assert.deepStrictEqual(
+        elements,
+        querySelectorAll(nodes, "li:has(> b), :not(:has(*))")
+      );
+    });
+
+    test("can stop parsing early", async () => {
+      const filePath = `${fixturesDirPath}geyer.dev.tmph.html`;
+
+      /**
+       * @type {string[]}
+       */
+      const hrefs = [];
+      for await (const element of querySelectorAllStream(
+        new HTMLParser().parseFile(filePath),
+        "a[href]"
+      )) {
+        hrefs.push(element.attributes?.[0]?.value ?? "");
+        if (hrefs.length === 3) {
+          break;
+        }
+      }
+
+      assert.deepStrictEqual(hrefs, ["#main", "#projects", "/about"]);
+    });
+  });
+});
@@ -0,0 +1,320 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+import { readFile } from "node:fs/promises";
+
+import { HTMLParser, serialize, serializeStream } from "../src/index.js";
+
+/**
+ * @param {ReadableStream<string>} stream
+ */
+const readStream = async (stream) => {
+  let html = "";
+  for await (const chunk of stream) {
+    html += chunk;
+  }
+  return html;
+};
+
+describe("serialize", () => {
+  test("serializes parsed nodes back into HTML", async () => {
+    const nodes = await new HTMLParser()
+      .parseString(
+        `<!DOCTYPE html><!-- Comment --><div id="root" hidden>Hello, <b>world</b>!<br><img src="a.png"></div>`
+      )
+      .toArray();
+
+    assert.strictEqual(
+      serialize(nodes),
+      `<!DOCTYPE html><!-- Comment --><div id="root" hidden>Hello, <b>world</b>!<br><img src="a.png"></div>`
+    );
+  });
+
+  test("void elements never have closing tags", () => {
+    assert.strictEqual(
+      serialize([
+        { tagName: "input", attributes: [], l: 1, c: 1 },
+        { tagName: "BR", l: 1, c: 1 },
+        { tagName: "frame", l: 1, c: 1 },
+        { tagName: "div", l: 1, c: 1 },
+      ]),
+      "<input><BR><frame><div></div>"
+    );
+  });
+
+  test("attribute values are quoted based on their contents", () => {
+    assert.strictEqual(
+      serialize([
+        {
+          tagName: "div",
+          attributes: [
+            { name: "a", value: "plain", l: 1, c: 1 },
+            { name: "b", value: `say "hi"`, l: 1, c: 1 },
+            { name: "c", value: `it's`, l: 1, c: 1 },
+            { name: "d", value: `"it's"`, l: 1, c: 1 },
+            { name: "e", value: "", l: 1, c: 1 },
+          ],
+          l: 1,
+          c: 1,
+        },
+      ]),
+      `<div a="plain" b='say "hi"' c="it's" d="\\"it's\\"" e></div>`
+    );
+  });
+
+  test("backslashes and quotes in attribute values are escaped so they reparse to the same value", async () => {
+    const values = ["C:\\dir", `"it's" \\`, `{ a: "b", c: 'd' }`];
+    const nodes = [
+      {
+        tagName: "div",
+        attributes: values.map((value, i) => ({
+          name: `a${i}`,
+          value,
+          l: 1,
+          c: 1,
+        })),
+        l: 1,
+        c: 1,
+      },
+    ];
+
+    const serializedHTML = serialize(nodes);
+    assert.strictEqual(
+      serializedHTML,
+      `<div a0="C:\\\\dir" a1="\\"it's\\" \\\\" a2="{ a: \\"b\\", c: 'd' }"></div>`
+    );
+
+    const [div] = new HTMLParser().parseStringSync(serializedHTML);
+    assert.deepStrictEqual(
+      div && "tagName" in div ? div.attributes?.map(({ value }) => value) : null,
+      values
+    );
+  });
+
+  test("decoded text and attribute values are encoded outside of raw text elements", async () => {
+    const source = `<p title="Fish &amp; &quot;Chips&quot; '&amp;' C:&#92;dir">1 &lt; 2</p><p>&lt;script&gt;</p><script>if (1 < 2 && true) {}</script><textarea>&lt;b&gt;</textarea>`;
+    const nodes = await new HTMLParser({ decodeEntities: true })
+      .parseString(source)
+      .toArray();
+
+    const serializedHTML = serialize(nodes);
+    assert.strictEqual(serializedHTML, source);
+    assert.strictEqual(serialize(nodes, { encodeEntities: true }), source);
+    // Decoded text can't turn into markup, so parsing the output gives the same nodes
+    assert.deepStrictEqual(
+      (
+        await new HTMLParser({ decodeEntities: true })
+          .parseString(serializedHTML)
+          .toArray()
+      )[1],
+      {
+        tagName: "p",
+        children: [{ textContent: "<script>", decoded: true, l: 1, c: 75 }],
+        l: 1,
+        c: 73,
+      }
+    );
+  });
+
+  test("round-trips character references with the parser's default options", () => {
+    const source = `<p title="a &amp; b">x &amp; y &copy; 1 &lt; 2</p>`;
+    const nodes = new HTMLParser().parseStringSync(source);
+
+    assert.strictEqual(serialize(nodes), source);
+  });
+
+  test("minified output collapses whitespace", async () => {
+    const nodes = await new HTMLParser()
+      .parseString(
+        `<html>
+  <head>
+    <title>A   title</title>
+  </head>
+  <body>
+    <p class="a">
+      Hello,   <em>world</em>
+    </p>
+    <pre>  keep
+  this  </pre>
+    <!-- comment -->
+  </body>
+</html>
+`
+      )
+      .toArray();
+
+    assert.strictEqual(
+      serialize(nodes, { format: "minified" }),
+      `<html><head><title>A   title</title></head><body> <p class=a> Hello, <em>world</em> </p> <pre>  keep
+  this  </pre> <!--comment--> </body></html>`
+    );
+  });
+
+  test("pretty output puts each node on its own indented line", async () => {
+    const nodes = await new HTMLParser()
+      .parseString(
+        `<!DOCTYPE html><html><head><title>Title</title></head><body><p>Hello, <em>world</em></p><p>
+      Text
+    </p><pre>  keep
+  this  </pre><script>
+  const a = 1;
+</script></body></html>`
+      )
+      .toArray();
+
+    assert.strictEqual(
+      serialize(nodes, { format: "pretty" }),
+      `<!DOCTYPE html>
+<html>
+  <head>
+    <title>Title</title>
+  </head>
+  <body>
+    <p>
+      Hello,
+      <em>world</em>
+    </p>
+    <p>Text</p>
+    <pre>  keep
+  this  </pre>
+    <script>
+  const a = 1;
+</script>
+  </body>
+</html>`
+    );
+
+    assert.strictEqual(
+      serialize(nodes, { format: "pretty", indent: "\t" }).split("\n")[2],
+      "\t<head>"
+    );
+  });
+
+  test("serializeStream serializes streamed nodes as they are parsed", async () => {
+    const html = `<!DOCTYPE html><div class="a">Hello, <b>world</b>!<br><!-- comment --></div><p>Text</p>`;
+
+    assert.strictEqual(
+      await readStream(serializeStream(new HTMLParser().parseString(html))),
+      html
+    );
+
+    const nodes = await new HTMLParser().parseString(html).toArray();
+    for (const format of /** @type {const} */ (["minified", "pretty"])) {
+      assert.strictEqual(
+        await readStream(
+          serializeStream(new HTMLParser().parseString(html), { format })
+        ),
+        serialize(nodes, { format })
+      );
+    }
+  });
+
+  describe("preserved formatting", () => {
+    const fixtureNames = [
+      "componentWIthSlots.tmph.html",
+      "componentWithAsyncAttributes.tmph.html",
+      "componentWithProps.tmph.html",
+      "componentWithScripts.tmph.html",
+      "componentWithStyles.tmph.html",
+      "dynamicContentComponent.tmph.html",
+      "geyer.dev.tmph.html",
+      "inlineSubComponents.tmph.html",
+      "layout.tmph.html",
+      "markdownComponent.tmph.html",
+      "simpleComponent.tmph.html",
+      "unicode.tmph.html",
+    ];
+
+    for (const fixtureName of fixtureNames) {
+      test(`${fixtureName} round-trips byte-for-byte`, async () => {
+        const filePath = import.meta
+          .resolve(`./fixtures/${fixtureName}`)
+          .slice("file://".length);
+        const source = await readFile(filePath, "utf8");
+
+        for (const decodeEntities of [false, true]) {
+          const htmlParser = new HTMLParser({
+            preserveFormatting: true,
+            decodeEntities,
+          });
+
+          assert.strictEqual(
+            serialize(await htmlParser.parseFile(filePath).toArray()),
+            source
+          );
+          assert.strictEqual(
+            await readStream(serializeStream(htmlParser.parseFile(filePath))),
+            source
+          );
+        }
+      });
+    }
+
+    test("stray closing tags round-trip byte-for-byte", async () => {
+      const htmlParser = new HTMLParser({ preserveFormatting: true });
+
+      for (const source of [
+        "a</br>b",
+        "<p>a</ul=></p>",
+        "</x><div>\n  </Span >\n</div></y>",
+      ]) {
+        assert.strictEqual(
+          serialize(htmlParser.parseStringSync(source)),
+          source
+        );
+        assert.strictEqual(
+          await readStream(serializeStream(htmlParser.parseString(source))),
+          source
+        );
+      }
+
+      // Stray closing tags are still dropped from other formats
+      assert.strictEqual(
+        serialize(htmlParser.parseStringSync("<p>a</ul=></p>"), {
+          format: "minified",
+        }),
+        "<p>a</p>"
+      );
+    });
+
+    test("only the parts of the tree which were changed are re-formatted", async () => {
+      const nodes = await new HTMLParser({ preserveFormatting: true })
+        .parseString(
+          `<!DOCTYPE  html><DIV  class='a'\n  id=x data-keep='a\\'b'>\n  <!--hi  -->\n  <p>Text</P ></DIV>`
+        )
+        .toArray();
+
+      const div = nodes[1];
+      if (!div || !("tagName" in div) || !div.attributes) {
+        throw new Error("Expected a div element");
+      }
+      const [classAttribute, idAttribute] = div.attributes;
+      if (!classAttribute || !idAttribute) {
+        throw new Error("Expected class and id attributes");
+      }
+      classAttribute.value = "it's";
+      idAttribute.value = "y z";
+
+      const p = div.children?.find((child) => "tagName" in child);
+      if (!p || !("tagName" in p)) {
+        throw new Error("Expected a p element");
+      }
+      p.tagName = "span";
+
+      assert.strictEqual(
+        serialize(nodes),
+        `<!DOCTYPE  html><DIV  class="it's"\n  id="y z" data-keep='a\\'b'>\n  <!--hi  -->\n  <span>Text</span></DIV>`
+      );
+    });
+
+    test("formatting is only preserved in the default format", async () => {
+      const nodes = await new HTMLParser({ preserveFormatting: true })
+        .parseString(`<p  id='a'><!--  hi  --></P>`)
+        .toArray();
+
+      assert.strictEqual(
+        serialize(nodes, { format: "minified" }),
+        `<p id=a><!--hi--></p>`
+      );
+    });
+  });
+});
@@ -0,0 +1,243 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+
+import {
+  HTMLParser,
+  serialize,
+  serializeStream,
+  transform,
+  walk,
+} from "../src/index.js";
+
+/**
+ * @import { TmphTransformVisitor, TmphWalkVisitor } from "../src/types.js";
+ */
+
+const html = `<!DOCTYPE html><div id="root"><!-- comment --><p>Hello, <b>world</b>!</p><br><script>alert(1)</script></div>`;
+
+/**
+ * @param {ReadableStream<string>} stream
+ */
+const readStream = async (stream) => {
+  let result = "";
+  for await (const chunk of stream) {
+    result += chunk;
+  }
+  return result;
+};
+
+/**
+ * @param {string[]} events
+ * @returns {TmphWalkVisitor}
+ */
+const createLoggingVisitor = (events) => ({
+  element: {
+    enter(path) {
+      events.push(
+        `enter <${path.node.tagName}> ${path.index} parent=${
+          path.parent?.tagName ?? null
+        } depth=${path.ancestors.length}`
+      );
+    },
+    leave(path) {
+      events.push(`leave <${path.node.tagName}>`);
+    },
+  },
+  text(path) {
+    events.push(`text "${path.node.textContent}" ${path.index}`);
+  },
+  comment: {
+    leave(path) {
+      events.push(`comment "${path.node.comment}"`);
+    },
+  },
+  doctype(path) {
+    events.push(`doctype "${path.node.doctypeDeclaration}"`);
+  },
+});
+
+const expectedEvents = [
+  `doctype "html"`,
+  "enter <div> 1 parent=null depth=0",
+  `comment "comment"`,
+  "enter <p> 1 parent=div depth=1",
+  `text "Hello, " 0`,
+  "enter <b> 1 parent=p depth=2",
+  `text "world" 0`,
+  "leave <b>",
+  `text "!" 2`,
+  "leave <p>",
+  "enter <br> 2 parent=div depth=1",
+  "leave <br>",
+  "enter <script> 3 parent=div depth=1",
+  `text "alert(1)" 0`,
+  "leave <script>",
+  "leave <div>",
+];
+
+/**
+ * @type {TmphTransformVisitor}
+ */
+const transformVisitor = {
+  element: {
+    enter(path) {
+      if (path.node.tagName === "script") {
+        path.remove();
+      } else if (path.node.tagName === "b") {
+        path.replaceWith(
+          { tagName: "strong", l: path.node.l, c: path.node.c },
+          { textContent: "!", l: path.node.l, c: path.node.c }
+        );
+      } else if (path.node.tagName === "br") {
+        path.insertBefore({ textContent: "before", l: 1, c: 1 });
+        path.insertAfter({ textContent: "after", l: 1, c: 1 });
+      } else if (path.node.tagName === "p") {
+        path.skip();
+      }
+    },
+    leave(path) {
+      if (path.node.tagName === "div") {
+        path.node.attributes = [{ name: "class", value: "left", l: 1, c: 1 }];
+      }
+    },
+  },
+  comment(path) {
+    path.replaceWith({
+      textContent: path.node.comment,
+      l: path.node.l,
+      c: path.node.c,
+    });
+  },
+};
+
+describe("walk", () => {
+  test("visits resolved nodes depth-first", async () => {
+    const nodes = await new HTMLParser().parseString(html).toArray();
+
+    /**
+     * @type {string[]}
+     */
+    const events = [];
+    walk(nodes, createLoggingVisitor(events));
+
+    assert.deepStrictEqual(events, expectedEvents);
+  });
+
+  test("visits streamed nodes as they are parsed", async () => {
+    /**
+     * @type {string[]}
+     */
+    const events = [];
+    await walk(
+      new HTMLParser().parseString(html),
+      createLoggingVisitor(events)
+    );
+
+    assert.deepStrictEqual(events, expectedEvents);
+  });
+
+  test("skip() skips a node's children", async () => {
+    /**
+     * @type {TmphWalkVisitor}
+     */
+    const visitor = {
+      element(path) {
+        if (path.node.tagName === "p") {
+          path.skip();
+        }
+      },
+      text(path) {
+        textContents.push(path.node.textContent);
+      },
+    };
+
+    /**
+     * @type {string[]}
+     */
+    const textContents = [];
+    walk(await new HTMLParser().parseString(html).toArray(), visitor);
+    await walk(new HTMLParser().parseString(html), visitor);
+
+    assert.deepStrictEqual(textContents, ["alert(1)", "alert(1)"]);
+  });
+});
+
+describe("transform", () => {
+  const expectedHTML = `<!DOCTYPE html><div class="left">comment<p>Hello, <b>world</b>!</p>before<br>after</div>`;
+
+  test("transforms a copy of resolved nodes", async () => {
+    const nodes = await new HTMLParser().parseString(html).toArray();
+    const transformedNodes = transform(nodes, transformVisitor);
+
+    assert.strictEqual(serialize(transformedNodes), expectedHTML);
+    // The original nodes are left as-is
+    assert.strictEqual(serialize(nodes), html);
+
+    assert.strictEqual(
+      serialize(
+        transform(nodes, {
+          element(path) {
+            if (path.node.tagName === "b") {
+              path.replaceWith(
+                { tagName: "strong", l: path.node.l, c: path.node.c },
+                { textContent: "!", l: path.node.l, c: path.node.c }
+              );
+            }
+          },
+        })
+      ),
+      `<!DOCTYPE html><div id="root"><!-- comment --><p>Hello, <strong></strong>!!</p><br><script>alert(1)</script></div>`
+    );
+  });
+
+  test("removes children from elements whose children were all removed", async () => {
+    const nodes = await new HTMLParser().parseString(html).toArray();
+    const transformedNodes = transform(nodes, {
+      element(path) {
+        if (path.parent?.tagName === "div") {
+          path.remove();
+        }
+      },
+      comment(path) {
+        path.remove();
+      },
+    });
+
+    assert.deepStrictEqual(transformedNodes[1], {
+      tagName: "div",
+      attributes: [{ name: "id", value: "root", l: 1, c: 21 }],
+      l: 1,
+      c: 17,
+    });
+  });
+
+  test("transforms streamed nodes as they are read", async () => {
+    assert.strictEqual(
+      await readStream(
+        serializeStream(
+          transform(new HTMLParser().parseString(html), transformVisitor)
+        )
+      ),
+      // The div's leave callback isn't called until after its opening tag has been streamed,
+      // so changes to its attributes aren't reflected
+      expectedHTML.replace(`class="left"`, `id="root"`)
+    );
+  });
+
+  test("streamed elements can't be moved once their children have been streamed", async () => {
+    const transformedNodes = transform(new HTMLParser().parseString(html), {
+      element: {
+        leave(path) {
+          if (path.node.tagName === "p") {
+            path.remove();
+          }
+        },
+      },
+    });
+
+    await assert.rejects(() => readStream(serializeStream(transformedNodes)), {
+      message:
+        "A streamed element can't be replaced, removed or have nodes inserted around it after its children have been streamed",
+    });
+  });
+});
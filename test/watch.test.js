@@ -0,0 +1,157 @@
+import { test, describe } from "node:test";
+import * as assert from "node:assert";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+
+import { HTMLParser } from "../src/index.js";
+
+/**
+ * @import { TestContext } from "node:test";
+ */
+
+/**
+ * Creates a temporary directory which is removed once the test finishes.
+ * @param {TestContext} t
+ */
+const createTempDirectory = async (t) => {
+  const directoryPath = await mkdtemp(join(tmpdir(), "tmph-watch-"));
+  t.after(() => rm(directoryPath, { recursive: true, force: true }));
+  return directoryPath;
+};
+
+/**
+ * @template T
+ * @param {AsyncIterator<T>} iterator
+ */
+const nextResult = async (iterator) => {
+  const { value, done } = await iterator.next();
+  if (done) {
+    throw new Error("Expected the iterator to yield another result");
+  }
+  return value;
+};
+
+describe("HTMLParser.watchFile", () => {
+  test("should yield fresh nodes each time the file changes", async (t) => {
+    const directoryPath = await createTempDirectory(t);
+    const filePath = join(directoryPath, "page.tmph.html");
+    await writeFile(filePath, "<p>One</p>");
+
+    const parser = new HTMLParser();
+    const results = parser.watchFile(filePath, { debounceMs: 10 });
+    t.after(() => results.return());
+
+    const initialResult = await nextResult(results);
+    assert.strictEqual(initialResult.filePath, filePath);
+    assert.strictEqual(initialResult.previousNodes, null);
+    assert.deepStrictEqual(
+      initialResult.nodes,
+      await parser.parseString("<p>One</p>").toArray()
+    );
+
+    await writeFile(filePath, "<p>Two</p>");
+    const changedResult = await nextResult(results);
+    assert.deepStrictEqual(
+      changedResult.nodes,
+      await parser.parseString("<p>Two</p>").toArray()
+    );
+    assert.strictEqual(changedResult.previousNodes, initialResult.nodes);
+  });
+
+  test("should only parse once for rapid saves", async (t) => {
+    const directoryPath = await createTempDirectory(t);
+    const filePath = join(directoryPath, "page.tmph.html");
+    await writeFile(filePath, "<p>One</p>");
+
+    const parser = new HTMLParser();
+    const results = parser.watchFile(filePath, { debounceMs: 100 });
+    t.after(() => results.return());
+    await nextResult(results);
+
+    const parseFileMock = t.mock.method(parser, "parseFile");
+    for (const text of ["Two", "Three", "Four"]) {
+      await writeFile(filePath, `<p>${text}</p>`);
+      await sleep(10);
+    }
+
+    const { nodes } = await nextResult(results);
+    assert.deepStrictEqual(
+      nodes,
+      await parser.parseString("<p>Four</p>").toArray()
+    );
+    assert.strictEqual(parseFileMock.mock.callCount(), 1);
+  });
+
+  test("should keep watching after the file fails to parse", async (t) => {
+    const directoryPath = await createTempDirectory(t);
+    const filePath = join(directoryPath, "page.tmph.html");
+    await writeFile(filePath, "<p>One</p>");
+
+    const parser = new HTMLParser();
+    const results = parser.watchFile(filePath, { debounceMs: 10 });
+    t.after(() => results.return());
+    const initialResult = await nextResult(results);
+
+    // Invalid UTF-8
+    await writeFile(filePath, new Uint8Array([0x3c, 0x70, 0x3e, 0xff]));
+    const errorResult = await nextResult(results);
+    assert.ok(errorResult.error instanceof Error);
+    assert.strictEqual(errorResult.nodes, undefined);
+    assert.strictEqual(errorResult.previousNodes, initialResult.nodes);
+
+    await writeFile(filePath, "<p>Fixed</p>");
+    const fixedResult = await nextResult(results);
+    assert.deepStrictEqual(
+      fixedResult.nodes,
+      await parser.parseString("<p>Fixed</p>").toArray()
+    );
+    assert.strictEqual(fixedResult.previousNodes, initialResult.nodes);
+  });
+
+  test("should stop watching when the signal is aborted", async (t) => {
+    const directoryPath = await createTempDirectory(t);
+    const filePath = join(directoryPath, "page.tmph.html");
+    await writeFile(filePath, "<p>One</p>");
+
+    const abortController = new AbortController();
+    const results = new HTMLParser().watchFile(filePath, {
+      signal: abortController.signal,
+    });
+    await nextResult(results);
+
+    setTimeout(() => abortController.abort(), 20);
+    await assert.rejects(() => results.next(), { name: "AbortError" });
+  });
+});
+
+describe("HTMLParser.watchFiles", () => {
+  test("should yield results for each file which changes", async (t) => {
+    const directoryPath = await createTempDirectory(t);
+    const firstFilePath = join(directoryPath, "first.tmph.html");
+    const secondFilePath = join(directoryPath, "second.tmph.html");
+    await writeFile(firstFilePath, "<p>First</p>");
+    await writeFile(secondFilePath, "<p>Second</p>");
+
+    const parser = new HTMLParser();
+    const results = parser.watchFiles(`${directoryPath}/*.tmph.html`, {
+      debounceMs: 10,
+    });
+    t.after(() => results.return());
+
+    const initialFilePaths = [
+      (await nextResult(results)).filePath,
+      (await nextResult(results)).filePath,
+    ].sort();
+    assert.deepStrictEqual(initialFilePaths, [firstFilePath, secondFilePath]);
+
+    await writeFile(secondFilePath, "<p>Changed</p>");
+    const changedResult = await nextResult(results);
+    assert.strictEqual(changedResult.filePath, secondFilePath);
+    assert.deepStrictEqual(
+      changedResult.nodes,
+      await parser.parseString("<p>Changed</p>").toArray()
+    );
+  });
+});